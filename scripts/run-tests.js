@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Runs every test/*-test.js file in its own process and fails if any of them fails
+ * Expects a fresh build: some tests import from dist/.
+ */
+
+import { readdirSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const testDir = join(__dirname, '..', 'test');
+
+// Tests that cannot run in CI, with the reason
+const SKIPPED = {
+  'comprehensive-test.js': 'spawns a globally installed lerian-mcp-server through npx',
+  'learning-system-test.js': 'fetches the live documentation site and GitHub',
+  'output-formatting-test.js': 'written for a Jest runner, which is not installed'
+};
+
+const files = readdirSync(testDir).filter(file => file.endsWith('-test.js')).sort();
+const failed = [];
+
+for (const file of files) {
+  if (SKIPPED[file]) {
+    console.log(`⏭️  ${file} skipped: ${SKIPPED[file]}`);
+    continue;
+  }
+
+  console.log(`\n▶️  ${file}`);
+  const result = spawnSync(process.execPath, [join(testDir, file)], { stdio: 'inherit', timeout: 120000 });
+  if (result.status !== 0) {
+    failed.push(file);
+  }
+}
+
+if (failed.length > 0) {
+  console.log(`\n❌ ${failed.length} test file(s) failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`\n🎉 All ${files.length - Object.keys(SKIPPED).length} test files passed!`);
@@ -418,7 +418,7 @@ class SecurityAuditor {
         console.log('🔐 Validating cryptographic practices...');
 
         // Check for strong encryption usage
-        const cryptoFiles = ['src/util/security-utils.js', 'src/tools/midaz-api.js'];
+        const cryptoFiles = ['src/util/security-utils.js'];
         let strongCryptoFound = false;
 
         for (const file of cryptoFiles) {
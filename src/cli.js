@@ -9,6 +9,8 @@
 
 import { setupUserConfig, setupLocalConfig } from './util/setup.js';
 import { maskSensitiveData } from './util/security-utils.js';
+import { generateApiKey, hashApiKey } from './util/config-security.js';
+import { auditStore } from './util/security.js';
 import config from './config.js';
 import fs from 'fs';
 import path from 'path';
@@ -55,9 +57,11 @@ async function mainMenu() {
     console.log('3. Update backend connection settings');
     console.log('4. Toggle stub mode');
     console.log('5. Show current configuration');
+    console.log('6. Create HTTP client API key');
+    console.log('7. Verify audit log chain');
     console.log('0. Exit');
 
-    const choice = await ask('\nEnter your choice (0-5): ');
+    const choice = await ask('\nEnter your choice (0-7): ');
 
     switch (choice) {
         case '1':
@@ -75,6 +79,12 @@ async function mainMenu() {
         case '5':
             showCurrentConfig();
             break;
+        case '6':
+            await createClientApiKey();
+            break;
+        case '7':
+            verifyAuditChain();
+            break;
         case '0':
             console.log('\nExiting...');
             rl.close();
@@ -288,6 +298,90 @@ async function toggleStubMode() {
     }
 }
 
+/**
+ * Create an API key for an HTTP transport client
+ * Only the key's hash is written to the config file; the key itself is shown once.
+ */
+async function createClientApiKey() {
+    printSection('Create HTTP Client API Key');
+
+    const { local, legacyLocal, user, legacyUser } = getConfigPaths();
+    const options = [local, user, legacyLocal, legacyUser].filter(configPath => fs.existsSync(configPath));
+
+    if (options.length === 0) {
+        console.log('No configuration files found. Please create one first.');
+        return;
+    }
+
+    options.forEach((configPath, index) => console.log(`${index + 1}. ${configPath}`));
+    const choice = await ask(`\nEnter your choice (1-${options.length}): `);
+    const configPath = options[parseInt(choice) - 1];
+
+    if (!configPath) {
+        console.log('Invalid choice. Please try again.');
+        return;
+    }
+
+    const clientId = (await ask('Client ID (recorded in the audit log): ')).trim();
+    if (!/^[\w.@-]{1,64}$/.test(clientId)) {
+        console.log('Client ID must be 1-64 letters, digits, or . _ @ -');
+        return;
+    }
+
+    let configData;
+    try {
+        configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.log(`Error reading config file: ${error.message}`);
+        return;
+    }
+
+    const apiKey = generateApiKey();
+    configData.auth = configData.auth || { enabled: true, apiKeys: [] };
+    configData.auth.apiKeys = (configData.auth.apiKeys || []).filter(entry => entry.id !== clientId);
+    configData.auth.apiKeys.push({ id: clientId, keyHash: hashApiKey(apiKey), createdAt: new Date().toISOString() });
+
+    try {
+        fs.writeFileSync(configPath, JSON.stringify(configData, null, 2), { encoding: 'utf8', mode: 0o600 });
+        console.log(`\nAPI key for ${clientId} saved (hashed) in: ${configPath}`);
+        console.log(`\n  ${apiKey}\n`);
+        console.log('Copy it now - it cannot be shown again. Clients send it as "Authorization: Bearer <key>".');
+    } catch (error) {
+        console.log(`Error writing config file: ${error.message}`);
+    }
+}
+
+/**
+ * Verify the hash chain of the audit log
+ * @returns {boolean} Whether the chain is intact
+ */
+function verifyAuditChain() {
+    printSection('Verify Audit Log Chain');
+
+    const result = auditStore.verify();
+    console.log(`Files checked: ${result.files}`);
+    console.log(`Chained entries: ${result.entries}`);
+    if (result.unchained > 0) {
+        console.log(`Entries written before chaining (not verifiable): ${result.unchained}`);
+    }
+    if (result.anchor && result.anchor !== 'genesis') {
+        console.log(`Chain starts at ${result.anchor} (older files were removed by retention)`);
+    }
+
+    if (result.valid) {
+        if (result.head) {
+            console.log(`Head: seq ${result.head.seq} at ${result.head.timestamp}`);
+            console.log(`      ${result.head.hash}`);
+        }
+        console.log('\n✅ Audit log chain is intact');
+    } else {
+        const { file, line, reason } = result.error;
+        console.log(`\n❌ Audit log chain is broken in ${file} line ${line}: ${reason}`);
+    }
+
+    return result.valid;
+}
+
 /**
  * Show current configuration
  */
@@ -363,5 +457,11 @@ function saveConfigPaths() {
     };
 }
 
-// Start the CLI
-mainMenu(); 
\ No newline at end of file
+// Run a single command non-interactively, or start the menu
+if (process.argv[2] === 'verify-audit-chain') {
+    const valid = verifyAuditChain();
+    rl.close();
+    process.exit(valid ? 0 : 1);
+} else {
+    mainMenu();
+} 
\ No newline at end of file
@@ -8,6 +8,7 @@ import path from 'path';
 import os from 'os';
 import { validateConfig, buildConfigFromEnv, mergeConfigs } from './util/config-validator.js';
 import { loadSecureConfiguration, sanitizeConfig } from './util/config-security.js';
+import { installEnvironmentProfiles } from './util/environments.js';
 
 /**
  * Default configuration for the Lerian MCP server
@@ -24,6 +25,16 @@ const defaultConfig = {
         },
         timeout: 10000, // 10 seconds
         retries: 3,
+        auth: {
+            // OAuth2 client credentials; when set, backend calls use short-lived tokens instead of apiKey
+            tokenUrl: null, // Defaults to {baseUrl}/oauth/token when only baseUrl is set
+            baseUrl: null,
+            clientId: null,
+            clientSecret: null,
+            scope: null,
+            audience: null,
+            authMethod: 'client_secret_post', // or 'client_secret_basic'
+        },
     },
     server: {
         name: 'lerian-mcp-server',
@@ -34,7 +45,28 @@ const defaultConfig = {
     logLevel: 'info', // Default log level
     autoDetect: true, // Automatically detect local services
     localOnly: true, // Only accept connections from localhost
+    allowWrites: false, // Write tools (create/commit/revert transactions) require explicit opt-in
+    transport: 'stdio', // 'stdio' or 'http' (Streamable HTTP with SSE streams, one session per client)
+    httpHost: '127.0.0.1', // Interface the HTTP transport binds to
+    httpPort: 3333, // Port the HTTP transport listens on
+    httpPath: '/mcp', // Endpoint path of the HTTP transport
+    auth: {
+        enabled: false, // Require bearer auth on HTTP (always required when localOnly is false)
+        apiKeys: [], // [{ id, name, keyHash: 'sha256:...', scopes }] - only hashes, never plaintext keys
+        jwt: { issuer: null, audience: null }, // HS256 secret comes from MIDAZ_JWT_SECRET
+    },
     docsUrl: 'https://docs.lerian.studio', // Base URL for online documentation
+    policyFile: null, // YAML/JSON tool authorization policy; every tool is available to every caller when unset
+    exportDir: null, // Directory the export tool writes to; ~/lerian-mcp-exports when unset
+    importDir: null, // Directory import-transactions reads files from and writes result files to; ~/lerian-mcp-imports when unset
+    subscriptionPollInterval: 15000, // Milliseconds between backend polls for subscribed balances and transaction lists
+    webhookEnabled: false, // Accept HMAC-signed Midaz events on a local HTTP endpoint; secret comes from MIDAZ_WEBHOOK_SECRET
+    webhookHost: '127.0.0.1', // Interface the webhook receiver binds to
+    webhookPort: 3334, // Port the webhook receiver listens on
+    webhookPath: '/webhooks/midaz', // Endpoint path events are posted to
+    webhookMaxEvents: 1000, // Events kept in memory for the recent-events tool
+    environments: {}, // Named profiles: { staging: { backend, useStubs, allowWrites, readOnly }, ... }
+    defaultEnvironment: null, // Profile used when a tool call names no environment
 };
 
 // Config file locations to try (in order of preference)
@@ -137,6 +169,54 @@ function parseCommandLineArgs() {
         configFromArgs.useStubs = parsedArgs['stub-mode'] === 'true' || parsedArgs['stub-mode'] === true;
     }
 
+    if (parsedArgs['allow-writes'] !== undefined) {
+        configFromArgs.allowWrites = parsedArgs['allow-writes'] === 'true' || parsedArgs['allow-writes'] === true;
+    }
+
+    if (parsedArgs['transport']) {
+        configFromArgs.transport = parsedArgs['transport'];
+    }
+
+    if (parsedArgs['http-host']) {
+        configFromArgs.httpHost = parsedArgs['http-host'];
+    }
+
+    if (parsedArgs['http-port']) {
+        configFromArgs.httpPort = parseInt(parsedArgs['http-port'], 10);
+    }
+
+    if (parsedArgs['http-path']) {
+        configFromArgs.httpPath = parsedArgs['http-path'];
+    }
+
+    if (parsedArgs['local-only'] !== undefined) {
+        configFromArgs.localOnly = parsedArgs['local-only'] === 'true' || parsedArgs['local-only'] === true;
+    }
+
+    if (parsedArgs['policy-file']) {
+        configFromArgs.policyFile = parsedArgs['policy-file'];
+    }
+
+    if (parsedArgs['export-dir']) {
+        configFromArgs.exportDir = parsedArgs['export-dir'];
+    }
+
+    if (parsedArgs['import-dir']) {
+        configFromArgs.importDir = parsedArgs['import-dir'];
+    }
+
+    if (parsedArgs['subscription-poll-interval']) {
+        configFromArgs.subscriptionPollInterval = parseInt(parsedArgs['subscription-poll-interval'], 10);
+    }
+
+    if (parsedArgs['webhook-enabled'] !== undefined) {
+        configFromArgs.webhookEnabled = parsedArgs['webhook-enabled'] === 'true' || parsedArgs['webhook-enabled'] === true;
+    }
+
+    if (parsedArgs['webhook-port']) {
+        configFromArgs.webhookPort = parseInt(parsedArgs['webhook-port'], 10);
+    }
+
     if (parsedArgs['log-level']) {
         configFromArgs.logLevel = parsedArgs['log-level'];
     }
@@ -288,6 +368,20 @@ async function loadConfig() {
         },
         ...(process.env.MIDAZ_USE_STUBS !== undefined && { useStubs: process.env.MIDAZ_USE_STUBS === 'true' }),
         ...(process.env.MIDAZ_LOG_LEVEL && { logLevel: process.env.MIDAZ_LOG_LEVEL }),
+        ...(process.env.MIDAZ_ALLOW_WRITES !== undefined && { allowWrites: process.env.MIDAZ_ALLOW_WRITES === 'true' }),
+        ...(process.env.MIDAZ_LOCAL_ONLY !== undefined && { localOnly: process.env.MIDAZ_LOCAL_ONLY === 'true' }),
+        ...(process.env.MIDAZ_TRANSPORT && { transport: process.env.MIDAZ_TRANSPORT }),
+        ...(process.env.MIDAZ_HTTP_HOST && { httpHost: process.env.MIDAZ_HTTP_HOST }),
+        ...(process.env.MIDAZ_HTTP_PORT && { httpPort: parseInt(process.env.MIDAZ_HTTP_PORT, 10) }),
+        ...(process.env.MIDAZ_HTTP_PATH && { httpPath: process.env.MIDAZ_HTTP_PATH }),
+        ...(process.env.MIDAZ_POLICY_FILE && { policyFile: process.env.MIDAZ_POLICY_FILE }),
+        ...(process.env.MIDAZ_EXPORT_DIR && { exportDir: process.env.MIDAZ_EXPORT_DIR }),
+        ...(process.env.MIDAZ_IMPORT_DIR && { importDir: process.env.MIDAZ_IMPORT_DIR }),
+        ...(process.env.MIDAZ_SUBSCRIPTION_POLL_INTERVAL && { subscriptionPollInterval: parseInt(process.env.MIDAZ_SUBSCRIPTION_POLL_INTERVAL, 10) }),
+        ...(process.env.MIDAZ_WEBHOOK_ENABLED && { webhookEnabled: process.env.MIDAZ_WEBHOOK_ENABLED === 'true' }),
+        ...(process.env.MIDAZ_WEBHOOK_HOST && { webhookHost: process.env.MIDAZ_WEBHOOK_HOST }),
+        ...(process.env.MIDAZ_WEBHOOK_PORT && { webhookPort: parseInt(process.env.MIDAZ_WEBHOOK_PORT, 10) }),
+        ...(process.env.MIDAZ_WEBHOOK_PATH && { webhookPath: process.env.MIDAZ_WEBHOOK_PATH }),
     };
 
     // For backward compatibility, check for the old MIDAZ_BACKEND_URL
@@ -380,11 +474,41 @@ async function loadConfig() {
         await autoDetectServices(loadedConfig);
     }
 
+    // The JWT signing secret is only read from the environment, never from config files
+    if (process.env.MIDAZ_JWT_SECRET) {
+        loadedConfig.auth = {
+            ...defaultConfig.auth,
+            ...(loadedConfig.auth || {}),
+            jwt: { ...(loadedConfig.auth?.jwt || {}), secret: process.env.MIDAZ_JWT_SECRET },
+        };
+    }
+
+    // Like the JWT secret, the webhook signing secret is only read from the environment
+    loadedConfig.webhookSecret = process.env.MIDAZ_WEBHOOK_SECRET || null;
+
+    // OAuth client credentials from the environment override the config file
+    const oauthEnv = {
+        ...(process.env.MIDAZ_TOKEN_URL && { tokenUrl: process.env.MIDAZ_TOKEN_URL }),
+        ...(process.env.MIDAZ_CLIENT_ID && { clientId: process.env.MIDAZ_CLIENT_ID }),
+        ...(process.env.MIDAZ_CLIENT_SECRET && { clientSecret: process.env.MIDAZ_CLIENT_SECRET }),
+        ...(process.env.MIDAZ_OAUTH_SCOPE && { scope: process.env.MIDAZ_OAUTH_SCOPE }),
+        ...(process.env.MIDAZ_OAUTH_AUDIENCE && { audience: process.env.MIDAZ_OAUTH_AUDIENCE }),
+    };
+    if (Object.keys(oauthEnv).length > 0) {
+        loadedConfig.backend = {
+            ...loadedConfig.backend,
+            auth: { ...defaultConfig.backend.auth, ...(loadedConfig.backend?.auth || {}), ...oauthEnv },
+        };
+    }
+
     // Remove the internal _configFile property if it exists
     if (loadedConfig._configFile) {
         delete loadedConfig._configFile;
     }
 
+    // backend, useStubs and allowWrites resolve against the environment of each tool call
+    installEnvironmentProfiles(loadedConfig);
+
     return loadedConfig;
 }
 
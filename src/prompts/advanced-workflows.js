@@ -171,7 +171,9 @@ Issues Found:
 **Commands I'll Use:**
 - \`list-organizations\` → \`list-ledgers\` → \`list-accounts\` → \`get-balance\`
 
-This creates a complete audit trail from your CSV to live Midaz balances! 🎯`;
+This creates a complete audit trail from your CSV to live Midaz balances! 🎯
+
+**Reconciling a bank statement?** For CSV, OFX or CAMT.053 statement lines (rather than account lists), use \`reconcile-statement\` to match each line to a ledger transaction by reference, amount and date.`;
 
       return {
         description: `${detectedType.toUpperCase()} balance checker with intelligent discovery`,
@@ -483,15 +483,16 @@ analysis_type === "balances" ? `
 
 analysis_type === "transactions" ? `
 **Transaction Analysis:**
+- \`analyze-transactions\` for ${time_period} - inflow, outflow and counts by asset and account
 - \`list-transactions\` with date filters for ${time_period}
 - \`list-operations\` to see detailed movements
 - \`get-transaction\` for specific transaction details` :
 
 analysis_type === "patterns" ? `
 **Pattern Analysis:**
-- \`list-transactions\` across ${time_period}
-- Group by account types, amounts, frequencies
-- Look for unusual transaction patterns` : `
+- \`analyze-transactions\` across ${time_period}, grouped by portfolio, segment, route or a metadata key
+- Use its daily or weekly series for trends and its top counterparties for concentration
+- \`detect-anomalies\` to flag outliers, balance swings, odd-hour activity and round trips` : `
 **Health Check:**
 - Verify all balances reconcile
 - Check for failed transactions
@@ -519,7 +520,7 @@ analysis_type === "patterns" ? `
 
 ### 3. Business Intelligence
 
-**Key Metrics to Calculate:**
+**Key Metrics** (computed by \`analyze-transactions\`, not estimated):
 - Total volume by asset type
 - Average transaction size
 - Most active accounts
@@ -0,0 +1,374 @@
+/**
+ * Midaz entity resources
+ *
+ * Exposes organizations, ledgers and the entities inside a ledger as MCP
+ * resources, so clients can attach an account, ledger or transaction as
+ * context. Every entity has a URI template such as
+ * midaz://organizations/{org}/ledgers/{ledger}/accounts/{id}; reading a URI
+ * fetches the entity from the Midaz API.
+ *
+ * resources/list walks the hierarchy depth-first (organization, its ledgers,
+ * each ledger's accounts, assets, portfolios and segments) one page at a time.
+ * The cursor holds the walk position, so listing a large ledger never loads
+ * more than one API page per collection per call. Cursors are signed with a
+ * key that lives for the process, so clients cannot edit the position and
+ * cursors stop working when the server restarts.
+ *
+ * Kinds with a `snapshot` can be subscribed to: the subscription manager polls
+ * the snapshot and sends notifications/resources/updated when it changes.
+ */
+
+import crypto from "crypto";
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { ListResourcesRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import api from "../util/api.js";
+import config from "../config.js";
+import { enforceToolPolicy, createErrorResponse, ErrorCodes } from "../util/mcp-helpers.js";
+import { parseResourceTemplate, validateResourceUri, parseCursor, createCursor } from "../util/mcp-protocol.js";
+import { checkToolAccess } from "../util/tool-policy.js";
+import { getClientIdentity } from "../util/security.js";
+import { secureCompare } from "../util/security-utils.js";
+import { createLogger } from "../util/mcp-logging.js";
+
+const logger = createLogger('midaz-resources');
+
+// Resources returned per resources/list call
+export const RESOURCE_PAGE_SIZE = 50;
+
+// Items requested per API page while walking the hierarchy
+const API_PAGE_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const LEDGER_PREFIX = "midaz://organizations/{org}/ledgers/{ledger}";
+
+// Signs resources/list cursors
+const CURSOR_KEY = crypto.randomBytes(32);
+
+// Transactions compared between polls of a ledger's transaction list
+const TRANSACTION_SNAPSHOT_SIZE = 50;
+
+/**
+ * Snapshot of an account's balances, keyed by balance
+ * @param {Object} ids - { org, ledger, id }
+ * @returns {Promise<Object>} { balanceKey: "available|onHold|version" }
+ */
+const snapshotAccountBalances = async ({ org, ledger, id }) => {
+    const response = await api.balances.getAccountBalance(org, ledger, id, {}, { fresh: true });
+    const items = Array.isArray(response?.items) ? response.items : [response].filter(Boolean);
+    return Object.fromEntries(items.map(balance => [
+        balance.id || balance.key || balance.assetCode,
+        [balance.available, balance.onHold, balance.version].join("|")
+    ]));
+};
+
+/**
+ * Snapshot of a ledger's most recent transactions, keyed by transaction ID
+ * @param {Object} ids - { org, ledger }
+ * @returns {Promise<Object>} { transactionId: "status|updatedAt" }
+ */
+const snapshotLedgerTransactions = async ({ org, ledger }) => {
+    const response = await api.transactions.list(org, ledger, { limit: TRANSACTION_SNAPSHOT_SIZE, sort_order: "desc" }, { fresh: true });
+    const items = Array.isArray(response?.items) ? response.items : [];
+    return Object.fromEntries(items.map(transaction => [
+        transaction.id,
+        [transaction.status?.code, transaction.updatedAt].join("|")
+    ]));
+};
+
+/**
+ * Entity kinds exposed as resources
+ * `list` is omitted for kinds that are too numerous to enumerate (transactions);
+ * those are still readable through their template. `children` are walked
+ * after each listed item.
+ */
+export const RESOURCE_KINDS = {
+    organization: {
+        template: "midaz://organizations/{org}",
+        readTool: "get-organization",
+        listTool: "list-organizations",
+        children: ["ledger"],
+        get: ({ org }) => api.organizations.get(org),
+        list: (ids, params) => api.organizations.list(params),
+        ids: (ids, item) => ({ org: item.id }),
+        name: item => item.legalName || item.name,
+    },
+    ledger: {
+        template: LEDGER_PREFIX,
+        readTool: "get-ledger",
+        listTool: "list-ledgers",
+        children: ["account", "asset", "portfolio", "segment"],
+        get: ({ org, ledger }) => api.ledgers.get(org, ledger),
+        list: ({ org }, params) => api.ledgers.list(org, params),
+        ids: (ids, item) => ({ ...ids, ledger: item.id }),
+        name: item => item.name,
+    },
+    account: {
+        template: `${LEDGER_PREFIX}/accounts/{id}`,
+        readTool: "get-account",
+        listTool: "list-accounts",
+        get: ({ org, ledger, id }) => api.accounts.get(org, ledger, id),
+        list: ({ org, ledger }, params) => api.accounts.list(org, ledger, params),
+        ids: (ids, item) => ({ ...ids, id: item.id }),
+        name: item => item.alias || item.name,
+        snapshot: snapshotAccountBalances,
+    },
+    "account-balances": {
+        template: `${LEDGER_PREFIX}/accounts/{id}/balances`,
+        readTool: "get-balance",
+        get: ({ org, ledger, id }) => api.balances.getAccountBalance(org, ledger, id),
+        snapshot: snapshotAccountBalances,
+    },
+    "ledger-transactions": {
+        template: `${LEDGER_PREFIX}/transactions`,
+        readTool: "list-transactions",
+        get: ({ org, ledger }) => api.transactions.list(org, ledger, { limit: TRANSACTION_SNAPSHOT_SIZE, sort_order: "desc" }),
+        snapshot: snapshotLedgerTransactions,
+    },
+    transaction: {
+        template: `${LEDGER_PREFIX}/transactions/{id}`,
+        readTool: "get-transaction",
+        get: ({ org, ledger, id }) => api.transactions.get(org, ledger, id),
+        name: item => item.description,
+    },
+    asset: {
+        template: `${LEDGER_PREFIX}/assets/{id}`,
+        readTool: "get-asset",
+        listTool: "list-assets",
+        get: ({ org, ledger, id }) => api.assets.get(org, ledger, id),
+        list: ({ org, ledger }, params) => api.assets.list(org, ledger, params),
+        ids: (ids, item) => ({ ...ids, id: item.id }),
+        name: item => item.code || item.name,
+    },
+    portfolio: {
+        template: `${LEDGER_PREFIX}/portfolios/{id}`,
+        readTool: "get-portfolio",
+        listTool: "list-portfolios",
+        get: ({ org, ledger, id }) => api.portfolios.get(org, ledger, id),
+        list: ({ org, ledger }, params) => api.portfolios.list(org, ledger, params),
+        ids: (ids, item) => ({ ...ids, id: item.id }),
+        name: item => item.name,
+    },
+    segment: {
+        template: `${LEDGER_PREFIX}/segments/{id}`,
+        readTool: "get-segment",
+        listTool: "list-segments",
+        get: ({ org, ledger, id }) => api.segments.get(org, ledger, id),
+        list: ({ org, ledger }, params) => api.segments.list(org, ledger, params),
+        ids: (ids, item) => ({ ...ids, id: item.id }),
+        name: item => item.name,
+    },
+};
+
+/**
+ * Tool policy arguments for a set of resource IDs
+ * @param {Object} ids - { org, ledger, id }
+ * @returns {Object} Arguments in the shape tools receive
+ */
+const policyArgs = ({ org, ledger, id }) => ({
+    ...(org && { organization_id: org }),
+    ...(ledger && { ledger_id: ledger }),
+    ...(id && { id }),
+});
+
+/**
+ * Sign a walk position as a resources/list cursor
+ * @param {Object} state - { stack }
+ * @returns {string} Cursor
+ */
+const signCursor = (state) => {
+    const payload = createCursor(state);
+    return `${payload}.${crypto.createHmac("sha256", CURSOR_KEY).update(payload).digest("base64url")}`;
+};
+
+/**
+ * Verify and decode a resources/list cursor
+ * @param {string} cursor - Cursor from signCursor
+ * @returns {Object} { stack } with every frame checked
+ * @throws {Object} JSON-RPC error if the cursor was not issued by this process or is malformed
+ */
+const readCursor = (cursor) => {
+    const invalid = () => createErrorResponse(ErrorCodes.INVALID_PARAMS, "Invalid resources/list cursor");
+    const [payload, signature] = String(cursor).split(".");
+    const expected = crypto.createHmac("sha256", CURSOR_KEY).update(payload).digest("base64url");
+    if (!secureCompare(signature || "", expected)) {
+        throw invalid();
+    }
+
+    const state = parseCursor(payload);
+    const validFrame = frame => Boolean(RESOURCE_KINDS[frame?.kind]?.list)
+        && Number.isInteger(frame.page) && frame.page >= 1
+        && Number.isInteger(frame.index) && frame.index >= 0
+        && frame.ids && typeof frame.ids === "object"
+        && Object.values(frame.ids).every(value => UUID_PATTERN.test(String(value)));
+    if (!Array.isArray(state.stack) || !state.stack.every(validFrame)) {
+        throw invalid();
+    }
+    return state;
+};
+
+/**
+ * Resolve a Midaz resource URI to its kind and IDs
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { kind, ids } or null when no template matches
+ */
+export function resolveResourceUri(uri) {
+    for (const [kind, definition] of Object.entries(RESOURCE_KINDS)) {
+        const { valid, params } = validateResourceUri(uri, definition.template);
+        if (valid) {
+            return { kind, ids: params };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check that the caller may read a resource
+ * @param {string} kind - Key of RESOURCE_KINDS
+ * @param {Object} ids - Template variables
+ * @param {Object} [extra] - Request context, for the tool policy
+ * @throws {Object} JSON-RPC error for invalid IDs, denied access or stub mode
+ */
+export function checkResourceAccess(kind, ids, extra) {
+    const definition = RESOURCE_KINDS[kind];
+    const invalid = Object.entries(ids).filter(([, value]) => !UUID_PATTERN.test(String(value)));
+    if (invalid.length > 0) {
+        throw createErrorResponse(ErrorCodes.INVALID_PARAMS, `Resource IDs must be UUIDs: ${invalid.map(([name]) => name).join(", ")}`);
+    }
+
+    // Reading a resource is the same access as calling its get tool
+    enforceToolPolicy(definition.readTool, policyArgs(ids), extra);
+
+    if (config.useStubs) {
+        throw createErrorResponse(ErrorCodes.RESOURCE_UNAVAILABLE, "Midaz resources need a live backend; stub mode is enabled");
+    }
+}
+
+/**
+ * Read one entity resource
+ * @param {string} kind - Key of RESOURCE_KINDS
+ * @param {Object} ids - Template variables
+ * @param {Object} [extra] - Request context, for the tool policy
+ * @returns {Promise<Object>} resources/read result
+ */
+export async function readResource(kind, ids, extra) {
+    const definition = RESOURCE_KINDS[kind];
+    checkResourceAccess(kind, ids, extra);
+
+    const uri = parseResourceTemplate(definition.template, ids);
+    let entity;
+    try {
+        entity = await definition.get(ids);
+    } catch (error) {
+        if (/\(404\)/.test(error.message)) {
+            throw createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+        }
+        throw createErrorResponse(ErrorCodes.BACKEND_ERROR, `Could not read ${uri}`, { originalError: error.message });
+    }
+
+    return {
+        contents: [{
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify(entity, null, 2)
+        }]
+    };
+}
+
+/**
+ * List one page of entity resources
+ * The walk is depth-first: each item is followed by its children. Frames on
+ * the stack are { kind, ids, page, index }; the stack is the cursor.
+ * @param {string} [cursor] - Cursor from the previous page
+ * @param {Object} [extra] - Request context, for the tool policy
+ * @param {number} [pageSize] - Resources per page
+ * @returns {Promise<Object>} { resources, nextCursor }
+ */
+export async function listResources(cursor, extra, pageSize = RESOURCE_PAGE_SIZE) {
+    if (config.useStubs) {
+        return { resources: [] };
+    }
+
+    const state = cursor ? readCursor(cursor) : { stack: [{ kind: "organization", ids: {}, page: 1, index: 0 }] };
+
+    const caller = { clientId: getClientIdentity(extra), scopes: extra?.authInfo?.scopes || [] };
+    const resources = [];
+    // Items of the page each frame is on, fetched once per call
+    const fetched = new Map();
+
+    while (resources.length < pageSize && state.stack.length > 0) {
+        const frame = state.stack[state.stack.length - 1];
+        const definition = RESOURCE_KINDS[frame.kind];
+
+        // Collections the caller may not list are left out of the walk; frames
+        // restored from a cursor are checked again
+        if (!fetched.has(frame) && !checkToolAccess(definition.listTool, policyArgs(frame.ids), caller).allowed) {
+            state.stack.pop();
+            continue;
+        }
+
+        if (fetched.get(frame)?.page !== frame.page) {
+            try {
+                const response = await definition.list(frame.ids, { page: frame.page, limit: API_PAGE_SIZE });
+                fetched.set(frame, { page: frame.page, items: Array.isArray(response?.items) ? response.items : [] });
+            } catch (error) {
+                logger.error('Failed to list resources', { kind: frame.kind, ids: frame.ids, error: error.message });
+                state.stack.pop();
+                continue;
+            }
+        }
+        const { items } = fetched.get(frame);
+
+        if (frame.index >= items.length) {
+            if (items.length < API_PAGE_SIZE) {
+                state.stack.pop();
+            } else {
+                frame.page++;
+                frame.index = 0;
+            }
+            continue;
+        }
+
+        const item = items[frame.index++];
+        const ids = definition.ids(frame.ids, item);
+        resources.push({
+            uri: parseResourceTemplate(definition.template, ids),
+            name: definition.name(item) || item.id,
+            description: `Midaz ${frame.kind} ${item.id}`,
+            mimeType: "application/json"
+        });
+
+        // Push children last-first so the first child is walked first
+        for (const child of [...(definition.children || [])].reverse()) {
+            state.stack.push({ kind: child, ids, page: 1, index: 0 });
+        }
+    }
+
+    return state.stack.length > 0
+        ? { resources, nextCursor: signCursor(state) }
+        : { resources };
+}
+
+/**
+ * Register Midaz entity resources with the MCP server
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
+ */
+export const registerMidazResources = (server) => {
+    for (const [kind, definition] of Object.entries(RESOURCE_KINDS)) {
+        server.resource(
+            `midaz-${kind}`,
+            new ResourceTemplate(definition.template, { list: undefined }),
+            {
+                description: `A Midaz ${kind} as JSON`,
+                mimeType: "application/json"
+            },
+            async (uri, variables, extra) => readResource(kind, variables, extra)
+        );
+    }
+
+    // Replaces the SDK's list handler, which has no pagination
+    server.server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) =>
+        listResources(request.params?.cursor, extra)
+    );
+};
+
+export default registerMidazResources;
@@ -3,10 +3,18 @@ import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
-    logToolInvocation 
+    logToolInvocation,
+    createErrorResponse,
+    ErrorCodes,
+    fetchReportData
 } from "../util/mcp-helpers.js";
+import { fetchAllPages } from "../util/pagination.js";
+import { normalizeBalance } from "../util/balance-snapshot.js";
+import { buildAccountStatement, statementToRows, statementToMarkdown } from "../util/account-statement.js";
+import { ResponseFormatter, FormatTypes, EscapeStrategies } from "../util/response-formatter.js";
 
 // Sample data for when real API is not available
 const sampleAccounts = [
@@ -58,13 +66,128 @@ const sampleAccountDetails = {
     updatedAt: "2023-01-01T00:00:00Z",
 };
 
+const sampleAccountBalances = [
+    {
+        id: "00000000-0000-0000-0000-000000000101",
+        accountId: "00000000-0000-0000-0000-000000000001",
+        alias: "@checking",
+        assetCode: "USD",
+        available: 330000,
+        onHold: 0,
+        scale: 2,
+    },
+];
+
+const sampleAccountOperations = [
+    {
+        id: "11111111-1111-1111-1111-111111111121",
+        transactionId: "00000000-0000-0000-0000-000000000011",
+        description: "Monthly Salary",
+        type: "CREDIT",
+        assetCode: "USD",
+        amount: { value: 500000, scale: 2 },
+        createdAt: "2023-01-01T09:00:00Z",
+    },
+    {
+        id: "11111111-1111-1111-1111-111111111122",
+        transactionId: "00000000-0000-0000-0000-000000000012",
+        description: "Rent Payment",
+        type: "DEBIT",
+        assetCode: "USD",
+        amount: { value: 150000, scale: 2 },
+        createdAt: "2023-01-05T10:30:00Z",
+    },
+    {
+        id: "11111111-1111-1111-1111-111111111123",
+        transactionId: "00000000-0000-0000-0000-000000000013",
+        description: "Grocery Shopping",
+        type: "DEBIT",
+        assetCode: "USD",
+        amount: { value: 20000, scale: 2 },
+        createdAt: "2023-01-12T18:15:00Z",
+    },
+];
+
+// Aliases such as @customer_123 or @external/USD; never a bare . or ..
+const ALIAS_PATTERN = /^[\w@][\w@:.\/-]*$/;
+
+/**
+ * Resolve one alias to its account, balances and portfolio
+ * Unknown aliases and failed balance or portfolio lookups are reported on the
+ * entry; any other failure to look up the alias fails the whole lookup.
+ * @param {string} organizationId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {string} alias - Account alias, e.g. @customer_123
+ * @param {Object} options - { includeBalances, includePortfolio, portfolios }
+ * @returns {Promise<Object>} Resolved entry
+ */
+async function resolveAccountAlias(organizationId, ledgerId, alias, options) {
+    const { includeBalances, includePortfolio, portfolios } = options;
+
+    let account;
+    try {
+        account = await api.accounts.getByAlias(organizationId, ledgerId, alias);
+    } catch (error) {
+        if (/\(404\)/.test(error.message)) {
+            return { alias, found: false, error: error.message };
+        }
+        throw createErrorResponse(ErrorCodes.BACKEND_ERROR, `Could not look up account alias ${alias}`, { originalError: error.message });
+    }
+    if (!account?.id) {
+        return { alias, found: false, error: `No account with alias ${alias}` };
+    }
+
+    const entry = {
+        alias,
+        found: true,
+        account_id: account.id,
+        name: account.name,
+        type: account.type,
+        asset_code: account.assetCode,
+        status: account.status?.code || account.status || null,
+        parent_account_id: account.parentAccountId || null,
+        segment_id: account.segmentId || null,
+    };
+
+    if (includeBalances) {
+        try {
+            const response = await api.balances.getAccountBalance(organizationId, ledgerId, account.id);
+            entry.balances = (response?.items || []).map(normalizeBalance);
+        } catch (error) {
+            entry.balances = [];
+            entry.balances_error = error.message;
+        }
+    }
+
+    if (includePortfolio) {
+        entry.portfolio = null;
+        if (account.portfolioId) {
+            // Several aliases often share a portfolio; fetch each one once
+            if (!portfolios.has(account.portfolioId)) {
+                portfolios.set(account.portfolioId, api.portfolios.get(organizationId, ledgerId, account.portfolioId)
+                    .catch(error => ({ id: account.portfolioId, error: error.message })));
+            }
+            const portfolio = await portfolios.get(account.portfolioId);
+            entry.portfolio = {
+                id: account.portfolioId,
+                name: portfolio?.name || null,
+                entity_id: portfolio?.entityId || null,
+                ...(portfolio?.error && { error: portfolio.error }),
+            };
+        }
+    }
+
+    return entry;
+}
+
 /**
  * Register account-related tools with the MCP server
  * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
  */
 export const registerAccountTools = (server) => {
     // List accounts tool
-    server.tool(
+    registerTool(
+        server,
         "list-accounts",
         "List all accounts within a specific ledger with advanced filtering and pagination. Accounts hold balances and are the core entities for financial transactions. Essential for transaction processing and balance management.",
         {
@@ -87,7 +210,7 @@ export const registerAccountTools = (server) => {
             type: z.string().optional().describe("Filter by account type (optional). Common types: 'asset', 'liability', 'equity', 'revenue', 'expense'. Follows double-entry accounting principles. Use for organizing accounts by their accounting purpose."),
             metadata: z.string().optional().describe("JSON string to filter accounts by custom metadata fields (optional). Format: '{\"key\":\"value\"}' for exact matches. Examples: '{\"department\":\"sales\"}', '{\"customer_id\":\"12345\"}', '{\"region\":\"us-west\"}'. Useful for finding accounts tagged with specific business context. Must be valid JSON syntax."),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-accounts", async (args, extra) => {
             logToolInvocation("list-accounts", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -131,7 +254,8 @@ export const registerAccountTools = (server) => {
     );
 
     // Get account by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-account",
         "Get account details by ID",
         {
@@ -139,7 +263,7 @@ export const registerAccountTools = (server) => {
             ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
             id: z.string().uuid().describe("Account ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-account", async (args, extra) => {
             logToolInvocation("get-account", args, extra);
             const { organization_id, ledger_id, id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -169,4 +293,150 @@ export const registerAccountTools = (server) => {
             return accountData;
         })
     );
-}; 
\ No newline at end of file
+
+    // Account statement tool
+    registerTool(
+        server,
+        "generate-account-statement",
+        "Generate an account statement for a date range: opening balance, every operation with its running balance, and closing balance. Balances are derived from the account's current balance and its operations. If the period has more than max_operations operations, the statement starts at the oldest one fetched. Output as markdown, CSV or JSON.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            account_id: z.string().uuid().describe("Account ID in UUID format"),
+            start_date: z.string().optional().describe("First day of the statement (YYYY-MM-DD). Omit to start from the first operation."),
+            end_date: z.string().optional().describe("Last day of the statement (YYYY-MM-DD). Omit to end today."),
+            asset_code: z.string().optional().describe("Asset to report on (defaults to the account's asset)"),
+            format: z.enum(["markdown", "csv", "json"]).optional().default("markdown").describe("Output format"),
+            max_operations: z.number().optional().default(1000).describe("Maximum number of operations to fetch (max 10000)"),
+        },
+        wrapToolHandler("generate-account-statement", async (args, extra) => {
+            logToolInvocation("generate-account-statement", args, extra);
+            const { organization_id, ledger_id, account_id, start_date, end_date, asset_code, format, max_operations } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                account_id: z.string().uuid(),
+                start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                asset_code: z.string().optional(),
+                format: z.enum(["markdown", "csv", "json"]).optional().default("markdown"),
+                max_operations: z.number().int().min(1).max(10000).optional().default(1000)
+            }));
+
+            const { account, balances, operations, truncated, source } = await fetchReportData(async () => {
+                const account = await api.accounts.get(organization_id, ledger_id, account_id);
+                const balanceResponse = await api.balances.getAccountBalance(organization_id, ledger_id, account_id);
+
+                // Operations after end_date are needed to back out the closing balance from the current one.
+                // Newest first, so a truncated fetch still has every operation back to its oldest one.
+                const result = await fetchAllPages(
+                    (params) => api.operations.listByAccount(organization_id, ledger_id, account_id, params),
+                    { params: { start_date, sort_order: "desc" }, maxItems: max_operations }
+                );
+                return { account, balances: balanceResponse?.items || [], operations: result.items, truncated: result.truncated };
+            }, {
+                account: { ...sampleAccountDetails, id: account_id },
+                balances: sampleAccountBalances,
+                operations: sampleAccountOperations,
+                truncated: false
+            }, `Could not fetch the data for the statement of account ${account_id}`);
+
+            // A truncated statement starts at the oldest operation fetched; its balances are exact from there on
+            const coveredFrom = truncated ? String(operations[operations.length - 1]?.createdAt || "").slice(0, 10) : start_date;
+            if (truncated && end_date && coveredFrom > end_date) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, `More than ${max_operations} operations were posted after ${end_date}; raise max_operations to include the period`);
+            }
+
+            const statement = buildAccountStatement({
+                account,
+                balances,
+                operations,
+                assetCode: asset_code,
+                startDate: coveredFrom,
+                endDate: end_date
+            });
+            const notes = [
+                source === "sample" && "Sample data: stubs are enabled.",
+                truncated && `Truncated: more than ${max_operations} operations, so the statement starts on ${coveredFrom} instead of ${start_date || "the first operation"}.`
+            ].filter(Boolean);
+            const formatter = new ResponseFormatter();
+
+            if (format === "csv") {
+                return formatter.format(statementToRows(statement, notes), { type: FormatTypes.CSV, escapeStrategy: EscapeStrategies.NONE });
+            }
+
+            if (format === "markdown") {
+                const markdown = [statementToMarkdown(statement), ...notes.map(note => `_${note}_`)].join("\n\n");
+                return formatter.format(markdown, { type: FormatTypes.MARKDOWN, escapeStrategy: EscapeStrategies.NONE });
+            }
+
+            return formatter.format({ ...statement, organization_id, ledger_id, source, truncated, notes }, { type: FormatTypes.JSON, escapeStrategy: EscapeStrategies.NONE });
+        })
+    );
+
+    // Get accounts by alias tool
+    registerTool(
+        server,
+        "get-account-by-alias",
+        "Look up one or more accounts by alias (e.g. @customer_123) and resolve them to account IDs, current balances and portfolio membership. Use this instead of get-account when you only know the alias.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            aliases: z.array(z.string()).describe("Account aliases to resolve, e.g. [\"@customer_123\"] (1-50)"),
+            include_balances: z.boolean().optional().default(true).describe("Include the current balances of each account"),
+            include_portfolio: z.boolean().optional().default(true).describe("Include the portfolio each account belongs to"),
+        },
+        wrapToolHandler("get-account-by-alias", async (args, extra) => {
+            logToolInvocation("get-account-by-alias", args, extra);
+            const { organization_id, ledger_id, aliases, include_balances, include_portfolio } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                aliases: z.array(z.string().trim().min(1).max(256).regex(ALIAS_PATTERN, "Aliases may only contain letters, digits and @ : . / _ -")).min(1).max(50),
+                include_balances: z.boolean().optional().default(true),
+                include_portfolio: z.boolean().optional().default(true)
+            }));
+            const uniqueAliases = [...new Set(aliases)];
+
+            let accounts;
+
+            if (config.useStubs) {
+                accounts = uniqueAliases.map(alias => {
+                    const account = sampleAccounts.find(sample => sample.alias === alias);
+                    if (!account) {
+                        return { alias, found: false, error: `No account with alias ${alias}` };
+                    }
+                    return {
+                        alias,
+                        found: true,
+                        account_id: account.id,
+                        name: account.name,
+                        type: account.type,
+                        asset_code: account.assetCode,
+                        status: account.status.code,
+                        parent_account_id: null,
+                        segment_id: null,
+                        ...(include_balances && {
+                            balances: sampleAccountBalances.filter(balance => balance.accountId === account.id).map(normalizeBalance)
+                        }),
+                        ...(include_portfolio && { portfolio: null }),
+                    };
+                });
+            } else {
+                const portfolios = new Map();
+                accounts = await Promise.all(uniqueAliases.map(alias => resolveAccountAlias(organization_id, ledger_id, alias, {
+                    includeBalances: include_balances,
+                    includePortfolio: include_portfolio,
+                    portfolios
+                })));
+            }
+
+            return {
+                organization_id,
+                ledger_id,
+                source: config.useStubs ? "sample" : "ledger",
+                resolved: accounts.filter(account => account.found).length,
+                not_found: accounts.filter(account => !account.found).map(account => account.alias),
+                accounts
+            };
+        })
+    );
+};
@@ -1,6 +1,7 @@
 import { z } from "zod";
 import api from "../util/api.js";
 import config from "../config.js";
+import { registerTool } from "../util/mcp-helpers.js";
 
 // Sample data for when real API is not available
 const sampleAssetRates = [
@@ -38,7 +39,8 @@ const sampleAssetRates = [
  */
 export const registerAssetRateTools = (server) => {
     // Get asset rate by asset code tool
-    server.tool(
+    registerTool(
+        server,
         "list-asset-rates-by-asset",
         "List asset rates by source asset code",
         {
@@ -103,7 +105,8 @@ export const registerAssetRateTools = (server) => {
     );
 
     // Get asset rate by external ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-asset-rate-by-external-id",
         "Get asset rate details by external ID",
         {
@@ -144,7 +147,8 @@ export const registerAssetRateTools = (server) => {
     );
 
     // List asset rates tool
-    server.tool(
+    registerTool(
+        server,
         "list-asset-rates",
         "List asset exchange rates",
         {
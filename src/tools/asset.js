@@ -3,6 +3,7 @@ import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
     logToolInvocation 
@@ -54,7 +55,8 @@ const sampleAssets = [
  */
 export const registerAssetTools = (server) => {
     // List assets tool
-    server.tool(
+    registerTool(
+        server,
         "list-assets",
         "List assets in a ledger with optional pagination",
         {
@@ -67,7 +69,7 @@ export const registerAssetTools = (server) => {
             type: z.string().optional().describe("Filter by asset type"),
             code: z.string().optional().describe("Filter by asset code"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-assets", async (args, extra) => {
             logToolInvocation("list-assets", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -116,7 +118,8 @@ export const registerAssetTools = (server) => {
     );
 
     // Get asset by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-asset",
         "Get asset details by ID",
         {
@@ -124,7 +127,7 @@ export const registerAssetTools = (server) => {
             ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
             id: z.string().uuid().describe("Asset ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-asset", async (args, extra) => {
             logToolInvocation("get-asset", args, extra);
             const { organization_id, ledger_id, id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
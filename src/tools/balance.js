@@ -3,10 +3,14 @@ import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
-    logToolInvocation 
+    logToolInvocation,
+    fetchReportData
 } from "../util/mcp-helpers.js";
+import { fetchAllPages } from "../util/pagination.js";
+import { aggregateBalances } from "../util/balance-snapshot.js";
 
 // Sample data for when real API is not available
 const sampleBalance = {
@@ -25,6 +29,37 @@ const sampleBalance = {
     updatedAt: "2023-01-15T00:00:00Z",
 };
 
+const sampleBalances = [
+    sampleBalance,
+    {
+        ...sampleBalance,
+        id: "00000000-0000-0000-0000-000000000002",
+        alias: "@checking",
+        available: 125050,
+        onHold: 2000,
+        version: 12,
+    },
+    {
+        ...sampleBalance,
+        id: "00000000-0000-0000-0000-000000000003",
+        alias: "@external/USD",
+        available: -135050,
+        onHold: 0,
+        accountType: "external",
+        version: 17,
+    },
+    {
+        ...sampleBalance,
+        id: "00000000-0000-0000-0000-000000000004",
+        alias: "@treasury_eur",
+        assetCode: "EUR",
+        available: 500000,
+        onHold: 0,
+        accountType: "liability",
+        version: 2,
+    },
+];
+
 const sampleRates = [
     {
         id: "00000000-0000-0000-0000-000000000001",
@@ -70,7 +105,8 @@ const sampleRates = [
  */
 export const registerBalanceTools = (server) => {
     // Get account balance tool
-    server.tool(
+    registerTool(
+        server,
         "get-balance",
         "Get account balance",
         {
@@ -78,7 +114,7 @@ export const registerBalanceTools = (server) => {
             ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
             account_id: z.string().uuid().describe("Account ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-balance", async (args, extra) => {
             logToolInvocation("get-balance", args, extra);
             const { organization_id, ledger_id, account_id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -115,4 +151,107 @@ export const registerBalanceTools = (server) => {
             return balanceData;
         })
     );
-}; 
\ No newline at end of file
+
+    // List balances tool
+    registerTool(
+        server,
+        "list-balances",
+        "List balances in a ledger with optional pagination",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            cursor: z.string().optional().describe("Pagination cursor for next page"),
+            limit: z.number().optional().default(10).describe("Number of items to return (max 100)"),
+            start_date: z.string().optional().describe("Filter by creation date (YYYY-MM-DD)"),
+            end_date: z.string().optional().describe("Filter by creation date (YYYY-MM-DD)"),
+            sort_order: z.enum(["asc", "desc"]).optional().describe("Sort direction"),
+        },
+        wrapToolHandler("list-balances", async (args, extra) => {
+            logToolInvocation("list-balances", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                cursor: z.string().optional(),
+                limit: z.number().min(1).max(100).optional().default(10),
+                start_date: z.string().optional(),
+                end_date: z.string().optional(),
+                sort_order: z.enum(["asc", "desc"]).optional()
+            }));
+
+            let balances = sampleBalances;
+
+            // Only attempt real API call if stubs are disabled
+            if (!config.useStubs) {
+                try {
+                    const response = await api.balances.list(validatedArgs.organization_id, validatedArgs.ledger_id, {
+                        limit: validatedArgs.limit,
+                        start_date: validatedArgs.start_date,
+                        end_date: validatedArgs.end_date,
+                        sort_order: validatedArgs.sort_order,
+                        cursor: validatedArgs.cursor
+                    });
+                    if (response && response.items) {
+                        balances = response.items;
+                    }
+                } catch (error) {
+                    console.error(`Error fetching balances for ledger ${validatedArgs.ledger_id}: ${error.message}`);
+                    // Fall back to sample data
+                }
+            }
+
+            // Return paginated response
+            return createPaginatedResponse(balances, validatedArgs);
+        })
+    );
+
+    // Ledger-wide balance snapshot tool
+    registerTool(
+        server,
+        "snapshot-ledger-balances",
+        "Take a one-shot trial-balance view of a ledger: pages through every balance and aggregates available, on-hold and total amounts by asset code and by asset + account type.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            asset_code: z.string().optional().describe("Only include balances of this asset code"),
+            include_balances: z.boolean().optional().default(false).describe("Include every individual balance in the result"),
+            max_pages: z.number().optional().default(100).describe("Maximum number of 100-item pages to fetch (max 1000)"),
+        },
+        wrapToolHandler("snapshot-ledger-balances", async (args, extra) => {
+            logToolInvocation("snapshot-ledger-balances", args, extra);
+            const { organization_id, ledger_id, asset_code, include_balances, max_pages } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                asset_code: z.string().optional(),
+                include_balances: z.boolean().optional().default(false),
+                max_pages: z.number().int().min(1).max(1000).optional().default(100)
+            }));
+
+            let { balances, pages, truncated, source } = await fetchReportData(async () => {
+                const result = await fetchAllPages(
+                    (params) => api.balances.list(organization_id, ledger_id, params),
+                    { maxPages: max_pages }
+                );
+                return { balances: result.items, pages: result.pages, truncated: result.truncated };
+            }, { balances: sampleBalances, pages: 1, truncated: false }, `Could not fetch balances for ledger ${ledger_id}`);
+
+            if (asset_code) {
+                balances = balances.filter(balance => balance.assetCode === asset_code);
+            }
+
+            const totals = aggregateBalances(balances);
+
+            return {
+                organization_id,
+                ledger_id,
+                captured_at: new Date().toISOString(),
+                source,
+                balance_count: balances.length,
+                pages,
+                truncated,
+                totals_by_asset: totals.by_asset,
+                totals_by_account_type: totals.by_account_type,
+                ...(include_balances && { balances })
+            };
+        })
+    );
+};
@@ -5,7 +5,7 @@
  */
 
 import { z } from "zod";
-import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
+import { registerTool, wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
 import { createLogger } from "../util/mcp-logging.js";
 
 // Import all existing documentation utilities
@@ -36,7 +36,8 @@ const logger = createLogger('docs-unified');
  * Register unified documentation tool
  */
 export const registerUnifiedDocumentationTool = (server) => {
-  server.tool(
+  registerTool(
+    server,
     "midaz-docs",
     "Unified Midaz documentation (13 operations). Use operation='getting-started' if new to Midaz, 'search' to find specific topics, 'api-reference' for endpoint details, 'code-examples' for implementation help. Single tool replaces 13 separate documentation tools for MCP client compatibility.",
     {
@@ -78,7 +79,7 @@ export const registerUnifiedDocumentationTool = (server) => {
       maxResults: z.number().min(1).max(50).default(10).describe("Maximum search results to return (for: search, search-endpoints). Range: 1-50, default: 10. Use lower numbers (1-5) for focused searches, higher numbers (10-20) for comprehensive exploration. Large numbers may return less relevant results.")
     },
 
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("midaz-docs", async (args, extra) => {
       const {
         operation,
         endpoint,
@@ -0,0 +1,125 @@
+import { z } from "zod";
+import api from "../util/api.js";
+import config from "../config.js";
+import {
+    registerTool,
+    wrapToolHandler,
+    validateArgs,
+    logToolInvocation,
+    enforceToolPolicy,
+    createErrorResponse,
+    ErrorCodes
+} from "../util/mcp-helpers.js";
+import { fetchAllPages } from "../util/pagination.js";
+import { createAuditLog, getClientIdentity } from "../util/security.js";
+import { EXPORT_FORMATS, resolveExportDir, flattenRecord, matchesFilters, writeExportFile } from "../util/data-export.js";
+
+// List tools that can be exported, with the IDs they need and how to fetch a page
+export const EXPORT_SOURCES = {
+    "list-organizations": { requires: [], fetchPage: (args, params) => api.organizations.list(params) },
+    "list-ledgers": { requires: ["organization_id"], fetchPage: (args, params) => api.ledgers.list(args.organization_id, params) },
+    "list-accounts": { requires: ["organization_id", "ledger_id"], fetchPage: (args, params) => api.accounts.list(args.organization_id, args.ledger_id, params) },
+    "list-transactions": { requires: ["organization_id", "ledger_id"], fetchPage: (args, params) => api.transactions.list(args.organization_id, args.ledger_id, params) },
+    "list-operations": { requires: ["organization_id", "ledger_id", "account_id"], fetchPage: (args, params) => api.operations.listByAccount(args.organization_id, args.ledger_id, args.account_id, params) },
+    "list-transaction-operations": { requires: ["organization_id", "ledger_id", "transaction_id"], fetchPage: (args, params) => api.operations.list(args.organization_id, args.ledger_id, args.transaction_id, params) },
+    "list-balances": { requires: ["organization_id", "ledger_id"], fetchPage: (args, params) => api.balances.list(args.organization_id, args.ledger_id, params) },
+    "list-assets": { requires: ["organization_id", "ledger_id"], fetchPage: (args, params) => api.assets.list(args.organization_id, args.ledger_id, params) },
+    "list-portfolios": { requires: ["organization_id", "ledger_id"], fetchPage: (args, params) => api.portfolios.list(args.organization_id, args.ledger_id, params) },
+    "list-segments": { requires: ["organization_id", "ledger_id"], fetchPage: (args, params) => api.segments.list(args.organization_id, args.ledger_id, params) },
+};
+
+/**
+ * Register data export tools with the MCP server
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
+ */
+export const registerExportTools = (server) => {
+    const sources = Object.keys(EXPORT_SOURCES);
+
+    registerTool(
+        server,
+        "export",
+        "Export the full result set of a list tool (every page) to a CSV or JSONL file in the server's export directory, for spreadsheets and Parquet converters. Nested fields become dotted columns. Returns the file path and row counts.",
+        {
+            list: z.enum(sources).describe("List tool to export"),
+            organization_id: z.string().uuid().optional().describe("Organization ID (required for everything except list-organizations)"),
+            ledger_id: z.string().uuid().optional().describe("Ledger ID (required for ledger-level lists)"),
+            account_id: z.string().uuid().optional().describe("Account ID (required for list-operations)"),
+            transaction_id: z.string().uuid().optional().describe("Transaction ID (required for list-transaction-operations)"),
+            format: z.enum(EXPORT_FORMATS).optional().default("csv").describe("File format"),
+            start_date: z.string().optional().describe("Only records created on or after this date (YYYY-MM-DD)"),
+            end_date: z.string().optional().describe("Only records created on or before this date (YYYY-MM-DD)"),
+            filters: z.record(z.union([z.string(), z.number(), z.boolean()])).optional().describe("Keep only rows whose columns equal these values, e.g. { \"status.code\": \"ACTIVE\", \"metadata.region\": \"EU\" }"),
+            file_name: z.string().optional().describe("File name without directory; defaults to <list>-<id>-<timestamp>"),
+            max_rows: z.number().optional().default(50000).describe("Maximum number of records to fetch (max 500000)"),
+        },
+        wrapToolHandler("export", async (args, extra) => {
+            logToolInvocation("export", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                list: z.enum(sources),
+                organization_id: z.string().uuid().optional(),
+                ledger_id: z.string().uuid().optional(),
+                account_id: z.string().uuid().optional(),
+                transaction_id: z.string().uuid().optional(),
+                format: z.enum(EXPORT_FORMATS).optional().default("csv"),
+                start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                filters: z.record(z.union([z.string(), z.number(), z.boolean()])).optional(),
+                file_name: z.string().min(1).max(200).optional(),
+                max_rows: z.number().int().min(1).max(500000).optional().default(50000)
+            }));
+            const { list, format, start_date, end_date, filters, file_name, max_rows } = validatedArgs;
+            const source = EXPORT_SOURCES[list];
+
+            const missing = source.requires.filter(field => !validatedArgs[field]);
+            if (missing.length > 0) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, `${list} export needs ${missing.join(", ")}`, { missing });
+            }
+
+            // Exporting a list is reading it, so the caller needs access to that list tool
+            enforceToolPolicy(list, validatedArgs, extra);
+
+            if (config.useStubs) {
+                throw createErrorResponse(ErrorCodes.RESOURCE_UNAVAILABLE, "Exports need a live Midaz backend; stub mode is enabled", { list });
+            }
+
+            const result = await fetchAllPages(
+                (params) => source.fetchPage(validatedArgs, params),
+                {
+                    params: { ...(start_date && { start_date }), ...(end_date && { end_date }), sort_order: "asc" },
+                    maxItems: max_rows,
+                    maxPages: Math.ceil(max_rows / 100) + 1
+                }
+            );
+
+            const rows = result.items.map(item => flattenRecord(item)).filter(row => matchesFilters(row, filters));
+            const scope = validatedArgs.transaction_id || validatedArgs.account_id || validatedArgs.ledger_id || validatedArgs.organization_id || "all";
+            const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+            const file = writeExportFile(resolveExportDir(config.exportDir), file_name || `${list}-${scope}-${stamp}`, rows, format);
+
+            createAuditLog({
+                type: "data_export",
+                tool: "export",
+                user: getClientIdentity(extra),
+                list,
+                path: file.path,
+                rows: file.rows,
+                fetched: result.items.length,
+                truncated: result.truncated
+            });
+
+            return {
+                path: file.path,
+                format,
+                rows_written: file.rows,
+                rows_fetched: result.items.length,
+                rows_filtered_out: result.items.length - file.rows,
+                columns: file.columns,
+                bytes: file.bytes,
+                pages: result.pages,
+                truncated: result.truncated
+            };
+        })
+    );
+};
+
+export default registerExportTools;
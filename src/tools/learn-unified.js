@@ -5,7 +5,7 @@
  */
 
 import { z } from "zod";
-import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
+import { registerTool, wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
 import { createLogger } from "../util/mcp-logging.js";
 
 // Import existing learning utilities (would need to extract from original files)
@@ -18,7 +18,8 @@ const logger = createLogger('learn-unified');
  * Register unified learning tool
  */
 export const registerUnifiedLearningTool = (server) => {
-  server.tool(
+  registerTool(
+    server,
     "midaz-learn",
     "Unified Midaz learning system (4 types). Use type='path' for personalized roadmap, 'tutorial' for hands-on practice, 'concept' for deep explanations, 'search' for quick answers. Replaces 4 separate learning tools for MCP client compatibility.",
     {
@@ -62,7 +63,7 @@ export const registerUnifiedLearningTool = (server) => {
       maxResults: z.number().min(1).max(10).default(5).describe("Maximum learning results to return (range: 1-10, default: 5). Lower numbers (1-3) for focused, specific answers. Higher numbers (5-10) for comprehensive exploration of the topic. Each result includes explanations tailored to your learning mode.")
     },
     
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("midaz-learn", async (args, extra) => {
       const {
         type,
         userRole,
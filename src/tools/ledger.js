@@ -3,10 +3,19 @@ import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
-    logToolInvocation 
+    logToolInvocation,
+    createErrorResponse,
+    ErrorCodes,
+    fetchReportData
 } from "../util/mcp-helpers.js";
+import { fetchAllPages } from "../util/pagination.js";
+import { verifyTransactions } from "../util/ledger-integrity.js";
+import { GROUP_DIMENSIONS, analyzeTransactions } from "../util/transaction-analytics.js";
+import { AnomalyType, AnomalyThresholds, AnomalyDetector } from "../util/anomaly-detection.js";
+import { parseStatement, normalizeLedgerTransaction, reconcileStatement } from "../util/statement-reconciliation.js";
 
 // Sample data for when real API is not available
 const sampleLedgers = [
@@ -46,13 +55,84 @@ const sampleLedgerDetails = {
     updatedAt: "2023-01-01T00:00:00Z",
 };
 
+const sampleLedgerTransactions = [
+    {
+        transaction: {
+            id: "00000000-0000-0000-0000-000000000001",
+            description: "Monthly Salary",
+            status: { code: "APPROVED" },
+            createdAt: "2023-01-01T00:00:00Z",
+        },
+        operations: [
+            { id: "11111111-1111-1111-1111-111111111111", type: "DEBIT", accountAlias: "@external/USD", assetCode: "USD", amount: { value: 5000, scale: 2 } },
+            { id: "11111111-1111-1111-1111-111111111112", type: "CREDIT", accountAlias: "@savings", assetCode: "USD", amount: { value: 5000, scale: 2 } },
+        ],
+    },
+    {
+        transaction: {
+            id: "00000000-0000-0000-0000-000000000002",
+            description: "Rent Payment",
+            status: { code: "APPROVED" },
+            createdAt: "2023-01-05T00:00:00Z",
+        },
+        operations: [
+            { id: "11111111-1111-1111-1111-111111111113", type: "DEBIT", accountAlias: "@savings", assetCode: "USD", amount: { value: 1200, scale: 2 } },
+            { id: "11111111-1111-1111-1111-111111111114", type: "CREDIT", accountAlias: "@landlord", assetCode: "USD", amount: { value: 1200, scale: 2 } },
+        ],
+    },
+];
+
+// Transactions whose operations are fetched at the same time
+const OPERATION_FETCH_CONCURRENCY = 10;
+
+// Most accounts or balances fetched to support an analysis
+const MAX_REFERENCE_ITEMS = 10000;
+
+/**
+ * Fetch a ledger's transactions in date order, each with its operations
+ * The newest transactions are fetched first, so a truncated result drops the
+ * oldest ones. Operations are fetched per transaction, a batch at a time, when
+ * the list does not embed them.
+ * @param {string} organizationId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {Object} period - { start_date, end_date }
+ * @param {number} maxTransactions - Maximum number of transactions to fetch
+ * @param {Object} [options] - Fetch options
+ * @param {boolean} [options.fetchOperations=true] - Fetch operations the list does not embed; when false they are left empty
+ * @returns {Promise<Object>} { entries: [{ transaction, operations }], truncated }
+ */
+async function fetchTransactionsWithOperations(organizationId, ledgerId, period, maxTransactions, { fetchOperations = true } = {}) {
+    const result = await fetchAllPages(
+        (params) => api.transactions.list(organizationId, ledgerId, params),
+        { params: { ...period, sort_order: "desc" }, maxItems: maxTransactions }
+    );
+    const transactions = [...result.items].reverse();
+
+    const entries = [];
+    for (let index = 0; index < transactions.length; index += OPERATION_FETCH_CONCURRENCY) {
+        const batch = transactions.slice(index, index + OPERATION_FETCH_CONCURRENCY);
+        entries.push(...await Promise.all(batch.map(async (transaction) => {
+            let operations = transaction.operations;
+            if (!Array.isArray(operations) && fetchOperations) {
+                const page = await fetchAllPages(
+                    (params) => api.operations.list(organizationId, ledgerId, transaction.id, params)
+                );
+                operations = page.items;
+            }
+            return { transaction, operations: operations || [] };
+        })));
+    }
+    return { entries, truncated: result.truncated };
+}
+
 /**
  * Register ledger-related tools with the MCP server
  * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
  */
 export const registerLedgerTools = (server) => {
     // List ledgers tool
-    server.tool(
+    registerTool(
+        server,
         "list-ledgers",
         "List ledgers for an organization with optional pagination",
         {
@@ -64,7 +144,7 @@ export const registerLedgerTools = (server) => {
             sort_order: z.enum(["asc", "desc"]).optional().describe("Sort direction"),
             metadata: z.string().optional().describe("JSON string to filter ledgers by metadata fields"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-ledgers", async (args, extra) => {
             logToolInvocation("list-ledgers", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -103,14 +183,15 @@ export const registerLedgerTools = (server) => {
     );
 
     // Get ledger by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-ledger",
         "Get ledger details by ID",
         {
             organization_id: z.string().uuid().describe("Organization ID in UUID format"),
             id: z.string().uuid().describe("Ledger ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-ledger", async (args, extra) => {
             logToolInvocation("get-ledger", args, extra);
             const { organization_id, id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -138,4 +219,319 @@ export const registerLedgerTools = (server) => {
             return ledgerData;
         })
     );
-}; 
\ No newline at end of file
+
+    // Ledger integrity check tool
+    registerTool(
+        server,
+        "verify-ledger-integrity",
+        "Audit a ledger's double-entry integrity: walks every transaction (optionally within a date range) and its operations, and confirms debits equal credits per asset and per transaction. Reports every transaction whose operations do not net to zero, with operation IDs and amounts.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            start_date: z.string().optional().describe("Only check transactions created on or after this date (YYYY-MM-DD)"),
+            end_date: z.string().optional().describe("Only check transactions created on or before this date (YYYY-MM-DD)"),
+            max_transactions: z.number().optional().default(1000).describe("Maximum number of transactions to check (max 10000)"),
+        },
+        wrapToolHandler("verify-ledger-integrity", async (args, extra) => {
+            logToolInvocation("verify-ledger-integrity", args, extra);
+            const { organization_id, ledger_id, start_date, end_date, max_transactions } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                max_transactions: z.number().int().min(1).max(10000).optional().default(1000)
+            }));
+
+            const { entries, truncated, source } = await fetchReportData(
+                () => fetchTransactionsWithOperations(organization_id, ledger_id, { start_date, end_date }, max_transactions),
+                { entries: sampleLedgerTransactions, truncated: false },
+                `Could not fetch transactions for ledger ${ledger_id}`
+            );
+
+            return {
+                organization_id,
+                ledger_id,
+                period: { start_date: start_date || null, end_date: end_date || null },
+                checked_at: new Date().toISOString(),
+                source,
+                truncated,
+                ...verifyTransactions(entries)
+            };
+        })
+    );
+
+    // Bank statement reconciliation tool
+    registerTool(
+        server,
+        "reconcile-statement",
+        "Reconcile a bank statement (CSV, OFX or CAMT.053) against a ledger's transactions. Lines are matched by reference (transaction ID or metadata value), then by equal amount within a date window. Reports matched lines, amount mismatches, lines missing from the ledger and transactions missing from the statement.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            statement_content: z.string().describe("Statement file content"),
+            format: z.enum(["auto", "csv", "ofx", "camt053"]).optional().default("auto").describe("Statement format (auto-detected by default)"),
+            account_alias: z.string().optional().describe("Ledger account that mirrors the bank account, e.g. @bank-main. When set, only its transactions are compared and amounts are signed (credits positive); otherwise amounts are compared unsigned"),
+            date_window_days: z.number().optional().default(3).describe("Maximum days between statement and ledger dates when matching by amount (max 31)"),
+            reference_keys: z.array(z.string()).optional().describe("Metadata keys holding the bank reference; by default every metadata value and the transaction ID are compared"),
+            csv_columns: z.object({
+                date: z.string().optional(),
+                amount: z.string().optional(),
+                credit: z.string().optional(),
+                debit: z.string().optional(),
+                reference: z.string().optional(),
+                description: z.string().optional(),
+                currency: z.string().optional(),
+            }).optional().describe("CSV header names for each field, when auto-detection does not find them"),
+            date_format: z.enum(["iso", "dmy", "mdy"]).optional().default("iso").describe("CSV date format: iso (YYYY-MM-DD), dmy (DD/MM/YYYY) or mdy (MM/DD/YYYY)"),
+            decimal_separator: z.enum([".", ","]).optional().default(".").describe("CSV decimal separator"),
+            currency: z.string().optional().describe("Currency of the statement when the file does not say"),
+            max_transactions: z.number().optional().default(5000).describe("Maximum number of ledger transactions to compare (max 10000)"),
+        },
+        wrapToolHandler("reconcile-statement", async (args, extra) => {
+            logToolInvocation("reconcile-statement", args, extra);
+            const {
+                organization_id, ledger_id, statement_content, format, account_alias, date_window_days,
+                reference_keys, csv_columns, date_format, decimal_separator, currency, max_transactions
+            } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                statement_content: z.string().min(1).max(10 * 1024 * 1024),
+                format: z.enum(["auto", "csv", "ofx", "camt053"]).optional().default("auto"),
+                account_alias: z.string().min(1).optional(),
+                date_window_days: z.number().int().min(0).max(31).optional().default(3),
+                reference_keys: z.array(z.string().min(1)).optional(),
+                csv_columns: z.record(z.string()).optional(),
+                date_format: z.enum(["iso", "dmy", "mdy"]).optional().default("iso"),
+                decimal_separator: z.enum([".", ","]).optional().default("."),
+                currency: z.string().length(3).optional(),
+                max_transactions: z.number().int().min(1).max(10000).optional().default(5000)
+            }));
+
+            let statement;
+            try {
+                statement = parseStatement(statement_content, {
+                    format,
+                    columns: csv_columns,
+                    dateFormat: date_format,
+                    decimalSeparator: decimal_separator,
+                    currency: currency?.toUpperCase() || null
+                });
+            } catch (error) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, "Statement could not be parsed", { error: error.message });
+            }
+
+            // Only fetch ledger transactions around the statement period
+            const dates = statement.lines.map(line => line.date).sort();
+            const shift = (date, days) => new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const period = dates.length > 0
+                ? { start_date: shift(dates[0], -date_window_days), end_date: shift(dates[dates.length - 1], date_window_days) }
+                : { start_date: null, end_date: null };
+
+            const { entries, truncated, source } = await fetchReportData(
+                async () => dates.length === 0 ? { entries: [], truncated: false } : fetchTransactionsWithOperations(
+                    organization_id, ledger_id, period, max_transactions,
+                    // Operations are only needed to net the mirrored account's legs
+                    { fetchOperations: Boolean(account_alias) }
+                ),
+                { entries: sampleLedgerTransactions, truncated: false },
+                `Could not fetch transactions for ledger ${ledger_id}`
+            );
+
+            const transactions = entries
+                .map(({ transaction, operations }) => normalizeLedgerTransaction(transaction, operations, account_alias))
+                .filter(Boolean);
+
+            return {
+                organization_id,
+                ledger_id,
+                account_alias: account_alias || null,
+                statement: { format: statement.format, lines: statement.lines.length, rejected_lines: statement.rejected },
+                period,
+                reconciled_at: new Date().toISOString(),
+                source,
+                truncated,
+                ...reconcileStatement(statement.lines, transactions, { dateWindowDays: date_window_days, referenceKeys: reference_keys })
+            };
+        })
+    );
+
+    // Transaction analytics tool
+    registerTool(
+        server,
+        "analyze-transactions",
+        "Aggregate a ledger's transactions over a period: inflow, outflow, net and counts grouped by asset, account, portfolio, segment, route or a metadata key, plus top counterparties and a daily or weekly time series. All figures are computed from the ledger's operations. Ledger-wide figures count the ledger's own accounts (@external accounts show where money entered or left); with `account`, they are that account's flows.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            start_date: z.string().optional().describe("Only include transactions created on or after this date (YYYY-MM-DD)"),
+            end_date: z.string().optional().describe("Only include transactions created on or before this date (YYYY-MM-DD)"),
+            group_by: z.array(z.enum(GROUP_DIMENSIONS)).optional().default(["asset", "account"]).describe("Dimensions to group by: asset, account, portfolio, segment, route, metadata"),
+            metadata_key: z.string().optional().describe("Transaction metadata key to group by; required when group_by includes metadata"),
+            account: z.string().optional().describe("Focus on one account (alias or ID): figures become its flows and counterparties the accounts it transacted with"),
+            interval: z.enum(["day", "week"]).optional().default("day").describe("Time series interval; weeks start on Monday"),
+            top: z.number().optional().default(10).describe("Rows kept per asset in each grouping and in the counterparty list (max 100)"),
+            max_transactions: z.number().optional().default(1000).describe("Maximum number of transactions to analyze (max 10000)"),
+        },
+        wrapToolHandler("analyze-transactions", async (args, extra) => {
+            logToolInvocation("analyze-transactions", args, extra);
+            const {
+                organization_id, ledger_id, start_date, end_date, group_by, metadata_key, account, interval, top, max_transactions
+            } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                group_by: z.array(z.enum(GROUP_DIMENSIONS)).min(1).optional().default(["asset", "account"]),
+                metadata_key: z.string().min(1).optional(),
+                account: z.string().min(1).optional(),
+                interval: z.enum(["day", "week"]).optional().default("day"),
+                top: z.number().int().min(1).max(100).optional().default(10),
+                max_transactions: z.number().int().min(1).max(10000).optional().default(1000)
+            }));
+
+            if (group_by.includes("metadata") && !metadata_key) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, "metadata_key is required when group_by includes metadata");
+            }
+
+            const { entries, truncated, accounts, truncatedAccounts, source } = await fetchReportData(async () => {
+                const { entries, truncated } = await fetchTransactionsWithOperations(
+                    organization_id, ledger_id, { start_date, end_date }, max_transactions
+                );
+                // Portfolio and segment come from the accounts, not the operations
+                if (!group_by.includes("portfolio") && !group_by.includes("segment")) {
+                    return { entries, truncated, accounts: [], truncatedAccounts: false };
+                }
+                const result = await fetchAllPages(
+                    (params) => api.accounts.list(organization_id, ledger_id, params),
+                    { maxItems: MAX_REFERENCE_ITEMS }
+                );
+                return { entries, truncated, accounts: result.items, truncatedAccounts: result.truncated };
+            }, {
+                entries: sampleLedgerTransactions, truncated: false, accounts: [], truncatedAccounts: false
+            }, `Could not fetch transactions for ledger ${ledger_id}`);
+
+            return {
+                organization_id,
+                ledger_id,
+                period: { start_date: start_date || null, end_date: end_date || null },
+                account: account || null,
+                analyzed_at: new Date().toISOString(),
+                source,
+                truncated,
+                truncated_accounts: truncatedAccounts,
+                ...analyzeTransactions(entries, { groupBy: group_by, metadataKey: metadata_key, account, accounts, interval, top })
+            };
+        })
+    );
+
+    // Anomaly detection tool
+    registerTool(
+        server,
+        "detect-anomalies",
+        "Flag suspicious activity in a ledger for review: operation amounts and daily transaction counts that are outliers for their account (IQR fences or z-scores), sudden balance swings, transactions at odd hours, and round trips where money goes from A to B and back. Every anomaly comes with the transaction IDs, the numbers behind it and a one-line reason. Thresholds are tunable.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            start_date: z.string().optional().describe("Only check transactions created on or after this date (YYYY-MM-DD)"),
+            end_date: z.string().optional().describe("Only check transactions created on or before this date (YYYY-MM-DD); balance swings need it unset or today"),
+            account: z.string().optional().describe("Only report anomalies involving this account (alias or ID); the whole ledger is still profiled"),
+            checks: z.array(z.enum(Object.values(AnomalyType))).optional().describe("Checks to run (all by default): amount_outlier, frequency_outlier, balance_swing, odd_hour, round_trip"),
+            method: z.enum(["iqr", "zscore", "either"]).optional().default(AnomalyThresholds.METHOD).describe("Outlier test: IQR fences, z-score, or either of them"),
+            z_score: z.number().optional().default(AnomalyThresholds.Z_SCORE).describe("Z-score at or above which a value is an outlier"),
+            iqr_multiplier: z.number().optional().default(AnomalyThresholds.IQR_MULTIPLIER).describe("Values above Q3 + multiplier x IQR are outliers"),
+            min_samples: z.number().optional().default(AnomalyThresholds.MIN_SAMPLES).describe("Operations (or days) an account needs before it is profiled"),
+            balance_swing_ratio: z.number().optional().default(AnomalyThresholds.BALANCE_SWING_RATIO).describe("Flag days whose net change is at least this share of the balance before them"),
+            odd_hour_start: z.number().optional().default(AnomalyThresholds.ODD_HOUR_START).describe("Start of the odd-hours window, local hour (inclusive)"),
+            odd_hour_end: z.number().optional().default(AnomalyThresholds.ODD_HOUR_END).describe("End of the odd-hours window, local hour (exclusive); may be lower than the start to wrap midnight"),
+            utc_offset: z.number().optional().default(AnomalyThresholds.UTC_OFFSET).describe("Hours added to UTC to get local time, e.g. -3"),
+            round_trip_window_hours: z.number().optional().default(AnomalyThresholds.ROUND_TRIP_WINDOW_HOURS).describe("Maximum hours between a payment and the one returning it"),
+            round_trip_tolerance: z.number().optional().default(AnomalyThresholds.ROUND_TRIP_TOLERANCE).describe("Maximum relative difference between the two amounts of a round trip"),
+            max_anomalies: z.number().optional().default(100).describe("Maximum number of anomalies returned, most severe first (max 1000)"),
+            max_transactions: z.number().optional().default(1000).describe("Maximum number of transactions to check (max 10000)"),
+        },
+        wrapToolHandler("detect-anomalies", async (args, extra) => {
+            logToolInvocation("detect-anomalies", args, extra);
+            const options = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+                account: z.string().min(1).optional(),
+                checks: z.array(z.enum(Object.values(AnomalyType))).min(1).optional().default(Object.values(AnomalyType)),
+                method: z.enum(["iqr", "zscore", "either"]).optional().default(AnomalyThresholds.METHOD),
+                z_score: z.number().positive().max(100).optional().default(AnomalyThresholds.Z_SCORE),
+                iqr_multiplier: z.number().min(0).max(100).optional().default(AnomalyThresholds.IQR_MULTIPLIER),
+                min_samples: z.number().int().min(2).max(1000).optional().default(AnomalyThresholds.MIN_SAMPLES),
+                balance_swing_ratio: z.number().positive().max(100).optional().default(AnomalyThresholds.BALANCE_SWING_RATIO),
+                odd_hour_start: z.number().int().min(0).max(23).optional().default(AnomalyThresholds.ODD_HOUR_START),
+                odd_hour_end: z.number().int().min(0).max(24).optional().default(AnomalyThresholds.ODD_HOUR_END),
+                utc_offset: z.number().int().min(-12).max(14).optional().default(AnomalyThresholds.UTC_OFFSET),
+                round_trip_window_hours: z.number().positive().max(24 * 90).optional().default(AnomalyThresholds.ROUND_TRIP_WINDOW_HOURS),
+                round_trip_tolerance: z.number().min(0).max(1).optional().default(AnomalyThresholds.ROUND_TRIP_TOLERANCE),
+                max_anomalies: z.number().int().min(1).max(1000).optional().default(100),
+                max_transactions: z.number().int().min(1).max(10000).optional().default(1000)
+            }));
+            const { organization_id, ledger_id, start_date, end_date, account, checks } = options;
+
+            // Balances are replayed back from today, so a past end date leaves a gap
+            const skipped = [];
+            let swingChecks = checks.includes(AnomalyType.BALANCE_SWING);
+            if (swingChecks && end_date && end_date < new Date().toISOString().slice(0, 10)) {
+                skipped.push({ check: AnomalyType.BALANCE_SWING, reason: "end_date is in the past; balances are replayed from the current balance" });
+                swingChecks = false;
+            }
+
+            const { entries, truncated, balances, truncatedBalances, source } = await fetchReportData(async () => {
+                const { entries, truncated } = await fetchTransactionsWithOperations(
+                    organization_id, ledger_id, { start_date, end_date }, options.max_transactions
+                );
+                if (!swingChecks) {
+                    return { entries, truncated, balances: [], truncatedBalances: false };
+                }
+                const result = await fetchAllPages(
+                    (params) => api.balances.list(organization_id, ledger_id, params),
+                    { maxItems: MAX_REFERENCE_ITEMS }
+                );
+                return { entries, truncated, balances: result.items, truncatedBalances: result.truncated };
+            }, {
+                entries: sampleLedgerTransactions, truncated: false, balances: [], truncatedBalances: false
+            }, `Could not fetch transactions for ledger ${ledger_id}`);
+            if (swingChecks && balances.length === 0) {
+                skipped.push({ check: AnomalyType.BALANCE_SWING, reason: "no balances available" });
+            }
+
+            const detector = new AnomalyDetector({
+                method: options.method,
+                zScore: options.z_score,
+                iqrMultiplier: options.iqr_multiplier,
+                minSamples: options.min_samples,
+                balanceSwingRatio: options.balance_swing_ratio,
+                oddHourStart: options.odd_hour_start,
+                oddHourEnd: options.odd_hour_end,
+                utcOffset: options.utc_offset,
+                roundTripWindowHours: options.round_trip_window_hours,
+                roundTripTolerance: options.round_trip_tolerance
+            });
+            const report = detector.detect(entries, {
+                checks: swingChecks ? checks : checks.filter(check => check !== AnomalyType.BALANCE_SWING),
+                balances,
+                account,
+                maxAnomalies: options.max_anomalies
+            });
+
+            return {
+                organization_id,
+                ledger_id,
+                period: { start_date: start_date || null, end_date: end_date || null },
+                account: account || null,
+                checked_at: new Date().toISOString(),
+                source,
+                truncated_transactions: truncated,
+                truncated_balances: truncatedBalances,
+                checks: checks.filter(check => !skipped.some(skip => skip.check === check)),
+                skipped,
+                ...report
+            };
+        })
+    );
+};
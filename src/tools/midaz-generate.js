@@ -5,7 +5,7 @@
  */
 
 import { z } from "zod";
-import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
+import { registerTool, wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
 import { createLogger } from "../util/mcp-logging.js";
 import config from "../config.js";
 
@@ -17,7 +17,8 @@ const logger = createLogger('midaz-generate');
  */
 export const registerMidazGenerateTools = (server) => {
 
-  server.tool(
+  registerTool(
+    server,
     "midaz_generate",
     "Generate working code for Midaz integration. Detects user context (language, framework, deployment) and outputs production-ready code with error handling, retries, and environment variables.",
     {
@@ -27,7 +28,7 @@ export const registerMidazGenerateTools = (server) => {
       complexity: z.enum(['basic', 'production', 'enterprise']).default('production').describe("Code complexity level"),
       features: z.array(z.enum(['error-handling', 'retries', 'logging', 'validation', 'testing'])).default(['error-handling', 'retries', 'logging']).describe("Include specific features")
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("midaz_generate", async (args, extra) => {
       const { useCase, language, framework, complexity, features } = validateArgs(args, z.object({
         useCase: z.string(),
         language: z.enum(['javascript', 'typescript', 'python', 'go', 'shell']).optional(),
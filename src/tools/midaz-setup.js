@@ -4,7 +4,7 @@
  */
 
 import { z } from "zod";
-import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
+import { registerTool, wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
 
 /**
  * Register Midaz setup tools
@@ -12,13 +12,14 @@ import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
  */
 export const registerMidazSetupTools = (server) => {
   // Local development setup instructions
-  server.tool(
+  registerTool(
+    server,
     "get-midaz-local-setup",
     "Get step-by-step instructions for setting up Midaz backend locally for development",
     {
       format: z.enum(["detailed", "quick"]).optional().describe("Level of detail in instructions")
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("get-midaz-local-setup", async (args, extra) => {
       const format = args.format || "detailed";
 
       const quickInstructions = `## Quick Local Setup
@@ -171,11 +172,12 @@ export MIDAZ_TRANSACTION_URL=http://localhost:3001
   );
 
   // Production deployment instructions
-  server.tool(
+  registerTool(
+    server,
     "get-midaz-production-setup",
     "Get instructions for deploying Midaz in production using Helm templates",
     {},
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("get-midaz-production-setup", async (args, extra) => {
       const instructions = `## Production Deployment with Helm
 
 ### Prerequisites
@@ -303,13 +305,14 @@ For detailed Helm chart documentation, visit: https://docs.lerian.studio/deploym
   );
 
   // Cloud deployment instructions
-  server.tool(
+  registerTool(
+    server,
     "get-midaz-cloud-setup",
     "Get instructions for deploying Midaz in cloud environments using Terraform + Helm",
     {
       provider: z.enum(["aws", "gcp", "azure"]).optional().describe("Cloud provider preference")
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("get-midaz-cloud-setup", async (args, extra) => {
       const provider = args.provider || "aws";
 
       const instructions = `## Cloud Deployment with Terraform + Helm
@@ -453,11 +456,12 @@ For complete cloud deployment guides, visit: https://docs.lerian.studio/deployme
   );
 
   // Complete deployment comparison
-  server.tool(
+  registerTool(
+    server,
     "compare-midaz-deployments",
     "Compare different Midaz deployment options (local, production, cloud)",
     {},
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("compare-midaz-deployments", async (args, extra) => {
       const comparison = `## Midaz Deployment Options Comparison
 
 ### 🖥️ Local Development
@@ -5,7 +5,7 @@
  */
 
 import { z } from "zod";
-import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
+import { registerTool, wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
 import { createLogger } from "../util/mcp-logging.js";
 import config from "../config.js";
 
@@ -55,7 +55,8 @@ const HEALTH_CACHE_TTL = 30 * 1000;
  */
 export const registerMidazStatusTools = (server) => {
 
-  server.tool(
+  registerTool(
+    server,
     "midaz_status",
     "Real-time Midaz system health monitoring. Checks API latency, service status (ledger, auth, transactions), recent errors with solutions, and performance metrics. Returns actual diagnostic data.",
     {
@@ -63,7 +64,7 @@ export const registerMidazStatusTools = (server) => {
       includeMetrics: z.boolean().default(true).describe("Include performance metrics and latency data"),
       timeWindow: z.enum(['5m', '15m', '1h', '24h']).default('15m').describe("Time window for error and performance analysis")
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler("midaz_status", async (args, extra) => {
       const { check, includeMetrics, timeWindow } = validateArgs(args, z.object({
         check: z.enum(['overview', 'services', 'performance', 'errors', 'connectivity', 'all']).default('all'),
         includeMetrics: z.boolean().default(true),
@@ -163,7 +164,9 @@ async function checkServiceHealth() {
     },
     {
       name: 'auth',
-      url: config.backend.auth?.baseUrl || config.backend.onboarding.baseUrl,
+      url: config.backend.auth?.baseUrl
+        || (config.backend.auth?.tokenUrl && new URL(config.backend.auth.tokenUrl).origin)
+        || config.backend.onboarding.baseUrl,
       healthEndpoint: '/health',
       description: 'Authentication & Authorization'
     }
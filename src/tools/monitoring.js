@@ -8,18 +8,22 @@
 
 import { z } from "zod";
 import { globalErrorMonitor } from '../util/error-monitoring.js';
-import { wrapToolHandler, logToolInvocation } from "../util/mcp-helpers.js";
+import { registerTool, wrapToolHandler, logToolInvocation, validateArgs } from "../util/mcp-helpers.js";
+import { auditStore } from '../util/security.js';
+import config from '../config.js';
+import { webhookEventLog } from '../util/webhook-receiver.js';
 
 /**
  * Register monitoring tools with the MCP server
  */
 export const registerMonitoringTools = (server) => {
     // Health Status Tool
-    server.tool(
+    registerTool(
+        server,
         'lerian-health-status',
         'Get comprehensive health status and metrics for the Lerian MCP Server including error rates, performance, and uptime',
         {},
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler('lerian-health-status', async (args, extra) => {
             logToolInvocation("lerian-health-status", args, extra);
 
             try {
@@ -65,11 +69,12 @@ export const registerMonitoringTools = (server) => {
     );
 
     // Error Metrics Tool
-    server.tool(
+    registerTool(
+        server,
         'lerian-error-metrics',
         'Get detailed error monitoring metrics including error counts by severity, types, and trends',
         {},
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler('lerian-error-metrics', async (args, extra) => {
             logToolInvocation("lerian-error-metrics", args, extra);
 
             try {
@@ -104,11 +109,12 @@ export const registerMonitoringTools = (server) => {
     );
 
     // Performance Metrics Tool
-    server.tool(
+    registerTool(
+        server,
         'lerian-performance-metrics',
         'Get performance monitoring data including operation timing, slow operations, and performance trends',
         {},
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler('lerian-performance-metrics', async (args, extra) => {
             logToolInvocation("lerian-performance-metrics", args, extra);
 
             try {
@@ -137,6 +143,74 @@ export const registerMonitoringTools = (server) => {
             }
         })
     );
+
+    // Audit Log Query Tool
+    const auditQuerySchema = {
+        tool: z.string().optional().describe("Only entries for this tool"),
+        client: z.string().optional().describe("Only entries for this client identity"),
+        type: z.string().optional().describe("Only entries of this type, e.g. tool_invocation, tool_access_denied, transaction_write"),
+        outcome: z.enum(['success', 'failure', 'denied']).optional().describe("Only entries with this outcome"),
+        from: z.string().datetime().optional().describe("Earliest timestamp (ISO 8601), inclusive"),
+        to: z.string().datetime().optional().describe("Latest timestamp (ISO 8601), inclusive"),
+        limit: z.number().int().min(1).max(500).optional().default(50).describe("Maximum number of entries, newest first")
+    };
+
+    registerTool(
+        server,
+        'audit-log-query',
+        'Search the tamper-evident audit log: who called which tool, when, and with what outcome. Filter by tool, client, type, outcome and time range',
+        auditQuerySchema,
+        wrapToolHandler('audit-log-query', async (args, extra) => {
+            logToolInvocation("audit-log-query", args, extra);
+            const filter = validateArgs(args, z.object(auditQuerySchema));
+
+            const { entries, truncated } = auditStore.query(filter);
+            return {
+                entries,
+                count: entries.length,
+                truncated,
+                filter,
+                timestamp: new Date().toISOString()
+            };
+        })
+    );
+
+    // Recent Events Tool
+    const recentEventsSchema = {
+        type: z.string().optional().describe("Only events of this type, e.g. transaction.created"),
+        organization_id: z.string().optional().describe("Only events for this organization"),
+        ledger_id: z.string().optional().describe("Only events for this ledger"),
+        account_id: z.string().optional().describe("Only events touching this account"),
+        transaction_id: z.string().optional().describe("Only events for this transaction"),
+        since: z.string().datetime().optional().describe("Earliest receive time (ISO 8601), inclusive"),
+        limit: z.number().int().min(1).max(500).optional().default(50).describe("Maximum number of events, newest first")
+    };
+
+    registerTool(
+        server,
+        'recent-events',
+        'List Midaz events recently pushed to the webhook receiver (newest first). Only events received since the server started are kept, up to a fixed number',
+        recentEventsSchema,
+        wrapToolHandler('recent-events', async (args, extra) => {
+            logToolInvocation("recent-events", args, extra);
+            const filter = validateArgs(args, z.object(recentEventsSchema));
+
+            const { events, total } = webhookEventLog.query(filter);
+            return {
+                events,
+                count: events.length,
+                total_matching: total,
+                receiver: {
+                    enabled: config.webhookEnabled,
+                    kept: webhookEventLog.events.length,
+                    capacity: webhookEventLog.maxEvents,
+                    dropped: webhookEventLog.dropped
+                },
+                filter,
+                timestamp: new Date().toISOString()
+            };
+        })
+    );
 };
 
 /**
@@ -3,6 +3,7 @@ import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
     logToolInvocation 
@@ -42,7 +43,8 @@ const samplePortfolios = [
  */
 export const registerPortfolioTools = (server) => {
     // List portfolios tool
-    server.tool(
+    registerTool(
+        server,
         "list-portfolios",
         "List portfolios in a ledger with optional pagination",
         {
@@ -54,7 +56,7 @@ export const registerPortfolioTools = (server) => {
             metadata: z.string().optional().describe("JSON string to filter portfolios by metadata fields"),
             status: z.string().optional().describe("Filter by portfolio status"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-portfolios", async (args, extra) => {
             logToolInvocation("list-portfolios", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -99,7 +101,8 @@ export const registerPortfolioTools = (server) => {
     );
 
     // Get portfolio by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-portfolio",
         "Get portfolio details by ID",
         {
@@ -107,7 +110,7 @@ export const registerPortfolioTools = (server) => {
             ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
             id: z.string().uuid().describe("Portfolio ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-portfolio", async (args, extra) => {
             logToolInvocation("get-portfolio", args, extra);
             const { organization_id, ledger_id, id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -4,7 +4,7 @@
  */
 
 import { z } from 'zod';
-import { wrapToolHandler, validateArgs, logToolInvocation } from '../util/mcp-helpers.js';
+import { registerTool, wrapToolHandler, validateArgs, logToolInvocation } from '../util/mcp-helpers.js';
 
 /**
  * Register SDK tools with the MCP server
@@ -17,7 +17,8 @@ import { wrapToolHandler, validateArgs, logToolInvocation } from '../util/mcp-he
 export const registerSdkTools = (server) => {
 
   // SDK Code Generator Tool
-  server.tool(
+  registerTool(
+    server,
     'generate-sdk-code',
     'Generate production-ready code examples using official Midaz SDKs. Returns complete, runnable code with dependencies, setup instructions, and best practices. Ideal for accelerating development and learning SDK patterns.',
     {
@@ -33,7 +34,7 @@ export const registerSdkTools = (server) => {
       
       includeComments: z.boolean().default(true).describe('Whether to include detailed code comments and explanations (default: true). True: comprehensive comments explaining each step, best practices, common pitfalls. False: clean production code without explanatory comments.'),
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler('generate-sdk-code', async (args, extra) => {
       logToolInvocation('generate-sdk-code', args, extra);
       const validatedArgs = validateArgs(args, z.object({
         language: z.enum(['golang', 'typescript']),
@@ -68,7 +69,8 @@ export const registerSdkTools = (server) => {
   );
 
   // SDK Feature Comparison Tool
-  server.tool(
+  registerTool(
+    server,
     'compare-sdk-features',
     'Compare specific features between Golang and TypeScript Midaz SDKs. Helps choose the right SDK for your use case.',
     {
@@ -81,7 +83,7 @@ export const registerSdkTools = (server) => {
         'type-safety'
       ])).describe('Features to compare between SDKs'),
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler('compare-sdk-features', async (args, extra) => {
       logToolInvocation('compare-sdk-features', args, extra);
       const validatedArgs = validateArgs(args, z.object({
         features: z.array(z.enum([
@@ -108,7 +110,8 @@ export const registerSdkTools = (server) => {
   );
 
   // SDK Example Finder Tool
-  server.tool(
+  registerTool(
+    server,
     'find-sdk-examples',
     'Find specific code examples from the Midaz SDK repositories based on functionality or pattern.',
     {
@@ -116,7 +119,7 @@ export const registerSdkTools = (server) => {
       language: z.enum(['both', 'golang', 'typescript']).default('both').describe('Which SDK language to search'),
       maxResults: z.number().min(1).max(10).default(5).describe('Maximum number of examples to return')
     },
-    wrapToolHandler(async (args, extra) => {
+    wrapToolHandler('find-sdk-examples', async (args, extra) => {
       logToolInvocation('find-sdk-examples', args, extra);
       const validatedArgs = validateArgs(args, z.object({
         query: z.string().min(3),
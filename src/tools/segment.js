@@ -3,6 +3,7 @@ import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
     logToolInvocation 
@@ -36,7 +37,8 @@ const sampleSegments = [
  */
 export const registerSegmentTools = (server) => {
     // List segments tool
-    server.tool(
+    registerTool(
+        server,
         "list-segments",
         "List segments in a ledger with optional pagination",
         {
@@ -47,7 +49,7 @@ export const registerSegmentTools = (server) => {
             sort_order: z.enum(["asc", "desc"]).optional().describe("Sort direction"),
             metadata: z.string().optional().describe("JSON string to filter segments by metadata fields"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-segments", async (args, extra) => {
             logToolInvocation("list-segments", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -83,7 +85,8 @@ export const registerSegmentTools = (server) => {
     );
 
     // Get segment by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-segment",
         "Get segment details by ID",
         {
@@ -91,7 +94,7 @@ export const registerSegmentTools = (server) => {
             ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
             id: z.string().uuid().describe("Segment ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-segment", async (args, extra) => {
             logToolInvocation("get-segment", args, extra);
             const { organization_id, ledger_id, id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
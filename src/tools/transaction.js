@@ -1,12 +1,43 @@
 import { z } from "zod";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
 import api from "../util/api.js";
 import config from "../config.js";
 import { 
     createPaginatedResponse, 
+    registerTool,
     wrapToolHandler, 
     validateArgs,
-    logToolInvocation 
+    logToolInvocation,
+    createErrorResponse,
+    ErrorCodes
 } from "../util/mcp-helpers.js";
+import {
+    transactionSendSchema,
+    transactionDistributeSchema,
+    buildTransactionBody,
+    validateTransactionBody
+} from "../util/transaction-payload.js";
+import { assertWriteAccess, createPreviewToken, isWriteEnabled } from "../util/write-access.js";
+import { createAuditLog, getClientIdentity } from "../util/security.js";
+import { describeChange, elicitApproval } from "../util/approval-gate.js";
+import { validateTransactionDsl } from "../util/transaction-dsl.js";
+import { simulationBalanceSchema, fetchSimulationBalances, simulateTransaction } from "../util/transaction-simulator.js";
+import { getAffectedAccounts, snapshotAccountBalances, diffBalanceSnapshots } from "../util/balance-snapshot.js";
+import { fetchAllPages } from "../util/pagination.js";
+import { writeExportFile } from "../util/data-export.js";
+import {
+    resolveImportDir,
+    parseImportFile,
+    getMappingStyle,
+    buildImportEntries,
+    importIdempotencyKey
+} from "../util/transaction-import.js";
+
+// Largest file import-transactions reads
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Sample data for when real API is not available
 const sampleTransactions = [
@@ -136,13 +167,312 @@ const sampleOperationDetails = {
     updatedAt: "2023-01-01T00:00:00Z",
 };
 
+/**
+ * Simulate a transaction body against supplied and, when live, fetched balances
+ * Supplied balances take precedence over fetched ones for the same account.
+ * @param {string} organizationId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {Object} body - Midaz JSON transaction body
+ * @param {Array<Object>} [suppliedBalances] - Balances provided by the caller
+ * @param {boolean} [fetchBalances] - Whether to fetch current balances from the ledger
+ * @returns {Promise<Object>} Simulation result with the balance source
+ */
+const runSimulation = async (organizationId, ledgerId, body, suppliedBalances = [], fetchBalances = true) => {
+    let fetched = [];
+    let balanceSource = suppliedBalances.length > 0 ? "supplied" : "none";
+
+    if (fetchBalances && !config.useStubs) {
+        try {
+            fetched = await fetchSimulationBalances(organizationId, ledgerId, body);
+            balanceSource = suppliedBalances.length > 0 ? "supplied+ledger" : "ledger";
+        } catch (error) {
+            console.error(`Error fetching balances for simulation in ledger ${ledgerId}: ${error.message}`);
+        }
+    }
+
+    return {
+        balance_source: balanceSource,
+        ...simulateTransaction(body, [...suppliedBalances, ...fetched])
+    };
+};
+
+// Column mapping for import-transactions
+const importMappingSchema = z.object({
+    group: z.string().optional().describe("Column whose value groups rows into one transaction (required for journal lines)"),
+    from: z.string().optional().describe("Column with the debited account alias or ID (transfer rows)"),
+    to: z.string().optional().describe("Column with the credited account alias or ID (transfer rows)"),
+    amount: z.string().optional().describe("Column with the decimal amount (transfer rows)"),
+    account: z.string().optional().describe("Column with the account alias or ID (journal lines)"),
+    debit: z.string().optional().describe("Column with the debit amount (journal lines)"),
+    credit: z.string().optional().describe("Column with the credit amount (journal lines)"),
+    asset: z.string().optional().describe("Column with the asset code; defaults to asset_code"),
+    description: z.string().optional().describe("Column with the transaction description"),
+    code: z.string().optional().describe("Column with the transaction code"),
+    metadata: z.record(z.string()).optional().describe("Metadata keys mapped to columns, e.g. { \"invoice\": \"Invoice No\" }"),
+});
+
+/**
+ * Get the user's approval for a confirmed write before it runs
+ * The diff is shown to the user through MCP elicitation. The confirm_token
+ * proves the dry run was reviewed, but the model holds it too, so it is not
+ * an approval: clients that cannot elicit are refused.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
+ * @param {Object} extra - Request context of the tool call
+ * @param {string} toolName - Tool performing the write
+ * @param {Object} diff - Diff from describeChange
+ * @throws {Object} JSON-RPC error if the user declines the change or cannot be asked
+ */
+const approveWrite = async (server, extra, toolName, diff) => {
+    const client = getClientIdentity(extra);
+    const approved = await elicitApproval(server, extra, toolName, diff, client);
+
+    if (approved === null) {
+        createAuditLog({ type: "approval_rejected", tool: toolName, user: client, change: diff.summary, reason: "client does not support elicitation" });
+        throw createErrorResponse(ErrorCodes.RESOURCE_ACCESS_DENIED, "Writes need a client that supports MCP elicitation, so the user can approve the change; nothing was written", { change: diff.text });
+    }
+    if (!approved) {
+        throw createErrorResponse(ErrorCodes.RESOURCE_ACCESS_DENIED, "The change was not approved; nothing was written", { change: diff.text });
+    }
+};
+
+/**
+ * Diff shown for approval of a transaction lifecycle action
+ */
+const describeLifecycleChange = (action, organization_id, ledger_id, transaction) => describeChange({
+    operation: "update",
+    target: `transactions/${transaction.id} in ledger ${ledger_id} of organization ${organization_id}`,
+    current: { status: transaction.status?.code },
+    proposed: { action }
+});
+
+/**
+ * Commit or revert a pending transaction, capturing the balances of every
+ * affected account before and after the change
+ * @param {"commit"|"revert"} action - Lifecycle action to perform
+ * @param {string} toolName - Name of the invoking tool
+ * @param {Object} args - Validated tool arguments
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
+ * @param {Object} extra - Request context of the tool call
+ * @returns {Promise<Object>} Dry-run preview or execution result
+ */
+const runLifecycleAction = async (action, toolName, args, server, extra) => {
+    const { organization_id, ledger_id, id, dry_run, confirm_token } = args;
+    const client = getClientIdentity(extra);
+    const request = { organization_id, ledger_id, id, action };
+
+    if (!dry_run) {
+        assertWriteAccess(toolName, request, confirm_token, client);
+    }
+
+    if (dry_run && config.useStubs) {
+        return {
+            mode: "dry_run",
+            action,
+            endpoint: `POST /v1/organizations/${organization_id}/ledgers/${ledger_id}/transactions/${id}/${action}`,
+            transaction: { ...sampleTransactionDetails, id },
+            affected_accounts: getAffectedAccounts(sampleTransactionDetails),
+            change: describeLifecycleChange(action, organization_id, ledger_id, { ...sampleTransactionDetails, id }).text,
+            preview_token: createPreviewToken(toolName, request, client),
+            writes_enabled: isWriteEnabled(),
+            note: "Stub mode is enabled: transaction and balances are sample data"
+        };
+    }
+
+    const transaction = await api.transactions.get(organization_id, ledger_id, id);
+    const affectedAccounts = getAffectedAccounts(transaction);
+    const before = await snapshotAccountBalances(organization_id, ledger_id, affectedAccounts);
+    const change = describeLifecycleChange(action, organization_id, ledger_id, transaction);
+
+    if (dry_run) {
+        return {
+            mode: "dry_run",
+            action,
+            endpoint: `POST /v1/organizations/${organization_id}/ledgers/${ledger_id}/transactions/${id}/${action}`,
+            transaction: {
+                id: transaction.id,
+                description: transaction.description,
+                status: transaction.status,
+                amount: transaction.amount,
+                amountScale: transaction.amountScale,
+                assetCode: transaction.assetCode
+            },
+            affected_accounts: affectedAccounts,
+            balances_before: before,
+            change: change.text,
+            preview_token: createPreviewToken(toolName, request, client),
+            writes_enabled: isWriteEnabled(),
+            next_step: `Review the balances, then call again with dry_run=false and confirm_token set to preview_token to ${action} the transaction`
+        };
+    }
+
+    await approveWrite(server, extra, toolName, change);
+
+    let response;
+    try {
+        response = await api.transactions[action](organization_id, ledger_id, id);
+    } catch (error) {
+        createAuditLog({
+            type: "transaction_lifecycle",
+            tool: toolName,
+            action,
+            organization_id,
+            ledger_id,
+            transaction_id: id,
+            success: false,
+            error: error.message,
+            balances_before: before.accounts
+        });
+        throw error;
+    }
+
+    const after = await snapshotAccountBalances(organization_id, ledger_id, affectedAccounts);
+    const changes = diffBalanceSnapshots(before, after);
+
+    createAuditLog({
+        type: "transaction_lifecycle",
+        tool: toolName,
+        action,
+        organization_id,
+        ledger_id,
+        transaction_id: id,
+        success: true,
+        status: response?.status?.code,
+        balances_before: before.accounts,
+        balances_after: after.accounts
+    });
+
+    return {
+        mode: "execute",
+        action,
+        transaction: { ...response, organization_id, ledger_id },
+        balances_before: before,
+        balances_after: after,
+        balance_changes: changes
+    };
+};
+
+/**
+ * Check that the assets and accounts used by import entries exist in the ledger
+ * Accounts are looked up by ID when the value is a UUID and by alias otherwise;
+ * each one is fetched once per import. Problems are added to the entry errors.
+ * @param {string} organizationId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {Array<Object>} entries - Entries from buildImportEntries
+ * @returns {Promise<void>}
+ */
+const checkImportReferences = async (organizationId, ledgerId, entries) => {
+    const assets = await fetchAllPages((params) => api.assets.list(organizationId, ledgerId, params));
+    const assetCodes = new Set(assets.items.map(asset => asset.code));
+    const lookups = new Map();
+
+    const lookupAccount = (account) => {
+        if (!lookups.has(account)) {
+            const request = UUID_PATTERN.test(account)
+                ? api.accounts.get(organizationId, ledgerId, account)
+                : api.accounts.getByAlias(organizationId, ledgerId, account);
+            lookups.set(account, request.then(
+                found => ({ found }),
+                error => ({ error: /\(404\)/.test(error.message) ? "not found in the ledger" : `could not be checked: ${error.message}` })
+            ));
+        }
+        return lookups.get(account);
+    };
+
+    for (const entry of entries) {
+        if (entry.asset && !assetCodes.has(entry.asset)) {
+            entry.errors.push(`asset ${entry.asset} does not exist in the ledger`);
+        }
+        for (const account of entry.accounts) {
+            // External accounts are created by the ledger on first use
+            if (account.startsWith("@external/")) continue;
+
+            const { found, error } = await lookupAccount(account);
+            if (error) {
+                entry.errors.push(`account ${account} ${error}`);
+            } else if (entry.asset && found?.assetCode && found.assetCode !== entry.asset) {
+                entry.errors.push(`account ${account} holds ${found.assetCode}, not ${entry.asset}`);
+            }
+        }
+    }
+};
+
+/**
+ * Fetch the records related to a transaction for get-transaction's expand option
+ * Account and asset lookups that fail are reported under expand_errors; the
+ * operations are needed for both, so failing to fetch them fails the call.
+ * @param {string} orgId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {Object} transaction - Transaction as returned by the API
+ * @param {Array<string>} expand - Any of 'operations', 'accounts', 'asset'
+ * @returns {Promise<Object>} Fields to merge into the transaction
+ */
+const expandTransaction = async (orgId, ledgerId, transaction, expand) => {
+    const expanded = {};
+    const errors = {};
+
+    let operations = Array.isArray(transaction.operations) ? transaction.operations : null;
+    if (!operations && (expand.includes("operations") || expand.includes("accounts"))) {
+        if (config.useStubs) {
+            operations = sampleTransactionDetails.operations;
+        } else {
+            try {
+                const result = await fetchAllPages((params) => api.operations.list(orgId, ledgerId, transaction.id, params));
+                operations = result.items;
+            } catch (error) {
+                throw createErrorResponse(ErrorCodes.BACKEND_ERROR, `Could not fetch the operations of transaction ${transaction.id}`, { originalError: error.message });
+            }
+        }
+    }
+
+    if (expand.includes("operations")) {
+        expanded.operations = operations;
+    }
+
+    if (expand.includes("accounts")) {
+        const accounts = getAffectedAccounts({ ...transaction, operations });
+        expanded.accounts = await Promise.all(accounts.map(async ({ account_id, alias }) => {
+            if (config.useStubs) {
+                return { id: account_id, alias };
+            }
+            try {
+                return account_id
+                    ? await api.accounts.get(orgId, ledgerId, account_id)
+                    : await api.accounts.getByAlias(orgId, ledgerId, alias);
+            } catch (error) {
+                errors.accounts = errors.accounts || [];
+                errors.accounts.push({ account_id, alias, error: error.message });
+                return { id: account_id, alias };
+            }
+        }));
+    }
+
+    if (expand.includes("asset")) {
+        expanded.asset = { code: transaction.assetCode };
+        if (!config.useStubs && transaction.assetCode) {
+            try {
+                const result = await fetchAllPages((params) => api.assets.list(orgId, ledgerId, params));
+                expanded.asset = result.items.find(asset => asset.code === transaction.assetCode) || expanded.asset;
+            } catch (error) {
+                errors.asset = error.message;
+            }
+        }
+    }
+
+    if (Object.keys(errors).length > 0) {
+        expanded.expand_errors = errors;
+    }
+
+    return expanded;
+};
+
 /**
  * Register transaction-related tools with the MCP server
  * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
  */
 export const registerTransactionTools = (server) => {
     // List transactions tool
-    server.tool(
+    registerTool(
+        server,
         "list-transactions",
         "List transactions in a ledger with optional pagination",
         {
@@ -156,7 +486,7 @@ export const registerTransactionTools = (server) => {
             sort_order: z.enum(["asc", "desc"]).optional().describe("Sort direction"),
             metadata: z.string().optional().describe("JSON string to filter transactions by metadata fields"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-transactions", async (args, extra) => {
             logToolInvocation("list-transactions", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -199,39 +529,47 @@ export const registerTransactionTools = (server) => {
     );
 
     // Get transaction by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-transaction",
         "Get transaction details by ID",
         {
             organization_id: z.string().uuid().describe("Organization ID in UUID format"),
             ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
             id: z.string().uuid().describe("Transaction ID in UUID format"),
+            expand: z.array(z.enum(["operations", "accounts", "asset"])).optional().describe("Related records to embed in the response: 'operations' (all operations of the transaction), 'accounts' (every account the operations touch) and/or 'asset' (the transaction's asset)"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-transaction", async (args, extra) => {
             logToolInvocation("get-transaction", args, extra);
-            const { organization_id, ledger_id, id } = validateArgs(args, z.object({
+            const { organization_id, ledger_id, id, expand } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
                 ledger_id: z.string().uuid(),
-                id: z.string().uuid()
+                id: z.string().uuid(),
+                expand: z.array(z.enum(["operations", "accounts", "asset"])).optional().default([])
             }));
 
             let transactionData = { ...sampleTransactionDetails, id, organization_id, ledger_id };
 
             // Only attempt real API call if stubs are disabled
             if (!config.useStubs) {
+                let response;
                 try {
-                    const response = await api.transactions.get(organization_id, ledger_id, id);
-                    if (response) {
-                        transactionData = {
-                            ...response,
-                            organization_id,
-                            ledger_id
-                        };
-                    }
+                    response = await api.transactions.get(organization_id, ledger_id, id);
                 } catch (error) {
-                    console.error(`Error fetching transaction ${id}: ${error.message}`);
-                    // Fall back to sample data
+                    throw createErrorResponse(ErrorCodes.BACKEND_ERROR, `Could not fetch transaction ${id}`, { originalError: error.message });
                 }
+                transactionData = {
+                    ...response,
+                    organization_id,
+                    ledger_id
+                };
+            }
+
+            if (expand.length > 0) {
+                return {
+                    ...transactionData,
+                    ...await expandTransaction(organization_id, ledger_id, transactionData, expand)
+                };
             }
 
             return transactionData;
@@ -239,7 +577,8 @@ export const registerTransactionTools = (server) => {
     );
 
     // List operations for an account tool
-    server.tool(
+    registerTool(
+        server,
         "list-operations",
         "List operations for an account with optional pagination",
         {
@@ -249,7 +588,7 @@ export const registerTransactionTools = (server) => {
             cursor: z.string().optional().describe("Pagination cursor for next page"),
             limit: z.number().optional().default(10).describe("Number of items to return (max 100)"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("list-operations", async (args, extra) => {
             logToolInvocation("list-operations", args, extra);
             const validatedArgs = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -268,7 +607,7 @@ export const registerTransactionTools = (server) => {
             // Only attempt real API call if stubs are disabled
             if (!config.useStubs) {
                 try {
-                    const response = await api.operations.list(
+                    const response = await api.operations.listByAccount(
                         validatedArgs.organization_id, 
                         validatedArgs.ledger_id, 
                         validatedArgs.account_id, {
@@ -290,8 +629,58 @@ export const registerTransactionTools = (server) => {
         })
     );
 
+    // List operations of a transaction tool
+    registerTool(
+        server,
+        "list-transaction-operations",
+        "List the operations (debits, credits, holds and releases) that make up a transaction, with optional pagination",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            transaction_id: z.string().uuid().describe("Transaction ID in UUID format"),
+            cursor: z.string().optional().describe("Pagination cursor for next page"),
+            limit: z.number().optional().default(10).describe("Number of items to return (max 100)"),
+        },
+        wrapToolHandler("list-transaction-operations", async (args, extra) => {
+            logToolInvocation("list-transaction-operations", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                transaction_id: z.string().uuid(),
+                cursor: z.string().optional(),
+                limit: z.number().min(1).max(100).optional().default(10)
+            }));
+
+            let operations = sampleTransactionDetails.operations.map(op => ({
+                ...op,
+                transactionId: validatedArgs.transaction_id
+            }));
+
+            // Only attempt real API call if stubs are disabled
+            if (!config.useStubs) {
+                try {
+                    const response = await api.operations.list(
+                        validatedArgs.organization_id,
+                        validatedArgs.ledger_id,
+                        validatedArgs.transaction_id, {
+                            limit: validatedArgs.limit,
+                            cursor: validatedArgs.cursor
+                        }
+                    );
+                    operations = response?.items || [];
+                } catch (error) {
+                    throw createErrorResponse(ErrorCodes.BACKEND_ERROR, `Could not fetch the operations of transaction ${validatedArgs.transaction_id}`, { originalError: error.message });
+                }
+            }
+
+            // Return paginated response
+            return createPaginatedResponse(operations, validatedArgs);
+        })
+    );
+
     // Get operation by ID tool
-    server.tool(
+    registerTool(
+        server,
         "get-operation",
         "Get operation details by ID",
         {
@@ -300,7 +689,7 @@ export const registerTransactionTools = (server) => {
             operation_id: z.string().uuid().describe("Operation ID in UUID format"),
             account_id: z.string().uuid().describe("Account ID in UUID format"),
         },
-        wrapToolHandler(async (args, extra) => {
+        wrapToolHandler("get-operation", async (args, extra) => {
             logToolInvocation("get-operation", args, extra);
             const { organization_id, ledger_id, operation_id, account_id } = validateArgs(args, z.object({
                 organization_id: z.string().uuid(),
@@ -320,7 +709,7 @@ export const registerTransactionTools = (server) => {
             // Only attempt real API call if stubs are disabled
             if (!config.useStubs) {
                 try {
-                    const response = await api.operations.get(organization_id, ledger_id, account_id, operation_id);
+                    const response = await api.operations.getByAccount(organization_id, ledger_id, account_id, operation_id);
                     if (response) {
                         operationData = {
                             ...response,
@@ -338,4 +727,504 @@ export const registerTransactionTools = (server) => {
             return operationData;
         })
     );
-}; 
\ No newline at end of file
+
+    // Create transaction from a JSON body tool
+    registerTool(
+        server,
+        "create-transaction-json",
+        "Create a transaction from send/distribute legs. Always run with dry_run=true first: the preview shows the exact body, checks that both sides balance, and returns a preview_token. Executing requires write access to be enabled in the server config and the preview_token passed back as confirm_token. Before anything is written, the user approves the change through MCP elicitation; clients without elicitation support cannot write.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            send: transactionSendSchema.describe("Total value, asset and the source legs it is taken from"),
+            distribute: transactionDistributeSchema.describe("Destination legs the value is credited to"),
+            description: z.string().max(256).optional().describe("Transaction description"),
+            code: z.string().max(100).optional().describe("Transaction code for your own reference"),
+            pending: z.boolean().optional().describe("Create as a pending transaction that must be committed or reverted later"),
+            chart_of_accounts_group_name: z.string().optional().describe("Chart of accounts group name"),
+            metadata: z.record(z.any()).optional().describe("Transaction metadata"),
+            dry_run: z.boolean().optional().default(true).describe("Preview only (default). Set to false together with confirm_token to post the transaction"),
+            confirm_token: z.string().optional().describe("preview_token returned by the dry run of this exact request"),
+            idempotency_key: z.string().min(1).max(128).optional().describe("Key identifying this transaction; repeating a call with the same key returns the first result instead of posting again"),
+        },
+        wrapToolHandler("create-transaction-json", async (args, extra) => {
+            logToolInvocation("create-transaction-json", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                send: transactionSendSchema,
+                distribute: transactionDistributeSchema,
+                description: z.string().max(256).optional(),
+                code: z.string().max(100).optional(),
+                pending: z.boolean().optional(),
+                chart_of_accounts_group_name: z.string().optional(),
+                metadata: z.record(z.any()).optional(),
+                dry_run: z.boolean().optional().default(true),
+                confirm_token: z.string().optional(),
+                idempotency_key: z.string().min(1).max(128).optional()
+            }));
+            const { organization_id, ledger_id, dry_run, confirm_token, idempotency_key } = validatedArgs;
+
+            const body = buildTransactionBody(validatedArgs);
+            const validation = validateTransactionBody(body);
+            const request = { organization_id, ledger_id, body };
+            const change = describeChange({
+                operation: "create",
+                target: `transactions/(new) in ledger ${ledger_id} of organization ${organization_id}`,
+                proposed: body
+            });
+
+            if (dry_run) {
+                return {
+                    mode: "dry_run",
+                    endpoint: `POST /v1/organizations/${organization_id}/ledgers/${ledger_id}/transactions/json`,
+                    body,
+                    validation,
+                    simulation: validation.valid ? await runSimulation(organization_id, ledger_id, body) : null,
+                    change: change.text,
+                    preview_token: validation.valid ? createPreviewToken("create-transaction-json", request, getClientIdentity(extra)) : null,
+                    writes_enabled: isWriteEnabled(),
+                    next_step: validation.valid
+                        ? "Review the body, then call again with dry_run=false and confirm_token set to preview_token"
+                        : "Fix the validation errors and run the dry run again"
+                };
+            }
+
+            assertWriteAccess("create-transaction-json", request, confirm_token, getClientIdentity(extra));
+            if (!validation.valid) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, "Transaction is not balanced", { errors: validation.errors });
+            }
+            await approveWrite(server, extra, "create-transaction-json", change);
+
+            const response = await api.transactions.create(organization_id, ledger_id, body, { idempotencyKey: idempotency_key });
+            createAuditLog({
+                type: "transaction_write",
+                tool: "create-transaction-json",
+                organization_id,
+                ledger_id,
+                transaction_id: response?.id,
+                asset: body.send.asset,
+                value: body.send.value,
+                scale: body.send.scale
+            });
+
+            return {
+                mode: "execute",
+                transaction: { ...response, organization_id, ledger_id }
+            };
+        })
+    );
+
+    // Create transaction from a DSL script tool
+    registerTool(
+        server,
+        "create-transaction-dsl",
+        "Create a transaction from a Midaz transaction DSL (gold) script. Always run with dry_run=true first to get a preview_token. Executing requires write access to be enabled in the server config and the preview_token passed back as confirm_token. Before anything is written, the user approves the change through MCP elicitation; clients without elicitation support cannot write.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            dsl: z.string().min(1).max(65536).describe("Transaction DSL script"),
+            dry_run: z.boolean().optional().default(true).describe("Preview only (default). Set to false together with confirm_token to post the transaction"),
+            confirm_token: z.string().optional().describe("preview_token returned by the dry run of this exact script"),
+            idempotency_key: z.string().min(1).max(128).optional().describe("Key identifying this transaction; repeating a call with the same key returns the first result instead of posting again"),
+        },
+        wrapToolHandler("create-transaction-dsl", async (args, extra) => {
+            logToolInvocation("create-transaction-dsl", args, extra);
+            const { organization_id, ledger_id, dsl, dry_run, confirm_token, idempotency_key } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                dsl: z.string().min(1).max(65536),
+                dry_run: z.boolean().optional().default(true),
+                confirm_token: z.string().optional(),
+                idempotency_key: z.string().min(1).max(128).optional()
+            }));
+
+            const request = { organization_id, ledger_id, dsl };
+            const validation = validateTransactionDsl(dsl);
+            const change = describeChange({
+                operation: "create",
+                target: `transactions/(new) in ledger ${ledger_id} of organization ${organization_id}`,
+                proposed: validation.body
+            });
+
+            if (dry_run) {
+                return {
+                    mode: "dry_run",
+                    endpoint: `POST /v1/organizations/${organization_id}/ledgers/${ledger_id}/transactions/dsl`,
+                    script: dsl,
+                    lines: dsl.split("\n").length,
+                    validation: {
+                        valid: validation.valid,
+                        errors: validation.errors,
+                        warnings: validation.warnings,
+                        balance: validation.balance
+                    },
+                    equivalent_json: validation.body,
+                    change: change.text,
+                    preview_token: validation.valid ? createPreviewToken("create-transaction-dsl", request, getClientIdentity(extra)) : null,
+                    writes_enabled: isWriteEnabled(),
+                    next_step: validation.valid
+                        ? "Review the script, then call again with dry_run=false and confirm_token set to preview_token"
+                        : "Fix the script errors and run the dry run again"
+                };
+            }
+
+            assertWriteAccess("create-transaction-dsl", request, confirm_token, getClientIdentity(extra));
+            if (!validation.valid) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, "Transaction DSL is invalid", { errors: validation.errors });
+            }
+            await approveWrite(server, extra, "create-transaction-dsl", change);
+
+            const response = await api.transactions.createDSL(organization_id, ledger_id, dsl, { idempotencyKey: idempotency_key });
+            createAuditLog({
+                type: "transaction_write",
+                tool: "create-transaction-dsl",
+                organization_id,
+                ledger_id,
+                transaction_id: response?.id
+            });
+
+            return {
+                mode: "execute",
+                transaction: { ...response, organization_id, ledger_id }
+            };
+        })
+    );
+
+    // Import transactions from a file tool
+    registerTool(
+        server,
+        "import-transactions",
+        "Import transactions from a CSV or JSONL file in the server's import directory. A column mapping turns each record into a Midaz JSON transaction: transfer rows (from, to, amount) or journal lines (account with debit/credit, combined by a group column). Every transaction is checked first (asset exists, accounts resolve by alias or ID, legs balance) and a per-row result file is written. Always run with dry_run=true first to get a preview_token; posting requires write access and the token as confirm_token. Posts are idempotent per row, so a failed import can be resumed with start_row. Before anything is written, the user approves the change through MCP elicitation; clients without elicitation support cannot write.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            file_name: z.string().describe("File name inside the import directory"),
+            format: z.enum(["auto", "csv", "jsonl"]).optional().default("auto").describe("File format; auto treats files starting with { as JSONL"),
+            mapping: importMappingSchema.describe("Which column holds each transaction field"),
+            asset_code: z.string().optional().describe("Asset code for every transaction when the file has no asset column"),
+            decimal_separator: z.enum([".", ","]).optional().default(".").describe("Decimal separator used in amount columns"),
+            start_row: z.number().optional().default(1).describe("First data row to import (1 = first row after the header); use next_start_row from a previous run to resume"),
+            max_transactions: z.number().optional().default(500).describe("Maximum number of transactions to handle in this call (max 5000)"),
+            batch_size: z.number().optional().default(20).describe("Transactions posted concurrently per batch (max 100)"),
+            skip_invalid: z.boolean().optional().default(false).describe("Post the valid transactions and skip invalid ones instead of refusing the import"),
+            stop_on_error: z.boolean().optional().default(true).describe("Stop after the batch in which a post fails"),
+            dry_run: z.boolean().optional().default(true).describe("Validate only (default). Set to false together with confirm_token to post the transactions"),
+            confirm_token: z.string().optional().describe("preview_token returned by the dry run of this exact import"),
+        },
+        wrapToolHandler("import-transactions", async (args, extra) => {
+            logToolInvocation("import-transactions", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                file_name: z.string().min(1).max(255),
+                format: z.enum(["auto", "csv", "jsonl"]).optional().default("auto"),
+                mapping: importMappingSchema,
+                asset_code: z.string().min(1).optional(),
+                decimal_separator: z.enum([".", ","]).optional().default("."),
+                start_row: z.number().int().min(1).optional().default(1),
+                max_transactions: z.number().int().min(1).max(5000).optional().default(500),
+                batch_size: z.number().int().min(1).max(100).optional().default(20),
+                skip_invalid: z.boolean().optional().default(false),
+                stop_on_error: z.boolean().optional().default(true),
+                dry_run: z.boolean().optional().default(true),
+                confirm_token: z.string().optional()
+            }));
+            const {
+                organization_id, ledger_id, file_name, format, mapping, asset_code, decimal_separator,
+                start_row, max_transactions, batch_size, skip_invalid, stop_on_error, dry_run, confirm_token
+            } = validatedArgs;
+
+            let style;
+            try {
+                style = getMappingStyle(mapping);
+            } catch (error) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, error.message, { mapping });
+            }
+
+            const importDir = resolveImportDir(config.importDir);
+            const filePath = path.resolve(importDir, file_name);
+            if (path.dirname(filePath) !== importDir) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, "file_name must name a file directly inside the import directory", { import_dir: importDir });
+            }
+            if (!fs.existsSync(filePath)) {
+                throw createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Import file not found: ${file_name}`, { import_dir: importDir });
+            }
+            const bytes = fs.statSync(filePath).size;
+            if (bytes > MAX_IMPORT_BYTES) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, `Import file is larger than ${MAX_IMPORT_BYTES} bytes; split it into smaller files`, { bytes });
+            }
+
+            const content = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+            const fileHash = crypto.createHash("sha256").update(content).digest("hex");
+            const parsed = parseImportFile(content, format);
+            const entries = [
+                ...buildImportEntries(parsed.records, mapping, { assetCode: asset_code, decimalSeparator: decimal_separator, source: file_name }),
+                ...parsed.errors.map(({ row, errors }) => ({ key: `row-${row}`, rows: [row], first_row: row, asset: null, accounts: [], body: null, validation: null, errors }))
+            ].sort((a, b) => a.first_row - b.first_row);
+
+            // Resume from start_row and cap the work done per call
+            const pending = entries.filter(entry => entry.first_row >= start_row);
+            const selected = pending.slice(0, max_transactions);
+            const nextStartRow = pending.length > selected.length ? pending[selected.length].first_row : null;
+
+            const warnings = [];
+            if (config.useStubs) {
+                warnings.push("Stub mode is enabled: assets and accounts were not checked against the ledger");
+            } else {
+                await checkImportReferences(organization_id, ledger_id, selected);
+            }
+            const invalid = selected.filter(entry => entry.errors.length > 0);
+
+            const request = {
+                organization_id,
+                ledger_id,
+                file: file_name,
+                file_hash: fileHash,
+                format: parsed.format,
+                mapping,
+                asset_code,
+                decimal_separator,
+                start_row,
+                max_transactions,
+                skip_invalid
+            };
+            const resultRow = (entry, status, details = {}) => ({
+                row: entry.first_row,
+                rows: entry.rows.join(" "),
+                group: entry.key,
+                status,
+                asset: entry.asset,
+                value: entry.body?.send.value ?? null,
+                scale: entry.body?.send.scale ?? null,
+                transaction_id: null,
+                ...details,
+                errors: entry.errors.join("; ") || null
+            });
+            const writeResults = (mode, rows) => writeExportFile(
+                importDir,
+                `${path.parse(file_name).name}.${mode}-${new Date().toISOString().replace(/[:.]/g, "-")}.results`,
+                rows,
+                "jsonl"
+            );
+            const fileSummary = { name: file_name, format: parsed.format, bytes, sha256: fileHash, records: parsed.records.length + parsed.errors.length };
+            const change = describeChange({
+                operation: "create",
+                target: `transactions/(new) in ledger ${ledger_id} of organization ${organization_id}`,
+                proposed: {
+                    file: file_name,
+                    sha256: fileHash,
+                    transactions: selected.length - invalid.length,
+                    skipped_invalid: invalid.length,
+                    rows: selected.length > 0 ? `${selected[0].first_row}-${selected[selected.length - 1].first_row}` : null
+                }
+            });
+
+            if (dry_run) {
+                const ready = selected.length > invalid.length && (invalid.length === 0 || skip_invalid);
+                const results = writeResults("dry_run", selected.map(entry => resultRow(entry, entry.errors.length > 0 ? "invalid" : "valid")));
+
+                return {
+                    mode: "dry_run",
+                    endpoint: `POST /v1/organizations/${organization_id}/ledgers/${ledger_id}/transactions/json`,
+                    file: fileSummary,
+                    style,
+                    transactions: selected.length,
+                    valid: selected.length - invalid.length,
+                    invalid: invalid.length,
+                    next_start_row: nextStartRow,
+                    invalid_samples: invalid.slice(0, 20).map(entry => ({ rows: entry.rows, group: entry.key, errors: entry.errors })),
+                    sample_body: selected.find(entry => entry.errors.length === 0)?.body ?? null,
+                    result_file: results.path,
+                    warnings,
+                    change: change.text,
+                    preview_token: ready ? createPreviewToken("import-transactions", request, getClientIdentity(extra)) : null,
+                    writes_enabled: isWriteEnabled(),
+                    next_step: ready
+                        ? "Review the result file, then call again with dry_run=false and confirm_token set to preview_token"
+                        : "Fix the invalid rows (or set skip_invalid=true) and run the dry run again"
+                };
+            }
+
+            assertWriteAccess("import-transactions", request, confirm_token, getClientIdentity(extra));
+            if (invalid.length > 0 && !skip_invalid) {
+                throw createErrorResponse(ErrorCodes.INVALID_PARAMS, `${invalid.length} transaction(s) in the import are invalid`, {
+                    invalid_samples: invalid.slice(0, 20).map(entry => ({ rows: entry.rows, errors: entry.errors }))
+                });
+            }
+            await approveWrite(server, extra, "import-transactions", change);
+
+            // Post in batches; idempotency keys make re-running an import safe
+            const scope = { organization_id, ledger_id, file_hash: fileHash };
+            const posted = new Map();
+            const valid = selected.filter(entry => entry.errors.length === 0);
+            for (let index = 0; index < valid.length; index += batch_size) {
+                const batch = valid.slice(index, index + batch_size);
+                await Promise.all(batch.map(async (entry) => {
+                    try {
+                        const response = await api.transactions.create(organization_id, ledger_id, entry.body, { idempotencyKey: importIdempotencyKey(scope, entry) });
+                        posted.set(entry, resultRow(entry, "created", { transaction_id: response?.id ?? null }));
+                    } catch (error) {
+                        console.error(`Error importing rows ${entry.rows.join(",")} of ${file_name}: ${error.message}`);
+                        posted.set(entry, resultRow(entry, "failed", { error: error.message }));
+                    }
+                }));
+                if (stop_on_error && batch.some(entry => posted.get(entry).status === "failed")) {
+                    break;
+                }
+            }
+
+            const rows = selected.map(entry => posted.get(entry) || resultRow(entry, entry.errors.length > 0 ? "skipped" : "not_attempted"));
+            const counts = { created: 0, failed: 0, skipped: 0, not_attempted: 0 };
+            rows.forEach(row => counts[row.status]++);
+            const resumeRow = rows.find(row => row.status === "failed" || row.status === "not_attempted")?.row ?? nextStartRow;
+            const results = writeResults("import", rows);
+
+            createAuditLog({
+                type: "transaction_import",
+                tool: "import-transactions",
+                user: getClientIdentity(extra),
+                organization_id,
+                ledger_id,
+                file: file_name,
+                file_hash: fileHash,
+                start_row,
+                ...counts,
+                result_file: results.path
+            });
+
+            return {
+                mode: "execute",
+                file: fileSummary,
+                transactions: selected.length,
+                ...counts,
+                next_start_row: resumeRow,
+                failures: rows.filter(row => row.status === "failed").slice(0, 20).map(row => ({ rows: row.rows, error: row.error })),
+                result_file: results.path,
+                warnings
+            };
+        })
+    );
+
+    // Validate transaction DSL tool
+    registerTool(
+        server,
+        "validate-transaction-dsl",
+        "Parse and lint a Midaz transaction DSL (gold) script locally, without calling the ledger. Reports syntax errors with line/column, checks that source and distribute legs add up to the send value, and returns the equivalent JSON body for create-transaction-json.",
+        {
+            dsl: z.string().min(1).max(65536).describe("Transaction DSL script"),
+            variables: z.record(z.union([z.string(), z.number()])).optional().describe("Values for $variables used in the script, e.g. {\"amount\": 10000}"),
+            include_ast: z.boolean().optional().default(false).describe("Include the parsed syntax tree in the result"),
+        },
+        wrapToolHandler("validate-transaction-dsl", async (args, extra) => {
+            logToolInvocation("validate-transaction-dsl", args, extra);
+            const { dsl, variables, include_ast } = validateArgs(args, z.object({
+                dsl: z.string().min(1).max(65536),
+                variables: z.record(z.union([z.string(), z.number()])).optional(),
+                include_ast: z.boolean().optional().default(false)
+            }));
+
+            const validation = validateTransactionDsl(dsl, variables);
+
+            return {
+                valid: validation.valid,
+                errors: validation.errors,
+                warnings: validation.warnings,
+                balance: validation.balance,
+                equivalent_json: validation.body,
+                ...(include_ast && { ast: validation.ast })
+            };
+        })
+    );
+
+    // Simulate transaction tool
+    registerTool(
+        server,
+        "simulate-transaction",
+        "Simulate a proposed transaction offline: apply its legs in memory to the current balances (fetched from the ledger and/or supplied) and return projected available/onHold per account. Flags overdrafts, asset mismatches, disabled sending/receiving and unbalanced legs. Nothing is posted.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            transaction: z.record(z.any()).optional().describe("Midaz JSON transaction body (as sent to /transactions/json). Provide this or dsl"),
+            dsl: z.string().max(65536).optional().describe("Transaction DSL script. Provide this or transaction"),
+            balances: z.array(simulationBalanceSchema).optional().describe("Known balances; these override balances fetched from the ledger"),
+            fetch_balances: z.boolean().optional().default(true).describe("Fetch current balances of the involved accounts from the ledger"),
+        },
+        wrapToolHandler("simulate-transaction", async (args, extra) => {
+            logToolInvocation("simulate-transaction", args, extra);
+            const { organization_id, ledger_id, transaction, dsl, balances, fetch_balances } = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                transaction: z.record(z.any()).optional(),
+                dsl: z.string().max(65536).optional(),
+                balances: z.array(simulationBalanceSchema).optional(),
+                fetch_balances: z.boolean().optional().default(true)
+            }).refine(value => Boolean(value.transaction) !== Boolean(value.dsl), {
+                message: "Provide exactly one of transaction or dsl"
+            }));
+
+            let body = transaction;
+            if (dsl) {
+                const parsed = validateTransactionDsl(dsl);
+                if (!parsed.body) {
+                    return { valid: false, issues: parsed.errors, accounts: [] };
+                }
+                body = parsed.body;
+            }
+
+            return runSimulation(organization_id, ledger_id, body, balances || [], fetch_balances);
+        })
+    );
+
+    // Commit pending transaction tool
+    registerTool(
+        server,
+        "commit-transaction",
+        "Commit a pending transaction so its held amounts are settled to the destination accounts. Run with dry_run=true first to see the affected accounts and their current balances; executing requires write access and the returned preview_token as confirm_token. The result includes before/after balances of every affected account. Before anything is written, the user approves the change through MCP elicitation; clients without elicitation support cannot write.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            id: z.string().uuid().describe("Transaction ID in UUID format"),
+            dry_run: z.boolean().optional().default(true).describe("Preview only (default). Set to false together with confirm_token to commit the transaction"),
+            confirm_token: z.string().optional().describe("preview_token returned by the dry run"),
+        },
+        wrapToolHandler("commit-transaction", async (args, extra) => {
+            logToolInvocation("commit-transaction", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                id: z.string().uuid(),
+                dry_run: z.boolean().optional().default(true),
+                confirm_token: z.string().optional()
+            }));
+
+            return runLifecycleAction("commit", "commit-transaction", validatedArgs, server, extra);
+        })
+    );
+
+    // Revert transaction tool
+    registerTool(
+        server,
+        "revert-transaction",
+        "Revert a transaction, reversing or releasing its amounts. Run with dry_run=true first to see the affected accounts and their current balances; executing requires write access and the returned preview_token as confirm_token. The result includes before/after balances of every affected account. Before anything is written, the user approves the change through MCP elicitation; clients without elicitation support cannot write.",
+        {
+            organization_id: z.string().uuid().describe("Organization ID in UUID format"),
+            ledger_id: z.string().uuid().describe("Ledger ID in UUID format"),
+            id: z.string().uuid().describe("Transaction ID in UUID format"),
+            dry_run: z.boolean().optional().default(true).describe("Preview only (default). Set to false together with confirm_token to revert the transaction"),
+            confirm_token: z.string().optional().describe("preview_token returned by the dry run"),
+        },
+        wrapToolHandler("revert-transaction", async (args, extra) => {
+            logToolInvocation("revert-transaction", args, extra);
+            const validatedArgs = validateArgs(args, z.object({
+                organization_id: z.string().uuid(),
+                ledger_id: z.string().uuid(),
+                id: z.string().uuid(),
+                dry_run: z.boolean().optional().default(true),
+                confirm_token: z.string().optional()
+            }));
+
+            return runLifecycleAction("revert", "revert-transaction", validatedArgs, server, extra);
+        })
+    );
+};
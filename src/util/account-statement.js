@@ -0,0 +1,226 @@
+/**
+ * Account statement utilities
+ *
+ * Builds a statement for one account and asset over a date range. The API only
+ * exposes the current balance, so the closing balance is derived by backing out
+ * every operation posted after the period, and the opening balance by backing
+ * out the operations inside the period. Running balances are then replayed
+ * forward from the opening balance.
+ */
+
+import { normalizeBalance } from './balance-snapshot.js';
+import { normalizeOperation } from './ledger-integrity.js';
+import { rescaleAmount } from './transaction-payload.js';
+
+/**
+ * Format an amount in minor units as a decimal string
+ * @param {number} value - Amount in minor units
+ * @param {number} scale - Decimal scale
+ * @returns {string} Decimal representation, e.g. 1234.56
+ */
+export function formatMinorUnits(value, scale) {
+    if (!scale) {
+        return String(value);
+    }
+
+    const sign = value < 0 ? '-' : '';
+    const digits = String(Math.abs(value)).padStart(scale + 1, '0');
+    return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+}
+
+/**
+ * Effect of one operation on the available and on-hold amounts of a balance
+ * @param {Object} operation - Normalized operation, already in the statement scale
+ * @returns {Object} { available, on_hold }
+ */
+function operationEffect(operation) {
+    switch (operation.type) {
+        case 'credit': return { available: operation.value, on_hold: 0 };
+        case 'debit': return { available: -operation.value, on_hold: 0 };
+        case 'on_hold': return { available: -operation.value, on_hold: operation.value };
+        case 'release': return { available: operation.value, on_hold: -operation.value };
+        default: return { available: 0, on_hold: 0 };
+    }
+}
+
+/**
+ * Sum the effect of a list of operations
+ * @param {Array<Object>} operations - Normalized operations
+ * @returns {Object} { available, on_hold }
+ */
+function totalEffect(operations) {
+    return operations.reduce((total, operation) => {
+        const effect = operationEffect(operation);
+        return { available: total.available + effect.available, on_hold: total.on_hold + effect.on_hold };
+    }, { available: 0, on_hold: 0 });
+}
+
+/**
+ * Build an account statement
+ * @param {Object} input - Statement input
+ * @param {Object} input.account - Account as returned by the API
+ * @param {Array<Object>} input.balances - Current balances of the account as returned by the API
+ * @param {Array<Object>} input.operations - Account operations from start_date up to now
+ * @param {string} [input.assetCode] - Asset to report on (defaults to the account asset)
+ * @param {string} [input.startDate] - First day of the period (YYYY-MM-DD)
+ * @param {string} [input.endDate] - Last day of the period (YYYY-MM-DD)
+ * @returns {Object} Statement with opening, closing and running balances in minor units
+ */
+export function buildAccountStatement({ account, balances, operations, assetCode, startDate, endDate }) {
+    const asset = assetCode || account?.assetCode || balances[0]?.assetCode;
+    const assetBalances = balances.map(normalizeBalance).filter(balance => balance.asset_code === asset);
+    const assetOperations = operations
+        .map(normalizeOperation)
+        .filter(operation => !operation.asset_code || operation.asset_code === asset)
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+    const scale = Math.max(
+        0,
+        ...assetBalances.map(balance => balance.scale),
+        ...assetOperations.map(operation => operation.scale)
+    );
+    const scaled = assetOperations.map(operation => ({ ...operation, value: rescaleAmount(operation.value, operation.scale, scale) }));
+
+    const current = assetBalances.reduce((total, balance) => ({
+        available: total.available + rescaleAmount(balance.available, balance.scale, scale),
+        on_hold: total.on_hold + rescaleAmount(balance.on_hold, balance.scale, scale),
+    }), { available: 0, on_hold: 0 });
+
+    const isAfterPeriod = operation => endDate && operation.created_at && operation.created_at.slice(0, 10) > endDate;
+    const isBeforePeriod = operation => startDate && operation.created_at && operation.created_at.slice(0, 10) < startDate;
+    const afterPeriod = scaled.filter(isAfterPeriod);
+    const inPeriod = scaled.filter(operation => !isAfterPeriod(operation) && !isBeforePeriod(operation));
+
+    const afterEffect = totalEffect(afterPeriod);
+    const closing = { available: current.available - afterEffect.available, on_hold: current.on_hold - afterEffect.on_hold };
+    const periodEffect = totalEffect(inPeriod);
+    const opening = { available: closing.available - periodEffect.available, on_hold: closing.on_hold - periodEffect.on_hold };
+
+    const running = { ...opening };
+    const entries = inPeriod.map(operation => {
+        const effect = operationEffect(operation);
+        running.available += effect.available;
+        running.on_hold += effect.on_hold;
+
+        return {
+            date: operation.created_at,
+            operation_id: operation.id,
+            transaction_id: operation.transaction_id,
+            type: operation.type,
+            description: operation.description,
+            debit: effect.available < 0 ? -effect.available : 0,
+            credit: effect.available > 0 ? effect.available : 0,
+            available: running.available,
+            on_hold: running.on_hold,
+        };
+    });
+
+    return {
+        account: {
+            id: account?.id || null,
+            alias: account?.alias || null,
+            name: account?.name || null,
+        },
+        asset_code: asset || null,
+        scale,
+        period: { start_date: startDate || null, end_date: endDate || null },
+        opening_balance: opening,
+        closing_balance: closing,
+        current_balance: current,
+        totals: {
+            operations: entries.length,
+            debits: entries.reduce((sum, entry) => sum + entry.debit, 0),
+            credits: entries.reduce((sum, entry) => sum + entry.credit, 0),
+        },
+        entries,
+    };
+}
+
+/**
+ * Flatten a statement into rows with decimal amounts, for CSV and markdown output
+ * Notes (sample data, truncation) come first, then the opening balance, the
+ * entries and the closing balance, each as their own row.
+ * @param {Object} statement - Statement from buildAccountStatement
+ * @param {Array<string>} [notes] - Notes about the data the statement was built from
+ * @returns {Array<Object>} Rows
+ */
+export function statementToRows(statement, notes = []) {
+    const amount = value => formatMinorUnits(value, statement.scale);
+    const noteRow = note => ({
+        date: '',
+        type: 'note',
+        description: note,
+        operation_id: '',
+        transaction_id: '',
+        debit: '',
+        credit: '',
+        available: '',
+        on_hold: '',
+    });
+    const balanceRow = (type, date, balance) => ({
+        date: date || '',
+        type,
+        description: '',
+        operation_id: '',
+        transaction_id: '',
+        debit: '',
+        credit: '',
+        available: amount(balance.available),
+        on_hold: amount(balance.on_hold),
+    });
+
+    return [
+        ...notes.map(noteRow),
+        balanceRow('opening_balance', statement.period.start_date, statement.opening_balance),
+        ...statement.entries.map(entry => ({
+            date: entry.date || '',
+            type: entry.type,
+            description: entry.description || '',
+            operation_id: entry.operation_id || '',
+            transaction_id: entry.transaction_id || '',
+            debit: entry.debit ? amount(entry.debit) : '',
+            credit: entry.credit ? amount(entry.credit) : '',
+            available: amount(entry.available),
+            on_hold: amount(entry.on_hold),
+        })),
+        balanceRow('closing_balance', statement.period.end_date, statement.closing_balance),
+    ];
+}
+
+/**
+ * Render a statement as a markdown document
+ * @param {Object} statement - Statement from buildAccountStatement
+ * @returns {string} Markdown
+ */
+export function statementToMarkdown(statement) {
+    const amount = value => formatMinorUnits(value, statement.scale);
+    const { account, period } = statement;
+    const cell = value => String(value).replace(/\|/g, '\\|');
+
+    const lines = [
+        `# Account Statement: ${account.alias || account.name || account.id}`,
+        '',
+        `- **Account**: ${account.name || '-'} (${account.id || '-'})`,
+        `- **Asset**: ${statement.asset_code}`,
+        `- **Period**: ${period.start_date || 'beginning'} to ${period.end_date || 'today'}`,
+        `- **Opening balance**: ${amount(statement.opening_balance.available)} (on hold ${amount(statement.opening_balance.on_hold)})`,
+        `- **Closing balance**: ${amount(statement.closing_balance.available)} (on hold ${amount(statement.closing_balance.on_hold)})`,
+        `- **Debits**: ${amount(statement.totals.debits)} | **Credits**: ${amount(statement.totals.credits)} | **Operations**: ${statement.totals.operations}`,
+        '',
+        '| Date | Type | Description | Debit | Credit | Available | On hold |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+    ];
+
+    for (const row of statementToRows(statement)) {
+        lines.push(`| ${[row.date, row.type, row.description, row.debit, row.credit, row.available, row.on_hold].map(cell).join(' | ')} |`);
+    }
+
+    return lines.join('\n');
+}
+
+export default {
+    formatMinorUnits,
+    buildAccountStatement,
+    statementToRows,
+    statementToMarkdown,
+};
@@ -0,0 +1,464 @@
+/**
+ * Anomaly detection over ledger transactions
+ * Flags transactions that stand out for their account, so a reviewer can start
+ * from a short list of suspects instead of the full transaction history.
+ *
+ * - Amount outliers: an account's operation amounts, per asset
+ * - Frequency outliers: an account's transactions per day
+ * - Balance swings: a day's net change against the balance before it, with
+ *   balances replayed backwards from the current balance
+ * - Odd hours: transactions created inside a configurable night window
+ * - Round trips: A pays B and B pays A back a similar amount shortly after
+ *
+ * Outliers are scored with z-scores or Tukey's IQR fences; only the high side
+ * is flagged. Only the ledger's own accounts are profiled, not @external ones.
+ */
+
+import { ErrorSeverity } from './error-monitoring.js';
+import { collectFlows, scaleFlows, isOnAccount } from './transaction-analytics.js';
+import { formatMinorUnits } from './account-statement.js';
+
+/**
+ * Anomaly types
+ */
+export const AnomalyType = {
+    AMOUNT_OUTLIER: 'amount_outlier',
+    FREQUENCY_OUTLIER: 'frequency_outlier',
+    BALANCE_SWING: 'balance_swing',
+    ODD_HOUR: 'odd_hour',
+    ROUND_TRIP: 'round_trip'
+};
+
+/**
+ * Default detection thresholds
+ */
+export const AnomalyThresholds = {
+    METHOD: 'iqr', // zscore, iqr or either
+    Z_SCORE: 3,
+    IQR_MULTIPLIER: 1.5,
+    MIN_SAMPLES: 5, // values needed before an account is profiled
+    BALANCE_SWING_RATIO: 0.5, // day's net change as a share of the balance before it
+    ODD_HOUR_START: 0, // inclusive, local hour
+    ODD_HOUR_END: 5, // exclusive, local hour
+    UTC_OFFSET: 0, // hours added to UTC to get local time
+    ROUND_TRIP_WINDOW_HOURS: 72,
+    ROUND_TRIP_TOLERANCE: 0.05 // relative amount difference
+};
+
+const SEVERITY_RANK = [ErrorSeverity.CRITICAL, ErrorSeverity.HIGH, ErrorSeverity.MEDIUM, ErrorSeverity.LOW];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Round to 2 decimal places
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Descriptive statistics of a list of numbers
+ * Quartiles use linear interpolation; the standard deviation is the population one.
+ * @param {Array<number>} values - Values
+ * @returns {Object} { count, mean, std_dev, q1, median, q3, iqr }
+ */
+export function describeValues(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const count = sorted.length;
+    if (count === 0) {
+        return { count: 0, mean: 0, std_dev: 0, q1: 0, median: 0, q3: 0, iqr: 0 };
+    }
+
+    const quantile = (p) => {
+        const position = (count - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+    const q1 = quantile(0.25);
+    const q3 = quantile(0.75);
+
+    return { count, mean, std_dev: Math.sqrt(variance), q1, median: quantile(0.5), q3, iqr: q3 - q1 };
+}
+
+/**
+ * Anomaly detector over account flows
+ */
+export class AnomalyDetector {
+    constructor(options = {}) {
+        this.method = options.method || AnomalyThresholds.METHOD;
+        this.zScore = options.zScore ?? AnomalyThresholds.Z_SCORE;
+        this.iqrMultiplier = options.iqrMultiplier ?? AnomalyThresholds.IQR_MULTIPLIER;
+        this.minSamples = options.minSamples ?? AnomalyThresholds.MIN_SAMPLES;
+        this.balanceSwingRatio = options.balanceSwingRatio ?? AnomalyThresholds.BALANCE_SWING_RATIO;
+        this.oddHourStart = options.oddHourStart ?? AnomalyThresholds.ODD_HOUR_START;
+        this.oddHourEnd = options.oddHourEnd ?? AnomalyThresholds.ODD_HOUR_END;
+        this.utcOffset = options.utcOffset ?? AnomalyThresholds.UTC_OFFSET;
+        this.roundTripWindowHours = options.roundTripWindowHours ?? AnomalyThresholds.ROUND_TRIP_WINDOW_HOURS;
+        this.roundTripTolerance = options.roundTripTolerance ?? AnomalyThresholds.ROUND_TRIP_TOLERANCE;
+
+        // Initialize metrics
+        this.metrics = {
+            anomalies: new Map(),
+            profiledAccounts: 0
+        };
+    }
+
+    /**
+     * Thresholds in effect, as reported back to callers
+     */
+    getThresholds() {
+        return {
+            method: this.method,
+            z_score: this.zScore,
+            iqr_multiplier: this.iqrMultiplier,
+            min_samples: this.minSamples,
+            balance_swing_ratio: this.balanceSwingRatio,
+            odd_hours: { start: this.oddHourStart, end: this.oddHourEnd, utc_offset: this.utcOffset },
+            round_trip_window_hours: this.roundTripWindowHours,
+            round_trip_tolerance: this.roundTripTolerance
+        };
+    }
+
+    /**
+     * Score a value against its account's statistics
+     * With the IQR method, a series whose middle half is identical (IQR of 0)
+     * falls back to the z-score so sparse accounts can still be flagged.
+     * @returns {Object|null} Score details when the value is a high outlier
+     */
+    scoreOutlier(value, stats) {
+        const zScore = stats.std_dev > 0 ? (value - stats.mean) / stats.std_dev : 0;
+        const upperFence = stats.q3 + this.iqrMultiplier * stats.iqr;
+        const zFlag = zScore >= this.zScore;
+        const iqrFlag = stats.iqr > 0 ? value > upperFence : zFlag;
+
+        const flagged = this.method === 'zscore' ? zFlag
+            : this.method === 'either' ? zFlag || iqrFlag
+                : iqrFlag;
+        return flagged ? { z_score: round(zScore), upper_fence: upperFence, mean: stats.mean, median: stats.median } : null;
+    }
+
+    /**
+     * Record an anomaly in the metrics and return it
+     */
+    record(anomaly) {
+        const key = `${anomaly.type}:${anomaly.severity}`;
+        this.metrics.anomalies.set(key, (this.metrics.anomalies.get(key) || 0) + 1);
+        return anomaly;
+    }
+
+    /**
+     * Operation amounts far above the account's usual amounts
+     */
+    detectAmountOutliers(flows, scales) {
+        const anomalies = [];
+        for (const [, series] of groupFlows(flows, flow => `${flow.account}\u0000${flow.asset_code}`)) {
+            if (series.length < this.minSamples) continue;
+            this.metrics.profiledAccounts++;
+
+            const stats = describeValues(series.map(flow => flow.value));
+            for (const flow of series) {
+                const score = this.scoreOutlier(flow.value, stats);
+                if (!score) continue;
+
+                const scale = scales.get(flow.asset_code);
+                anomalies.push(this.record({
+                    type: AnomalyType.AMOUNT_OUTLIER,
+                    severity: score.z_score >= 2 * this.zScore ? ErrorSeverity.HIGH : ErrorSeverity.MEDIUM,
+                    account: flow.account,
+                    asset_code: flow.asset_code,
+                    transaction_ids: [flow.transaction_id],
+                    date: flow.date,
+                    amount: formatMinorUnits(flow.value, scale),
+                    reason: `${flow.direction === 'in' ? 'Credit' : 'Debit'} of ${formatMinorUnits(flow.value, scale)} ${flow.asset_code} against a median of ${decimal(stats.median, scale)} over ${stats.count} operations (z-score ${score.z_score})`,
+                    details: {
+                        direction: flow.direction,
+                        z_score: score.z_score,
+                        mean: decimal(stats.mean, scale),
+                        median: decimal(stats.median, scale),
+                        upper_fence: decimal(score.upper_fence, scale),
+                        samples: stats.count
+                    }
+                }));
+            }
+        }
+        return anomalies;
+    }
+
+    /**
+     * Days on which an account made far more transactions than usual
+     * Every day of the analyzed range counts, including days without activity.
+     */
+    detectFrequencyOutliers(flows, days) {
+        const anomalies = [];
+        if (days.length < this.minSamples) return anomalies;
+
+        for (const [account, series] of groupFlows(flows, flow => flow.account)) {
+            const perDay = new Map();
+            for (const flow of series) {
+                const day = String(flow.date || '').slice(0, 10);
+                if (!perDay.has(day)) perDay.set(day, new Set());
+                perDay.get(day).add(flow.transaction_id);
+            }
+
+            const stats = describeValues(days.map(day => perDay.get(day)?.size || 0));
+            for (const day of days) {
+                const count = perDay.get(day)?.size || 0;
+                const score = count > 1 ? this.scoreOutlier(count, stats) : null;
+                if (!score) continue;
+
+                anomalies.push(this.record({
+                    type: AnomalyType.FREQUENCY_OUTLIER,
+                    severity: ErrorSeverity.MEDIUM,
+                    account,
+                    asset_code: null,
+                    transaction_ids: [...perDay.get(day)],
+                    date: day,
+                    amount: null,
+                    reason: `${count} transactions on ${day} against a median of ${round(stats.median)} per day over ${stats.count} days (z-score ${score.z_score})`,
+                    details: { transactions: count, z_score: score.z_score, mean_per_day: round(stats.mean), upper_fence: round(score.upper_fence) }
+                }));
+            }
+        }
+        return anomalies;
+    }
+
+    /**
+     * Days whose net change is large against the balance before them
+     * Balances are replayed backwards from the current balance, so flows after
+     * the analyzed period must be included (no end date in the past). Days
+     * starting from a zero or negative balance have no reference and are skipped.
+     */
+    detectBalanceSwings(flows, scales, balances) {
+        const anomalies = [];
+        const current = new Map();
+        for (const balance of balances) {
+            for (const key of [balance.alias, balance.accountId].filter(Boolean)) {
+                const id = `${key}\u0000${balance.assetCode}`;
+                current.set(id, (current.get(id) || 0) + Number(balance.available ?? 0) / 10 ** (balance.scale ?? 0));
+            }
+        }
+
+        for (const [id, series] of groupFlows(flows, flow => `${flow.account}\u0000${flow.asset_code}`)) {
+            const [account, assetCode] = id.split('\u0000');
+            const available = current.get(id) ?? current.get(`${series[0].account_id}\u0000${assetCode}`);
+            if (available === undefined) continue;
+
+            const scale = scales.get(assetCode);
+            const netPerDay = new Map();
+            for (const flow of series) {
+                const day = String(flow.date || '').slice(0, 10);
+                netPerDay.set(day, (netPerDay.get(day) || 0) + (flow.direction === 'in' ? flow.value : -flow.value));
+            }
+
+            let after = Math.round(available * 10 ** scale);
+            for (const day of [...netPerDay.keys()].sort().reverse()) {
+                const net = netPerDay.get(day);
+                const before = after - net;
+                const ratio = before > 0 ? Math.abs(net) / before : null;
+                if (ratio !== null && ratio >= this.balanceSwingRatio) {
+                    anomalies.push(this.record({
+                        type: AnomalyType.BALANCE_SWING,
+                        severity: ratio >= 1 ? ErrorSeverity.HIGH : ErrorSeverity.MEDIUM,
+                        account,
+                        asset_code: assetCode,
+                        transaction_ids: [...new Set(series.filter(flow => String(flow.date).startsWith(day)).map(flow => flow.transaction_id))],
+                        date: day,
+                        amount: formatMinorUnits(net, scale),
+                        reason: `Balance moved from ${formatMinorUnits(before, scale)} to ${formatMinorUnits(after, scale)} ${assetCode} on ${day} (${round(ratio * 100)}% of the opening balance)`,
+                        details: { balance_before: formatMinorUnits(before, scale), balance_after: formatMinorUnits(after, scale), ratio: round(ratio) }
+                    }));
+                }
+                after = before;
+            }
+        }
+        return anomalies;
+    }
+
+    /**
+     * Transactions created inside the odd-hours window
+     */
+    detectOddHours(flows) {
+        const anomalies = [];
+        for (const [transactionId, legs] of groupFlows(flows, flow => flow.transaction_id)) {
+            const time = Date.parse(legs[0].date);
+            if (Number.isNaN(time)) continue;
+
+            const hour = new Date(time + this.utcOffset * HOUR_MS).getUTCHours();
+            const inWindow = this.oddHourStart <= this.oddHourEnd
+                ? hour >= this.oddHourStart && hour < this.oddHourEnd
+                : hour >= this.oddHourStart || hour < this.oddHourEnd;
+            if (!inWindow) continue;
+
+            const internal = legs.filter(flow => !flow.external);
+            anomalies.push(this.record({
+                type: AnomalyType.ODD_HOUR,
+                severity: ErrorSeverity.LOW,
+                account: (internal[0] || legs[0]).account,
+                asset_code: legs[0].asset_code,
+                transaction_ids: [transactionId],
+                date: legs[0].date,
+                amount: null,
+                reason: `Created at ${String(hour).padStart(2, '0')}h local time (UTC${this.utcOffset >= 0 ? '+' : ''}${this.utcOffset}), inside the ${this.oddHourStart}h-${this.oddHourEnd}h window`,
+                details: { local_hour: hour, accounts: [...new Set(internal.map(flow => flow.account))] }
+            }));
+        }
+        return anomalies;
+    }
+
+    /**
+     * Payments from A to B followed by a similar payment from B back to A
+     * Each payment is matched at most once.
+     */
+    detectRoundTrips(flows, scales) {
+        const payments = [];
+        for (const [transactionId, legs] of groupFlows(flows.filter(flow => !flow.external), flow => flow.transaction_id)) {
+            const time = Date.parse(legs[0].date);
+            for (const debit of legs.filter(flow => flow.direction === 'out')) {
+                for (const credit of legs.filter(flow => flow.direction === 'in' && flow.asset_code === debit.asset_code && flow.account !== debit.account)) {
+                    payments.push({ transactionId, time, date: legs[0].date, from: debit.account, to: credit.account, asset_code: debit.asset_code, value: Math.min(debit.value, credit.value) });
+                }
+            }
+        }
+        payments.sort((a, b) => a.time - b.time || String(a.transactionId).localeCompare(String(b.transactionId)));
+
+        const anomalies = [];
+        const used = new Set();
+        const windowMs = this.roundTripWindowHours * HOUR_MS;
+        payments.forEach((out, index) => {
+            if (used.has(out)) return;
+            const back = payments.slice(index + 1).find(payment =>
+                !used.has(payment) &&
+                payment.transactionId !== out.transactionId &&
+                payment.from === out.to && payment.to === out.from && payment.asset_code === out.asset_code &&
+                payment.time - out.time <= windowMs &&
+                Math.abs(payment.value - out.value) <= this.roundTripTolerance * Math.max(payment.value, out.value));
+            if (!back) return;
+
+            used.add(out);
+            used.add(back);
+            const scale = scales.get(out.asset_code);
+            const hours = round((back.time - out.time) / HOUR_MS);
+            anomalies.push(this.record({
+                type: AnomalyType.ROUND_TRIP,
+                severity: ErrorSeverity.HIGH,
+                account: out.from,
+                asset_code: out.asset_code,
+                transaction_ids: [out.transactionId, back.transactionId],
+                date: out.date,
+                amount: formatMinorUnits(out.value, scale),
+                reason: `${out.from} sent ${formatMinorUnits(out.value, scale)} ${out.asset_code} to ${out.to}, which sent ${formatMinorUnits(back.value, scale)} back ${hours}h later`,
+                details: { counterparty: out.to, returned: formatMinorUnits(back.value, scale), hours_between: hours }
+            }));
+        });
+        return anomalies;
+    }
+
+    /**
+     * Run the selected checks over a ledger's transactions
+     * @param {Array<Object>} entries - { transaction, operations } as returned by the API
+     * @param {Object} [options] - Detection options
+     * @param {Array<string>} [options.checks] - Anomaly types to look for (all by default)
+     * @param {Array<Object>} [options.balances] - Current ledger balances as returned by the API, for balance swings
+     * @param {string} [options.account] - Only report anomalies involving this account (alias or ID)
+     * @param {number} [options.maxAnomalies] - Maximum number of anomalies returned
+     * @returns {Object} { anomalies, total, truncated, summary, thresholds }
+     */
+    detect(entries, options = {}) {
+        const { checks = Object.values(AnomalyType), balances = [], account, maxAnomalies = 100 } = options;
+        const { flows: all, scales } = scaleFlows(collectFlows(entries).flows);
+        const internal = all.filter(flow => !flow.external);
+
+        const dates = all.map(flow => String(flow.date || '').slice(0, 10)).filter(Boolean).sort();
+        const days = [];
+        if (dates.length > 0) {
+            const last = Date.parse(`${dates[dates.length - 1]}T00:00:00Z`);
+            for (let time = Date.parse(`${dates[0]}T00:00:00Z`); time <= last; time += DAY_MS) {
+                days.push(new Date(time).toISOString().slice(0, 10));
+            }
+        }
+
+        const found = [
+            ...(checks.includes(AnomalyType.AMOUNT_OUTLIER) ? this.detectAmountOutliers(internal, scales) : []),
+            ...(checks.includes(AnomalyType.FREQUENCY_OUTLIER) ? this.detectFrequencyOutliers(internal, days) : []),
+            ...(checks.includes(AnomalyType.BALANCE_SWING) ? this.detectBalanceSwings(internal, scales, balances) : []),
+            ...(checks.includes(AnomalyType.ODD_HOUR) ? this.detectOddHours(all) : []),
+            ...(checks.includes(AnomalyType.ROUND_TRIP) ? this.detectRoundTrips(all, scales) : [])
+        ];
+
+        const involves = anomaly => anomaly.account === account ||
+            anomaly.details?.counterparty === account ||
+            anomaly.details?.accounts?.includes(account) ||
+            all.some(flow => isOnAccount(flow, account) && anomaly.transaction_ids.includes(flow.transaction_id));
+        const anomalies = (account ? found.filter(involves) : found).sort((a, b) =>
+            SEVERITY_RANK.indexOf(a.severity) - SEVERITY_RANK.indexOf(b.severity) ||
+            String(a.date).localeCompare(String(b.date)) ||
+            a.type.localeCompare(b.type));
+
+        return {
+            anomalies: anomalies.slice(0, maxAnomalies),
+            total: anomalies.length,
+            truncated: anomalies.length > maxAnomalies,
+            summary: this.summarize(anomalies, entries.length),
+            thresholds: this.getThresholds()
+        };
+    }
+
+    /**
+     * Counts by type and severity of the reported anomalies
+     */
+    summarize(anomalies, transactions) {
+        const countBy = field => anomalies.reduce((counts, anomaly) => {
+            counts[anomaly[field]] = (counts[anomaly[field]] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            transactions_checked: transactions,
+            accounts_profiled: this.metrics.profiledAccounts,
+            total: anomalies.length,
+            by_type: countBy('type'),
+            by_severity: countBy('severity')
+        };
+    }
+
+    /**
+     * Anomalies recorded by this detector, keyed by type:severity
+     */
+    getMetrics() {
+        return {
+            total: Array.from(this.metrics.anomalies.values()).reduce((sum, count) => sum + count, 0),
+            byType: Object.fromEntries(this.metrics.anomalies),
+            profiledAccounts: this.metrics.profiledAccounts
+        };
+    }
+}
+
+/**
+ * Group flows by a key, keeping input order
+ */
+function groupFlows(flows, keyOf) {
+    const groups = new Map();
+    for (const flow of flows) {
+        const key = keyOf(flow);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(flow);
+    }
+    return groups;
+}
+
+/**
+ * Format a possibly fractional minor-unit value as a decimal string
+ */
+function decimal(value, scale) {
+    return formatMinorUnits(Math.round(value), scale);
+}
+
+export default {
+    AnomalyType,
+    AnomalyThresholds,
+    AnomalyDetector,
+    describeValues
+};
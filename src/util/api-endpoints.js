@@ -27,7 +27,7 @@ export const ENDPOINTS = {
         GET: (organizationId, ledgerId, id) =>
             `${API_VERSION}/organizations/${organizationId}/ledgers/${ledgerId}/accounts/${id}`,
         GET_BY_ALIAS: (organizationId, ledgerId, alias) =>
-            `${API_VERSION}/organizations/${organizationId}/ledgers/${ledgerId}/accounts/alias/${alias}`,
+            `${API_VERSION}/organizations/${organizationId}/ledgers/${ledgerId}/accounts/alias/${encodeURIComponent(alias)}`,
     },
 
     // Transaction endpoints
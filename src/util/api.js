@@ -4,7 +4,10 @@
 
 import config from '../config.js';
 import ENDPOINTS from './api-endpoints.js';
-import fetch from 'node-fetch';
+import { FormData, Blob } from 'node-fetch';
+import { enhancedFetch, clearResponseCache } from './http-client.js';
+import { getAuthorizationHeader, getTokenManager } from './oauth-token.js';
+import { IDEMPOTENCY_HEADER, createIdempotencyKey, requestFingerprint, withIdempotency } from './idempotency.js';
 
 // Maximum number of retries for API calls
 const MAX_RETRIES = config.backend.retries;
@@ -37,10 +40,90 @@ function getBackendForEndpoint(endpoint) {
     return config.backend.onboarding;
 }
 
+/**
+ * Body content used to fingerprint a write; multipart uploads are read back as text
+ * @param {any} body - Fetch body
+ * @returns {Promise<any>} Fingerprintable body
+ */
+async function readBodyForFingerprint(body) {
+    if (!(body instanceof FormData)) {
+        return body;
+    }
+
+    const fields = [];
+    for (const [name, value] of body.entries()) {
+        fields.push([name, typeof value === 'string' ? value : await value.text()]);
+    }
+    return fields;
+}
+
+/**
+ * Send a request, retrying network errors and 5xx responses with exponential backoff
+ * @param {string} url - Request URL
+ * @param {Object} fetchOptions - Fetch options
+ * @param {Object} backend - Backend configuration the request goes to
+ * @returns {Promise<Object>} - The response as JSON
+ */
+async function sendWithRetries(url, fetchOptions, backend) {
+    let retries = 0;
+    let lastError;
+    let tokenRefreshed = false;
+
+    while (retries < MAX_RETRIES) {
+        try {
+            // Resolved per attempt so an OAuth token that expired between retries is renewed
+            const authorization = await getAuthorizationHeader(backend);
+            if (authorization) {
+                fetchOptions.headers = { ...fetchOptions.headers, 'Authorization': authorization };
+            }
+
+            const response = await enhancedFetch(url, fetchOptions);
+
+            // The token may have been revoked before its expiry: fetch a new one and retry once
+            if (response.status === 401 && !tokenRefreshed && getTokenManager().isConfigured()) {
+                tokenRefreshed = true;
+                getTokenManager().invalidate();
+                continue;
+            }
+
+            // Handle error responses
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`API Error (${response.status}): ${errorText}`);
+            }
+
+            // Writes change backend state, so cached GET responses are stale
+            if (fetchOptions.method !== 'GET') {
+                clearResponseCache();
+            }
+
+            // Parse JSON response
+            return await response.json();
+        } catch (error) {
+            lastError = error;
+            retries++;
+
+            // Only retry on network errors or 5xx status codes
+            if (!error.message.includes('API Error (5') && !error.code) {
+                break;
+            }
+
+            // Log retry attempt
+            console.error(`API call failed (attempt ${retries}/${MAX_RETRIES}): ${error.message}`);
+
+            // Exponential backoff
+            const delay = Math.min(1000 * 2 ** retries, 10000);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    throw lastError || new Error('API call failed');
+}
+
 /**
  * Make an API call to the Midaz backend
  * @param {string} endpoint - The endpoint to call (without leading slash)
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options, plus an optional idempotencyKey for writes
  * @param {Object} params - URL query parameters
  * @returns {Promise<Object>} - The response as JSON
  */
@@ -64,67 +147,46 @@ export async function callApi(endpoint, options = {}, params = {}) {
     }
 
     // Set default options
+    const { idempotencyKey, ...fetchOverrides } = options;
     const fetchOptions = {
         method: 'GET',
         headers: {
             'Content-Type': 'application/json',
             'Accept': 'application/json',
-            ...(backend.apiKey ? { 'Authorization': `Bearer ${backend.apiKey}` } : {}),
         },
         timeout: config.backend.timeout,
-        ...options,
+        ...fetchOverrides,
     };
 
-    // JSON stringify the body if it's an object
-    if (fetchOptions.body && typeof fetchOptions.body === 'object') {
+    // Multipart bodies set their own Content-Type with the boundary
+    if (fetchOptions.body instanceof FormData) {
+        delete fetchOptions.headers['Content-Type'];
+    } else if (fetchOptions.body && typeof fetchOptions.body === 'object') {
+        // JSON stringify the body if it's an object
         fetchOptions.body = JSON.stringify(fetchOptions.body);
     }
 
-    // Implement retry logic
-    let retries = 0;
-    let lastError;
-
-    while (retries < MAX_RETRIES) {
-        try {
-            const response = await enhancedFetch(url.toString(), fetchOptions);
-
-            // Handle error responses
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`API Error (${response.status}): ${errorText}`);
-            }
-
-            // Parse JSON response
-            return await response.json();
-        } catch (error) {
-            lastError = error;
-            retries++;
-
-            // Only retry on network errors or 5xx status codes
-            if (!error.message.includes('API Error (5') && !error.code) {
-                break;
-            }
-
-            // Log retry attempt
-            console.error(`API call failed (attempt ${retries}/${MAX_RETRIES}): ${error.message}`);
-
-            // Exponential backoff
-            const delay = Math.min(1000 * 2 ** retries, 10000);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
+    if (fetchOptions.method === 'GET') {
+        return sendWithRetries(url.toString(), fetchOptions, backend);
     }
 
-    throw lastError || new Error('API call failed');
+    // One key per logical write, reused by every retry so the ledger can drop duplicates
+    const key = idempotencyKey || createIdempotencyKey();
+    fetchOptions.headers = { ...fetchOptions.headers, [IDEMPOTENCY_HEADER]: key };
+    const fingerprint = requestFingerprint(fetchOptions.method, url.toString(), await readBodyForFingerprint(fetchOptions.body));
+
+    return withIdempotency(key, fingerprint, () => sendWithRetries(url.toString(), fetchOptions, backend));
 }
 
 /**
  * Make a GET request to the Midaz API
  * @param {string} endpoint - API endpoint
  * @param {Object} params - Query parameters
+ * @param {Object} [options] - { fresh: true } skips the response cache
  * @returns {Promise<Object>} - Response data
  */
-export function get(endpoint, params = {}) {
-    return callApi(endpoint, { method: 'GET' }, params);
+export function get(endpoint, params = {}, options = {}) {
+    return callApi(endpoint, { method: 'GET', ...(options.fresh && { cache: 'no-store' }) }, params);
 }
 
 /**
@@ -132,14 +194,41 @@ export function get(endpoint, params = {}) {
  * @param {string} endpoint - API endpoint
  * @param {Object} data - POST data
  * @param {Object} params - Query parameters
+ * @param {Object} [options] - { idempotencyKey }
  * @returns {Promise<Object>} - Response data
  */
-export function post(endpoint, data = {}, params = {}) {
+export function post(endpoint, data = {}, params = {}, options = {}) {
     return callApi(
         endpoint,
         {
             method: 'POST',
             body: JSON.stringify(data),
+            idempotencyKey: options.idempotencyKey,
+        },
+        params
+    );
+}
+
+/**
+ * Make a multipart POST request uploading a text file to the Midaz API
+ * @param {string} endpoint - API endpoint
+ * @param {string} field - Form field name for the file
+ * @param {string} content - File content
+ * @param {string} filename - File name sent with the upload
+ * @param {Object} params - Query parameters
+ * @param {Object} [options] - { idempotencyKey }
+ * @returns {Promise<Object>} - Response data
+ */
+export function postFile(endpoint, field, content, filename, params = {}, options = {}) {
+    const form = new FormData();
+    form.append(field, new Blob([content], { type: 'text/plain' }), filename);
+
+    return callApi(
+        endpoint,
+        {
+            method: 'POST',
+            body: form,
+            idempotencyKey: options.idempotencyKey,
         },
         params
     );
@@ -150,14 +239,16 @@ export function post(endpoint, data = {}, params = {}) {
  * @param {string} endpoint - API endpoint
  * @param {Object} data - PUT data
  * @param {Object} params - Query parameters
+ * @param {Object} [options] - { idempotencyKey }
  * @returns {Promise<Object>} - Response data
  */
-export function put(endpoint, data = {}, params = {}) {
+export function put(endpoint, data = {}, params = {}, options = {}) {
     return callApi(
         endpoint,
         {
             method: 'PUT',
             body: JSON.stringify(data),
+            idempotencyKey: options.idempotencyKey,
         },
         params
     );
@@ -167,10 +258,11 @@ export function put(endpoint, data = {}, params = {}) {
  * Make a DELETE request to the Midaz API
  * @param {string} endpoint - API endpoint
  * @param {Object} params - Query parameters
+ * @param {Object} [options] - { idempotencyKey }
  * @returns {Promise<Object>} - Response data
  */
-export function remove(endpoint, params = {}) {
-    return callApi(endpoint, { method: 'DELETE' }, params);
+export function remove(endpoint, params = {}, options = {}) {
+    return callApi(endpoint, { method: 'DELETE', idempotencyKey: options.idempotencyKey }, params);
 }
 
 // Organization API
@@ -199,14 +291,14 @@ export const accounts = {
 
 // Transaction API
 export const transactions = {
-    list: (organizationId, ledgerId, params = {}) =>
-        get(ENDPOINTS.TRANSACTIONS.LIST(organizationId, ledgerId), params),
+    list: (organizationId, ledgerId, params = {}, options = {}) =>
+        get(ENDPOINTS.TRANSACTIONS.LIST(organizationId, ledgerId), params, options),
     get: (organizationId, ledgerId, id) =>
         get(ENDPOINTS.TRANSACTIONS.GET(organizationId, ledgerId, id)),
-    create: (organizationId, ledgerId, data) =>
-        post(ENDPOINTS.TRANSACTIONS.CREATE(organizationId, ledgerId), data),
-    createDSL: (organizationId, ledgerId, data) =>
-        post(ENDPOINTS.TRANSACTIONS.CREATE_DSL(organizationId, ledgerId), data),
+    create: (organizationId, ledgerId, data, options = {}) =>
+        post(ENDPOINTS.TRANSACTIONS.CREATE(organizationId, ledgerId), data, {}, options),
+    createDSL: (organizationId, ledgerId, dsl, options = {}) =>
+        postFile(ENDPOINTS.TRANSACTIONS.CREATE_DSL(organizationId, ledgerId), 'transaction', dsl, 'transaction.gold', {}, options),
     createTemplate: (organizationId, ledgerId, data) =>
         post(ENDPOINTS.TRANSACTIONS.CREATE_TEMPLATE(organizationId, ledgerId), data),
     update: (organizationId, ledgerId, id, data) =>
@@ -219,12 +311,10 @@ export const transactions = {
 
 // Operation API
 export const operations = {
-    list: (organizationId, ledgerId, accountId, params = {}) => {
-        return get(ENDPOINTS.OPERATIONS.LIST(organizationId, ledgerId, accountId), params);
-    },
-    get: (organizationId, ledgerId, accountId, operationId) => {
-        return get(ENDPOINTS.OPERATIONS.GET(organizationId, ledgerId, accountId, operationId));
-    },
+    list: (organizationId, ledgerId, transactionId, params = {}) =>
+        get(ENDPOINTS.OPERATIONS.LIST(organizationId, ledgerId, transactionId), params),
+    get: (organizationId, ledgerId, transactionId, operationId) =>
+        get(ENDPOINTS.OPERATIONS.GET(organizationId, ledgerId, transactionId, operationId)),
     listByAccount: (organizationId, ledgerId, accountId, params = {}) =>
         get(ENDPOINTS.OPERATIONS.LIST_BY_ACCOUNT(organizationId, ledgerId, accountId), params),
     getByAccount: (organizationId, ledgerId, accountId, operationId) =>
@@ -235,8 +325,8 @@ export const operations = {
 
 // Balance API
 export const balances = {
-    getAccountBalance: (organizationId, ledgerId, accountId, params = {}) =>
-        get(ENDPOINTS.BALANCES.GET_ACCOUNT_BALANCE(organizationId, ledgerId, accountId), params),
+    getAccountBalance: (organizationId, ledgerId, accountId, params = {}, options = {}) =>
+        get(ENDPOINTS.BALANCES.GET_ACCOUNT_BALANCE(organizationId, ledgerId, accountId), params, options),
     list: (organizationId, ledgerId, params = {}) =>
         get(ENDPOINTS.BALANCES.LIST(organizationId, ledgerId), params),
     get: (organizationId, ledgerId, id) =>
@@ -287,6 +377,7 @@ export const segments = {
 export default {
     get,
     post,
+    postFile,
     put,
     delete: remove,
     organizations,
@@ -0,0 +1,121 @@
+/**
+ * Human approval gate for write operations
+ *
+ * Before a create/update/delete runs, the user is shown a human-readable diff
+ * of the intended change and asked to confirm it through MCP elicitation.
+ * Clients without elicitation cannot show the prompt to a human, so writes
+ * from them are refused.
+ */
+
+import { z } from 'zod';
+import { createAuditLog } from './security.js';
+
+const elicitResultSchema = z.object({
+    action: z.enum(['accept', 'decline', 'cancel']),
+    content: z.record(z.any()).optional(),
+}).passthrough();
+
+/**
+ * Flatten an object into dotted paths, e.g. { a: { b: 1 } } -> { 'a.b': 1 }
+ * Arrays are kept as leaf values.
+ */
+function flatten(value, prefix = '', result = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, result);
+        }
+    } else if (prefix) {
+        result[prefix] = value;
+    }
+    return result;
+}
+
+/**
+ * Describe a change as a field-level diff
+ * @param {Object} change - { operation, target, current, proposed }
+ * @param {string} change.operation - create, update or delete
+ * @param {string} change.target - Human-readable name of the resource, e.g. accounts/123
+ * @param {Object|null} [change.current] - Current state of the resource, if known
+ * @param {Object|null} [change.proposed] - Payload that will be sent
+ * @returns {Object} { summary, changes: [{ field, before, after }], text }
+ */
+export function describeChange({ operation, target, current = null, proposed = null }) {
+    const before = flatten(current || {});
+    const after = operation === 'delete' ? {} : flatten(proposed || {});
+    const changes = [];
+
+    if (operation === 'delete') {
+        for (const [field, value] of Object.entries(before)) {
+            changes.push({ field, before: value, after: undefined });
+        }
+    } else {
+        // Updates only touch the fields in the payload
+        for (const [field, value] of Object.entries(after)) {
+            if (JSON.stringify(before[field]) !== JSON.stringify(value)) {
+                changes.push({ field, before: before[field], after: value });
+            }
+        }
+    }
+
+    const format = value => (value === undefined ? '(unset)' : JSON.stringify(value));
+    const lines = changes.map(({ field, before: old, after: updated }) => {
+        if (updated === undefined) return `- ${field}: ${format(old)}`;
+        if (old === undefined) return `+ ${field}: ${format(updated)}`;
+        return `~ ${field}: ${format(old)} → ${format(updated)}`;
+    });
+
+    const summary = `${operation.toUpperCase()} ${target}`;
+    if (operation !== 'create' && !current) {
+        lines.unshift('(current state could not be fetched; fields being removed or overwritten are not shown)');
+    }
+    if (lines.length === 0) {
+        lines.push('(no field changes)');
+    }
+
+    return { summary, changes, text: [summary, ...lines].join('\n') };
+}
+
+/**
+ * Ask the user to confirm a change through MCP elicitation
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
+ * @param {Object} extra - Request context of the tool call
+ * @param {string} toolName - Tool performing the write
+ * @param {Object} diff - Diff from describeChange
+ * @param {string} client - Client identity
+ * @returns {Promise<boolean|null>} Whether the user approved, or null if the client cannot elicit
+ */
+export async function elicitApproval(server, extra, toolName, diff, client) {
+    if (!server.server?.getClientCapabilities()?.elicitation || typeof extra?.sendRequest !== 'function') {
+        return null;
+    }
+
+    const result = await extra.sendRequest({
+        method: 'elicitation/create',
+        params: {
+            message: `${toolName} wants to make this change:\n\n${diff.text}\n\nApprove?`,
+            requestedSchema: {
+                type: 'object',
+                properties: {
+                    approve: { type: 'boolean', title: 'Approve this change' },
+                },
+                required: ['approve'],
+            },
+        },
+    }, elicitResultSchema);
+
+    const approved = result.action === 'accept' && result.content?.approve === true;
+    createAuditLog({
+        type: approved ? 'approval_granted' : 'approval_rejected',
+        tool: toolName,
+        user: client,
+        change: diff.summary,
+        via: 'elicitation',
+        ...(!approved && { reason: `user answered ${result.action}` }),
+    });
+    return approved;
+}
+
+export default {
+    describeChange,
+    elicitApproval,
+};
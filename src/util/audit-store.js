@@ -0,0 +1,287 @@
+/**
+ * Append-only, hash-chained audit log store
+ *
+ * Entries are written as JSON lines. Each entry carries a sequence number, the
+ * hash of the previous entry and its own hash, so editing, removing or
+ * reordering any entry breaks the chain from that point on. The active file is
+ * rotated into a timestamped segment when it grows past a size limit or a new
+ * day starts; the chain continues across segments.
+ *
+ * One process should own a log file: concurrent writers fork the chain, which
+ * verification reports as a break.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// prevHash of the very first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Bytes read from the end of a file to recover the last entry
+const TAIL_READ_BYTES = 64 * 1024;
+
+/**
+ * Hash of an entry, chained to the previous entry's hash
+ * @param {string} prevHash - Hash of the previous entry
+ * @param {Object} entry - Entry without its own hash
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashAuditEntry(prevHash, entry) {
+  return crypto.createHash('sha256').update(`${prevHash}\n${JSON.stringify(entry)}`).digest('hex');
+}
+
+/**
+ * Classify an audit entry as success, failure or denied
+ * @param {Object} entry - Audit entry
+ * @returns {string} Outcome
+ */
+export function classifyOutcome(entry) {
+  if (entry.outcome) return entry.outcome;
+  if (/denied|rejected|authentication_failed/.test(entry.type || '')) return 'denied';
+  if (entry.success === false || entry.type === 'tool_failed') return 'failure';
+  return 'success';
+}
+
+export class AuditStore {
+  /**
+   * @param {string} filePath - Active log file; rotated segments are written next to it
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - Rotate once the active file would exceed this size
+   * @param {boolean} [options.rotateDaily] - Rotate when the first entry of a new UTC day is written
+   */
+  constructor(filePath, { maxBytes = 10 * 1024 * 1024, rotateDaily = true } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.rotateDaily = rotateDaily;
+    this.state = null;
+
+    const { dir, name } = path.parse(filePath);
+    this.dir = dir;
+    this.segmentPrefix = `${name}-`;
+  }
+
+  /**
+   * Rotated segments, oldest first
+   * @returns {string[]} Segment file paths
+   */
+  listSegments() {
+    if (!fs.existsSync(this.dir)) return [];
+    const { ext } = path.parse(this.filePath);
+    return fs.readdirSync(this.dir)
+      .filter(file => file.startsWith(this.segmentPrefix) && file.endsWith(ext))
+      .sort()
+      .map(file => path.join(this.dir, file));
+  }
+
+  /**
+   * All files holding entries, oldest first
+   * @returns {string[]} File paths
+   */
+  listFiles() {
+    const files = this.listSegments();
+    if (fs.existsSync(this.filePath)) files.push(this.filePath);
+    return files;
+  }
+
+  /**
+   * Recover the chain head from the last chained entry on disk
+   */
+  loadState() {
+    this.state = { seq: 0, hash: GENESIS_HASH, day: null };
+
+    for (const file of this.listFiles().reverse()) {
+      const last = readLastEntry(file);
+      if (last?.hash) {
+        this.state = { seq: last.seq, hash: last.hash, day: last.timestamp?.slice(0, 10) || null };
+        return;
+      }
+    }
+  }
+
+  /**
+   * Move the active file into a timestamped segment
+   */
+  rotate() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { ext } = path.parse(this.filePath);
+    // Rotation time plus the last sequence number keeps names unique and sortable
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const seq = String(this.state.seq).padStart(12, '0');
+    fs.renameSync(this.filePath, path.join(this.dir, `${this.segmentPrefix}${stamp}-${seq}${ext}`));
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {Object} entry - Entry fields; seq, prevHash and hash are added
+   * @returns {Object} Stored entry
+   */
+  append(entry) {
+    if (!this.state) this.loadState();
+
+    const chained = { ...entry, seq: this.state.seq + 1, prevHash: this.state.hash };
+    const stored = { ...chained, hash: hashAuditEntry(this.state.hash, chained) };
+    const line = JSON.stringify(stored) + '\n';
+    const day = String(stored.timestamp || new Date().toISOString()).slice(0, 10);
+
+    if (fs.existsSync(this.filePath)) {
+      const size = fs.statSync(this.filePath).size;
+      const newDay = this.rotateDaily && this.state.day && this.state.day !== day;
+      if (size > 0 && (newDay || size + Buffer.byteLength(line) > this.maxBytes)) {
+        this.rotate();
+      }
+    }
+
+    fs.appendFileSync(this.filePath, line, { mode: 0o600 });
+    this.state = { seq: stored.seq, hash: stored.hash, day };
+    return stored;
+  }
+
+  /**
+   * Read entries matching a filter, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.tool] - Tool name
+   * @param {string} [filter.client] - Client identity
+   * @param {string} [filter.type] - Entry type, e.g. tool_invocation
+   * @param {string} [filter.outcome] - success, failure or denied
+   * @param {string|Date} [filter.from] - Earliest timestamp, inclusive
+   * @param {string|Date} [filter.to] - Latest timestamp, inclusive
+   * @param {number} [filter.limit] - Maximum number of entries
+   * @returns {Object} { entries, truncated }
+   */
+  query({ tool, client, type, outcome, from, to, limit = 100 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const entries = [];
+
+    for (const file of this.listFiles().reverse()) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i].trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+
+        const time = new Date(entry.timestamp).getTime();
+        if (time < fromTime || time > toTime) continue;
+        if (tool && entry.tool !== tool) continue;
+        if (client && entry.user !== client) continue;
+        if (type && entry.type !== type) continue;
+        if (outcome && classifyOutcome(entry) !== outcome) continue;
+
+        if (entries.length === limit) {
+          return { entries, truncated: true };
+        }
+        entries.push(entry);
+      }
+    }
+
+    return { entries, truncated: false };
+  }
+
+  /**
+   * Walk every file and check the hash chain
+   * Entries written before chaining was introduced are counted as unchained as
+   * long as they precede the first chained entry. When old segments have been
+   * removed by retention, the first remaining entry anchors the chain.
+   * @returns {Object} { valid, entries, unchained, files, anchor, head, error }
+   */
+  verify() {
+    const files = this.listFiles();
+    const result = { valid: true, entries: 0, unchained: 0, files: files.length, anchor: null, head: null, error: null };
+    let prev = null;
+
+    for (const file of files) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        const fail = reason => {
+          result.valid = false;
+          result.error = { file: path.basename(file), line: i + 1, seq: prev ? prev.seq + 1 : null, reason };
+          return result;
+        };
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          return fail('Line is not valid JSON');
+        }
+
+        if (!entry.hash) {
+          if (prev) return fail('Entry is missing its hash');
+          result.unchained++;
+          continue;
+        }
+
+        const { hash, ...chained } = entry;
+        if (hashAuditEntry(entry.prevHash, chained) !== hash) {
+          return fail('Entry hash does not match its content');
+        }
+        if (prev) {
+          if (entry.prevHash !== prev.hash) return fail('prevHash does not match the previous entry');
+          if (entry.seq !== prev.seq + 1) return fail(`Sequence jumps from ${prev.seq} to ${entry.seq}`);
+        } else {
+          result.anchor = entry.prevHash === GENESIS_HASH && entry.seq === 1 ? 'genesis' : `seq ${entry.seq}`;
+        }
+
+        prev = entry;
+        result.entries++;
+      }
+    }
+
+    result.head = prev ? { seq: prev.seq, hash: prev.hash, timestamp: prev.timestamp } : null;
+    return result;
+  }
+
+  /**
+   * Delete rotated segments last written before the cutoff
+   * The active file is never touched, so the chain stays append-only.
+   * @param {number} daysToKeep - Retention in days
+   * @returns {string[]} Deleted file paths
+   */
+  removeSegmentsOlderThan(daysToKeep) {
+    const cutoff = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
+    const removed = [];
+    for (const file of this.listSegments()) {
+      if (fs.statSync(file).mtimeMs < cutoff) {
+        fs.unlinkSync(file);
+        removed.push(file);
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Parse the last complete line of a file
+ * @param {string} file - File path
+ * @returns {Object|null} Last entry, or null if there is none
+ */
+function readLastEntry(file) {
+  const size = fs.statSync(file).size;
+  if (size === 0) return null;
+
+  const length = Math.min(size, TAIL_READ_BYTES);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const lines = buffer.toString('utf8').split('\n').filter(line => line.trim());
+  try {
+    return JSON.parse(lines[lines.length - 1]);
+  } catch {
+    return null;
+  }
+}
+
+export default AuditStore;
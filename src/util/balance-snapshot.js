@@ -0,0 +1,187 @@
+/**
+ * Balance snapshot utilities
+ * Capture the balances of a set of accounts and compare two captures
+ */
+
+import api from './api.js';
+import { rescaleAmount } from './transaction-payload.js';
+
+/**
+ * Normalize a Midaz balance record to the fields used for comparison
+ * @param {Object} balance - Balance as returned by the API
+ * @returns {Object} Normalized balance
+ */
+export function normalizeBalance(balance) {
+    return {
+        balance_id: balance.id,
+        asset_code: balance.assetCode,
+        available: Number(balance.available ?? 0),
+        on_hold: Number(balance.onHold ?? 0),
+        scale: balance.scale ?? 0,
+        allow_sending: balance.allowSending !== false,
+        allow_receiving: balance.allowReceiving !== false,
+    };
+}
+
+/**
+ * Collect the accounts touched by a transaction
+ * Prefers account IDs from the transaction operations and falls back to the
+ * aliases listed in source/destination.
+ * @param {Object} transaction - Transaction as returned by the API
+ * @returns {Array<Object>} Accounts as { account_id, alias }
+ */
+export function getAffectedAccounts(transaction) {
+    const accounts = new Map();
+
+    for (const operation of transaction?.operations || []) {
+        const key = operation.accountId || operation.accountAlias;
+        if (key && !accounts.has(key)) {
+            accounts.set(key, { account_id: operation.accountId || null, alias: operation.accountAlias || null });
+        }
+    }
+
+    if (accounts.size === 0) {
+        for (const alias of [...(transaction?.source || []), ...(transaction?.destination || [])]) {
+            if (alias && !accounts.has(alias)) {
+                accounts.set(alias, { account_id: null, alias });
+            }
+        }
+    }
+
+    return [...accounts.values()];
+}
+
+/**
+ * Capture the current balances of the given accounts
+ * Accounts known only by alias are resolved to their ID first. Failures are
+ * recorded per account instead of aborting the whole snapshot.
+ * @param {string} organizationId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {Array<Object>} accounts - Accounts as { account_id, alias }
+ * @returns {Promise<Object>} Snapshot with a timestamp and one entry per account
+ */
+export async function snapshotAccountBalances(organizationId, ledgerId, accounts) {
+    const entries = await Promise.all(accounts.map(async (account) => {
+        try {
+            let accountId = account.account_id;
+            if (!accountId && account.alias) {
+                const resolved = await api.accounts.getByAlias(organizationId, ledgerId, account.alias);
+                accountId = resolved?.id;
+            }
+
+            const response = await api.balances.getAccountBalance(organizationId, ledgerId, accountId);
+            const items = Array.isArray(response?.items) ? response.items : [response].filter(Boolean);
+
+            return {
+                account_id: accountId,
+                alias: account.alias,
+                balances: items.map(normalizeBalance),
+            };
+        } catch (error) {
+            return {
+                account_id: account.account_id,
+                alias: account.alias,
+                balances: [],
+                error: error.message,
+            };
+        }
+    }));
+
+    return {
+        captured_at: new Date().toISOString(),
+        accounts: entries,
+    };
+}
+
+/**
+ * Compare two snapshots of the same accounts
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} after - Snapshot taken after the change
+ * @returns {Array<Object>} Per account and asset: before, after and delta
+ */
+export function diffBalanceSnapshots(before, after) {
+    const changes = [];
+
+    for (const previous of before.accounts) {
+        const current = after.accounts.find(entry =>
+            (previous.account_id && entry.account_id === previous.account_id) ||
+            (previous.alias && entry.alias === previous.alias)
+        );
+        const assets = new Set([
+            ...previous.balances.map(balance => balance.asset_code),
+            ...(current?.balances || []).map(balance => balance.asset_code),
+        ]);
+
+        for (const asset of assets) {
+            const from = previous.balances.find(balance => balance.asset_code === asset);
+            const to = current?.balances.find(balance => balance.asset_code === asset);
+
+            changes.push({
+                account_id: previous.account_id,
+                alias: previous.alias,
+                asset_code: asset,
+                scale: to?.scale ?? from?.scale ?? 0,
+                available_before: from?.available ?? null,
+                available_after: to?.available ?? null,
+                available_delta: (to?.available ?? 0) - (from?.available ?? 0),
+                on_hold_before: from?.on_hold ?? null,
+                on_hold_after: to?.on_hold ?? null,
+                on_hold_delta: (to?.on_hold ?? 0) - (from?.on_hold ?? 0),
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Aggregate balances into totals per asset and per asset + account type
+ * Amounts of the same asset are summed at the largest scale seen for that asset.
+ * @param {Array<Object>} balances - Balances as returned by the API
+ * @returns {Object} { by_asset, by_account_type }
+ */
+export function aggregateBalances(balances) {
+    const scales = new Map();
+    for (const balance of balances) {
+        const scale = balance.scale ?? 0;
+        scales.set(balance.assetCode, Math.max(scales.get(balance.assetCode) ?? 0, scale));
+    }
+
+    const byAsset = new Map();
+    const byAccountType = new Map();
+
+    const add = (groups, key, base, balance) => {
+        const scale = scales.get(balance.assetCode);
+        if (!groups.has(key)) {
+            groups.set(key, { ...base, scale, available: 0, on_hold: 0, total: 0, balance_count: 0 });
+        }
+        const group = groups.get(key);
+        const available = rescaleAmount(Number(balance.available ?? 0), balance.scale ?? 0, scale);
+        const onHold = rescaleAmount(Number(balance.onHold ?? 0), balance.scale ?? 0, scale);
+        group.available += available;
+        group.on_hold += onHold;
+        group.total += available + onHold;
+        group.balance_count++;
+    };
+
+    for (const balance of balances) {
+        const accountType = balance.accountType || 'unknown';
+        add(byAsset, balance.assetCode, { asset_code: balance.assetCode }, balance);
+        add(byAccountType, `${balance.assetCode}:${accountType}`, { asset_code: balance.assetCode, account_type: accountType }, balance);
+    }
+
+    const byKey = (a, b) => `${a.asset_code}:${a.account_type || ''}`.localeCompare(`${b.asset_code}:${b.account_type || ''}`);
+
+    return {
+        by_asset: [...byAsset.values()].sort(byKey),
+        by_account_type: [...byAccountType.values()].sort(byKey),
+    };
+}
+
+export default {
+    normalizeBalance,
+    getAffectedAccounts,
+    snapshotAccountBalances,
+    diffBalanceSnapshots,
+    aggregateBalances,
+};
@@ -5,8 +5,13 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { homedir } from 'os';
 import { readSecureConfig } from './security.js';
+import { secureCompare } from './security-utils.js';
+
+// Prefix of API key hashes stored in the config file (auth.apiKeys[].keyHash)
+const API_KEY_HASH_PREFIX = 'sha256:';
 
 // Default secure configuration template
 const secureConfigTemplate = {
@@ -105,4 +110,42 @@ export function sanitizeConfig(config) {
   }
   
   return sanitized;
-}
\ No newline at end of file
+}
+
+/**
+ * Generate a new client API key for the HTTP transport
+ * The key is shown once; only its hash goes into the config file.
+ */
+export function generateApiKey() {
+  return `lmcp_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Hash an API key for storage in the config file
+ */
+export function hashApiKey(apiKey) {
+  return API_KEY_HASH_PREFIX + crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+/**
+ * Find the configured client an API key belongs to
+ * Compares against every stored hash in constant time; entries without a
+ * sha256: hash (e.g. a plaintext key pasted into the file) never match.
+ */
+export function findApiKeyClient(apiKeys, apiKey) {
+  if (!Array.isArray(apiKeys) || typeof apiKey !== 'string' || apiKey.length === 0) {
+    return null;
+  }
+
+  const hash = hashApiKey(apiKey);
+  let match = null;
+
+  for (const client of apiKeys) {
+    const stored = typeof client?.keyHash === 'string' ? client.keyHash.toLowerCase() : '';
+    if (stored.startsWith(API_KEY_HASH_PREFIX) && secureCompare(stored, hash) && !client.disabled && !match) {
+      match = client;
+    }
+  }
+
+  return match;
+}
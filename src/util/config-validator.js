@@ -13,13 +13,39 @@ const backendSchema = z.object({
   apiKey: z.string().nullable().optional().describe('API key for authentication')
 });
 
+// OAuth2 client credentials for backend calls
+const backendAuthSchema = z.object({
+  tokenUrl: z.string().url().nullable().optional().describe('OAuth2 token endpoint'),
+  baseUrl: z.string().url().nullable().optional().describe('Auth service base URL (token endpoint at /oauth/token)'),
+  clientId: z.string().nullable().optional().describe('OAuth2 client ID'),
+  clientSecret: z.string().nullable().optional().describe('OAuth2 client secret'),
+  scope: z.string().nullable().optional().describe('Requested token scope'),
+  audience: z.string().nullable().optional().describe('Requested token audience'),
+  authMethod: z.enum(['client_secret_post', 'client_secret_basic']).default('client_secret_post').describe('How client credentials are sent')
+});
+
+// Environment profile schema
+const environmentSchema = z.object({
+  backend: z.object({
+    onboarding: backendSchema.partial().optional().describe('Onboarding service of this environment'),
+    transaction: backendSchema.partial().optional().describe('Transaction service of this environment'),
+    timeout: z.number().min(1000).max(60000).optional().describe('Request timeout in milliseconds'),
+    retries: z.number().min(0).max(10).optional().describe('Number of retry attempts'),
+    auth: backendAuthSchema.optional().describe('OAuth2 client credentials of this environment')
+  }).optional().describe('Backend services of this environment'),
+  useStubs: z.boolean().optional().describe('Use stub data in this environment'),
+  allowWrites: z.boolean().optional().describe('Enable write tools in this environment'),
+  readOnly: z.boolean().optional().describe('Block writes in this environment (default true for prod)')
+});
+
 // Configuration schema
 export const configSchema = z.object({
   backend: z.object({
     onboarding: backendSchema.describe('Onboarding service configuration'),
     transaction: backendSchema.describe('Transaction service configuration'),
     timeout: z.number().min(1000).max(60000).default(10000).describe('Request timeout in milliseconds'),
-    retries: z.number().min(0).max(10).default(3).describe('Number of retry attempts')
+    retries: z.number().min(0).max(10).default(3).describe('Number of retry attempts'),
+    auth: backendAuthSchema.optional().describe('OAuth2 client credentials for backend calls')
   }).describe('Backend service configurations'),
   
   server: z.object({
@@ -31,7 +57,37 @@ export const configSchema = z.object({
   logLevel: z.enum(['debug', 'info', 'warn', 'error']).default('info').describe('Logging level'),
   autoDetect: z.boolean().default(true).describe('Auto-detect local services'),
   localOnly: z.boolean().default(true).describe('Only accept local connections'),
+  allowWrites: z.boolean().default(false).describe('Enable write tools such as create-transaction-json'),
+  transport: z.enum(['stdio', 'http']).default('stdio').describe('MCP transport: stdio or Streamable HTTP'),
+  httpHost: z.string().default('127.0.0.1').describe('Interface the HTTP transport binds to'),
+  httpPort: z.number().int().min(1).max(65535).default(3333).describe('Port the HTTP transport listens on'),
+  httpPath: z.string().regex(/^\/[\w\-/]*$/).default('/mcp').describe('Endpoint path of the HTTP transport'),
   docsUrl: z.string().url().default('https://docs.lerian.studio').describe('Base URL for online documentation'),
+  policyFile: z.string().nullable().optional().describe('YAML/JSON tool authorization policy file'),
+  exportDir: z.string().nullable().optional().describe('Directory the export tool writes files to'),
+  importDir: z.string().nullable().optional().describe('Directory import-transactions reads files from'),
+  subscriptionPollInterval: z.number().int().min(1000).default(15000).describe('Milliseconds between backend polls for resource subscriptions'),
+  webhookEnabled: z.boolean().default(false).describe('Accept HMAC-signed Midaz events on a local HTTP endpoint'),
+  webhookHost: z.string().default('127.0.0.1').describe('Interface the webhook receiver binds to'),
+  webhookPort: z.number().int().min(1).max(65535).default(3334).describe('Port the webhook receiver listens on'),
+  webhookPath: z.string().regex(/^\/[\w\-/]*$/).default('/webhooks/midaz').describe('Endpoint path events are posted to'),
+  webhookMaxEvents: z.number().int().min(1).max(100000).default(1000).describe('Events kept in memory for the recent-events tool'),
+  environments: z.record(z.string().regex(/^[\w-]+$/), environmentSchema).default({}).describe('Named environment profiles'),
+  defaultEnvironment: z.string().nullable().optional().describe('Profile used when a tool call names no environment'),
+  auth: z.object({
+    enabled: z.boolean().default(false).describe('Require bearer auth on the HTTP transport'),
+    apiKeys: z.array(z.object({
+      id: z.string().min(1).describe('Client identity recorded in the audit log'),
+      name: z.string().optional().describe('Human-readable client name'),
+      keyHash: z.string().regex(/^sha256:[0-9a-f]{64}$/i).describe('SHA-256 hash of the API key'),
+      scopes: z.array(z.string()).optional().describe('Scopes granted to the client'),
+      disabled: z.boolean().optional().describe('Reject this key')
+    })).default([]).describe('Client API keys (hashed)'),
+    jwt: z.object({
+      issuer: z.string().nullable().optional().describe('Expected iss claim'),
+      audience: z.string().nullable().optional().describe('Expected aud claim')
+    }).optional().describe('JWT settings; the secret comes from MIDAZ_JWT_SECRET')
+  }).optional().describe('HTTP transport authentication'),
   
   // Advanced options
   cache: z.object({
@@ -55,10 +111,28 @@ const envMapping = {
   'MIDAZ_API_KEY': ['backend.onboarding.apiKey', 'backend.transaction.apiKey'],
   'MIDAZ_BACKEND_TIMEOUT': 'backend.timeout',
   'MIDAZ_BACKEND_RETRIES': 'backend.retries',
+  'MIDAZ_TOKEN_URL': 'backend.auth.tokenUrl',
+  'MIDAZ_CLIENT_ID': 'backend.auth.clientId',
+  'MIDAZ_CLIENT_SECRET': 'backend.auth.clientSecret',
+  'MIDAZ_OAUTH_SCOPE': 'backend.auth.scope',
+  'MIDAZ_OAUTH_AUDIENCE': 'backend.auth.audience',
   'MIDAZ_USE_STUBS': 'useStubs',
   'MIDAZ_LOG_LEVEL': 'logLevel',
   'MIDAZ_AUTO_DETECT': 'autoDetect',
   'MIDAZ_LOCAL_ONLY': 'localOnly',
+  'MIDAZ_ALLOW_WRITES': 'allowWrites',
+  'MIDAZ_TRANSPORT': 'transport',
+  'MIDAZ_HTTP_HOST': 'httpHost',
+  'MIDAZ_HTTP_PORT': 'httpPort',
+  'MIDAZ_HTTP_PATH': 'httpPath',
+  'MIDAZ_POLICY_FILE': 'policyFile',
+  'MIDAZ_EXPORT_DIR': 'exportDir',
+  'MIDAZ_IMPORT_DIR': 'importDir',
+  'MIDAZ_SUBSCRIPTION_POLL_INTERVAL': 'subscriptionPollInterval',
+  'MIDAZ_WEBHOOK_ENABLED': 'webhookEnabled',
+  'MIDAZ_WEBHOOK_HOST': 'webhookHost',
+  'MIDAZ_WEBHOOK_PORT': 'webhookPort',
+  'MIDAZ_WEBHOOK_PATH': 'webhookPath',
   'MIDAZ_DOCS_URL': 'docsUrl'
 };
 
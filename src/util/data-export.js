@@ -0,0 +1,134 @@
+/**
+ * Data export utilities
+ *
+ * Turns API records into flat rows and writes them to CSV or JSONL files in the
+ * export directory. Nested objects become dotted columns (metadata.tier,
+ * status.code) and every row carries the same columns, so the files load
+ * straight into spreadsheets and into Parquet converters (DuckDB, pandas,
+ * Spark) without schema inference surprises.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sanitizeFilename } from './output-sanitizer.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Resolve the export directory
+ * @param {string|null} configured - Configured directory (config.exportDir)
+ * @returns {string} Absolute directory path
+ */
+export function resolveExportDir(configured) {
+    return path.resolve(configured || path.join(os.homedir(), 'lerian-mcp-exports'));
+}
+
+/**
+ * Flatten a record into dotted columns
+ * Arrays are kept whole and serialized as JSON.
+ * @param {Object} record - API record
+ * @returns {Object} Flat row
+ */
+export function flattenRecord(record, prefix = '', row = {}) {
+    for (const [key, value] of Object.entries(record || {})) {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenRecord(value, column, row);
+        } else {
+            row[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+        }
+    }
+    return row;
+}
+
+/**
+ * Check a flat row against equality filters
+ * @param {Object} row - Flat row from flattenRecord
+ * @param {Object} filters - { column: value }, e.g. { 'status.code': 'ACTIVE' }
+ * @returns {boolean} Whether every filter matches
+ */
+export function matchesFilters(row, filters = {}) {
+    return Object.entries(filters).every(([column, value]) => String(row[column] ?? '') === String(value));
+}
+
+/**
+ * Column order for a set of rows: first-seen order
+ * @param {Array<Object>} rows - Flat rows
+ * @returns {Array<string>} Columns
+ */
+export function collectColumns(rows) {
+    const columns = new Set();
+    for (const row of rows) {
+        Object.keys(row).forEach(column => columns.add(column));
+    }
+    return [...columns];
+}
+
+/**
+ * Quote a CSV cell
+ * Text that a spreadsheet would evaluate as a formula is prefixed with a quote.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+@\t\r]|^-(?![\d.])/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize flat rows
+ * @param {Array<Object>} rows - Flat rows
+ * @param {Array<string>} columns - Columns, from collectColumns
+ * @param {string} format - csv or jsonl
+ * @returns {string} File content
+ */
+export function serializeRows(rows, columns, format) {
+    if (format === 'csv') {
+        const lines = [columns.map(csvCell).join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => csvCell(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Missing columns are written as null so every line has the same keys
+    return rows.map(row => JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])))).join('\n') + (rows.length ? '\n' : '');
+}
+
+/**
+ * Write rows to a new file in the export directory
+ * Existing files are never overwritten.
+ * @param {string} dir - Export directory
+ * @param {string} fileName - Requested file name; sanitized, and the extension is forced to the format
+ * @param {Array<Object>} rows - Flat rows
+ * @param {string} format - csv or jsonl
+ * @returns {Object} { path, format, rows, columns, bytes }
+ */
+export function writeExportFile(dir, fileName, rows, format) {
+    const baseName = sanitizeFilename(fileName).replace(/\.(csv|jsonl|json)$/i, '');
+    const filePath = path.resolve(dir, `${baseName}.${format}`);
+    if (path.dirname(filePath) !== path.resolve(dir)) {
+        throw new Error(`Invalid export file name: ${fileName}`);
+    }
+
+    const columns = collectColumns(rows);
+    const content = serializeRows(rows, columns, format);
+
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(filePath, content, { flag: 'wx', mode: 0o600 });
+
+    return { path: filePath, format, rows: rows.length, columns, bytes: Buffer.byteLength(content) };
+}
+
+export default {
+    EXPORT_FORMATS,
+    resolveExportDir,
+    flattenRecord,
+    matchesFilters,
+    collectColumns,
+    serializeRows,
+    writeExportFile,
+};
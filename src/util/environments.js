@@ -0,0 +1,168 @@
+/**
+ * Environment profiles
+ *
+ * Named backend profiles (e.g. local, staging, prod) are defined under
+ * `environments` in the config file, each with its own backend URLs,
+ * credentials and stub flag. Every tool registered with registerTool
+ * (mcp-helpers.js) takes an optional `environment` argument; the call then
+ * runs with that profile's settings, so staging and prod can be compared
+ * without restarting the server.
+ *
+ * The active profile is tracked per call with AsyncLocalStorage, and the
+ * `backend`, `useStubs` and `allowWrites` config keys resolve against it, so
+ * tools and api.js keep reading `config.*` as before.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { z } from 'zod';
+
+// Profiles with these names are read-only unless they set readOnly: false
+const READ_ONLY_BY_DEFAULT = ['prod', 'production'];
+
+// Config keys that resolve against the active profile
+const PROFILE_KEYS = ['backend', 'useStubs', 'allowWrites'];
+
+const environmentStorage = new AsyncLocalStorage();
+const profiles = new Map();
+let defaultProfile = null;
+
+/**
+ * Resolve one profile against the base configuration
+ * Credentials are never inherited from the base config: a profile without an
+ * apiKey or auth section calls its backend unauthenticated.
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile as written in the config file
+ * @param {Object} base - Base values of backend, useStubs and allowWrites
+ * @returns {Object} { name, backend, useStubs, allowWrites, readOnly }
+ */
+export function resolveEnvironmentProfile(name, profile, base) {
+    const backend = profile.backend || {};
+    const readOnly = profile.readOnly ?? READ_ONLY_BY_DEFAULT.includes(name.toLowerCase());
+
+    return {
+        name,
+        backend: {
+            ...base.backend,
+            ...backend,
+            onboarding: {
+                baseUrl: base.backend.onboarding?.baseUrl,
+                apiKey: null,
+                ...(backend.onboarding || {}),
+            },
+            transaction: {
+                baseUrl: base.backend.transaction?.baseUrl,
+                apiKey: null,
+                ...(backend.transaction || {}),
+            },
+            auth: { ...(backend.auth || {}) },
+        },
+        useStubs: profile.useStubs ?? base.useStubs,
+        allowWrites: readOnly ? false : (profile.allowWrites ?? base.allowWrites),
+        readOnly,
+    };
+}
+
+/**
+ * Install the environment profiles of a loaded configuration
+ * Does nothing when the config defines no environments.
+ * @param {Object} config - Loaded configuration, modified in place
+ * @throws {Error} If defaultEnvironment names an unknown profile
+ */
+export function installEnvironmentProfiles(config) {
+    profiles.clear();
+    defaultProfile = null;
+
+    const environments = config.environments || {};
+    if (Object.keys(environments).length === 0) {
+        return;
+    }
+
+    const base = Object.fromEntries(PROFILE_KEYS.map(key => [key, config[key]]));
+    for (const [name, profile] of Object.entries(environments)) {
+        profiles.set(name, resolveEnvironmentProfile(name, profile || {}, base));
+    }
+
+    if (config.defaultEnvironment) {
+        defaultProfile = profiles.get(config.defaultEnvironment);
+        if (!defaultProfile) {
+            throw new Error(`defaultEnvironment "${config.defaultEnvironment}" is not defined in environments`);
+        }
+    }
+
+    for (const key of PROFILE_KEYS) {
+        Object.defineProperty(config, key, {
+            get: () => (environmentStorage.getStore() || defaultProfile || base)[key],
+            set: (value) => { base[key] = value; },
+            enumerable: true,
+            configurable: true,
+        });
+    }
+}
+
+/**
+ * Names of the configured environment profiles
+ * @returns {Array<string>} Profile names
+ */
+export function getEnvironmentNames() {
+    return [...profiles.keys()];
+}
+
+/**
+ * Profile the current call runs in
+ * @returns {Object|null} Active profile, the default profile, or null when profiles are not configured
+ */
+export function getActiveEnvironment() {
+    return environmentStorage.getStore() || defaultProfile;
+}
+
+/**
+ * Whether the current call runs in a read-only environment
+ * @returns {boolean} True for read-only profiles such as prod
+ */
+export function isReadOnlyEnvironment() {
+    return getActiveEnvironment()?.readOnly === true;
+}
+
+/**
+ * Run a function with an environment profile active
+ * @param {string} [name] - Profile name; the default environment is used when omitted
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ * @throws {Error} If the profile does not exist
+ */
+export function runInEnvironment(name, fn) {
+    if (!name) {
+        return fn();
+    }
+
+    const profile = profiles.get(name);
+    if (!profile) {
+        throw new Error(`Unknown environment "${name}". Available environments: ${getEnvironmentNames().join(', ') || 'none'}`);
+    }
+
+    return environmentStorage.run(profile, fn);
+}
+
+/**
+ * Schema of the optional `environment` argument every tool takes
+ * @returns {import("zod").ZodTypeAny|null} Enum of the profile names, or null when no environments are configured
+ */
+export function environmentArgument() {
+    const names = getEnvironmentNames();
+    if (names.length === 0) {
+        return null;
+    }
+
+    return z.enum(names).optional()
+        .describe(`Environment to run against (${names.join(', ')}); defaults to ${defaultProfile?.name || 'the base configuration'}`);
+}
+
+export default {
+    resolveEnvironmentProfile,
+    installEnvironmentProfiles,
+    getEnvironmentNames,
+    getActiveEnvironment,
+    isReadOnlyEnvironment,
+    runInEnvironment,
+    environmentArgument,
+};
@@ -0,0 +1,151 @@
+/**
+ * Bearer authentication for the HTTP transport
+ * Accepts either a per-client API key (stored hashed in the config file under
+ * auth.apiKeys) or an HS256 JWT signed with MIDAZ_JWT_SECRET. The resolved
+ * client identity is attached to the request as MCP AuthInfo so tool handlers
+ * and the audit log can see who is calling.
+ */
+
+import crypto from 'crypto';
+import { secureCompare } from './security-utils.js';
+import { findApiKeyClient } from './config-security.js';
+
+// Allowed clock skew when checking exp/nbf claims
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+/**
+ * Authentication failure with the HTTP status to answer with
+ */
+export class AuthenticationError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether requests must authenticate
+ * Auth is always required when the server accepts non-local connections.
+ */
+export function isAuthRequired(auth, localOnly) {
+  return Boolean(auth?.enabled) || !localOnly;
+}
+
+/**
+ * Whether at least one credential source is configured
+ */
+export function hasAuthCredentials(auth) {
+  return (Array.isArray(auth?.apiKeys) && auth.apiKeys.length > 0) || Boolean(auth?.jwt?.secret);
+}
+
+/**
+ * Decode one base64url JWT segment as JSON
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthenticationError('Malformed token');
+  }
+}
+
+/**
+ * Verify an HS256 JWT and return its payload
+ * @param {string} token - Compact JWT
+ * @param {Object} options - { secret, issuer, audience }
+ * @returns {Object} Verified payload
+ * @throws {AuthenticationError} If the signature or any claim is invalid
+ */
+export function verifyJwt(token, { secret, issuer, audience }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+  if (header.alg !== 'HS256') {
+    throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  if (!secureCompare(signature, expected)) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const payload = decodeSegment(encodedPayload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp === 'number' && payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+    throw new AuthenticationError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new AuthenticationError('Token not yet valid');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new AuthenticationError('Invalid token issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new AuthenticationError('Invalid token audience');
+    }
+  }
+  if (!payload.sub) {
+    throw new AuthenticationError('Token has no subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Authenticate an HTTP request from its Authorization header
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {Object} auth - auth section of the server config
+ * @returns {Object} MCP AuthInfo: { token, clientId, scopes, expiresAt?, extra }
+ * @throws {AuthenticationError} If the request is not authenticated
+ */
+export function authenticateRequest(req, auth) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    throw new AuthenticationError('Missing bearer token');
+  }
+  const token = match[1];
+
+  // JWTs have three dot-separated segments; API keys never contain dots
+  if (token.split('.').length === 3) {
+    if (!auth?.jwt?.secret) {
+      throw new AuthenticationError('JWT authentication is not configured');
+    }
+    const payload = verifyJwt(token, auth.jwt);
+    return {
+      token,
+      clientId: String(payload.sub),
+      scopes: typeof payload.scope === 'string' ? payload.scope.split(' ').filter(Boolean) : [],
+      ...(typeof payload.exp === 'number' && { expiresAt: payload.exp }),
+      extra: { method: 'jwt', name: payload.name || null }
+    };
+  }
+
+  const client = findApiKeyClient(auth?.apiKeys, token);
+  if (!client) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  return {
+    token,
+    clientId: String(client.id),
+    scopes: Array.isArray(client.scopes) ? client.scopes : [],
+    extra: { method: 'api_key', name: client.name || null }
+  };
+}
+
+export default {
+  AuthenticationError,
+  isAuthRequired,
+  hasAuthCredentials,
+  verifyJwt,
+  authenticateRequest
+};
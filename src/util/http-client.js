@@ -8,7 +8,7 @@
  * - Request/response caching
  */
 
-import fetch from 'node-fetch';
+import fetch, { Response } from 'node-fetch';
 import http from 'http';
 import https from 'https';
 
@@ -50,6 +50,15 @@ const circuitBreakers = new Map();
 const responseCache = new Map();
 const CACHE_TTL = 60000; // 1 minute
 
+/**
+ * Build a fresh response from a cached snapshot
+ * @param {Object} snapshot - { body, status, statusText, headers }
+ * @returns {Response} Response with an unread body
+ */
+function toResponse({ body, status, statusText, headers }) {
+  return new Response(body, { status, statusText, headers });
+}
+
 /**
  * Get or create circuit breaker for a host
  * @param {string} host - The host URL
@@ -168,13 +177,13 @@ export async function enhancedFetch(url, options = {}) {
     throw new Error(`Circuit breaker OPEN for ${host}`);
   }
   
-  // Check cache for GET requests
-  if (!options.method || options.method === 'GET') {
+  // Check cache for GET requests, unless the caller asked for a fresh response
+  if ((!options.method || options.method === 'GET') && options.cache !== 'no-store') {
     const cacheKey = getCacheKey(url, options);
     const cached = responseCache.get(cacheKey);
     
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-      return cached.response.clone();
+      return toResponse(cached.response);
     }
   }
   
@@ -200,12 +209,20 @@ export async function enhancedFetch(url, options = {}) {
       recordSuccess(host);
       
       // Cache successful GET responses
+      // The body is buffered: a cloned stream can only be read back once
       if ((!options.method || options.method === 'GET') && response.ok) {
         const cacheKey = getCacheKey(url, options);
+        const snapshot = {
+          body: Buffer.from(await response.arrayBuffer()),
+          status: response.status,
+          statusText: response.statusText,
+          headers: [...response.headers.entries()]
+        };
         responseCache.set(cacheKey, {
-          response: response.clone(),
+          response: snapshot,
           timestamp: Date.now()
         });
+        return toResponse(snapshot);
       }
       
       return response;
@@ -0,0 +1,238 @@
+/**
+ * Streamable HTTP transport
+ * Serves MCP over HTTP so one shared server can handle several web-based clients.
+ * Every client session gets its own McpServer instance, identified by the
+ * mcp-session-id header; responses are plain JSON or SSE streams as negotiated
+ * by the client.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { isLocalConnection, createAuditLog } from './security.js';
+import { authenticateRequest, isAuthRequired, hasAuthCredentials } from './http-auth.js';
+import { createLogger } from './mcp-logging.js';
+
+const logger = createLogger('http-transport');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const MAX_SESSIONS = 100;
+
+/**
+ * Write a JSON-RPC error response
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+/**
+ * Read and parse a JSON request body, enforcing a size limit
+ */
+function readJsonBody(req, limit = MAX_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start the Streamable HTTP transport
+ * @param {Function} createServer - Async factory returning a fully registered McpServer
+ * @param {Object} options - Transport options
+ * @param {string} options.host - Interface to bind to
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.path - Endpoint path, e.g. /mcp
+ * @param {boolean} options.localOnly - Reject requests that are not from localhost
+ * @param {Object} [options.auth] - auth section of the config (apiKeys, jwt, enabled)
+ * @param {number} [options.sessionIdleTimeout] - Close sessions idle for this long (ms)
+ * @param {number} [options.maxSessions] - Maximum number of concurrent sessions
+ * @returns {Promise<Object>} { httpServer, sessions, close }
+ */
+export async function startHttpTransport(createServer, options) {
+  const {
+    host,
+    port,
+    path: endpoint,
+    localOnly,
+    auth,
+    sessionIdleTimeout = SESSION_IDLE_TIMEOUT,
+    maxSessions = MAX_SESSIONS
+  } = options;
+  const sessions = new Map();
+  const requireAuth = isAuthRequired(auth, localOnly);
+
+  if (requireAuth && !hasAuthCredentials(auth)) {
+    throw new Error('HTTP transport requires authentication: configure auth.apiKeys in the config file or set MIDAZ_JWT_SECRET');
+  }
+
+  const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    await session.transport.close().catch(() => {});
+    await session.server.close().catch(() => {});
+    logger.info('HTTP session closed', { sessionId, activeSessions: sessions.size });
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== endpoint) {
+      sendJsonRpcError(res, 404, -32000, 'Not found');
+      return;
+    }
+
+    if (localOnly && !isLocalConnection(req)) {
+      createAuditLog({
+        type: 'connection_rejected',
+        transport: 'http',
+        remoteAddress: req.socket?.remoteAddress,
+        host: req.headers.host,
+        reason: 'localOnly'
+      });
+      sendJsonRpcError(res, 403, -32000, 'Only local connections are allowed');
+      return;
+    }
+
+    let authInfo;
+    if (requireAuth) {
+      try {
+        authInfo = authenticateRequest(req, auth);
+      } catch (error) {
+        createAuditLog({
+          type: 'authentication_failed',
+          transport: 'http',
+          remoteAddress: req.socket?.remoteAddress,
+          reason: error.message
+        });
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, error.status || 401, -32000, error.message);
+        return;
+      }
+      // Picked up by the SDK transport and exposed to tool handlers as extra.authInfo
+      req.auth = authInfo;
+    }
+
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+
+      // Existing session: GET opens the SSE stream, POST sends messages, DELETE ends the session
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          sendJsonRpcError(res, 404, -32001, 'Session not found');
+          return;
+        }
+        if (session.clientId !== (authInfo?.clientId || null)) {
+          sendJsonRpcError(res, 403, -32000, 'Session belongs to another client');
+          return;
+        }
+        session.lastSeen = Date.now();
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+
+      if (req.method !== 'POST') {
+        sendJsonRpcError(res, 400, -32000, 'Missing mcp-session-id header');
+        return;
+      }
+
+      const body = await readJsonBody(req);
+      const messages = Array.isArray(body) ? body : [body];
+      if (!messages.some(message => isInitializeRequest(message))) {
+        sendJsonRpcError(res, 400, -32000, 'Missing mcp-session-id header; only initialize requests may start a session');
+        return;
+      }
+
+      if (sessions.size >= maxSessions) {
+        sendJsonRpcError(res, 503, -32000, 'Too many active sessions');
+        return;
+      }
+
+      const server = await createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { server, transport, clientId: authInfo?.clientId || null, lastSeen: Date.now() });
+          logger.info('HTTP session started', { sessionId: id, client: authInfo?.clientId, activeSessions: sessions.size });
+        }
+      });
+      // McpServer takes over transport.onclose on connect, so hook the server's close instead
+      const serverOnClose = server.server.onclose;
+      server.server.onclose = () => {
+        serverOnClose?.();
+        if (transport.sessionId && sessions.has(transport.sessionId)) {
+          sessions.delete(transport.sessionId);
+          logger.info('HTTP session ended', { sessionId: transport.sessionId, activeSessions: sessions.size });
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+
+      // Initialization failed, so no session was registered for this server
+      if (!transport.sessionId || !sessions.has(transport.sessionId)) {
+        await server.close().catch(() => {});
+      }
+    } catch (error) {
+      logger.error('HTTP request failed', { error: error.message });
+      if (!res.headersSent) {
+        const tooLarge = error.message === 'Request body too large';
+        const invalid = error.message === 'Invalid JSON body';
+        sendJsonRpcError(res, tooLarge ? 413 : invalid ? 400 : 500, invalid ? -32700 : -32603, error.message);
+      }
+    }
+  });
+
+  // Sweep idle sessions so abandoned clients do not hold servers forever
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleTimeout;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(sessionIdleTimeout, 60000));
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  logger.info('HTTP transport listening', { host, port: httpServer.address()?.port, path: endpoint, localOnly, requireAuth });
+
+  return {
+    httpServer,
+    sessions,
+    close: async () => {
+      clearInterval(sweeper);
+      await Promise.all([...sessions.keys()].map(closeSession));
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
+
+export default {
+  startHttpTransport
+};
@@ -0,0 +1,131 @@
+/**
+ * Idempotency keys for mutating Midaz API calls
+ *
+ * Every logical write gets one X-Idempotency key that is reused across its
+ * retries, so the ledger can discard duplicates of a request whose response was
+ * lost. Results are also recorded locally: when a caller sends the same key
+ * again, the stored result is replayed instead of posting a second time.
+ */
+
+import crypto from 'crypto';
+import { createLogger } from './mcp-logging.js';
+
+const logger = createLogger('idempotency');
+
+export const IDEMPOTENCY_HEADER = 'X-Idempotency';
+
+// Keep results for a day, matching the ledger's default idempotency window
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Oldest records are dropped beyond this many
+const MAX_IDEMPOTENCY_RECORDS = 1000;
+
+const records = new Map();
+
+/**
+ * Generate a new idempotency key
+ * @returns {string} UUID key
+ */
+export function createIdempotencyKey() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Fingerprint of a request, used to detect a key being reused for a different request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {any} [body] - Request body; non-string bodies (e.g. multipart uploads) are serialized as JSON when possible
+ * @returns {string} Hex SHA-256 digest
+ */
+export function requestFingerprint(method, url, body) {
+    let serialized = '';
+    if (typeof body === 'string') {
+        serialized = body;
+    } else if (body !== undefined && body !== null) {
+        try {
+            serialized = JSON.stringify(body);
+        } catch {
+            serialized = String(body);
+        }
+    }
+
+    return crypto.createHash('sha256').update(`${method} ${url}\n${serialized}`).digest('hex');
+}
+
+/**
+ * Drop expired records, and the oldest completed ones beyond the record limit
+ * Pending records are never dropped: a repeated key must keep sharing the write
+ * that is still in flight.
+ */
+function pruneRecords() {
+    const cutoff = Date.now() - IDEMPOTENCY_TTL_MS;
+    for (const [key, record] of records) {
+        if (!record.pending && record.storedAt < cutoff) {
+            records.delete(key);
+        }
+    }
+    for (const [key, record] of records) {
+        if (records.size < MAX_IDEMPOTENCY_RECORDS) {
+            break;
+        }
+        if (!record.pending) {
+            records.delete(key);
+        }
+    }
+}
+
+/**
+ * Run a write once per idempotency key
+ * Concurrent calls with the same key share one execution; later calls get the
+ * stored result. Failed executions are not recorded, so they can be retried
+ * with the same key.
+ * @param {string} key - Idempotency key
+ * @param {string} fingerprint - Fingerprint of the request, from requestFingerprint
+ * @param {Function} run - Async function performing the write
+ * @param {Object} [options] - { shouldStore(result) } decides whether a resolved result counts as success
+ * @returns {Promise<any>} Result of run, or the stored result of an earlier call
+ * @throws {Error} If the key was already used for a different request
+ */
+export async function withIdempotency(key, fingerprint, run, { shouldStore = () => true } = {}) {
+    const existing = records.get(key);
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+            throw new Error(`Idempotency key ${key} was already used for a different request`);
+        }
+        logger.info('Replaying stored result for idempotency key', { key });
+        return existing.pending || structuredClone(existing.result);
+    }
+
+    pruneRecords();
+
+    const pending = run();
+    records.set(key, { fingerprint, pending });
+
+    try {
+        const result = await pending;
+        if (shouldStore(result)) {
+            records.set(key, { fingerprint, result: structuredClone(result), storedAt: Date.now() });
+        } else {
+            records.delete(key);
+        }
+        return result;
+    } catch (error) {
+        records.delete(key);
+        throw error;
+    }
+}
+
+/**
+ * Forget every recorded key
+ */
+export function clearIdempotencyRecords() {
+    records.clear();
+}
+
+export default {
+    IDEMPOTENCY_HEADER,
+    createIdempotencyKey,
+    requestFingerprint,
+    withIdempotency,
+    clearIdempotencyRecords,
+};
@@ -0,0 +1,145 @@
+/**
+ * Ledger integrity utilities
+ *
+ * Double-entry check over transaction operations: for every transaction and
+ * every asset, the sum of DEBIT operations must equal the sum of CREDIT
+ * operations. ON_HOLD and RELEASE operations only move funds between the
+ * available and on-hold parts of a balance, so they are counted separately and
+ * do not take part in the debit/credit netting.
+ */
+
+import { rescaleAmount } from './transaction-payload.js';
+
+const NETTED_TYPES = ['debit', 'credit'];
+const HOLD_TYPES = ['on_hold', 'release'];
+
+/**
+ * Normalize a Midaz operation record
+ * Handles both { amount: { value, scale } } and { amount: { amount, scale } } shapes.
+ * @param {Object} operation - Operation as returned by the API
+ * @returns {Object} Normalized operation
+ */
+export function normalizeOperation(operation) {
+    const amount = operation.amount || {};
+
+    return {
+        id: operation.id,
+        transaction_id: operation.transactionId || operation.transaction_id || null,
+        account_id: operation.accountId || null,
+        alias: operation.accountAlias || null,
+        type: String(operation.type || '').toLowerCase().replace(/-/g, '_'),
+        asset_code: operation.assetCode || amount.asset || null,
+        value: Number(amount.value ?? amount.amount ?? 0),
+        scale: amount.scale ?? 0,
+        description: operation.description || null,
+        created_at: operation.createdAt || null,
+    };
+}
+
+/**
+ * Sum a set of normalized operations per asset
+ * @param {Array<Object>} operations - Normalized operations
+ * @returns {Map<string, Object>} Totals keyed by asset code
+ */
+function totalsByAsset(operations) {
+    const scales = new Map();
+    for (const operation of operations) {
+        scales.set(operation.asset_code, Math.max(scales.get(operation.asset_code) ?? 0, operation.scale));
+    }
+
+    const totals = new Map();
+    for (const operation of operations) {
+        const scale = scales.get(operation.asset_code);
+        if (!totals.has(operation.asset_code)) {
+            totals.set(operation.asset_code, { asset_code: operation.asset_code, scale, debits: 0, credits: 0, on_hold: 0, released: 0 });
+        }
+
+        const total = totals.get(operation.asset_code);
+        const value = rescaleAmount(operation.value, operation.scale, scale);
+        if (operation.type === 'debit') total.debits += value;
+        if (operation.type === 'credit') total.credits += value;
+        if (operation.type === 'on_hold') total.on_hold += value;
+        if (operation.type === 'release') total.released += value;
+    }
+
+    return totals;
+}
+
+/**
+ * Check that the operations of one transaction net to zero per asset
+ * @param {Object} transaction - Transaction as returned by the API
+ * @param {Array<Object>} operations - Operations of the transaction as returned by the API
+ * @returns {Object} { transaction_id, balanced, assets, unknown_types }
+ */
+export function checkTransactionOperations(transaction, operations) {
+    const normalized = operations.map(normalizeOperation);
+    const unknownTypes = [...new Set(normalized
+        .map(operation => operation.type)
+        .filter(type => !NETTED_TYPES.includes(type) && !HOLD_TYPES.includes(type)))];
+
+    const assets = [...totalsByAsset(normalized).values()].map(total => ({
+        ...total,
+        net: total.debits - total.credits,
+    }));
+
+    return {
+        transaction_id: transaction.id,
+        description: transaction.description,
+        status: transaction.status?.code || transaction.status || null,
+        created_at: transaction.createdAt || null,
+        operation_count: normalized.length,
+        balanced: assets.every(asset => asset.net === 0),
+        assets,
+        unknown_types: unknownTypes,
+        operations: normalized,
+    };
+}
+
+/**
+ * Verify a set of transactions with their operations
+ * @param {Array<Object>} entries - Items as { transaction, operations }
+ * @returns {Object} Ledger-wide totals per asset and the transactions that failed the check
+ */
+export function verifyTransactions(entries) {
+    const results = entries.map(({ transaction, operations }) => checkTransactionOperations(transaction, operations));
+    const ledgerTotals = totalsByAsset(results.flatMap(result => result.operations));
+
+    const unbalanced = results
+        .filter(result => result.operation_count > 0 && !result.balanced)
+        .map(({ operations, ...result }) => ({
+            ...result,
+            operations: operations.map(operation => ({
+                id: operation.id,
+                type: operation.type,
+                account_id: operation.account_id,
+                alias: operation.alias,
+                asset_code: operation.asset_code,
+                value: operation.value,
+                scale: operation.scale,
+            })),
+        }));
+
+    const perAsset = [...ledgerTotals.values()].map(total => ({
+        ...total,
+        net: total.debits - total.credits,
+        balanced: total.debits === total.credits,
+    }));
+
+    return {
+        balanced: unbalanced.length === 0 && perAsset.every(asset => asset.balanced),
+        transactions_checked: results.length,
+        operations_checked: results.reduce((sum, result) => sum + result.operation_count, 0),
+        per_asset: perAsset,
+        unbalanced_transactions: unbalanced,
+        transactions_without_operations: results
+            .filter(result => result.operation_count === 0)
+            .map(result => result.transaction_id),
+        unknown_operation_types: [...new Set(results.flatMap(result => result.unknown_types))],
+    };
+}
+
+export default {
+    normalizeOperation,
+    checkTransactionOperations,
+    verifyTransactions,
+};
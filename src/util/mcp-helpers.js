@@ -5,6 +5,11 @@
  * according to the Model Context Protocol specification.
  */
 
+import config from '../config.js';
+import { auditToolInvocation, getClientIdentity, createAuditLog } from './security.js';
+import { checkToolAccess } from './tool-policy.js';
+import { environmentArgument, runInEnvironment } from './environments.js';
+
 /**
  * Create a successful MCP tool response
  * @param {any} data - The data to return
@@ -60,6 +65,27 @@ export const ErrorCodes = {
   BACKEND_ERROR: -32005,
 };
 
+/**
+ * Fetch the live data a report is computed from, or use sample data in stub mode
+ * A failed fetch is returned as a backend error rather than falling back to the
+ * sample data, since a report on sample data would pass for a report on the ledger.
+ * @param {Function} fetchLive - Fetches the live data; resolves to an object
+ * @param {Object} sample - The data used in stub mode, with the same fields
+ * @param {string} failure - Error message when the live fetch fails
+ * @returns {Promise<Object>} The data, with source set to "ledger" or "sample"
+ */
+export async function fetchReportData(fetchLive, sample, failure) {
+  if (config.useStubs) {
+    return { ...sample, source: 'sample' };
+  }
+
+  try {
+    return { ...await fetchLive(), source: 'ledger' };
+  } catch (error) {
+    throw createErrorResponse(ErrorCodes.BACKEND_ERROR, failure, { originalError: error.message });
+  }
+}
+
 /**
  * Create a paginated response with cursor support
  * @param {Array} items - Array of items
@@ -97,12 +123,82 @@ export function createPaginatedResponse(items, options = {}) {
 }
 
 /**
- * Wrap an async tool handler with proper error handling
+ * Register a tool on an MCP server
+ * Takes the arguments of server.tool after the server. When environment
+ * profiles are configured, the tool also takes an optional `environment`
+ * argument and its handler runs with that profile active.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server MCP server instance
+ * @param {string} name - Tool name
+ * @param {...any} rest - Description, argument shape and annotations as accepted by server.tool, then the handler
+ * @returns {Object} The registered tool
+ */
+export function registerTool(server, name, ...rest) {
+  const environment = environmentArgument();
+  if (!environment) {
+    return server.tool(name, ...rest);
+  }
+
+  const handler = rest.pop();
+  const shapeIndex = rest.findIndex(arg => arg && typeof arg === 'object');
+
+  // Tools without arguments are called as handler(extra); keep that contract
+  if (shapeIndex === -1) {
+    rest.push({ environment });
+    return server.tool(name, ...rest, (args, extra) => runInEnvironment(args.environment, () => handler(extra)));
+  }
+
+  rest[shapeIndex] = { ...rest[shapeIndex], environment };
+  return server.tool(name, ...rest, (args, extra) => runInEnvironment(args.environment, () => handler(args, extra)));
+}
+
+/**
+ * Enforce the tool authorization policy for a call
+ * Denials are recorded in the audit log.
+ * @param {string} toolName - Tool being called
+ * @param {Object} args - Tool arguments
+ * @param {Object} extra - Request context with the caller's authInfo
+ * @throws {Object} JSON-RPC error if the policy denies the call
+ */
+export function enforceToolPolicy(toolName, args, extra) {
+  const clientId = getClientIdentity(extra);
+  const decision = checkToolAccess(toolName, args, { clientId, scopes: extra?.authInfo?.scopes || [] });
+  if (decision.allowed) {
+    return;
+  }
+
+  createAuditLog({
+    type: 'tool_access_denied',
+    tool: toolName,
+    user: clientId,
+    roles: decision.roles,
+    reason: decision.reason,
+    args
+  });
+  throw createErrorResponse(
+    ErrorCodes.RESOURCE_ACCESS_DENIED,
+    `Access to ${toolName} denied by policy`,
+    { client: clientId, reason: decision.reason }
+  );
+}
+
+/**
+ * Wrap an async tool handler with policy enforcement and proper error handling
+ * @param {string} toolName - Tool name the authorization policy is checked against
  * @param {Function} handler - The async handler function
  * @returns {Function} Wrapped handler with MCP-compliant error handling
  */
-export function wrapToolHandler(handler) {
+export function wrapToolHandler(toolName, handler) {
+  // Handlers wrapped without a tool name are not subject to the policy
+  if (typeof toolName === 'function') {
+    handler = toolName;
+    toolName = null;
+  }
+
   return async (args, extra) => {
+    if (toolName) {
+      enforceToolPolicy(toolName, args, extra);
+    }
+
     try {
       const result = await handler(args, extra);
       
@@ -114,6 +210,10 @@ export function wrapToolHandler(handler) {
       // Otherwise, wrap in MCP response format
       return createToolResponse(result);
     } catch (error) {
+      if (toolName) {
+        createAuditLog({ type: 'tool_failed', tool: toolName, user: getClientIdentity(extra), error: error.message });
+      }
+
       // If it's already a JSON-RPC error, re-throw it
       if (error.code && typeof error.code === 'number') {
         throw error;
@@ -196,9 +296,11 @@ export function logToolInvocation(toolName, args, extra) {
     timestamp,
     tool: toolName,
     args: Object.keys(args).length > 0 ? args : undefined,
-    requestId: extra?.requestId
+    requestId: extra?.requestId,
+    client: getClientIdentity(extra)
   };
   
   console.error(`[MCP Tool] ${JSON.stringify(logEntry)}`);
+  auditToolInvocation(toolName, args, logEntry.client);
   return Date.now(); // Return start time for duration tracking
 }
\ No newline at end of file
@@ -34,17 +34,6 @@ const currentLogLevel = process.env.MIDAZ_LOG_LEVEL || 'info';
 const enableConsoleLogging = false; // Disabled for MCP protocol compatibility
 const enableDetailedLogging = process.env.MIDAZ_DETAILED_LOGS === 'true';
 
-// MCP server instance (will be set during initialization)
-let mcpServer = null;
-
-/**
- * Initialize the MCP logger with server instance
- * @param {Object} server - MCP server instance
- */
-export function initializeMcpLogger(server) {
-  mcpServer = server;
-}
-
 /**
  * Send a log message via MCP protocol
  * @param {string} level - Log level
@@ -71,15 +60,10 @@ export function sendLogMessage(level, message, data = {}) {
       console.error('%s %s', prefix, message);
     }
   }
-  
-  // Fallback to console if MCP server not initialized
-  if (!mcpServer) {
-    return;
-  }
 
-  // Note: MCP SDK doesn't have sendLoggingMessage method
-  // For now, we'll just use console logging
-  // TODO: Implement proper MCP logging when SDK supports it
+  // Messages are not forwarded to MCP clients: the HTTP transport runs one
+  // server per session, and a process-wide logger cannot tell which client a
+  // message belongs to
 }
 
 /**
@@ -0,0 +1,193 @@
+/**
+ * OAuth2 client-credentials token manager
+ * Obtains access tokens for the Midaz backend from an identity provider
+ * (e.g. Lerian's auth plugin), caches them until shortly before they expire
+ * and refreshes them on demand. Concurrent callers share one token request.
+ */
+
+import config from '../config.js';
+import { createLogger } from './mcp-logging.js';
+
+const logger = createLogger('oauth-token');
+
+// Refresh this long before the token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Lifetime assumed when the provider does not send expires_in
+const DEFAULT_TOKEN_LIFETIME_MS = 5 * 60 * 1000;
+
+/**
+ * Client-credentials token manager for one identity provider
+ */
+export class OAuthTokenManager {
+    /**
+     * @param {Object} options - Provider settings (backend.auth in the config)
+     * @param {string} [options.tokenUrl] - Token endpoint; defaults to {baseUrl}/oauth/token
+     * @param {string} [options.baseUrl] - Auth service base URL
+     * @param {string} options.clientId - OAuth2 client ID
+     * @param {string} options.clientSecret - OAuth2 client secret
+     * @param {string} [options.scope] - Requested scope
+     * @param {string} [options.audience] - Requested audience
+     * @param {string} [options.authMethod] - 'client_secret_post' (default) or 'client_secret_basic'
+     * @param {Function} [fetchImpl] - fetch implementation, for tests
+     */
+    constructor(options = {}, fetchImpl = globalThis.fetch) {
+        this.options = options;
+        this.fetchImpl = fetchImpl;
+        this.cached = null;
+        this.pending = null;
+    }
+
+    /**
+     * Token endpoint URL, or null when no provider is configured
+     */
+    get tokenUrl() {
+        if (this.options.tokenUrl) return this.options.tokenUrl;
+        if (this.options.baseUrl) return `${this.options.baseUrl.replace(/\/$/, '')}/oauth/token`;
+        return null;
+    }
+
+    /**
+     * Whether client credentials and a token endpoint are configured
+     */
+    isConfigured() {
+        return Boolean(this.options.clientId && this.options.clientSecret && this.tokenUrl);
+    }
+
+    /**
+     * Get a valid access token, requesting a new one when the cached token is
+     * missing or about to expire
+     * @param {Object} [options] - { forceRefresh }
+     * @returns {Promise<string>} Access token
+     */
+    async getToken({ forceRefresh = false } = {}) {
+        if (!forceRefresh && this.cached && Date.now() < this.cached.refreshAt) {
+            return this.cached.accessToken;
+        }
+
+        if (!this.pending) {
+            this.pending = this.requestToken().finally(() => {
+                this.pending = null;
+            });
+        }
+
+        return this.pending;
+    }
+
+    /**
+     * Drop the cached token, e.g. after the backend rejected it with 401
+     */
+    invalidate() {
+        this.cached = null;
+    }
+
+    /**
+     * Seconds until the cached token expires, for status reporting
+     */
+    getStatus() {
+        return {
+            configured: this.isConfigured(),
+            tokenUrl: this.tokenUrl,
+            hasToken: Boolean(this.cached),
+            expiresInSeconds: this.cached ? Math.max(0, Math.round((this.cached.expiresAt - Date.now()) / 1000)) : null,
+        };
+    }
+
+    /**
+     * Run the client-credentials grant against the token endpoint
+     * @returns {Promise<string>} Access token
+     */
+    async requestToken() {
+        if (!this.isConfigured()) {
+            throw new Error('OAuth client credentials are not configured. Set MIDAZ_CLIENT_ID, MIDAZ_CLIENT_SECRET and MIDAZ_TOKEN_URL');
+        }
+
+        const { clientId, clientSecret, scope, audience, authMethod = 'client_secret_post' } = this.options;
+        const body = new URLSearchParams({ grant_type: 'client_credentials' });
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json',
+        };
+
+        if (authMethod === 'client_secret_basic') {
+            const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            body.set('client_id', clientId);
+            body.set('client_secret', clientSecret);
+        }
+        if (scope) body.set('scope', scope);
+        if (audience) body.set('audience', audience);
+
+        const requestedAt = Date.now();
+        const response = await this.fetchImpl(this.tokenUrl, {
+            method: 'POST',
+            headers,
+            body: body.toString(),
+            signal: AbortSignal.timeout(config.backend?.timeout || 10000),
+        });
+
+        if (!response.ok) {
+            logger.error('Token request failed', { status: response.status, tokenUrl: this.tokenUrl });
+            throw new Error(`Authentication failed: token endpoint returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        const accessToken = data.access_token || data.accessToken;
+        if (!accessToken) {
+            throw new Error('Authentication failed: token endpoint returned no access_token');
+        }
+
+        const expiresIn = Number(data.expires_in ?? data.expiresIn);
+        const lifetime = expiresIn > 0 ? expiresIn * 1000 : DEFAULT_TOKEN_LIFETIME_MS;
+        const expiresAt = requestedAt + lifetime;
+
+        this.cached = {
+            accessToken,
+            expiresAt,
+            // Short-lived tokens are refreshed at half their lifetime rather than a fixed margin
+            refreshAt: expiresAt - Math.min(REFRESH_MARGIN_MS, lifetime / 2),
+        };
+        logger.info('Obtained backend access token', { expiresInSeconds: Math.round(lifetime / 1000) });
+
+        return accessToken;
+    }
+}
+
+// One manager per auth config, so each environment profile keeps its own token
+const managers = new WeakMap();
+const NO_AUTH = {};
+
+/**
+ * Token manager for the configured backend identity provider (backend.auth)
+ * @returns {OAuthTokenManager} Shared manager
+ */
+export function getTokenManager() {
+    const auth = config.backend?.auth || NO_AUTH;
+    if (!managers.has(auth)) {
+        managers.set(auth, new OAuthTokenManager(auth));
+    }
+    return managers.get(auth);
+}
+
+/**
+ * Authorization header value for a backend request
+ * Uses an OAuth2 token when client credentials are configured, otherwise the
+ * backend's static API key.
+ * @param {Object} backend - Backend config with an optional apiKey
+ * @param {Object} [options] - { forceRefresh }
+ * @returns {Promise<string|null>} "Bearer ..." or null when no credentials are configured
+ */
+export async function getAuthorizationHeader(backend, options = {}) {
+    const manager = getTokenManager();
+    if (manager.isConfigured()) {
+        return `Bearer ${await manager.getToken(options)}`;
+    }
+    return backend?.apiKey ? `Bearer ${backend.apiKey}` : null;
+}
+
+export default {
+    OAuthTokenManager,
+    getTokenManager,
+    getAuthorizationHeader,
+};
@@ -0,0 +1,103 @@
+/**
+ * Backend pagination utilities
+ * Walk every page of a Midaz list endpoint, whether it pages by cursor or by page number
+ */
+
+// Midaz list endpoints accept at most 100 items per page
+const MAX_PAGE_SIZE = 100;
+
+// Safety net so a misbehaving backend cannot keep us paging forever
+const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * Fetch all pages of a list endpoint
+ * Cursor pagination (next_cursor) is followed when the backend returns a cursor;
+ * otherwise the page number is incremented until a short page comes back.
+ * @param {Function} fetchPage - Called with query params, returns { items, next_cursor? }
+ * @param {Object} [options] - Paging options
+ * @param {Object} [options.params] - Extra query parameters sent with every page
+ * @param {number} [options.limit] - Page size (max 100)
+ * @param {number} [options.maxPages] - Maximum number of pages to fetch
+ * @param {number} [options.maxItems] - Stop once this many items were collected
+ * @returns {Promise<Object>} { items, pages, truncated }
+ */
+export async function fetchAllPages(fetchPage, options = {}) {
+    const {
+        params = {},
+        limit = MAX_PAGE_SIZE,
+        maxPages = DEFAULT_MAX_PAGES,
+        maxItems = Infinity,
+    } = options;
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+
+    const items = [];
+    let pages = 0;
+    let cursor;
+    let page = 1;
+    let last;
+
+    while (pages < maxPages) {
+        const query = {
+            ...params,
+            limit: pageSize,
+            ...(cursor ? { cursor } : { page }),
+        };
+
+        const response = await fetchPage(query);
+        const pageItems = Array.isArray(response?.items) ? response.items : [];
+        items.push(...pageItems);
+        pages++;
+
+        const nextCursor = response?.next_cursor || response?.nextCursor;
+        last = { query, count: pageItems.length, nextCursor };
+        if (items.length > maxItems) {
+            return { items: items.slice(0, maxItems), pages, truncated: true };
+        }
+        if (items.length === maxItems) {
+            return { items, pages, truncated: await hasNextPage(fetchPage, query, pageItems.length, nextCursor) };
+        }
+
+        if (nextCursor) {
+            if (nextCursor === cursor) {
+                // The backend keeps returning the same cursor; stop rather than loop
+                return { items, pages, truncated: true };
+            }
+            cursor = nextCursor;
+            continue;
+        }
+
+        if (cursor || pageItems.length < pageSize) {
+            return { items, pages, truncated: false };
+        }
+        page++;
+    }
+
+    // maxPages reached: the last page may still have been the final one
+    return { items, pages, truncated: last ? await hasNextPage(fetchPage, last.query, last.count, last.nextCursor) : false };
+}
+
+/**
+ * Whether another page follows the one just fetched
+ * A cursor answers directly; with page numbers a full page may still be the
+ * last one, so the next page is fetched to find out.
+ * @param {Function} fetchPage - Page fetcher passed to fetchAllPages
+ * @param {Object} query - Query params of the page just fetched
+ * @param {number} count - Number of items on that page
+ * @param {string} [nextCursor] - Cursor returned with that page
+ * @returns {Promise<boolean>} True if more items exist
+ */
+async function hasNextPage(fetchPage, query, count, nextCursor) {
+    if (query.cursor || nextCursor) {
+        return Boolean(nextCursor) && nextCursor !== query.cursor;
+    }
+    if (count < query.limit) {
+        return false;
+    }
+
+    const response = await fetchPage({ ...query, page: query.page + 1 });
+    return Array.isArray(response?.items) && response.items.length > 0;
+}
+
+export default {
+    fetchAllPages,
+};
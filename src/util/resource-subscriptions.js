@@ -3,6 +3,12 @@
  * 
  * This module implements resource subscriptions and change notifications
  * following the MCP protocol specifications.
+ *
+ * Midaz entities that have a snapshot (accounts, account balances and ledger
+ * transaction lists) are polled on the backend: each poll is compared with the
+ * previous one and subscribers are notified of the keys that changed. Failed
+ * polls back off exponentially. Other midaz:// URIs map to local markdown
+ * files watched with fs watchers.
  */
 
 import { watch } from 'fs';
@@ -14,13 +20,35 @@ import {
   McpError,
   ErrorCode 
 } from '@modelcontextprotocol/sdk/types.js';
+import config from '../config.js';
+import { RESOURCE_KINDS, resolveResourceUri, checkResourceAccess } from '../resources/midaz-resources.js';
+
+// Longest wait between polls while the backend keeps failing
+const MAX_POLL_BACKOFF = 5 * 60 * 1000;
+
+/**
+ * Keys whose values differ between two snapshots
+ * @param {Object} previous - Previous snapshot { key: value }
+ * @param {Object} current - Current snapshot
+ * @returns {Array<string>} Added, removed and changed keys
+ */
+export function diffSnapshots(previous, current) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  return [...keys].filter(key => previous[key] !== current[key]);
+}
 
 // Subscription manager
-class SubscriptionManager extends EventEmitter {
-  constructor() {
+export class SubscriptionManager extends EventEmitter {
+  /**
+   * @param {Object} [options] - { pollInterval, maxBackoff } in milliseconds; pollInterval defaults to config.subscriptionPollInterval
+   */
+  constructor(options = {}) {
     super();
     this.subscriptions = new Map();
     this.watchers = new Map();
+    this.pollers = new Map();
+    this.pollInterval = options.pollInterval || null;
+    this.maxBackoff = options.maxBackoff || MAX_POLL_BACKOFF;
   }
 
   /**
@@ -30,9 +58,14 @@ class SubscriptionManager extends EventEmitter {
    * @param {Function} callback - Callback for changes
    */
   subscribe(uri, subscriptionId, callback) {
+    const entity = resolveResourceUri(uri);
+    if (entity && !RESOURCE_KINDS[entity.kind].snapshot) {
+      throw new Error(`Subscriptions are not supported for Midaz ${entity.kind} resources; subscribe to an account, its balances or a ledger's transactions`);
+    }
+
     // Parse URI to get file path
-    const resourcePath = this.uriToPath(uri);
-    if (!resourcePath) {
+    const resourcePath = entity ? null : this.uriToPath(uri);
+    if (!entity && !resourcePath) {
       throw new Error(`Invalid resource URI: ${uri}`);
     }
 
@@ -42,8 +75,13 @@ class SubscriptionManager extends EventEmitter {
     }
     this.subscriptions.get(uri).set(subscriptionId, callback);
 
-    // Set up file watcher if not already watching
-    if (!this.watchers.has(resourcePath)) {
+    if (entity) {
+      // One poller per URI, shared by all of its subscribers
+      if (!this.pollers.has(uri)) {
+        this.startPoller(uri, entity);
+      }
+    } else if (!this.watchers.has(resourcePath)) {
+      // Set up file watcher if not already watching
       this.setupWatcher(resourcePath, uri);
     }
 
@@ -59,9 +97,10 @@ class SubscriptionManager extends EventEmitter {
       if (subs.has(subscriptionId)) {
         subs.delete(subscriptionId);
         
-        // Remove watcher if no more subscriptions
+        // Remove poller or watcher if no more subscriptions
         if (subs.size === 0) {
           this.subscriptions.delete(uri);
+          this.stopPoller(uri);
           const resourcePath = this.uriToPath(uri);
           if (resourcePath && this.watchers.has(resourcePath)) {
             this.watchers.get(resourcePath).close();
@@ -75,6 +114,89 @@ class SubscriptionManager extends EventEmitter {
     return false;
   }
 
+  /**
+   * Start polling the backend for a Midaz entity
+   * The first successful poll is the baseline; later polls notify on changes.
+   * @param {string} uri - Resource URI
+   * @param {Object} entity - { kind, ids } from resolveResourceUri
+   */
+  startPoller(uri, { kind, ids }) {
+    this.pollers.set(uri, {
+      kind,
+      ids,
+      snapshot: null,
+      failures: 0,
+      timer: null,
+      lastPolledAt: null,
+      lastChangedAt: null,
+      lastError: null
+    });
+    this.schedulePoll(uri, 0);
+  }
+
+  /**
+   * Stop polling a resource
+   * @param {string} uri - Resource URI
+   */
+  stopPoller(uri) {
+    const poller = this.pollers.get(uri);
+    if (poller) {
+      clearTimeout(poller.timer);
+      this.pollers.delete(uri);
+    }
+  }
+
+  /**
+   * Schedule the next poll of a resource
+   * @param {string} uri - Resource URI
+   * @param {number} delay - Milliseconds to wait
+   */
+  schedulePoll(uri, delay) {
+    const poller = this.pollers.get(uri);
+    if (!poller) return;
+
+    poller.timer = setTimeout(() => this.poll(uri), delay);
+    // Polling alone never keeps the process alive
+    poller.timer.unref?.();
+  }
+
+  /**
+   * Poll a resource once and notify subscribers if it changed
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Array<string>>} Changed keys
+   */
+  async poll(uri) {
+    const poller = this.pollers.get(uri);
+    if (!poller) return [];
+
+    const interval = this.pollInterval || config.subscriptionPollInterval;
+    let changed = [];
+    try {
+      const snapshot = await RESOURCE_KINDS[poller.kind].snapshot(poller.ids);
+      changed = poller.snapshot ? diffSnapshots(poller.snapshot, snapshot) : [];
+      poller.snapshot = snapshot;
+      poller.failures = 0;
+      poller.lastError = null;
+      poller.lastPolledAt = new Date().toISOString();
+    } catch (error) {
+      poller.failures++;
+      poller.lastError = error.message;
+      console.error(`Failed to poll ${uri} (attempt ${poller.failures}): ${error.message}`);
+    }
+
+    // Unsubscribed while the poll was in flight
+    if (this.pollers.get(uri) !== poller) return [];
+
+    if (changed.length > 0) {
+      poller.lastChangedAt = new Date().toISOString();
+      this.notifySubscribers(uri, { changed });
+    }
+
+    const delay = poller.failures > 0 ? Math.min(interval * 2 ** poller.failures, this.maxBackoff) : interval;
+    this.schedulePoll(uri, delay);
+    return changed;
+  }
+
   /**
    * Set up file watcher for a resource
    * @param {string} filePath - File path to watch
@@ -97,15 +219,17 @@ class SubscriptionManager extends EventEmitter {
   /**
    * Notify all subscribers of a resource change
    * @param {string} uri - Resource URI that changed
+   * @param {Object} [details] - Extra event fields, e.g. { changed: keys }
    */
-  notifySubscribers(uri) {
+  notifySubscribers(uri, details = {}) {
     const subscribers = this.subscriptions.get(uri);
     if (!subscribers) return;
 
     const changeEvent = {
       uri,
       timestamp: new Date().toISOString(),
-      type: 'content_changed'
+      type: 'content_changed',
+      ...details
     };
 
     for (const [subscriptionId, callback] of subscribers.entries()) {
@@ -120,6 +244,21 @@ class SubscriptionManager extends EventEmitter {
     this.emit('resourceChanged', changeEvent);
   }
 
+  /**
+   * Notify subscribers of a change reported outside the poller, e.g. by a webhook
+   * The poller's next result becomes its new baseline so the change is not announced twice.
+   * @param {string} uri - Resource URI that changed
+   * @param {Object} [details] - Extra event fields
+   */
+  applyExternalChange(uri, details = {}) {
+    const poller = this.pollers.get(uri);
+    if (poller) {
+      poller.snapshot = null;
+      poller.lastChangedAt = new Date().toISOString();
+    }
+    this.notifySubscribers(uri, details);
+  }
+
   /**
    * Convert URI to file path
    * @param {string} uri - Resource URI
@@ -157,6 +296,35 @@ class SubscriptionManager extends EventEmitter {
     return list;
   }
 
+  /**
+   * Polling state of each polled resource
+   * @returns {Array} { uri, kind, failures, lastPolledAt, lastChangedAt, lastError }
+   */
+  listPollers() {
+    return [...this.pollers.entries()].map(([uri, poller]) => ({
+      uri,
+      kind: poller.kind,
+      failures: poller.failures,
+      lastPolledAt: poller.lastPolledAt,
+      lastChangedAt: poller.lastChangedAt,
+      lastError: poller.lastError
+    }));
+  }
+
+  /**
+   * Stop every poller and watcher
+   */
+  close() {
+    for (const uri of [...this.pollers.keys()]) {
+      this.stopPoller(uri);
+    }
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.subscriptions.clear();
+  }
+
   /**
    * Get changed resources since a timestamp
    * @param {number} since - Timestamp in milliseconds
@@ -175,10 +343,14 @@ export const subscriptionManager = new SubscriptionManager();
 /**
  * MCP-compliant subscription handler
  * @param {Object} mcpServer - MCP server instance
+ * @param {SubscriptionManager} [manager] - Manager the subscriptions are registered with
  */
-export function setupSubscriptionHandlers(mcpServer) {
+export function setupSubscriptionHandlers(mcpServer, manager = subscriptionManager) {
   // Get the underlying server instance
   const server = mcpServer.server;
+
+  // Subscriptions made through this server, so one session never cancels another's
+  const sessionSubscriptions = new Map();
   
   // Register subscription capability
   server.registerCapabilities({
@@ -188,17 +360,28 @@ export function setupSubscriptionHandlers(mcpServer) {
   });
 
   // Handle subscribe requests
-  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
     const { uri } = request.params;
+
+    // Subscribing to a Midaz entity needs the same access as reading it
+    const entity = resolveResourceUri(uri);
+    if (entity) {
+      checkResourceAccess(entity.kind, entity.ids, extra);
+    }
+
+    if (sessionSubscriptions.has(uri)) {
+      return { _meta: { subscriptionId: sessionSubscriptions.get(uri) } };
+    }
     const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     try {
-      subscriptionManager.subscribe(uri, subscriptionId, (event) => {
+      manager.subscribe(uri, subscriptionId, (event) => {
         // Send notification to client
         server.sendResourceUpdated({
           uri: event.uri
-        });
+        }).catch(error => console.error(`Failed to send resource update for ${event.uri}: ${error.message}`));
       });
+      sessionSubscriptions.set(uri, subscriptionId);
 
       return {
         _meta: {
@@ -218,26 +401,30 @@ export function setupSubscriptionHandlers(mcpServer) {
   server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
     const { uri } = request.params;
 
-    // Find and remove subscriptions for this URI
-    let removed = false;
-    const subscriptions = subscriptionManager.listSubscriptions();
-    
-    for (const sub of subscriptions) {
-      if (sub.uri === uri) {
-        subscriptionManager.unsubscribe(sub.subscriptionId);
-        removed = true;
-      }
-    }
-
-    if (!removed) {
+    // Find and remove this session's subscription for the URI
+    const subscriptionId = sessionSubscriptions.get(uri);
+    if (!subscriptionId) {
       throw new McpError(
         ErrorCode.InvalidParams,
         'No subscription found for URI'
       );
     }
 
+    manager.unsubscribe(subscriptionId);
+    sessionSubscriptions.delete(uri);
+
     return {};
   });
+
+  // Drop the session's subscriptions when its connection closes
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    for (const subscriptionId of sessionSubscriptions.values()) {
+      manager.unsubscribe(subscriptionId);
+    }
+    sessionSubscriptions.clear();
+    previousOnClose?.();
+  };
 }
 
 /**
@@ -17,7 +17,8 @@ export const FormatTypes = {
   MARKDOWN: 'markdown',
   TABLE: 'table',
   LIST: 'list',
-  TREE: 'tree'
+  TREE: 'tree',
+  CSV: 'csv'
 };
 
 /**
@@ -55,6 +56,7 @@ export class ResponseFormatter {
     this.formatHandlers.set(FormatTypes.TABLE, this.formatAsTable.bind(this));
     this.formatHandlers.set(FormatTypes.LIST, this.formatAsList.bind(this));
     this.formatHandlers.set(FormatTypes.TREE, this.formatAsTree.bind(this));
+    this.formatHandlers.set(FormatTypes.CSV, this.formatAsCsv.bind(this));
 
     // Escape handlers
     this.escapeHandlers.set(EscapeStrategies.NONE, text => text);
@@ -341,6 +343,26 @@ export class ResponseFormatter {
     return this.buildTree(data, 0);
   }
 
+  formatAsCsv(data) {
+    if (typeof data === 'string') return data;
+    if (!Array.isArray(data)) data = [data];
+    if (data.length === 0) return '';
+
+    const headers = [...new Set(data.flatMap(row => Object.keys(row || {})))];
+    const quote = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [headers.map(quote).join(',')];
+    for (const row of data) {
+      lines.push(headers.map(h => quote(row?.[h])).join(','));
+    }
+
+    return lines.join('\n');
+  }
+
   // Escape handlers
   escapeMinimal(text) {
     return text.replace(/["\\]/g, '\\$&');
@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { validateInput, auditToolInvocation, checkRateLimit } from './security.js';
+import { validateInput, auditToolInvocation, auditResourceAccess, checkRateLimit, getClientIdentity } from './security.js';
 
 /**
  * Wrap a tool handler with security features
@@ -52,7 +52,7 @@ export function createSecureTool(server, toolName, description, schema, handler)
     
     try {
       // Rate limiting
-      const userId = extra?.context?.userId || 'anonymous';
+      const userId = getClientIdentity(extra);
       if (!checkRateLimit(`tool:${toolName}:${userId}`)) {
         throw new Error('Rate limit exceeded');
       }
@@ -83,7 +83,7 @@ export function createSecureTool(server, toolName, description, schema, handler)
       auditToolInvocation(
         toolName,
         args,
-        extra?.context?.userId || 'anonymous',
+        getClientIdentity(extra),
         null,
         error
       );
@@ -109,7 +109,7 @@ export function createSecureResource(server, name, uri, handler) {
     
     try {
       // Rate limiting
-      const userId = extra?.context?.userId || 'anonymous';
+      const userId = getClientIdentity(extra);
       if (!checkRateLimit(`resource:${name}:${userId}`, 50, 60000)) {
         throw new Error('Rate limit exceeded');
       }
@@ -132,7 +132,7 @@ export function createSecureResource(server, name, uri, handler) {
       // Audit failed access
       auditResourceAccess(
         resourceUri.href,
-        extra?.context?.userId || 'anonymous',
+        getClientIdentity(extra),
         false,
         error
       );
@@ -4,6 +4,7 @@ import path from 'path';
 import { z } from 'zod';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { AuditStore, classifyOutcome } from './audit-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,7 +14,8 @@ const SECURITY_CONFIG = {
   allowedHosts: ['localhost', '127.0.0.1', '::1'],
   maxRequestSize: 1024 * 1024, // 1MB
   sensitiveFields: ['password', 'token', 'secret', 'apiKey', 'authorization'],
-  auditLogPath: path.join(__dirname, '../../logs/audit.log')
+  auditLogPath: path.join(__dirname, '../../logs/audit.log'),
+  auditLogMaxBytes: 10 * 1024 * 1024 // 10MB per file; also rotated daily
 };
 
 // Ensure audit log directory exists
@@ -22,12 +24,16 @@ if (!fs.existsSync(auditLogDir)) {
   fs.mkdirSync(auditLogDir, { recursive: true });
 }
 
+// Hash-chained audit log, see audit-store.js
+export const auditStore = new AuditStore(SECURITY_CONFIG.auditLogPath, {
+  maxBytes: SECURITY_CONFIG.auditLogMaxBytes
+});
+
 /**
  * Verify that the connection is from localhost only
  */
 export function isLocalConnection(request) {
-  // In MCP context, we're using stdio transport which is inherently local
-  // This function is for future HTTP transport support
+  // stdio transport is inherently local; HTTP requests carry headers and a socket
   if (!request || !request.headers) {
     return true; // stdio transport
   }
@@ -35,8 +41,8 @@ export function isLocalConnection(request) {
   const host = request.headers.host || '';
   const remoteAddress = request.socket?.remoteAddress || '';
 
-  // Check if host is in allowed list
-  const hostName = host.split(':')[0];
+  // Check if host is in allowed list (IPv6 hosts arrive as [::1]:port)
+  const hostName = host.startsWith('[') ? host.slice(1, host.indexOf(']')) : host.split(':')[0];
   if (!SECURITY_CONFIG.allowedHosts.includes(hostName)) {
     return false;
   }
@@ -84,6 +90,7 @@ export function sanitizeSensitiveData(data, depth = 0) {
 
 /**
  * Create audit log entry
+ * Entries are appended to the hash-chained audit store with their outcome.
  */
 export function createAuditLog(entry) {
   const timestamp = new Date().toISOString();
@@ -92,12 +99,18 @@ export function createAuditLog(entry) {
     ...sanitizeSensitiveData(entry),
     id: crypto.randomUUID()
   };
+  logEntry.outcome = classifyOutcome(logEntry);
 
-  // Append to audit log file
-  const logLine = JSON.stringify(logEntry) + '\n';
-  fs.appendFileSync(SECURITY_CONFIG.auditLogPath, logLine);
+  return auditStore.append(logEntry);
+}
 
-  return logEntry;
+/**
+ * Resolve the identity of the client behind a request
+ * HTTP clients are identified by their bearer credentials (extra.authInfo);
+ * stdio clients have no identity.
+ */
+export function getClientIdentity(extra) {
+  return extra?.authInfo?.clientId || extra?.context?.userId || 'anonymous';
 }
 
 /**
@@ -318,28 +331,12 @@ export function checkRateLimit(identifier, limit = 100, windowMs = 60000) {
 
 /**
  * Clean up old audit logs
+ * Whole rotated files are deleted; entries are never rewritten, so the hash
+ * chain of the remaining files stays verifiable.
  */
 export function cleanupAuditLogs(daysToKeep = 30) {
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-  const auditLogPath = SECURITY_CONFIG.auditLogPath;
-  const tempPath = auditLogPath + '.tmp';
-
   try {
-    const input = fs.readFileSync(auditLogPath, 'utf8');
-    const lines = input.split('\n').filter(line => {
-      if (!line.trim()) return false;
-      try {
-        const entry = JSON.parse(line);
-        return new Date(entry.timestamp) > cutoffDate;
-      } catch {
-        return false;
-      }
-    });
-
-    fs.writeFileSync(tempPath, lines.join('\n') + '\n');
-    fs.renameSync(tempPath, auditLogPath);
+    auditStore.removeSegmentsOlderThan(daysToKeep);
   } catch (error) {
     // Failed to cleanup audit logs (silent for MCP protocol)
   }
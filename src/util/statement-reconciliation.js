@@ -0,0 +1,546 @@
+/**
+ * Bank statement reconciliation utilities
+ *
+ * Parses bank statements (CSV, OFX and ISO 20022 CAMT.053) into signed lines in
+ * minor units, and matches them against ledger transactions. Lines are first
+ * matched by reference (transaction ID or metadata value); a reference match
+ * whose amount differs is reported as an amount mismatch. Remaining lines are
+ * matched by equal amount within a date window, nearest date first. Everything
+ * left over is unmatched on one side or the other.
+ */
+
+import { normalizeOperation } from './ledger-integrity.js';
+import { rescaleAmount } from './transaction-payload.js';
+import { formatMinorUnits } from './account-statement.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Header names recognized in CSV statements, lowercase, per field
+const CSV_COLUMN_ALIASES = {
+    date: ['date', 'booking date', 'posting date', 'transaction date', 'value date', 'data'],
+    amount: ['amount', 'value', 'transaction amount', 'valor'],
+    credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out'],
+    reference: ['reference', 'ref', 'transaction id', 'id', 'fitid', 'end to end id', 'document'],
+    description: ['description', 'memo', 'details', 'narrative', 'payee', 'name', 'historico'],
+    currency: ['currency', 'ccy', 'moeda'],
+};
+
+/**
+ * Parse a decimal amount into minor units
+ * Accepts signs, parentheses for negatives, trailing minus and thousands separators.
+ * @param {string|number} input - Amount, e.g. "-1,234.56" or "(12.00)"
+ * @param {string} [decimalSeparator] - "." or ","
+ * @returns {Object|null} { value, scale } or null if the input is not an amount
+ */
+export function parseDecimalAmount(input, decimalSeparator = '.') {
+    let text = String(input ?? '').trim().replace(/\s/g, '');
+    if (!text) {
+        return null;
+    }
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+        negative = !negative;
+        text = text.slice(0, -1);
+    }
+    if (/^[+-]/.test(text)) {
+        negative = text[0] === '-' ? !negative : negative;
+        text = text.slice(1);
+    }
+
+    const thousands = decimalSeparator === ',' ? '.' : ',';
+    text = text.split(thousands).join('');
+    if (decimalSeparator === ',') {
+        text = text.replace(',', '.');
+    }
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+        return null;
+    }
+
+    const [whole, fraction = ''] = text.split('.');
+    const value = Number(whole + fraction);
+    return { value: negative ? -value : value, scale: fraction.length };
+}
+
+/**
+ * Parse a date into YYYY-MM-DD
+ * @param {string} input - Date text
+ * @param {string} [dateFormat] - iso (YYYY-MM-DD, YYYYMMDD), dmy or mdy
+ * @returns {string|null} ISO date, or null if it cannot be parsed
+ */
+export function parseStatementDate(input, dateFormat = 'iso') {
+    const text = String(input ?? '').trim();
+    let year, month, day;
+
+    if (dateFormat === 'iso') {
+        const match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+        if (!match) return null;
+        [, year, month, day] = match;
+    } else {
+        const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+        if (!match) return null;
+        [, day, month, year] = match;
+        if (dateFormat === 'mdy') {
+            [day, month] = [month, day];
+        }
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Detect the format of a statement file
+ * @param {string} content - File content
+ * @returns {string} csv, ofx or camt053
+ */
+export function detectStatementFormat(content) {
+    const head = content.slice(0, 2048);
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/camt\.053|<(\w+:)?BkToCstmrStmt[\s>]/.test(content.slice(0, 8192))) return 'camt053';
+    return 'csv';
+}
+
+/**
+ * Split CSV content into rows of cells, honouring quoted cells
+ * The delimiter (comma, semicolon or tab) is taken from the header row.
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsvRows(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const header = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: header.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Parse a CSV bank statement
+ * Amounts come from a signed amount column, or from separate credit/debit columns.
+ * @param {string} content - CSV content with a header row
+ * @param {Object} [options] - { columns, decimalSeparator, dateFormat, currency }
+ * @returns {Object} { lines, rejected }
+ */
+export function parseCsvStatement(content, { columns = {}, decimalSeparator = '.', dateFormat = 'iso', currency = null } = {}) {
+    const [header = [], ...rows] = parseCsvRows(content);
+    const names = header.map(name => name.trim().toLowerCase());
+
+    const index = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+        const wanted = columns[field] ? [columns[field].toLowerCase()] : aliases;
+        index[field] = names.findIndex(name => wanted.includes(name));
+        if (columns[field] && index[field] === -1) {
+            throw new Error(`CSV column "${columns[field]}" not found; columns are: ${header.join(', ')}`);
+        }
+    }
+    if (index.date === -1 || (index.amount === -1 && index.credit === -1 && index.debit === -1)) {
+        throw new Error(`CSV statement needs a date column and an amount (or credit/debit) column; columns are: ${header.join(', ')}`);
+    }
+
+    const lines = [];
+    const rejected = [];
+    rows.forEach((cells, position) => {
+        const line = position + 2; // 1-based, after the header row
+        const cellAt = field => (index[field] === -1 ? '' : (cells[index[field]] ?? '').trim());
+
+        const date = parseStatementDate(cellAt('date'), dateFormat);
+        let amount = parseDecimalAmount(cellAt('amount'), decimalSeparator);
+        if (!amount) {
+            const credit = parseDecimalAmount(cellAt('credit'), decimalSeparator);
+            const debit = parseDecimalAmount(cellAt('debit'), decimalSeparator);
+            if (credit && credit.value !== 0) amount = { value: Math.abs(credit.value), scale: credit.scale };
+            else if (debit) amount = { value: -Math.abs(debit.value), scale: debit.scale };
+        }
+
+        if (!date) {
+            rejected.push({ line, reason: `Unreadable date "${cellAt('date')}"` });
+        } else if (!amount) {
+            rejected.push({ line, reason: 'Missing or unreadable amount' });
+        } else {
+            lines.push({
+                line,
+                date,
+                ...amount,
+                currency: cellAt('currency').toUpperCase() || currency,
+                references: cellAt('reference') ? [cellAt('reference')] : [],
+                description: cellAt('description') || null,
+            });
+        }
+    });
+
+    return { lines, rejected };
+}
+
+/**
+ * Value of an SGML/XML tag in an OFX block
+ */
+function ofxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * Parse an OFX bank statement (SGML OFX 1.x or XML OFX 2.x)
+ * @param {string} content - OFX content
+ * @param {Object} [options] - { currency }
+ * @returns {Object} { lines, rejected }
+ */
+export function parseOfxStatement(content, { currency = null } = {}) {
+    const defaultCurrency = ofxValue(content, 'CURDEF').toUpperCase() || currency;
+    const blocks = content.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+    const lines = [];
+    const rejected = [];
+    blocks.forEach((block, position) => {
+        const line = position + 1;
+        const date = parseStatementDate(ofxValue(block, 'DTPOSTED'));
+        const amount = parseDecimalAmount(ofxValue(block, 'TRNAMT'));
+
+        if (!date) {
+            rejected.push({ line, reason: 'Missing or unreadable DTPOSTED' });
+        } else if (!amount) {
+            rejected.push({ line, reason: 'Missing or unreadable TRNAMT' });
+        } else {
+            lines.push({
+                line,
+                date,
+                ...amount,
+                currency: ofxValue(block, 'CURRENCY').toUpperCase() || defaultCurrency,
+                references: ['FITID', 'REFNUM', 'CHECKNUM'].map(tag => ofxValue(block, tag)).filter(Boolean),
+                description: [ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')].filter(Boolean).join(' - ') || null,
+            });
+        }
+    });
+
+    return { lines, rejected };
+}
+
+/**
+ * Inner XML of every element with the given local name (namespace prefixes ignored)
+ */
+function xmlElements(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map(match => ({ outer: match[0], inner: match[1] }));
+}
+
+/**
+ * Text of the first element with the given local name
+ */
+function xmlText(xml, tag) {
+    const [element] = xmlElements(xml, tag);
+    return element ? element.inner.replace(/<[^>]+>/g, '').trim() : '';
+}
+
+/**
+ * Parse an ISO 20022 CAMT.053 bank-to-customer statement
+ * @param {string} content - CAMT.053 XML
+ * @param {Object} [options] - { currency }
+ * @returns {Object} { lines, rejected }
+ */
+export function parseCamt053Statement(content, { currency = null } = {}) {
+    const lines = [];
+    const rejected = [];
+
+    xmlElements(content, 'Ntry').forEach(({ inner }, position) => {
+        const line = position + 1;
+        const [amountElement] = xmlElements(inner, 'Amt');
+        const amount = amountElement ? parseDecimalAmount(amountElement.inner) : null;
+        const bookingDate = xmlElements(inner, 'BookgDt')[0]?.inner || xmlElements(inner, 'ValDt')[0]?.inner || '';
+        const date = parseStatementDate(xmlText(bookingDate, 'Dt') || xmlText(bookingDate, 'DtTm'));
+
+        if (!date) {
+            rejected.push({ line, reason: 'Missing or unreadable BookgDt/ValDt' });
+        } else if (!amount) {
+            rejected.push({ line, reason: 'Missing or unreadable Amt' });
+        } else {
+            const debit = xmlText(inner, 'CdtDbtInd') === 'DBIT';
+            const references = ['EndToEndId', 'AcctSvcrRef', 'NtryRef', 'InstrId', 'TxId']
+                .map(tag => xmlText(inner, tag))
+                .filter(reference => reference && reference !== 'NOTPROVIDED');
+
+            lines.push({
+                line,
+                date,
+                value: debit ? -Math.abs(amount.value) : Math.abs(amount.value),
+                scale: amount.scale,
+                currency: (amountElement.outer.match(/Ccy="([A-Za-z]{3})"/)?.[1] || currency || '').toUpperCase() || null,
+                references: [...new Set(references)],
+                description: xmlText(inner, 'Ustrd') || xmlText(inner, 'AddtlNtryInf') || null,
+            });
+        }
+    });
+
+    return { lines, rejected };
+}
+
+/**
+ * Parse a statement in any supported format
+ * @param {string} content - File content
+ * @param {Object} [options] - { format, columns, decimalSeparator, dateFormat, currency }
+ * @returns {Object} { format, lines, rejected }
+ */
+export function parseStatement(content, options = {}) {
+    const format = !options.format || options.format === 'auto' ? detectStatementFormat(content) : options.format;
+    const parsers = { csv: parseCsvStatement, ofx: parseOfxStatement, camt053: parseCamt053Statement };
+    return { format, ...parsers[format](content, options) };
+}
+
+/**
+ * Normalize a ledger transaction for matching
+ * With an account alias, the amount is the net effect on that account (credits
+ * positive, debits negative) and transactions that do not touch it are skipped.
+ * Without one, the transaction amount is used unsigned.
+ * @param {Object} transaction - Transaction as returned by the API
+ * @param {Array<Object>} [operations] - Its operations, needed with an account alias
+ * @param {string} [accountAlias] - Ledger account mirroring the bank account
+ * @returns {Object|null} { id, date, value, scale, signed, currency, references, description }
+ */
+export function normalizeLedgerTransaction(transaction, operations = [], accountAlias = null) {
+    const base = {
+        id: transaction.id,
+        date: String(transaction.createdAt || transaction.created_at || '').slice(0, 10) || null,
+        currency: transaction.assetCode || transaction.asset_code || null,
+        references: [
+            transaction.id,
+            transaction.code,
+            ...Object.values(transaction.metadata || {}).filter(value => typeof value === 'string' || typeof value === 'number'),
+        ].filter(value => value !== undefined && value !== null && value !== '').map(String),
+        metadata: transaction.metadata || {},
+        description: transaction.description || null,
+    };
+
+    if (accountAlias) {
+        const legs = operations.map(normalizeOperation).filter(operation => operation.alias === accountAlias);
+        if (legs.length === 0) {
+            return null;
+        }
+
+        const scale = Math.max(...legs.map(leg => leg.scale));
+        const value = legs.reduce((sum, leg) => {
+            const amount = rescaleAmount(leg.value, leg.scale, scale);
+            if (leg.type === 'credit') return sum + amount;
+            if (leg.type === 'debit') return sum - amount;
+            return sum;
+        }, 0);
+        return { ...base, value, scale, signed: true, currency: base.currency || legs[0].asset_code };
+    }
+
+    let amount = null;
+    if (typeof transaction.amount === 'string') {
+        amount = parseDecimalAmount(transaction.amount);
+    } else if (typeof transaction.amount === 'number') {
+        amount = { value: transaction.amount, scale: transaction.amountScale ?? transaction.scale ?? 0 };
+    } else if (transaction.send?.value !== undefined) {
+        amount = { value: Number(transaction.send.value), scale: transaction.send.scale ?? 0 };
+    } else if (operations.length > 0) {
+        // Total of the debit legs is the amount sent
+        const debits = operations.map(normalizeOperation).filter(operation => operation.type === 'debit');
+        const scale = Math.max(0, ...debits.map(leg => leg.scale));
+        amount = { value: debits.reduce((sum, leg) => sum + rescaleAmount(leg.value, leg.scale, scale), 0), scale };
+    }
+
+    if (!amount) {
+        return null;
+    }
+    const currency = base.currency || (operations[0] ? normalizeOperation(operations[0]).asset_code : null);
+    return { ...base, value: Math.abs(amount.value), scale: amount.scale, signed: false, currency };
+}
+
+/**
+ * Difference between a statement line and a ledger amount, in the larger scale
+ * Unsigned ledger amounts take the sign of the statement line.
+ * @returns {Object} { difference, scale }
+ */
+function amountDifference(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    const left = a.value * 10 ** (scale - a.scale);
+    const right = (b.signed ? b.value : (a.value < 0 ? -b.value : b.value)) * 10 ** (scale - b.scale);
+    return { difference: left - right, scale };
+}
+
+/**
+ * Days between two ISO dates
+ */
+function daysBetween(a, b) {
+    return Math.round(Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS);
+}
+
+/**
+ * Reconcile statement lines against ledger transactions
+ * @param {Array<Object>} lines - Statement lines from parseStatement
+ * @param {Array<Object>} transactions - Ledger transactions from normalizeLedgerTransaction
+ * @param {Object} [options]
+ * @param {number} [options.dateWindowDays] - Maximum days between statement and ledger dates for amount matches
+ * @param {Array<string>} [options.referenceKeys] - Only compare references with these metadata keys (plus the transaction ID)
+ * @returns {Object} { summary, matched, amount_mismatches, unmatched_in_bank, unmatched_in_ledger }
+ */
+export function reconcileStatement(lines, transactions, { dateWindowDays = 3, referenceKeys = null } = {}) {
+    const open = new Set(transactions.map((_, position) => position));
+    const matched = [];
+    const mismatches = [];
+    const unmatchedLines = [];
+    const sameCurrency = (line, transaction) => !line.currency || !transaction.currency || line.currency === transaction.currency;
+    const amountOf = item => formatMinorUnits(item.value, item.scale);
+
+    const referencesOf = transaction => (referenceKeys
+        ? [transaction.id, ...referenceKeys.map(key => transaction.metadata[key]).filter(value => value !== undefined && value !== null).map(String)]
+        : transaction.references
+    ).map(reference => reference.toLowerCase());
+
+    // Candidates are ranked by nearest date, then ledger order
+    const best = candidates => candidates.sort((a, b) => a.days - b.days || a.position - b.position)[0];
+
+    const byAmount = [];
+    for (const line of lines) {
+        const wanted = line.references.map(reference => reference.toLowerCase());
+        const referenced = [...open]
+            .map(position => ({ position, transaction: transactions[position] }))
+            .filter(({ transaction }) => wanted.length > 0 && sameCurrency(line, transaction) && referencesOf(transaction).some(reference => wanted.includes(reference)))
+            .map(candidate => ({ ...candidate, days: daysBetween(line.date, candidate.transaction.date), ...amountDifference(line, candidate.transaction) }));
+
+        const exact = best(referenced.filter(candidate => candidate.difference === 0));
+        const closest = exact || best(referenced);
+        if (!closest) {
+            byAmount.push(line);
+            continue;
+        }
+
+        open.delete(closest.position);
+        const { transaction } = closest;
+        if (exact) {
+            matched.push({ statement_line: line.line, transaction_id: transaction.id, method: 'reference', date: line.date, ledger_date: transaction.date, amount: amountOf(line), date_difference_days: closest.days });
+        } else {
+            mismatches.push({
+                statement_line: line.line,
+                transaction_id: transaction.id,
+                reference: line.references.find(reference => referencesOf(transaction).includes(reference.toLowerCase())),
+                date: line.date,
+                ledger_date: transaction.date,
+                statement_amount: amountOf(line),
+                ledger_amount: amountOf(transaction.signed ? transaction : { ...transaction, value: line.value < 0 ? -transaction.value : transaction.value }),
+                difference: formatMinorUnits(closest.difference, closest.scale),
+            });
+        }
+    }
+
+    for (const line of byAmount) {
+        const candidates = [...open]
+            .map(position => ({ position, transaction: transactions[position] }))
+            .filter(({ transaction }) => sameCurrency(line, transaction) && transaction.date)
+            .map(candidate => ({ ...candidate, days: daysBetween(line.date, candidate.transaction.date), ...amountDifference(line, candidate.transaction) }))
+            .filter(candidate => candidate.difference === 0 && candidate.days <= dateWindowDays);
+
+        const chosen = best(candidates);
+        if (!chosen) {
+            unmatchedLines.push(line);
+            continue;
+        }
+
+        open.delete(chosen.position);
+        matched.push({
+            statement_line: line.line,
+            transaction_id: chosen.transaction.id,
+            method: 'amount_date',
+            date: line.date,
+            ledger_date: chosen.transaction.date,
+            amount: amountOf(line),
+            date_difference_days: chosen.days,
+            ...(candidates.filter(candidate => candidate.days === chosen.days).length > 1 && { ambiguous: true }),
+        });
+    }
+
+    const unmatchedInBank = unmatchedLines.map(line => ({
+        statement_line: line.line,
+        date: line.date,
+        amount: amountOf(line),
+        currency: line.currency,
+        references: line.references,
+        description: line.description,
+    }));
+    const unmatchedInLedger = [...open].sort((a, b) => a - b).map(position => {
+        const transaction = transactions[position];
+        return {
+            transaction_id: transaction.id,
+            date: transaction.date,
+            amount: amountOf(transaction),
+            currency: transaction.currency,
+            description: transaction.description,
+        };
+    });
+
+    return {
+        summary: {
+            statement_lines: lines.length,
+            ledger_transactions: transactions.length,
+            matched: matched.length,
+            amount_mismatches: mismatches.length,
+            unmatched_in_bank: unmatchedInBank.length,
+            unmatched_in_ledger: unmatchedInLedger.length,
+            reconciled: mismatches.length === 0 && unmatchedInBank.length === 0 && unmatchedInLedger.length === 0,
+        },
+        matched,
+        amount_mismatches: mismatches,
+        unmatched_in_bank: unmatchedInBank,
+        unmatched_in_ledger: unmatchedInLedger,
+    };
+}
+
+export default {
+    parseDecimalAmount,
+    parseStatementDate,
+    detectStatementFormat,
+    parseCsvRows,
+    parseCsvStatement,
+    parseOfxStatement,
+    parseCamt053Statement,
+    parseStatement,
+    normalizeLedgerTransaction,
+    reconcileStatement,
+};
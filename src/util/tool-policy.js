@@ -0,0 +1,222 @@
+/**
+ * Role-based tool authorization policy
+ *
+ * A policy file (YAML or JSON) maps client identities to roles, and roles to
+ * the tools, tool arguments (operations) and resources they may use:
+ *
+ *   defaultRoles: [viewer]              # roles every caller has
+ *   clients:
+ *     ci-bot: [operator]                # client ID (API key id or JWT sub) -> roles
+ *   roles:
+ *     viewer:
+ *       tools: ["list-*", "get-*", "midaz-docs"]
+ *     operator:
+ *       tools: ["*"]
+ *       deny: ["lerian-error-metrics"]
+ *       operations:
+ *         create-transaction-json:      # allowlist per tool argument
+ *           dry_run: [true]
+ *       resources: ["organizations/0190a1b2-*"]
+ *
+ * Scopes carried by the client's credentials also count as roles when a role
+ * of that name exists. A call is allowed when at least one role of the caller
+ * allows it; without a policy file every tool is available to every caller.
+ * A role with `resources` only allows calls scoped to one of them, so tools
+ * that are not scoped to an organization (list-organizations, audit-log-query,
+ * the docs tools...) need another role.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+
+const roleSchema = z.object({
+  tools: z.array(z.string()).default([]),
+  deny: z.array(z.string()).default([]),
+  operations: z.record(z.record(z.array(z.union([z.string(), z.number(), z.boolean()])))).default({}),
+  resources: z.array(z.string()).optional()
+});
+
+const policySchema = z.object({
+  defaultRoles: z.array(z.string()).default([]),
+  clients: z.record(z.array(z.string())).default({}),
+  roles: z.record(roleSchema).default({})
+});
+
+let activePolicy = null;
+
+// Tools whose `id` argument names the organization or ledger itself
+const ID_ARGUMENT_LEVELS = {
+  'get-organization': 'organization',
+  'get-ledger': 'ledger'
+};
+
+/**
+ * Convert a glob pattern with * wildcards to a regular expression
+ * @param {string} pattern - Pattern such as "list-*"
+ * @param {string} [suffix] - Regex appended before the end anchor
+ */
+function globToRegExp(pattern, suffix = '') {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}${suffix}$`);
+}
+
+function matchesAny(patterns, value) {
+  return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
+
+/**
+ * Resource path a tool call operates on, e.g. organizations/{org}/ledgers/{ledger}
+ * @param {string} toolName - Tool being called
+ * @param {Object} args - Tool arguments
+ * @returns {string|null} Resource path, or null when the call is not scoped to an organization
+ */
+export function getResourcePath(toolName, args = {}) {
+  const level = ID_ARGUMENT_LEVELS[toolName];
+  const organization = (level === 'organization' && args.id) || args.organization_id;
+  const ledger = (level === 'ledger' && args.id) || args.ledger_id;
+
+  if (!organization) {
+    return null;
+  }
+  return ledger ? `organizations/${organization}/ledgers/${ledger}` : `organizations/${organization}`;
+}
+
+/**
+ * Parse and validate a policy document
+ * @param {Object} document - Parsed YAML/JSON policy
+ * @returns {Object} Normalized policy
+ * @throws {Error} If the policy is invalid or references undefined roles
+ */
+export function parseToolPolicy(document) {
+  const result = policySchema.safeParse(document || {});
+  if (!result.success) {
+    const issues = result.error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+    throw new Error(`Invalid tool policy: ${issues.join('; ')}`);
+  }
+
+  const policy = result.data;
+  const referenced = [...policy.defaultRoles, ...Object.values(policy.clients).flat()];
+  const undefinedRoles = [...new Set(referenced.filter(role => !policy.roles[role]))];
+  if (undefinedRoles.length > 0) {
+    throw new Error(`Invalid tool policy: undefined roles ${undefinedRoles.join(', ')}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Load a policy file; .yaml/.yml files are parsed as YAML, anything else as JSON
+ * @param {string} filePath - Path to the policy file
+ * @returns {Object} Normalized policy
+ */
+export function loadToolPolicy(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const document = extension === '.yaml' || extension === '.yml' ? YAML.parse(content) : JSON.parse(content);
+  return parseToolPolicy(document);
+}
+
+/**
+ * Set the policy enforced by wrapToolHandler
+ * @param {Object|null} policy - Normalized policy, or null to allow every tool
+ */
+export function setToolPolicy(policy) {
+  activePolicy = policy;
+}
+
+/**
+ * Load the configured policy file at startup
+ * @param {string|null} filePath - policyFile from the config
+ */
+export function initializeToolPolicy(filePath) {
+  setToolPolicy(filePath ? loadToolPolicy(filePath) : null);
+}
+
+/**
+ * Roles of a caller under a policy
+ * @param {Object} policy - Normalized policy
+ * @param {string} clientId - Client identity
+ * @param {Array<string>} [scopes] - Scopes from the client's credentials
+ * @returns {Array<string>} Role names
+ */
+export function getCallerRoles(policy, clientId, scopes = []) {
+  const roles = [
+    ...policy.defaultRoles,
+    ...(policy.clients[clientId] || []),
+    ...scopes.filter(scope => policy.roles[scope])
+  ];
+  return [...new Set(roles)];
+}
+
+/**
+ * Check one role against a tool call
+ * @returns {string|null} Reason the role does not allow the call, or null if it does
+ */
+function checkRole(role, toolName, args) {
+  if (!matchesAny(role.tools, toolName) || matchesAny(role.deny, toolName)) {
+    return `tool ${toolName} is not allowed`;
+  }
+
+  for (const [argument, allowed] of Object.entries(role.operations[toolName] || {})) {
+    const value = args?.[argument];
+    if (value !== undefined && !allowed.includes(value)) {
+      return `${argument}=${value} is not allowed for ${toolName}`;
+    }
+  }
+
+  if (role.resources) {
+    const resource = getResourcePath(toolName, args);
+    if (!resource) {
+      return `${toolName} is not scoped to an organization`;
+    }
+    // A granted resource includes everything below it
+    const granted = role.resources.some(pattern => globToRegExp(pattern, '(/.*)?').test(resource));
+    if (!granted) {
+      return `resource ${resource} is not allowed`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether a caller may run a tool call
+ * @param {string} toolName - Tool being called
+ * @param {Object} args - Tool arguments
+ * @param {Object} caller - { clientId, scopes }
+ * @param {Object} [policy] - Policy to check against (defaults to the active policy)
+ * @returns {Object} { allowed, roles, reason }
+ */
+export function checkToolAccess(toolName, args, { clientId, scopes = [] }, policy = activePolicy) {
+  if (!policy) {
+    return { allowed: true, roles: [], reason: null };
+  }
+
+  const roles = getCallerRoles(policy, clientId, scopes);
+  if (roles.length === 0) {
+    return { allowed: false, roles, reason: `client ${clientId} has no roles` };
+  }
+
+  const reasons = [];
+  for (const name of roles) {
+    const reason = checkRole(policy.roles[name], toolName, args);
+    if (!reason) {
+      return { allowed: true, roles, reason: null };
+    }
+    reasons.push(`${name}: ${reason}`);
+  }
+
+  return { allowed: false, roles, reason: reasons.join('; ') };
+}
+
+export default {
+  getResourcePath,
+  parseToolPolicy,
+  loadToolPolicy,
+  setToolPolicy,
+  initializeToolPolicy,
+  getCallerRoles,
+  checkToolAccess
+};
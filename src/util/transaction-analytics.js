@@ -0,0 +1,299 @@
+/**
+ * Transaction analytics utilities
+ *
+ * Deterministic aggregation of a ledger's transactions. Every DEBIT or CREDIT
+ * operation becomes a flow on one account: credits are inflows and debits are
+ * outflows. Ledger-wide figures only count flows on the ledger's own accounts,
+ * so @external accounts show where money entered or left and transfers between
+ * two internal accounts appear as both an inflow and an outflow. When a focus
+ * account is given, figures are that account's flows and the accounts on the
+ * other side of its transactions are its counterparties.
+ *
+ * Amounts are summed per asset in minor units at the largest scale seen for
+ * the asset and reported as decimal strings.
+ */
+
+import { normalizeOperation } from './ledger-integrity.js';
+import { formatMinorUnits } from './account-statement.js';
+import { rescaleAmount } from './transaction-payload.js';
+
+export const GROUP_DIMENSIONS = ['asset', 'account', 'portfolio', 'segment', 'route', 'metadata'];
+
+// Transactions with these statuses moved no funds
+const EXCLUDED_STATUSES = ['CANCELED'];
+const NONE = '(none)';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether an account reference is an @external account
+ * @param {string} account - Account alias or ID
+ * @returns {boolean} True for @external/<asset> accounts
+ */
+export function isExternalAccount(account) {
+    return String(account || '').startsWith('@external/');
+}
+
+/**
+ * Start of the period a date falls in
+ * Weeks start on Monday (ISO 8601).
+ * @param {string} date - ISO date or timestamp
+ * @param {string} interval - day or week
+ * @returns {string|null} First day of the period (YYYY-MM-DD)
+ */
+export function periodStart(date, interval) {
+    const day = String(date || '').slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        return null;
+    }
+    if (interval !== 'week') {
+        return day;
+    }
+
+    const time = Date.parse(`${day}T00:00:00Z`);
+    const weekday = (new Date(time).getUTCDay() + 6) % 7;
+    return new Date(time - weekday * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Turn transactions and their operations into account flows
+ * @param {Array<Object>} entries - { transaction, operations } as returned by the API
+ * @param {Object} [options] - Flow options
+ * @param {Array<Object>} [options.accounts] - Ledger accounts, used for portfolio and segment
+ * @param {string} [options.metadataKey] - Transaction metadata key to keep on each flow
+ * @returns {Object} { flows, statuses }
+ */
+export function collectFlows(entries, { accounts = [], metadataKey } = {}) {
+    const directory = new Map();
+    for (const account of accounts) {
+        if (account.id) directory.set(account.id, account);
+        if (account.alias) directory.set(account.alias, account);
+    }
+
+    const flows = [];
+    const statuses = {};
+    for (const { transaction, operations } of entries) {
+        const status = transaction.status?.code || 'UNKNOWN';
+        statuses[status] = (statuses[status] || 0) + 1;
+        if (EXCLUDED_STATUSES.includes(status)) {
+            continue;
+        }
+
+        for (const raw of operations || []) {
+            const operation = normalizeOperation(raw);
+            if (operation.type !== 'debit' && operation.type !== 'credit') {
+                continue;
+            }
+
+            const account = operation.alias || operation.account_id;
+            const details = directory.get(operation.account_id) || directory.get(operation.alias) || {};
+            const route = raw.route || raw.routeId || transaction.route || transaction.transactionRouteId;
+            const metadataValue = metadataKey ? transaction.metadata?.[metadataKey] : undefined;
+
+            flows.push({
+                transaction_id: transaction.id || operation.transaction_id,
+                date: transaction.createdAt || operation.created_at,
+                account,
+                account_id: operation.account_id || details.id || null,
+                external: isExternalAccount(account),
+                asset_code: operation.asset_code || transaction.assetCode || NONE,
+                value: operation.value,
+                scale: operation.scale,
+                direction: operation.type === 'credit' ? 'in' : 'out',
+                portfolio: details.portfolioId || NONE,
+                segment: details.segmentId || NONE,
+                route: route ? String(typeof route === 'object' ? route.id ?? JSON.stringify(route) : route) : NONE,
+                metadata: metadataValue === undefined || metadataValue === null ? NONE : String(metadataValue),
+            });
+        }
+    }
+
+    return { flows, statuses };
+}
+
+/**
+ * Bring every flow of an asset to the largest scale seen for that asset
+ * @param {Array<Object>} flows - Flows from collectFlows
+ * @returns {Object} { flows, scales } with scales keyed by asset code
+ */
+export function scaleFlows(flows) {
+    const scales = new Map();
+    for (const flow of flows) {
+        scales.set(flow.asset_code, Math.max(scales.get(flow.asset_code) ?? 0, flow.scale));
+    }
+    return {
+        flows: flows.map(flow => ({ ...flow, value: rescaleAmount(flow.value, flow.scale, scales.get(flow.asset_code)) })),
+        scales,
+    };
+}
+
+/**
+ * Whether a flow is on the given account (alias or ID)
+ */
+export function isOnAccount(flow, account) {
+    return flow.account === account || flow.account_id === account;
+}
+
+/**
+ * Sum flows into rows keyed by group and asset
+ * @param {Array<Object>} flows - Flows in a common scale per asset
+ * @param {Function} keyOf - Returns the group key of a flow
+ * @returns {Array<Object>} Rows with inflow, outflow, operation and transaction counts
+ */
+function sumByKey(flows, keyOf) {
+    const rows = new Map();
+    for (const flow of flows) {
+        const key = keyOf(flow);
+        const id = `${key}\u0000${flow.asset_code}`;
+        if (!rows.has(id)) {
+            rows.set(id, { key, asset_code: flow.asset_code, inflow: 0, outflow: 0, operations: 0, transactions: new Set() });
+        }
+
+        const row = rows.get(id);
+        row[flow.direction === 'in' ? 'inflow' : 'outflow'] += flow.value;
+        row.operations++;
+        row.transactions.add(flow.transaction_id);
+    }
+    return [...rows.values()];
+}
+
+/**
+ * Keep the top rows of every asset, largest volume first
+ * Ties are broken by key so results do not depend on input order.
+ */
+function topPerAsset(rows, top) {
+    const sorted = [...rows].sort((a, b) =>
+        a.asset_code.localeCompare(b.asset_code) ||
+        (b.inflow + b.outflow) - (a.inflow + a.outflow) ||
+        String(a.key).localeCompare(String(b.key)));
+
+    const kept = new Map();
+    return sorted.filter(row => {
+        const count = kept.get(row.asset_code) || 0;
+        kept.set(row.asset_code, count + 1);
+        return count < top;
+    });
+}
+
+/**
+ * Analyze transactions
+ * @param {Array<Object>} entries - { transaction, operations } as returned by the API
+ * @param {Object} [options] - Analysis options
+ * @param {Array<string>} [options.groupBy] - Dimensions from GROUP_DIMENSIONS
+ * @param {string} [options.metadataKey] - Transaction metadata key for the metadata dimension
+ * @param {string} [options.account] - Focus account alias or ID
+ * @param {Array<Object>} [options.accounts] - Ledger accounts, used for portfolio and segment
+ * @param {string} [options.interval] - Time series interval: day or week
+ * @param {number} [options.top] - Rows kept per asset in each grouping and counterparty list
+ * @returns {Object} Summary, groups, top counterparties and time series
+ */
+export function analyzeTransactions(entries, options = {}) {
+    const { groupBy = ['asset', 'account'], metadataKey, account, accounts = [], interval = 'day', top = 10 } = options;
+
+    const collected = collectFlows(entries, { accounts, metadataKey });
+    let flows = collected.flows;
+    if (account) {
+        const involved = new Set(flows.filter(flow => isOnAccount(flow, account)).map(flow => flow.transaction_id));
+        flows = flows.filter(flow => involved.has(flow.transaction_id));
+    }
+
+    const { flows: scaled, scales } = scaleFlows(flows);
+
+    // Flows the figures are about, and flows on the other side of them
+    const subject = account ? scaled.filter(flow => isOnAccount(flow, account)) : scaled.filter(flow => !flow.external);
+    const others = account ? scaled.filter(flow => !isOnAccount(flow, account)) : scaled;
+
+    const amounts = row => {
+        const scale = scales.get(row.asset_code);
+        return {
+            asset_code: row.asset_code,
+            inflow: formatMinorUnits(row.inflow, scale),
+            outflow: formatMinorUnits(row.outflow, scale),
+            net: formatMinorUnits(row.inflow - row.outflow, scale),
+            operations: row.operations,
+            transactions: row.transactions.size,
+        };
+    };
+
+    const keyOf = {
+        asset: flow => flow.asset_code,
+        account: flow => flow.account,
+        portfolio: flow => flow.portfolio,
+        segment: flow => flow.segment,
+        route: flow => flow.route,
+        metadata: flow => flow.metadata,
+    };
+    const groups = {};
+    for (const dimension of groupBy) {
+        const rows = sumByKey(subject, keyOf[dimension]);
+        groups[dimension] = {
+            total_groups: new Set(rows.map(row => row.key)).size,
+            rows: topPerAsset(rows, top).map(row => ({ [dimension === 'metadata' ? metadataKey : dimension]: row.key, ...amounts(row) })),
+        };
+    }
+
+    const counterparties = topPerAsset(sumByKey(others, flow => flow.account), top).map(row => {
+        const { inflow, outflow, ...rest } = amounts(row);
+        return { account: row.key, received: inflow, sent: outflow, ...rest };
+    });
+
+    const series = sumByKey(subject, flow => periodStart(flow.date, interval))
+        .filter(row => row.key !== null)
+        .sort((a, b) => a.key.localeCompare(b.key) || a.asset_code.localeCompare(b.asset_code));
+    const periods = fillPeriods(series.map(row => row.key), interval);
+    const buckets = [];
+    for (const asset of [...new Set(series.map(row => row.asset_code))].sort()) {
+        const byPeriod = new Map(series.filter(row => row.asset_code === asset).map(row => [row.key, row]));
+        for (const period of periods) {
+            const row = byPeriod.get(period) || { key: period, asset_code: asset, inflow: 0, outflow: 0, operations: 0, transactions: new Set() };
+            buckets.push({ period, ...amounts(row) });
+        }
+    }
+
+    const dates = scaled.map(flow => flow.date).filter(Boolean).sort();
+    return {
+        summary: {
+            transactions: entries.length,
+            analyzed_transactions: new Set(scaled.map(flow => flow.transaction_id)).size,
+            operations: subject.length,
+            by_status: collected.statuses,
+            excluded_statuses: EXCLUDED_STATUSES,
+            first_transaction_at: dates[0] || null,
+            last_transaction_at: dates[dates.length - 1] || null,
+            totals: sumByKey(subject, flow => flow.asset_code).sort((a, b) => a.asset_code.localeCompare(b.asset_code)).map(amounts),
+        },
+        groups,
+        top_counterparties: counterparties,
+        series: { interval, buckets },
+    };
+}
+
+/**
+ * Every period between the first and last one, so series have no gaps
+ * @param {Array<string>} keys - Period starts (YYYY-MM-DD)
+ * @param {string} interval - day or week
+ * @returns {Array<string>} Sorted period starts
+ */
+function fillPeriods(keys, interval) {
+    if (keys.length === 0) {
+        return [];
+    }
+
+    const sorted = [...new Set(keys)].sort();
+    const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+    const last = Date.parse(`${sorted[sorted.length - 1]}T00:00:00Z`);
+    const periods = [];
+    for (let time = Date.parse(`${sorted[0]}T00:00:00Z`); time <= last; time += step) {
+        periods.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return periods;
+}
+
+export default {
+    GROUP_DIMENSIONS,
+    isExternalAccount,
+    periodStart,
+    collectFlows,
+    scaleFlows,
+    isOnAccount,
+    analyzeTransactions,
+};
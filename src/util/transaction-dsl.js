@@ -0,0 +1,549 @@
+/**
+ * Midaz transaction DSL (gold) parser and validator
+ *
+ * Parses transaction scripts such as:
+ *
+ *   (transaction V1
+ *     (chart-of-accounts-group-name PAYMENTS)
+ *     (description "Invoice 42")
+ *     (send USD 10000|2
+ *       (source
+ *         (from @customer_123 :amount USD 10000|2)))
+ *     (distribute
+ *       (to @merchant :share 90)
+ *       (to @fees :remaining)))
+ *
+ * into an AST with line/column positions and into the equivalent JSON body
+ * accepted by POST /transactions/json, so scripts can be checked locally
+ * before they reach the ledger.
+ */
+
+import { validateTransactionBody } from './transaction-payload.js';
+
+// Clauses allowed directly under (transaction ...), in the order the grammar requires
+const TRANSACTION_CLAUSES = [
+    'chart-of-accounts-group-name',
+    'description',
+    'code',
+    'pending',
+    'metadata',
+    'send',
+    'distribute',
+];
+
+// Clauses allowed inside a (from ...) or (to ...) leg, in grammar order
+const LEG_CLAUSES = ['description', 'chart-of-accounts', 'metadata'];
+
+const SUPPORTED_VERSIONS = ['V1'];
+
+/**
+ * Error raised for malformed DSL, carrying the position of the offending token
+ */
+export class DslSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'DslSyntaxError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Split a DSL script into tokens
+ * @param {string} source - DSL script
+ * @returns {Array<Object>} Tokens as { type, value, line, column }
+ * @throws {DslSyntaxError} On unterminated strings
+ */
+export function tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let column = 1;
+    let i = 0;
+
+    const advance = (count = 1) => {
+        for (let n = 0; n < count; n++) {
+            if (source[i] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            i++;
+        }
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            advance();
+            continue;
+        }
+
+        const start = { line, column };
+
+        if (char === '(' || char === ')' || char === '|') {
+            tokens.push({ type: char, value: char, ...start });
+            advance();
+            continue;
+        }
+
+        if (char === '"') {
+            let value = '';
+            advance();
+            while (i < source.length && source[i] !== '"') {
+                if (source[i] === '\\' && i + 1 < source.length) {
+                    advance();
+                }
+                value += source[i];
+                advance();
+            }
+            if (i >= source.length) {
+                throw new DslSyntaxError('Unterminated string', start.line, start.column);
+            }
+            advance();
+            tokens.push({ type: 'string', value, ...start });
+            continue;
+        }
+
+        let value = '';
+        while (i < source.length && !/[\s()|"]/.test(source[i])) {
+            value += source[i];
+            advance();
+        }
+        tokens.push({ type: value.startsWith(':') ? 'keyword' : 'word', value, ...start });
+    }
+
+    tokens.push({ type: 'eof', value: 'end of script', line, column });
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token stream
+ */
+class DslParser {
+    constructor(tokens, variables = {}) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.variables = variables;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            this.position++;
+        }
+        return token;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new DslSyntaxError(message, token.line, token.column);
+    }
+
+    expect(type, description = `'${type}'`) {
+        const token = this.peek();
+        if (token.type !== type) {
+            this.fail(`Expected ${description} but found '${token.value}'`);
+        }
+        return this.next();
+    }
+
+    /**
+     * Read a word token, substituting $variables
+     */
+    word(description) {
+        const token = this.peek();
+        if (token.type !== 'word') {
+            this.fail(`Expected ${description} but found '${token.value}'`);
+        }
+        this.next();
+
+        if (token.value.startsWith('$')) {
+            const name = token.value.slice(1);
+            if (!Object.prototype.hasOwnProperty.call(this.variables, name)) {
+                this.fail(`Undefined variable '${token.value}'`, token);
+            }
+            return { ...token, value: String(this.variables[name]) };
+        }
+
+        return token;
+    }
+
+    integer(description) {
+        const token = this.word(description);
+        if (!/^\d+$/.test(token.value) || !Number.isSafeInteger(Number(token.value))) {
+            this.fail(`Expected ${description} as a non-negative integer but found '${token.value}'`, token);
+        }
+        return Number(token.value);
+    }
+
+    /**
+     * Read an amount written as ASSET value|scale
+     */
+    amount() {
+        const asset = this.word('asset code');
+        const value = this.integer('amount value');
+        this.expect('|', "'|' between value and scale");
+        const scale = this.integer('amount scale');
+        return { asset: asset.value, value, scale, line: asset.line, column: asset.column };
+    }
+
+    /**
+     * Read the name of the clause that starts at the current '('
+     */
+    clauseName() {
+        const token = this.peek(1);
+        return this.peek().type === '(' && token.type === 'word' ? token.value : null;
+    }
+
+    /**
+     * Parse clauses in a fixed order, rejecting unknown, duplicated or misplaced ones
+     */
+    orderedClauses(allowed, context, parseClause) {
+        const seen = {};
+        let lastIndex = -1;
+
+        while (this.peek().type === '(') {
+            const token = this.peek(1);
+            const name = this.clauseName();
+            const index = allowed.indexOf(name);
+
+            if (index === -1) {
+                this.fail(`Unknown clause '${token.value}' in ${context}`, token);
+            }
+            if (seen[name]) {
+                this.fail(`Duplicate clause '${name}' in ${context}`, token);
+            }
+            if (index < lastIndex) {
+                this.fail(`Clause '${name}' must come before '${allowed[lastIndex]}' in ${context}`, token);
+            }
+
+            seen[name] = parseClause(name);
+            lastIndex = index;
+        }
+
+        return seen;
+    }
+
+    parseTransaction() {
+        const open = this.expect('(', "'(' to start the transaction");
+        const keyword = this.word("'transaction'");
+        if (keyword.value !== 'transaction') {
+            this.fail(`Expected 'transaction' but found '${keyword.value}'`, keyword);
+        }
+
+        const version = this.word('version');
+        if (!SUPPORTED_VERSIONS.includes(version.value)) {
+            this.fail(`Unsupported DSL version '${version.value}' (supported: ${SUPPORTED_VERSIONS.join(', ')})`, version);
+        }
+
+        const clauses = this.orderedClauses(TRANSACTION_CLAUSES, 'transaction', (name) => {
+            switch (name) {
+                case 'send': return this.parseSend();
+                case 'distribute': return this.parseLegGroup('distribute', 'to');
+                case 'metadata': return this.parseMetadata();
+                case 'pending': return this.parseSimpleClause(name, 'true or false', value => {
+                    if (value !== 'true' && value !== 'false') {
+                        return null;
+                    }
+                    return value === 'true';
+                });
+                default: return this.parseSimpleClause(name, 'a value');
+            }
+        });
+
+        if (!clauses.send) {
+            this.fail("Transaction is missing the 'send' clause");
+        }
+        if (!clauses.distribute) {
+            this.fail("Transaction is missing the 'distribute' clause");
+        }
+
+        this.expect(')', "')' to close the transaction");
+        if (this.peek().type !== 'eof') {
+            this.fail(`Unexpected '${this.peek().value}' after the end of the transaction`);
+        }
+
+        return {
+            type: 'Transaction',
+            version: version.value,
+            chartOfAccountsGroupName: clauses['chart-of-accounts-group-name'],
+            description: clauses.description,
+            code: clauses.code,
+            pending: clauses.pending,
+            metadata: clauses.metadata,
+            send: clauses.send,
+            distribute: clauses.distribute,
+            line: open.line,
+            column: open.column,
+        };
+    }
+
+    /**
+     * Parse (name value) where value is a word or a string
+     */
+    parseSimpleClause(name, description, convert = value => value) {
+        this.expect('(');
+        this.next(); // clause name
+        const token = this.peek();
+        if (token.type !== 'word' && token.type !== 'string') {
+            this.fail(`Expected ${description} for '${name}' but found '${token.value}'`);
+        }
+        const raw = token.type === 'word' ? this.word(description).value : this.next().value;
+        const value = convert(raw);
+        if (value === null) {
+            this.fail(`Expected ${description} for '${name}' but found '${raw}'`, token);
+        }
+        this.expect(')', `')' to close '${name}'`);
+        return value;
+    }
+
+    parseMetadata() {
+        this.expect('(');
+        this.next(); // 'metadata'
+        const metadata = {};
+
+        while (this.peek().type === '(') {
+            this.next();
+            const key = this.word('metadata key');
+            const token = this.peek();
+            if (token.type !== 'word' && token.type !== 'string') {
+                this.fail(`Expected a value for metadata key '${key.value}' but found '${token.value}'`);
+            }
+            metadata[key.value] = token.type === 'word' ? this.word('metadata value').value : this.next().value;
+            this.expect(')', `')' to close metadata entry '${key.value}'`);
+        }
+
+        this.expect(')', "')' to close 'metadata'");
+        return metadata;
+    }
+
+    parseSend() {
+        const open = this.expect('(');
+        this.next(); // 'send'
+        const amount = this.amount();
+
+        if (this.clauseName() !== 'source') {
+            this.fail("Expected '(source ...)' inside 'send'");
+        }
+        const source = this.parseLegGroup('source', 'from');
+        this.expect(')', "')' to close 'send'");
+
+        return {
+            type: 'Send',
+            asset: amount.asset,
+            value: amount.value,
+            scale: amount.scale,
+            source,
+            line: open.line,
+            column: open.column,
+        };
+    }
+
+    parseLegGroup(group, legKeyword) {
+        const open = this.expect('(');
+        this.next(); // group name
+        const legs = [];
+
+        while (this.clauseName() === legKeyword) {
+            legs.push(this.parseLeg(legKeyword));
+        }
+
+        if (legs.length === 0) {
+            this.fail(`'${group}' must contain at least one '(${legKeyword} ...)' leg`);
+        }
+        this.expect(')', `')' to close '${group}' or another '(${legKeyword} ...)' leg`);
+
+        return { type: group === 'source' ? 'Source' : 'Distribute', legs, line: open.line, column: open.column };
+    }
+
+    parseLeg(legKeyword) {
+        const open = this.expect('(');
+        this.next(); // 'from' / 'to'
+        const account = this.word('account alias or ID');
+        const mode = this.peek();
+        const leg = {
+            type: legKeyword === 'from' ? 'From' : 'To',
+            account: account.value,
+            line: open.line,
+            column: open.column,
+        };
+
+        if (mode.type !== 'keyword') {
+            this.fail(`Expected ':amount, :share or :remaining after account '${account.value}' but found '${mode.value}'`);
+        }
+        this.next();
+
+        switch (mode.value) {
+            case ':amount': {
+                const amount = this.amount();
+                leg.amount = { asset: amount.asset, value: amount.value, scale: amount.scale };
+                break;
+            }
+            case ':share': {
+                const percentage = this.integer('share percentage');
+                if (percentage > 100) {
+                    this.fail(`Share percentage must be between 0 and 100 but found ${percentage}`, mode);
+                }
+                leg.share = { percentage };
+                if (this.peek().type === 'keyword' && this.peek().value === ':of') {
+                    this.next();
+                    const ofPercentage = this.integer('percentage of percentage');
+                    if (ofPercentage > 100) {
+                        this.fail(`':of' percentage must be between 0 and 100 but found ${ofPercentage}`, mode);
+                    }
+                    leg.share.percentageOfPercentage = ofPercentage;
+                }
+                break;
+            }
+            case ':remaining':
+                leg.remaining = true;
+                break;
+            default:
+                this.fail(`Unknown leg type '${mode.value}' (expected :amount, :share or :remaining)`, mode);
+        }
+
+        const clauses = this.orderedClauses(LEG_CLAUSES, `'${legKeyword} ${account.value}'`, (name) => (
+            name === 'metadata' ? this.parseMetadata() : this.parseSimpleClause(name, 'a value')
+        ));
+        Object.assign(leg, {
+            description: clauses.description,
+            chartOfAccounts: clauses['chart-of-accounts'],
+            metadata: clauses.metadata,
+        });
+
+        this.expect(')', `')' to close '${legKeyword} ${account.value}'`);
+        return leg;
+    }
+}
+
+/**
+ * Parse a DSL script into an AST
+ * @param {string} source - DSL script
+ * @param {Object} [variables] - Values for $variables used in the script
+ * @returns {Object} Transaction AST
+ * @throws {DslSyntaxError} On the first syntax error
+ */
+export function parseTransactionDsl(source, variables = {}) {
+    return new DslParser(tokenize(source), variables).parseTransaction();
+}
+
+/**
+ * Convert an AST leg to a Midaz JSON leg
+ */
+function legToJson(leg) {
+    return {
+        account: leg.account,
+        ...(leg.amount && { amount: { ...leg.amount } }),
+        ...(leg.share && { share: { ...leg.share } }),
+        ...(leg.remaining && { remaining: 'remaining' }),
+        ...(leg.description !== undefined && { description: leg.description }),
+        ...(leg.chartOfAccounts !== undefined && { chartOfAccounts: leg.chartOfAccounts }),
+        ...(leg.metadata !== undefined && { metadata: leg.metadata }),
+    };
+}
+
+/**
+ * Convert a transaction AST to the body accepted by POST /transactions/json
+ * @param {Object} ast - Transaction AST from parseTransactionDsl
+ * @returns {Object} Midaz JSON transaction body
+ */
+export function dslToTransactionBody(ast) {
+    return {
+        ...(ast.chartOfAccountsGroupName !== undefined && { chartOfAccountsGroupName: ast.chartOfAccountsGroupName }),
+        ...(ast.description !== undefined && { description: ast.description }),
+        ...(ast.code !== undefined && { code: ast.code }),
+        ...(ast.pending !== undefined && { pending: ast.pending }),
+        ...(ast.metadata !== undefined && { metadata: ast.metadata }),
+        send: {
+            asset: ast.send.asset,
+            value: ast.send.value,
+            scale: ast.send.scale,
+            source: {
+                from: ast.send.source.legs.map(legToJson),
+            },
+            distribute: {
+                to: ast.distribute.legs.map(legToJson),
+            },
+        },
+    };
+}
+
+/**
+ * Parse and validate a DSL script without contacting the ledger
+ * Syntax errors stop parsing and are reported with their position; balance
+ * errors (source or distribute legs not adding up to the send value) are
+ * reported against the 'send' clause.
+ * @param {string} source - DSL script
+ * @param {Object} [variables] - Values for $variables used in the script
+ * @returns {Object} { valid, errors, warnings, ast, body, balance }
+ */
+export function validateTransactionDsl(source, variables = {}) {
+    let ast;
+    try {
+        ast = parseTransactionDsl(source, variables);
+    } catch (error) {
+        if (error instanceof DslSyntaxError) {
+            return {
+                valid: false,
+                errors: [{ type: 'syntax', message: error.reason, line: error.line, column: error.column }],
+                warnings: [],
+                ast: null,
+                body: null,
+            };
+        }
+        throw error;
+    }
+
+    const body = dslToTransactionBody(ast);
+    const balance = validateTransactionBody(body);
+    const errors = balance.errors.map(message => ({
+        type: 'balance',
+        message,
+        line: ast.send.line,
+        column: ast.send.column,
+    }));
+    const warnings = balance.warnings.map(message => ({
+        type: 'balance',
+        message,
+        line: ast.send.line,
+        column: ast.send.column,
+    }));
+
+    if (ast.chartOfAccountsGroupName === undefined) {
+        warnings.push({
+            type: 'structure',
+            message: "Transaction has no 'chart-of-accounts-group-name' clause",
+            line: ast.line,
+            column: ast.column,
+        });
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        ast,
+        body,
+        balance: {
+            asset: balance.asset,
+            value: balance.value,
+            scale: balance.scale,
+            source: balance.source,
+            distribute: balance.distribute,
+        },
+    };
+}
+
+export default {
+    DslSyntaxError,
+    tokenize,
+    parseTransactionDsl,
+    dslToTransactionBody,
+    validateTransactionDsl,
+};
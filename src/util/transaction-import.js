@@ -0,0 +1,221 @@
+/**
+ * Bulk transaction import utilities
+ *
+ * Reads CSV or JSONL records and turns them into Midaz JSON transaction bodies
+ * through a column mapping. Two record styles are supported:
+ *
+ * - transfer rows: each record moves `amount` from the `from` account to the
+ *   `to` account
+ * - journal rows: each record is one line of a journal entry with an `account`
+ *   and a `debit` or `credit` amount; debited accounts become source legs and
+ *   credited accounts destination legs
+ *
+ * Records sharing a `group` value form one transaction; without a group column
+ * every record is its own transaction. Rows are numbered from 1 in data order
+ * (header and blank lines are not counted), which is what resume-from-row uses.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { buildTransactionBody, validateTransactionBody, rescaleAmount } from './transaction-payload.js';
+import { parseCsvRows, parseDecimalAmount } from './statement-reconciliation.js';
+import { flattenRecord } from './data-export.js';
+
+/**
+ * Resolve the import directory
+ * @param {string|null} configured - Configured directory (config.importDir)
+ * @returns {string} Absolute directory path
+ */
+export function resolveImportDir(configured) {
+    return path.resolve(configured || path.join(os.homedir(), 'lerian-mcp-imports'));
+}
+
+/**
+ * Parse an import file into records
+ * @param {string} content - File content
+ * @param {string} [format] - csv, jsonl or auto
+ * @returns {Object} { format, records: [{ row, values }], errors: [{ row, errors }] }
+ */
+export function parseImportFile(content, format = 'auto') {
+    const detected = format === 'auto'
+        ? (content.trimStart().startsWith('{') ? 'jsonl' : 'csv')
+        : format;
+
+    const records = [];
+    const errors = [];
+
+    if (detected === 'jsonl') {
+        const lines = content.split(/\r?\n/).filter(line => line.trim());
+        lines.forEach((line, index) => {
+            try {
+                records.push({ row: index + 1, values: flattenRecord(JSON.parse(line)) });
+            } catch (error) {
+                errors.push({ row: index + 1, errors: [`Invalid JSON: ${error.message}`] });
+            }
+        });
+        return { format: detected, records, errors };
+    }
+
+    const [header = [], ...rows] = parseCsvRows(content);
+    const columns = header.map(name => name.trim());
+    rows.forEach((cells, index) => {
+        records.push({
+            row: index + 1,
+            values: Object.fromEntries(columns.map((column, position) => [column, (cells[position] ?? '').trim()])),
+        });
+    });
+    return { format: detected, records, errors };
+}
+
+/**
+ * Check that a mapping describes transfer or journal rows
+ * @param {Object} mapping - Column mapping
+ * @returns {string} transfer or journal
+ * @throws {Error} If the mapping is incomplete
+ */
+export function getMappingStyle(mapping) {
+    if (mapping.from && mapping.to && mapping.amount) {
+        return 'transfer';
+    }
+    if (mapping.account && (mapping.debit || mapping.credit)) {
+        if (!mapping.group) {
+            throw new Error('Journal mappings (account with debit/credit) need a group column so lines can be combined into transactions');
+        }
+        return 'journal';
+    }
+    throw new Error('Mapping needs either from, to and amount columns (transfer rows) or account, debit/credit and group columns (journal rows)');
+}
+
+/**
+ * Turn mapped records into transactions
+ * @param {Array<Object>} records - Records from parseImportFile
+ * @param {Object} mapping - { group, from, to, amount, account, debit, credit, asset, description, code, metadata: { key: column } }
+ * @param {Object} [options] - { assetCode, decimalSeparator, source }
+ * @returns {Array<Object>} Entries: { key, rows, first_row, asset, accounts, body, validation, errors }
+ */
+export function buildImportEntries(records, mapping, { assetCode = null, decimalSeparator = '.', source = null } = {}) {
+    const style = getMappingStyle(mapping);
+    const groups = new Map();
+
+    for (const record of records) {
+        const key = mapping.group ? String(record.values[mapping.group] ?? '').trim() || `row-${record.row}` : `row-${record.row}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(record);
+    }
+
+    const entries = [];
+    for (const [key, group] of groups) {
+        const errors = [];
+        const from = [];
+        const to = [];
+        const valueOf = (record, column) => String(record.values[column] ?? '').trim();
+
+        for (const record of group) {
+            const rowError = message => errors.push(`row ${record.row}: ${message}`);
+            if (style === 'transfer') {
+                const amount = parseDecimalAmount(valueOf(record, mapping.amount), decimalSeparator);
+                if (!amount || amount.value <= 0) {
+                    rowError(`amount "${valueOf(record, mapping.amount)}" is not a positive number`);
+                    continue;
+                }
+                for (const [side, legs] of [['from', from], ['to', to]]) {
+                    const account = valueOf(record, mapping[side]);
+                    if (account) legs.push({ account, ...amount });
+                    else rowError(`${side} account is empty`);
+                }
+            } else {
+                const account = valueOf(record, mapping.account);
+                const debit = mapping.debit ? parseDecimalAmount(valueOf(record, mapping.debit), decimalSeparator) : null;
+                const credit = mapping.credit ? parseDecimalAmount(valueOf(record, mapping.credit), decimalSeparator) : null;
+                if (!account) {
+                    rowError('account is empty');
+                } else if (debit?.value > 0 && !(credit?.value > 0)) {
+                    from.push({ account, ...debit });
+                } else if (credit?.value > 0 && !(debit?.value > 0)) {
+                    to.push({ account, ...credit });
+                } else {
+                    rowError('exactly one of debit or credit must be a positive amount');
+                }
+            }
+        }
+
+        const assets = [...new Set(group.map(record => (mapping.asset ? valueOf(record, mapping.asset) : '') || assetCode).filter(Boolean))];
+        if (assets.length === 0) errors.push('asset is missing; map an asset column or pass asset_code');
+        if (assets.length > 1) errors.push(`rows mix assets ${assets.join(', ')}`);
+
+        const entry = {
+            key,
+            rows: group.map(record => record.row),
+            first_row: group[0].row,
+            asset: assets[0] || null,
+            accounts: [...new Set([...from, ...to].map(leg => leg.account))],
+            body: null,
+            validation: null,
+            errors,
+        };
+        entries.push(entry);
+
+        if (errors.length > 0 || from.length === 0 || to.length === 0) {
+            if (errors.length === 0) errors.push('transaction needs at least one debited and one credited account');
+            continue;
+        }
+
+        // Merge legs per account in a common scale
+        const scale = Math.max(...[...from, ...to].map(leg => leg.scale));
+        const merge = legs => {
+            const totals = new Map();
+            for (const leg of legs) {
+                totals.set(leg.account, (totals.get(leg.account) || 0) + rescaleAmount(leg.value, leg.scale, scale));
+            }
+            return [...totals].map(([account, value]) => ({ account, amount: { value, scale } }));
+        };
+        const fromLegs = merge(from);
+        const first = group[0];
+        const metadata = Object.fromEntries(Object.entries(mapping.metadata || {})
+            .map(([name, column]) => [name, valueOf(first, column)])
+            .filter(([, value]) => value !== ''));
+
+        entry.body = buildTransactionBody({
+            send: {
+                asset: entry.asset,
+                value: fromLegs.reduce((sum, leg) => sum + leg.amount.value, 0),
+                scale,
+                from: fromLegs,
+            },
+            distribute: { to: merge(to) },
+            description: mapping.description ? valueOf(first, mapping.description).slice(0, 256) || undefined : undefined,
+            code: mapping.code ? valueOf(first, mapping.code).slice(0, 100) || undefined : undefined,
+            metadata: { ...metadata, ...(source && { import_file: source }), import_row: first.row },
+        });
+        entry.validation = validateTransactionBody(entry.body);
+        errors.push(...entry.validation.errors);
+    }
+
+    return entries;
+}
+
+/**
+ * Idempotency key for one imported transaction
+ * The same file, ledger and rows always produce the same key, so re-running
+ * or resuming an import does not post a transaction twice.
+ * @param {Object} scope - { organization_id, ledger_id, file_hash }
+ * @param {Object} entry - Entry from buildImportEntries
+ * @returns {string} Key
+ */
+export function importIdempotencyKey(scope, entry) {
+    const digest = crypto.createHash('sha256')
+        .update([scope.organization_id, scope.ledger_id, scope.file_hash, entry.key, entry.rows.join(',')].join('|'))
+        .digest('hex');
+    return `import-${digest.slice(0, 48)}`;
+}
+
+export default {
+    resolveImportDir,
+    parseImportFile,
+    getMappingStyle,
+    buildImportEntries,
+    importIdempotencyKey,
+};
@@ -0,0 +1,255 @@
+/**
+ * Transaction payload utilities
+ * Schemas, builders and balance checks for Midaz JSON transaction bodies
+ */
+
+import { z } from 'zod';
+
+// Largest scale accepted for an amount (Midaz stores amounts as integer value + scale)
+const MAX_SCALE = 18;
+
+/**
+ * Amount expressed as an integer value and a decimal scale (5000 / scale 2 = 50.00)
+ */
+export const amountSchema = z.object({
+    value: z.number().int().nonnegative().describe('Integer amount in minor units (e.g. 5000 for 50.00 with scale 2)'),
+    scale: z.number().int().min(0).max(MAX_SCALE).optional().describe('Decimal scale of the value (defaults to the send scale)'),
+});
+
+/**
+ * A single source or destination leg of a transaction
+ */
+export const transactionLegSchema = z.object({
+    account: z.string().min(1).describe("Account alias (e.g. '@customer_123', '@external/USD') or account ID"),
+    amount: amountSchema.optional().describe('Fixed amount moved by this leg'),
+    share: z.object({
+        percentage: z.number().int().min(0).max(100).describe('Percentage of the send value'),
+        percentage_of_percentage: z.number().int().min(0).max(100).optional().describe('Percentage applied on top of percentage'),
+    }).optional().describe('Proportional share of the send value'),
+    remaining: z.boolean().optional().describe('Take whatever is left after fixed amounts and shares'),
+    description: z.string().max(256).optional().describe('Leg description'),
+    chart_of_accounts: z.string().optional().describe('Chart of accounts code for this leg'),
+    metadata: z.record(z.any()).optional().describe('Leg metadata'),
+}).refine(
+    leg => [leg.amount, leg.share, leg.remaining].filter(Boolean).length === 1,
+    { message: 'Each leg must define exactly one of amount, share or remaining' }
+);
+
+/**
+ * Send block: total value, asset and the legs it is taken from
+ */
+export const transactionSendSchema = z.object({
+    asset: z.string().min(1).describe("Asset code (e.g. 'USD', 'BRL')"),
+    value: z.number().int().positive().describe('Total amount in minor units'),
+    scale: z.number().int().min(0).max(MAX_SCALE).default(2).describe('Decimal scale of value'),
+    from: z.array(transactionLegSchema).min(1).describe('Source legs (debited accounts)'),
+});
+
+/**
+ * Distribute block: the legs the send value is credited to
+ */
+export const transactionDistributeSchema = z.object({
+    to: z.array(transactionLegSchema).min(1).describe('Destination legs (credited accounts)'),
+});
+
+/**
+ * Rescale an integer value from one scale to another without losing precision
+ * @param {number} value - Integer value
+ * @param {number} fromScale - Current scale
+ * @param {number} toScale - Target scale
+ * @returns {number|null} Rescaled value, or null if it cannot be represented exactly
+ */
+export function rescaleAmount(value, fromScale, toScale) {
+    if (fromScale === toScale) {
+        return value;
+    }
+
+    if (toScale > fromScale) {
+        return value * 10 ** (toScale - fromScale);
+    }
+
+    const divisor = 10 ** (fromScale - toScale);
+    return value % divisor === 0 ? value / divisor : null;
+}
+
+/**
+ * Resolve every leg to a concrete amount in the send scale
+ * @param {Array} legs - Legs in Midaz format (amount/share/remaining)
+ * @param {Object} send - Send block with asset, value and scale
+ * @returns {Object} Resolved legs, total and any errors found
+ */
+export function resolveLegAmounts(legs, send) {
+    const errors = [];
+    const resolved = [];
+    let allocated = 0;
+    let remainingIndex = -1;
+
+    legs.forEach((leg, index) => {
+        if (leg.amount) {
+            const legScale = leg.amount.scale ?? send.scale;
+            const value = rescaleAmount(leg.amount.value, legScale, send.scale);
+
+            if (leg.amount.asset && leg.amount.asset !== send.asset) {
+                errors.push(`Leg ${index} (${leg.account}) uses asset ${leg.amount.asset} but the transaction sends ${send.asset}`);
+            }
+            if (value === null) {
+                errors.push(`Leg ${index} (${leg.account}) amount has more precision than the send scale ${send.scale}`);
+            }
+
+            resolved.push({ account: leg.account, value: value ?? 0, scale: send.scale, source: 'amount' });
+            allocated += value ?? 0;
+        } else if (leg.share) {
+            const percentage = leg.share.percentage;
+            const ofPercentage = leg.share.percentageOfPercentage || 100;
+            const value = Math.floor((send.value * percentage * ofPercentage) / 10000);
+
+            resolved.push({ account: leg.account, value, scale: send.scale, source: 'share' });
+            allocated += value;
+        } else if (leg.remaining) {
+            if (remainingIndex !== -1) {
+                errors.push(`Only one leg per side may take the remaining amount (legs ${remainingIndex} and ${index})`);
+            }
+            remainingIndex = index;
+            resolved.push({ account: leg.account, value: 0, scale: send.scale, source: 'remaining' });
+        }
+    });
+
+    if (remainingIndex !== -1) {
+        const rest = send.value - allocated;
+        if (rest < 0) {
+            errors.push(`Legs allocate ${allocated} before the remaining leg, which exceeds the send value ${send.value}`);
+        }
+        resolved[remainingIndex].value = Math.max(rest, 0);
+        allocated += Math.max(rest, 0);
+    }
+
+    return { legs: resolved, total: allocated, errors };
+}
+
+/**
+ * Convert a tool leg (snake_case) into a Midaz leg (camelCase)
+ * @param {Object} leg - Leg as accepted by the MCP tools
+ * @param {Object} send - Send block the leg belongs to
+ * @returns {Object} Midaz leg
+ */
+function toMidazLeg(leg, send) {
+    const midazLeg = { account: leg.account };
+
+    if (leg.amount) {
+        midazLeg.amount = {
+            asset: send.asset,
+            value: leg.amount.value,
+            scale: leg.amount.scale ?? send.scale,
+        };
+    } else if (leg.share) {
+        midazLeg.share = {
+            percentage: leg.share.percentage,
+            ...(leg.share.percentage_of_percentage !== undefined && {
+                percentageOfPercentage: leg.share.percentage_of_percentage,
+            }),
+        };
+    } else if (leg.remaining) {
+        midazLeg.remaining = 'remaining';
+    }
+
+    if (leg.description) midazLeg.description = leg.description;
+    if (leg.chart_of_accounts) midazLeg.chartOfAccounts = leg.chart_of_accounts;
+    if (leg.metadata) midazLeg.metadata = leg.metadata;
+
+    return midazLeg;
+}
+
+/**
+ * Build a Midaz JSON transaction body from MCP tool arguments
+ * @param {Object} input - Validated tool arguments
+ * @returns {Object} Body for POST /transactions/json
+ */
+export function buildTransactionBody(input) {
+    const { send, distribute } = input;
+
+    return {
+        ...(input.chart_of_accounts_group_name && { chartOfAccountsGroupName: input.chart_of_accounts_group_name }),
+        ...(input.description && { description: input.description }),
+        ...(input.code && { code: input.code }),
+        ...(input.pending !== undefined && { pending: input.pending }),
+        ...(input.metadata && { metadata: input.metadata }),
+        send: {
+            asset: send.asset,
+            value: send.value,
+            scale: send.scale,
+            source: {
+                from: send.from.map(leg => toMidazLeg(leg, send)),
+            },
+            distribute: {
+                to: distribute.to.map(leg => toMidazLeg(leg, send)),
+            },
+        },
+    };
+}
+
+/**
+ * Check that a Midaz JSON transaction body is balanced
+ * Source legs must add up to the send value, and so must destination legs.
+ * @param {Object} body - Midaz JSON transaction body
+ * @returns {Object} Validation result with resolved legs, totals, errors and warnings
+ */
+export function validateTransactionBody(body) {
+    const errors = [];
+    const warnings = [];
+    const send = body?.send;
+
+    if (!send || !send.source?.from?.length || !send.distribute?.to?.length) {
+        return {
+            valid: false,
+            errors: ['Transaction must have send.source.from and send.distribute.to legs'],
+            warnings,
+        };
+    }
+
+    const source = resolveLegAmounts(send.source.from, send);
+    const destination = resolveLegAmounts(send.distribute.to, send);
+    errors.push(...source.errors.map(e => `source: ${e}`));
+    errors.push(...destination.errors.map(e => `distribute: ${e}`));
+
+    if (source.total !== send.value) {
+        errors.push(`Source legs total ${source.total} but send value is ${send.value} (scale ${send.scale})`);
+    }
+    if (destination.total !== send.value) {
+        errors.push(`Distribute legs total ${destination.total} but send value is ${send.value} (scale ${send.scale})`);
+    }
+
+    const sourceAccounts = new Set(source.legs.map(leg => leg.account));
+    for (const leg of destination.legs) {
+        if (sourceAccounts.has(leg.account)) {
+            warnings.push(`Account ${leg.account} appears on both sides of the transaction`);
+        }
+    }
+
+    for (const leg of [...source.legs, ...destination.legs]) {
+        if (leg.value === 0) {
+            warnings.push(`Leg for ${leg.account} resolves to a zero amount`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        asset: send.asset,
+        scale: send.scale,
+        value: send.value,
+        source: source.legs,
+        distribute: destination.legs,
+    };
+}
+
+export default {
+    amountSchema,
+    transactionLegSchema,
+    transactionSendSchema,
+    transactionDistributeSchema,
+    rescaleAmount,
+    resolveLegAmounts,
+    buildTransactionBody,
+    validateTransactionBody,
+};
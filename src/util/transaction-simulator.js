@@ -0,0 +1,191 @@
+/**
+ * Offline double-entry simulator
+ *
+ * Applies a proposed Midaz JSON transaction to a set of balances in memory and
+ * projects the resulting available/onHold amounts per account, without
+ * touching the ledger. Source legs are debited and destination legs credited;
+ * a pending transaction only moves source funds to onHold, since destinations
+ * are credited when the transaction is committed.
+ */
+
+import { z } from 'zod';
+import { rescaleAmount, validateTransactionBody } from './transaction-payload.js';
+import { isValidUUID } from './security-utils.js';
+import { snapshotAccountBalances } from './balance-snapshot.js';
+
+// External accounts (@external/USD) represent money outside the ledger and may go negative
+const EXTERNAL_ACCOUNT_PREFIX = '@external/';
+
+/**
+ * A known balance supplied to the simulator
+ */
+export const simulationBalanceSchema = z.object({
+    account: z.string().min(1).describe('Account alias or ID the balance belongs to'),
+    asset_code: z.string().min(1).describe('Asset code of the balance'),
+    available: z.number().int().describe('Available amount in minor units'),
+    on_hold: z.number().int().optional().default(0).describe('Amount on hold in minor units'),
+    scale: z.number().int().min(0).max(18).describe('Decimal scale of available and on_hold'),
+    allow_sending: z.boolean().optional().default(true).describe('Whether the balance may be debited'),
+    allow_receiving: z.boolean().optional().default(true).describe('Whether the balance may be credited'),
+});
+
+/**
+ * Collect the accounts referenced by a Midaz JSON transaction body
+ * @param {Object} body - Midaz JSON transaction body
+ * @returns {Array<string>} Unique account aliases or IDs
+ */
+export function getTransactionAccounts(body) {
+    const legs = [...(body?.send?.source?.from || []), ...(body?.send?.distribute?.to || [])];
+    return [...new Set(legs.map(leg => leg.account))];
+}
+
+/**
+ * Fetch the current balances of every account in a transaction body
+ * @param {string} organizationId - Organization ID
+ * @param {string} ledgerId - Ledger ID
+ * @param {Object} body - Midaz JSON transaction body
+ * @returns {Promise<Array<Object>>} Balances in simulator format
+ */
+export async function fetchSimulationBalances(organizationId, ledgerId, body) {
+    const accounts = getTransactionAccounts(body).map(account => (
+        isValidUUID(account) ? { account_id: account, alias: null } : { account_id: null, alias: account }
+    ));
+    const snapshot = await snapshotAccountBalances(organizationId, ledgerId, accounts);
+
+    return snapshot.accounts.flatMap(entry => entry.balances.map(balance => ({
+        account: entry.alias || entry.account_id,
+        asset_code: balance.asset_code,
+        available: balance.available,
+        on_hold: balance.on_hold,
+        scale: balance.scale,
+        allow_sending: balance.allow_sending,
+        allow_receiving: balance.allow_receiving,
+    })));
+}
+
+/**
+ * Simulate a transaction against known balances
+ * @param {Object} body - Midaz JSON transaction body
+ * @param {Array<Object>} balances - Current balances (see simulationBalanceSchema)
+ * @returns {Object} { valid, pending, issues, accounts }
+ */
+export function simulateTransaction(body, balances = []) {
+    const validation = validateTransactionBody(body);
+    const issues = validation.errors.map(message => ({ type: 'unbalanced', account: null, message }));
+
+    if (!validation.source || !validation.distribute) {
+        return { valid: false, pending: Boolean(body?.pending), issues, accounts: [] };
+    }
+
+    const { asset, scale: sendScale } = validation;
+    const pending = Boolean(body.pending);
+    const projections = new Map();
+
+    const projectionFor = (account) => {
+        if (projections.has(account)) {
+            return projections.get(account);
+        }
+
+        const external = account.startsWith(EXTERNAL_ACCOUNT_PREFIX);
+        const accountBalances = balances.filter(balance => balance.account === account);
+        const known = accountBalances.find(balance => balance.asset_code === asset);
+
+        if (!known && accountBalances.length > 0) {
+            issues.push({
+                type: 'asset_mismatch',
+                account,
+                message: `Account ${account} holds ${accountBalances.map(b => b.asset_code).join(', ')} but the transaction moves ${asset}`,
+            });
+        } else if (!known && !external) {
+            issues.push({
+                type: 'missing_balance',
+                account,
+                message: `No ${asset} balance known for ${account}; projected from zero`,
+            });
+        }
+
+        const scale = Math.max(known?.scale ?? sendScale, sendScale);
+        const projection = {
+            account,
+            asset_code: asset,
+            scale,
+            external,
+            allow_sending: known?.allow_sending !== false,
+            allow_receiving: known?.allow_receiving !== false,
+            before: {
+                available: rescaleAmount(known?.available ?? 0, known?.scale ?? scale, scale),
+                on_hold: rescaleAmount(known?.on_hold ?? 0, known?.scale ?? scale, scale),
+            },
+        };
+        projection.after = { ...projection.before };
+        projections.set(account, projection);
+        return projection;
+    };
+
+    for (const leg of validation.source) {
+        const projection = projectionFor(leg.account);
+        const value = rescaleAmount(leg.value, sendScale, projection.scale);
+
+        if (!projection.allow_sending) {
+            issues.push({ type: 'sending_disabled', account: leg.account, message: `Account ${leg.account} does not allow sending ${asset}` });
+        }
+
+        projection.after.available -= value;
+        if (pending) {
+            projection.after.on_hold += value;
+        }
+    }
+
+    for (const leg of validation.distribute) {
+        const projection = projectionFor(leg.account);
+        const value = rescaleAmount(leg.value, sendScale, projection.scale);
+
+        if (!projection.allow_receiving) {
+            issues.push({ type: 'receiving_disabled', account: leg.account, message: `Account ${leg.account} does not allow receiving ${asset}` });
+        }
+
+        if (!pending) {
+            projection.after.available += value;
+        }
+    }
+
+    const accounts = [...projections.values()].map(projection => {
+        if (!projection.external && projection.after.available < 0) {
+            issues.push({
+                type: 'overdraft',
+                account: projection.account,
+                message: `Account ${projection.account} would end with available ${projection.after.available} (scale ${projection.scale})`,
+            });
+        }
+
+        return {
+            account: projection.account,
+            asset_code: projection.asset_code,
+            scale: projection.scale,
+            external: projection.external,
+            before: projection.before,
+            after: projection.after,
+            delta: {
+                available: projection.after.available - projection.before.available,
+                on_hold: projection.after.on_hold - projection.before.on_hold,
+            },
+        };
+    });
+
+    const blocking = ['unbalanced', 'overdraft', 'asset_mismatch', 'sending_disabled', 'receiving_disabled'];
+
+    return {
+        valid: !issues.some(issue => blocking.includes(issue.type)),
+        pending,
+        ...(pending && { note: 'Pending transaction: source funds move to on_hold and destinations are credited on commit' }),
+        issues,
+        accounts,
+    };
+}
+
+export default {
+    simulationBalanceSchema,
+    getTransactionAccounts,
+    fetchSimulationBalances,
+    simulateTransaction,
+};
@@ -0,0 +1,310 @@
+/**
+ * Webhook receiver for Midaz events
+ * Accepts transaction events bridged from Midaz (for example from RabbitMQ)
+ * on a local HTTP endpoint, verifies their HMAC signature, keeps them in a
+ * bounded in-memory log and notifies MCP sessions subscribed to the affected
+ * accounts, transactions and ledger transaction lists.
+ *
+ * Senders sign `<timestamp>.<raw body>` with HMAC-SHA256 using the shared
+ * secret (MIDAZ_WEBHOOK_SECRET) and send:
+ *   X-Midaz-Timestamp: <unix seconds>
+ *   X-Midaz-Signature: sha256=<hex digest>
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import config from '../config.js';
+import { createAuditLog } from './security.js';
+import { secureCompare } from './security-utils.js';
+import { parseResourceTemplate } from './mcp-protocol.js';
+import { RESOURCE_KINDS } from '../resources/midaz-resources.js';
+import { subscriptionManager } from './resource-subscriptions.js';
+import { createLogger } from './mcp-logging.js';
+
+const logger = createLogger('webhook-receiver');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+const SIGNATURE_TOLERANCE = 300; // seconds a signed request stays valid
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw request body
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value, sha256=<hex>
+ */
+export function signWebhookBody(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a webhook signature
+ * @param {string} body - Raw request body
+ * @param {Object} headers - { signature, timestamp } header values
+ * @param {string} secret - Shared secret
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} { valid, reason }
+ */
+export function verifyWebhookSignature(body, { signature, timestamp }, secret, now = Date.now()) {
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing signature or timestamp header' };
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE) {
+    return { valid: false, reason: 'Timestamp outside the allowed window' };
+  }
+
+  const expected = signWebhookBody(body, timestamp, secret);
+  const provided = signature.startsWith('sha256=') ? signature : `sha256=${signature}`;
+  return secureCompare(provided.toLowerCase(), expected)
+    ? { valid: true, reason: null }
+    : { valid: false, reason: 'Signature mismatch' };
+}
+
+/**
+ * Normalize an incoming event
+ * Accepts IDs at the top level or inside `data`/`payload`, in camelCase or snake_case.
+ * @param {Object} body - Event as received
+ * @param {Date} [receivedAt] - Receive time
+ * @returns {Object} { id, type, organization_id, ledger_id, transaction_id, account_ids, status, occurred_at, received_at, data }
+ */
+export function normalizeWebhookEvent(body, receivedAt = new Date()) {
+  const data = body.data || body.payload || {};
+  const transaction = data.transaction || data;
+  const type = String(body.type || body.eventType || body.event || 'unknown');
+  const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '') ?? null;
+  const operations = Array.isArray(transaction.operations) ? transaction.operations : [];
+
+  return {
+    id: String(pick(body.id, body.eventId, body.event_id) ?? crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 32)),
+    type,
+    organization_id: pick(body.organizationId, body.organization_id, transaction.organizationId, transaction.organization_id),
+    ledger_id: pick(body.ledgerId, body.ledger_id, transaction.ledgerId, transaction.ledger_id),
+    transaction_id: pick(body.transactionId, body.transaction_id, transaction.transactionId, /transaction/i.test(type) ? transaction.id : null),
+    account_ids: [...new Set([
+      ...(Array.isArray(body.accountIds) ? body.accountIds : []),
+      ...(Array.isArray(body.account_ids) ? body.account_ids : []),
+      ...operations.map(operation => operation.accountId || operation.account_id)
+    ].filter(Boolean))],
+    status: pick(transaction.status?.code, body.status),
+    occurred_at: pick(body.timestamp, body.createdAt, transaction.createdAt, receivedAt.toISOString()),
+    received_at: receivedAt.toISOString(),
+    data
+  };
+}
+
+/**
+ * Resource URIs affected by an event
+ * @param {Object} event - Normalized event
+ * @returns {Array<string>} midaz:// URIs
+ */
+export function eventResourceUris(event) {
+  const { organization_id: org, ledger_id: ledger } = event;
+  if (!UUID_PATTERN.test(String(org)) || !UUID_PATTERN.test(String(ledger))) {
+    return [];
+  }
+
+  const uri = (kind, id) => parseResourceTemplate(RESOURCE_KINDS[kind].template, { org, ledger, ...(id && { id }) });
+  const uris = [uri('ledger-transactions')];
+  if (UUID_PATTERN.test(String(event.transaction_id))) {
+    uris.push(uri('transaction', event.transaction_id));
+  }
+  for (const account of event.account_ids.filter(id => UUID_PATTERN.test(String(id)))) {
+    uris.push(uri('account', account), uri('account-balances', account));
+  }
+  return uris;
+}
+
+/**
+ * Bounded in-memory event log, oldest events dropped first
+ */
+export class EventLog {
+  constructor(maxEvents = 1000) {
+    this.maxEvents = maxEvents;
+    this.events = [];
+    this.ids = new Set();
+    this.dropped = 0;
+  }
+
+  /**
+   * Add an event unless one with the same ID is already logged
+   * @param {Object} event - Normalized event
+   * @returns {boolean} Whether the event was added
+   */
+  add(event) {
+    if (this.ids.has(event.id)) {
+      return false;
+    }
+    this.events.push(event);
+    this.ids.add(event.id);
+    while (this.events.length > this.maxEvents) {
+      this.ids.delete(this.events.shift().id);
+      this.dropped++;
+    }
+    return true;
+  }
+
+  /**
+   * Query logged events, newest first
+   * @param {Object} filter - { type, organization_id, ledger_id, account_id, transaction_id, since, limit }
+   * @returns {Object} { events, total }
+   */
+  query({ type, organization_id, ledger_id, account_id, transaction_id, since, limit = 20 } = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const events = this.events.filter(event =>
+      (!type || event.type === type) &&
+      (!organization_id || event.organization_id === organization_id) &&
+      (!ledger_id || event.ledger_id === ledger_id) &&
+      (!account_id || event.account_ids.includes(account_id)) &&
+      (!transaction_id || event.transaction_id === transaction_id) &&
+      (sinceTime === null || Date.parse(event.received_at) >= sinceTime)
+    );
+    return { events: events.reverse().slice(0, limit), total: events.length };
+  }
+}
+
+// Events received by this process, queried by the recent-events tool
+export const webhookEventLog = new EventLog(config.webhookMaxEvents);
+
+/**
+ * Read a raw request body, enforcing a size limit
+ */
+function readRawBody(req, limit = MAX_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Start the webhook receiver
+ * @param {Object} options - Receiver options
+ * @param {string} options.host - Interface to bind to
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.path - Endpoint path, e.g. /webhooks/midaz
+ * @param {string} options.secret - HMAC secret shared with the sender
+ * @param {EventLog} [options.eventLog] - Log events are added to
+ * @param {Object} [options.manager] - Subscription manager to notify
+ * @returns {Promise<Object>} { httpServer, close }
+ */
+export async function startWebhookReceiver(options) {
+  const {
+    host,
+    port,
+    path: endpoint,
+    secret,
+    eventLog = webhookEventLog,
+    manager = subscriptionManager
+  } = options;
+
+  if (!secret) {
+    throw new Error('Webhook receiver requires MIDAZ_WEBHOOK_SECRET to verify event signatures');
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== endpoint) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readRawBody(req);
+    } catch (error) {
+      sendJson(res, 413, { error: error.message });
+      return;
+    }
+
+    const verification = verifyWebhookSignature(body, {
+      signature: req.headers['x-midaz-signature'],
+      timestamp: req.headers['x-midaz-timestamp']
+    }, secret);
+    if (!verification.valid) {
+      createAuditLog({
+        type: 'webhook_rejected',
+        transport: 'webhook',
+        remoteAddress: req.socket?.remoteAddress,
+        reason: verification.reason
+      });
+      sendJson(res, 401, { error: verification.reason });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      sendJson(res, 400, { error: 'Invalid JSON body' });
+      return;
+    }
+
+    // A body may carry one event or a batch
+    const receivedAt = new Date();
+    let accepted = 0;
+    let duplicates = 0;
+    for (const item of (Array.isArray(payload) ? payload : [payload]).filter(item => item && typeof item === 'object')) {
+      const event = normalizeWebhookEvent(item, receivedAt);
+      if (!eventLog.add(event)) {
+        duplicates++;
+        continue;
+      }
+      accepted++;
+      for (const uri of eventResourceUris(event)) {
+        manager.applyExternalChange(uri, { source: 'webhook', event_id: event.id, event_type: event.type });
+      }
+    }
+
+    logger.info('Webhook events received', { accepted, duplicates });
+    sendJson(res, 202, { accepted, duplicates });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  logger.info('Webhook receiver listening', { host, port: httpServer.address().port, path: endpoint });
+
+  return {
+    httpServer,
+    close: () => new Promise(resolve => httpServer.close(() => resolve()))
+  };
+}
+
+export default {
+  signWebhookBody,
+  verifyWebhookSignature,
+  normalizeWebhookEvent,
+  eventResourceUris,
+  EventLog,
+  webhookEventLog,
+  startWebhookReceiver
+};
@@ -0,0 +1,182 @@
+/**
+ * Write access guard for mutating Midaz tools
+ *
+ * Write tools are disabled unless `allowWrites` is enabled in the configuration,
+ * and every write must be previewed first: the dry run returns a random preview
+ * token that the server stores with a hash of the exact request, the active
+ * environment and the client that asked for it. Execution only proceeds when
+ * the same client sends the token back, before it expires, with an identical
+ * request in the same environment, and the token is consumed by that execution.
+ */
+
+import crypto from 'crypto';
+import config from '../config.js';
+import { createErrorResponse, ErrorCodes } from './mcp-helpers.js';
+import { secureCompare } from './security-utils.js';
+import { getActiveEnvironment, isReadOnlyEnvironment } from './environments.js';
+
+// Preview tokens expire after 10 minutes
+const PREVIEW_TTL_MS = 10 * 60 * 1000;
+
+// Oldest previews are dropped beyond this many
+const MAX_PENDING_PREVIEWS = 500;
+
+// Keyed by the SHA-256 of the token, so the token itself is never kept
+const pendingPreviews = new Map();
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads hash equally
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash the request a write is made for
+ * @param {string} toolName - Tool performing the write
+ * @param {Object} request - Everything that identifies the write (IDs and body)
+ * @returns {string} Hex-encoded SHA-256 of the tool name and canonical request
+ */
+export function hashWriteRequest(toolName, request) {
+    return crypto
+        .createHash('sha256')
+        .update(`${toolName}:${canonicalJson(request)}`)
+        .digest('hex');
+}
+
+// Name of the environment profile the call runs in; null without profiles
+function activeEnvironmentName() {
+    return getActiveEnvironment()?.name || null;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Drop expired previews, and the oldest ones beyond the limit
+ */
+function prunePendingPreviews() {
+    const now = Date.now();
+    for (const [key, preview] of pendingPreviews) {
+        if (preview.expiresAt <= now) {
+            pendingPreviews.delete(key);
+        }
+    }
+    while (pendingPreviews.size >= MAX_PENDING_PREVIEWS) {
+        pendingPreviews.delete(pendingPreviews.keys().next().value);
+    }
+}
+
+/**
+ * Create a preview token for a pending write
+ * @param {string} toolName - Tool performing the write
+ * @param {Object} request - Everything that identifies the write (IDs and body)
+ * @param {string} [client] - Client identity; only this client can use the token
+ * @returns {string} Random one-time token
+ */
+export function createPreviewToken(toolName, request, client = 'anonymous') {
+    prunePendingPreviews();
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    pendingPreviews.set(hashToken(token), {
+        toolName,
+        requestHash: hashWriteRequest(toolName, request),
+        environment: activeEnvironmentName(),
+        client,
+        expiresAt: Date.now() + PREVIEW_TTL_MS,
+    });
+    return token;
+}
+
+/**
+ * Check whether write tools are enabled
+ * @returns {boolean} True if writes are allowed and a live backend is configured
+ */
+export function isWriteEnabled() {
+    return config.allowWrites === true && !config.useStubs;
+}
+
+/**
+ * Ensure a write may be executed
+ * @param {string} toolName - Tool performing the write
+ * @param {Object} request - Request the preview token was generated for
+ * @param {string} [confirmToken] - Token returned by the dry run
+ * @param {string} [client] - Client identity of the caller
+ * @throws {Object} JSON-RPC error if writes are disabled or the token does not match
+ */
+export function assertWriteAccess(toolName, request, confirmToken, client = 'anonymous') {
+    if (isReadOnlyEnvironment()) {
+        throw createErrorResponse(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `${toolName} is disabled: the ${getActiveEnvironment().name} environment is read-only`,
+            { hint: 'Set readOnly: false on the environment profile to allow writes' }
+        );
+    }
+
+    if (config.allowWrites !== true) {
+        throw createErrorResponse(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `${toolName} is disabled: write operations are not enabled`,
+            { hint: 'Set allowWrites: true in the config file, MIDAZ_ALLOW_WRITES=true, or pass --allow-writes' }
+        );
+    }
+
+    if (config.useStubs) {
+        throw createErrorResponse(
+            ErrorCodes.RESOURCE_UNAVAILABLE,
+            `${toolName} requires a live Midaz backend, but stub mode is enabled`
+        );
+    }
+
+    if (!confirmToken) {
+        throw createErrorResponse(
+            ErrorCodes.INVALID_PARAMS,
+            `${toolName} must be previewed first: run it with dry_run=true and pass the returned preview_token as confirm_token`
+        );
+    }
+
+    const key = hashToken(confirmToken);
+    const preview = pendingPreviews.get(key);
+    const environment = activeEnvironmentName();
+
+    let reason = null;
+    if (!preview) {
+        reason = 'confirm_token is unknown or was already used; run a new dry run and confirm its preview';
+    } else if (preview.expiresAt <= Date.now()) {
+        pendingPreviews.delete(key);
+        reason = 'confirm_token expired; run a new dry run and confirm its preview';
+    } else if (preview.client !== client) {
+        reason = 'confirm_token was issued to another client';
+    } else if (preview.environment !== environment) {
+        reason = `confirm_token was issued in the ${preview.environment} environment, but ${environment} is active`;
+    } else if (preview.toolName !== toolName || !secureCompare(preview.requestHash, hashWriteRequest(toolName, request))) {
+        reason = 'confirm_token does not match this request; run a new dry run and confirm the updated preview';
+    }
+
+    if (reason) {
+        throw createErrorResponse(ErrorCodes.INVALID_PARAMS, reason);
+    }
+
+    // One preview, one write
+    pendingPreviews.delete(key);
+}
+
+export default {
+    canonicalJson,
+    hashWriteRequest,
+    createPreviewToken,
+    isWriteEnabled,
+    assertWriteAccess,
+};
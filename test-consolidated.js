@@ -1,6 +1,6 @@
 /**
  * Test script for consolidated Midaz MCP tools
- * Tests the 4 scenarios specified in the requirements
+ * Tests the 3 scenarios specified in the requirements
  */
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
@@ -35,13 +35,11 @@ async function runTests() {
   try {
     // Import and register tools
     const { registerMidazDocsTools } = await import('./src/tools/midaz-docs.js');
-    const { registerMidazApiTools } = await import('./src/tools/midaz-api.js');
     const { registerMidazGenerateTools } = await import('./src/tools/midaz-generate.js');
     const { registerMidazStatusTools } = await import('./src/tools/midaz-status.js');
     
     console.log('📚 Registering tools...');
     registerMidazDocsTools(testServer);
-    registerMidazApiTools(testServer);
     registerMidazGenerateTools(testServer);
     registerMidazStatusTools(testServer);
     
@@ -55,17 +53,8 @@ async function runTests() {
       format: 'detailed'
     });
     
-    // Scenario 2: "list my organizations" - should make real api call  
-    console.log('\n🌐 SCENARIO 2: Real API call to list organizations');
-    await testServer.tools?.find(t => t.name === 'midaz_api')?.test({
-      operation: 'list',
-      resource: 'organizations',
-      mode: 'test', // Use test mode for safety
-      params: {}
-    });
-    
-    // Scenario 3: "generate nodejs payment flow" - should output complete implementation
-    console.log('\n⚡ SCENARIO 3: Generate Node.js payment flow code');
+    // Scenario 2: "generate nodejs payment flow" - should output complete implementation
+    console.log('\n⚡ SCENARIO 2: Generate Node.js payment flow code');
     await testServer.tools?.find(t => t.name === 'midaz_generate')?.test({
       useCase: 'nodejs payment flow',
       language: 'javascript',
@@ -73,8 +62,8 @@ async function runTests() {
       features: ['error-handling', 'retries', 'logging']
     });
     
-    // Scenario 4: "what's wrong with midaz?" - should show actual metrics
-    console.log('\n🔍 SCENARIO 4: Health and status monitoring');
+    // Scenario 3: "what's wrong with midaz?" - should show actual metrics
+    console.log('\n🔍 SCENARIO 3: Health and status monitoring');
     await testServer.tools?.find(t => t.name === 'midaz_status')?.test({
       check: 'all',
       includeMetrics: true,
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Test resolving accounts by alias
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+import { registerAccountTools } from '../src/tools/account.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+const PORTFOLIO_ID = '33333333-3333-4333-8333-333333333333';
+
+const ledgerAccounts = {
+  '@alice': { id: 'acc-alice', name: 'Alice', type: 'deposit', assetCode: 'USD', status: { code: 'ACTIVE' }, portfolioId: PORTFOLIO_ID },
+  '@bob': { id: 'acc-bob', name: 'Bob', type: 'deposit', assetCode: 'USD', status: { code: 'ACTIVE' }, portfolioId: PORTFOLIO_ID, segmentId: 'seg-1' }
+};
+
+const registerTools = () => {
+  const tools = {};
+  registerAccountTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+  return async (args) => JSON.parse((await tools['get-account-by-alias']({ organization_id: ORG_ID, ledger_id: LEDGER_ID, ...args }, {})).content[0].text);
+};
+
+/**
+ * Serve account lookups by alias, their balances and one portfolio, recording every path
+ */
+const withBackend = async (run) => {
+  const requests = [];
+  const ledgerPath = `/v1/organizations/${ORG_ID}/ledgers/${LEDGER_ID}`;
+  const backend = http.createServer((req, res) => {
+    const rawPath = new URL(req.url, 'http://localhost').pathname;
+    const path = decodeURIComponent(rawPath);
+    requests.push(rawPath);
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    const alias = path.match(/\/accounts\/alias\/(.+)$/)?.[1];
+    if (alias === '@locked') {
+      return send(403, { message: 'forbidden' });
+    }
+    if (alias) {
+      return ledgerAccounts[alias] ? send(200, ledgerAccounts[alias]) : send(404, { message: 'account not found' });
+    }
+    const balances = path.match(/\/accounts\/([^/]+)\/balances$/)?.[1];
+    if (balances) {
+      return send(200, { items: [{ id: `bal-${balances}`, assetCode: 'USD', available: 1500, onHold: 100, scale: 2 }] });
+    }
+    if (path === `${ledgerPath}/portfolios/${PORTFOLIO_ID}`) {
+      return send(200, { id: PORTFOLIO_ID, name: 'Retail', entityId: 'entity-1' });
+    }
+    send(404, { message: 'not found' });
+  });
+  await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+  const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+  const baseUrl = `http://127.0.0.1:${backend.address().port}`;
+  config.useStubs = false;
+  config.backend.onboarding = { baseUrl };
+  config.backend.transaction = { baseUrl };
+  try {
+    await run(requests);
+  } finally {
+    config.useStubs = previous.useStubs;
+    config.backend.onboarding = previous.onboarding;
+    config.backend.transaction = previous.transaction;
+    backend.close();
+  }
+};
+
+const cases = [
+  {
+    name: 'Aliases resolve to accounts, balances and portfolios',
+    run: async () => {
+      const call = registerTools();
+
+      await withBackend(async (requests) => {
+        const result = await call({ aliases: ['@alice', ' @bob ', '@alice'] });
+        assert.deepStrictEqual([result.source, result.resolved, result.not_found], ['ledger', 2, []]);
+
+        const [alice, bob] = result.accounts;
+        assert.deepStrictEqual([alice.alias, alice.account_id, alice.status, alice.segment_id], ['@alice', 'acc-alice', 'ACTIVE', null]);
+        assert.deepStrictEqual([bob.alias, bob.segment_id], ['@bob', 'seg-1']);
+        assert.deepStrictEqual(alice.balances, [{
+          balance_id: 'bal-acc-alice', asset_code: 'USD', available: 1500, on_hold: 100, scale: 2, allow_sending: true, allow_receiving: true
+        }]);
+        assert.deepStrictEqual(bob.portfolio, { id: PORTFOLIO_ID, name: 'Retail', entity_id: 'entity-1' });
+
+        // Duplicates are looked up once and a shared portfolio is fetched once
+        assert.strictEqual(requests.filter(path => path.includes('/accounts/alias/')).length, 2);
+        assert.strictEqual(requests.filter(path => path.includes('/portfolios/')).length, 1);
+
+        const bare = await call({ aliases: ['@alice'], include_balances: false, include_portfolio: false });
+        assert.deepStrictEqual([bare.accounts[0].balances, bare.accounts[0].portfolio], [undefined, undefined]);
+      });
+    }
+  },
+  {
+    name: 'Unknown aliases are reported and other failures are errors',
+    run: async () => {
+      const call = registerTools();
+
+      await withBackend(async () => {
+        const result = await call({ aliases: ['@alice', '@nobody'] });
+        assert.deepStrictEqual([result.resolved, result.not_found], [1, ['@nobody']]);
+        const missing = result.accounts.find(account => account.alias === '@nobody');
+        assert.strictEqual(missing.found, false);
+        assert.match(missing.error, /404/);
+      });
+
+      await withBackend(async (requests) => {
+        // Other failures are errors, not unknown aliases
+        await assert.rejects(call({ aliases: ['@alice', '@locked'] }), error =>
+          error.code === ErrorCodes.BACKEND_ERROR && /@locked/.test(error.message) && /403/.test(error.data.originalError));
+
+        // Aliases are sent as one encoded path segment
+        const external = await call({ aliases: ['@external/USD'] });
+        assert.deepStrictEqual(external.not_found, ['@external/USD']);
+        assert.ok(requests.some(path => path.endsWith('/accounts/alias/%40external%2FUSD')));
+      });
+
+      const stub = await call({ aliases: ['@checking', '@nobody'] });
+      assert.deepStrictEqual([stub.source, stub.resolved, stub.not_found], ['sample', 1, ['@nobody']]);
+      assert.strictEqual(stub.accounts[0].balances[0].available, 330000);
+      assert.strictEqual(stub.accounts[1].error, 'No account with alias @nobody');
+    }
+  },
+  {
+    name: 'Invalid aliases are rejected',
+    run: async () => {
+      const call = registerTools();
+      const invalid = error => error.code === ErrorCodes.INVALID_PARAMS;
+
+      await assert.rejects(call({ aliases: [] }), invalid);
+      await assert.rejects(call({ aliases: [''] }), invalid);
+      await assert.rejects(call({ aliases: ['@' + 'x'.repeat(256)] }), invalid);
+      await assert.rejects(call({ aliases: Array.from({ length: 51 }, (_, i) => `@acc-${i}`) }), invalid);
+      await assert.rejects(call({ aliases: ['..'] }), invalid);
+      await assert.rejects(call({ aliases: ['@alice?limit=1'] }), invalid);
+      await assert.rejects(call({ aliases: ['@alice bob'] }), invalid);
+    }
+  }
+];
+
+console.log('🧪 Testing Account Lookup by Alias...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All account alias tests passed!' : `\n❌ ${failures} account alias test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
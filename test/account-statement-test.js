@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Test account statement generation and CSV formatting
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { buildAccountStatement, formatMinorUnits, statementToRows } from '../src/util/account-statement.js';
+import { registerAccountTools } from '../src/tools/account.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+import { clearResponseCache } from '../src/util/http-client.js';
+import { ResponseFormatter, FormatTypes, EscapeStrategies } from '../src/util/response-formatter.js';
+
+const account = { id: 'acc-1', alias: '@alice', name: 'Alice', assetCode: 'USD' };
+const balances = [{ id: 'bal-1', assetCode: 'USD', available: 7000, onHold: 500, scale: 2 }];
+const operations = [
+  { id: 'op-1', type: 'CREDIT', assetCode: 'USD', amount: { value: 10000, scale: 2 }, createdAt: '2024-01-01T10:00:00Z' },
+  { id: 'op-2', type: 'DEBIT', assetCode: 'USD', amount: { value: 2500, scale: 2 }, createdAt: '2024-01-10T10:00:00Z' },
+  { id: 'op-3', type: 'ON_HOLD', assetCode: 'USD', amount: { value: 500, scale: 2 }, createdAt: '2024-02-01T10:00:00Z' },
+  { id: 'op-4', type: 'DEBIT', assetCode: 'EUR', amount: { value: 999, scale: 2 }, createdAt: '2024-01-15T10:00:00Z' }
+];
+
+const cases = [
+  {
+    name: 'Opening, running and closing balances are derived from the current balance',
+    run: () => {
+      const statement = buildAccountStatement({ account, balances, operations, startDate: '2024-01-05', endDate: '2024-01-31' });
+      assert.deepStrictEqual(statement.closing_balance, { available: 7500, on_hold: 0 });
+      assert.deepStrictEqual(statement.opening_balance, { available: 10000, on_hold: 0 });
+      assert.deepStrictEqual(statement.entries.map(entry => entry.operation_id), ['op-2']);
+      assert.strictEqual(statement.entries[0].available, 7500);
+      assert.strictEqual(statement.totals.debits, 2500);
+    }
+  },
+  {
+    name: 'Whole history starts from zero and ends at the current balance',
+    run: () => {
+      const statement = buildAccountStatement({ account, balances, operations });
+      assert.deepStrictEqual(statement.opening_balance, { available: 0, on_hold: 0 });
+      assert.deepStrictEqual(statement.closing_balance, { available: 7000, on_hold: 500 });
+      assert.strictEqual(statement.entries.length, 3);
+    }
+  },
+  {
+    name: 'Minor units are rendered as decimals',
+    run: () => {
+      assert.strictEqual(formatMinorUnits(123456, 2), '1234.56');
+      assert.strictEqual(formatMinorUnits(-5, 2), '-0.05');
+      assert.strictEqual(formatMinorUnits(42, 0), '42');
+    }
+  },
+  {
+    name: 'CSV output quotes values and includes balance rows',
+    run: () => {
+      const statement = buildAccountStatement({ account, balances, operations: [{ ...operations[0], description: 'Salary, January' }] });
+      const result = new ResponseFormatter().format(statementToRows(statement), { type: FormatTypes.CSV, escapeStrategy: EscapeStrategies.NONE });
+      const lines = result.content[0].text.split('\n');
+      assert.strictEqual(lines[0], 'date,type,description,operation_id,transaction_id,debit,credit,available,on_hold');
+      assert.ok(lines[2].includes('"Salary, January"'));
+      assert.strictEqual(lines.length, 4);
+
+      const noted = new ResponseFormatter().format(statementToRows(statement, ['Sample data: stubs are enabled.']), { type: FormatTypes.CSV, escapeStrategy: EscapeStrategies.NONE });
+      assert.strictEqual(noted.content[0].text.split('\n')[1], ',note,Sample data: stubs are enabled.,,,,,,');
+    }
+  },
+  {
+    name: 'A truncated statement keeps the newest operations and starts at the oldest one fetched',
+    run: async () => {
+      const queries = [];
+      const accountPath = '/v1/organizations/11111111-1111-4111-8111-111111111111/ledgers/22222222-2222-4222-8222-222222222222/accounts/33333333-3333-4333-8333-333333333333';
+      const backend = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = data => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+        if (url.pathname === accountPath) return send(account);
+        if (url.pathname === `${accountPath}/balances`) return send({ items: balances });
+        queries.push(Object.fromEntries(url.searchParams));
+        const usd = operations.filter(operation => operation.assetCode === 'USD');
+        send({ items: url.searchParams.get('sort_order') === 'desc' ? [...usd].reverse() : usd });
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.onboarding = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      clearResponseCache();
+      try {
+        const tools = {};
+        registerAccountTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        const statementFor = async (args) => JSON.parse((await tools['generate-account-statement']({
+          organization_id: '11111111-1111-4111-8111-111111111111',
+          ledger_id: '22222222-2222-4222-8222-222222222222',
+          account_id: '33333333-3333-4333-8333-333333333333',
+          format: 'json',
+          ...args
+        }, {})).content[0].text);
+
+        const statement = await statementFor({ start_date: '2024-01-01', end_date: '2024-01-31', max_operations: 2 });
+        assert.strictEqual(queries[0].sort_order, 'desc');
+        assert.deepStrictEqual([statement.truncated, statement.period.start_date], [true, '2024-01-10']);
+        assert.deepStrictEqual(statement.entries.map(entry => entry.operation_id), ['op-2']);
+        assert.deepStrictEqual(statement.opening_balance, { available: 10000, on_hold: 0 });
+        assert.deepStrictEqual(statement.closing_balance, { available: 7500, on_hold: 0 });
+        assert.match(statement.notes[0], /starts on 2024-01-10 instead of 2024-01-01/);
+
+        // The newest operations alone do not reach back to the period
+        await assert.rejects(statementFor({ end_date: '2024-01-05', max_operations: 1 }), error => error.code === ErrorCodes.INVALID_PARAMS);
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.onboarding = previous.onboarding;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  },
+  {
+    name: 'The tool fails instead of using sample data when the backend errors',
+    run: async () => {
+      const backend = http.createServer((req, res) => {
+        res.writeHead(422, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'unprocessable' }));
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.onboarding = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      try {
+        const tools = {};
+        registerAccountTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        await assert.rejects(
+          tools['generate-account-statement']({
+            organization_id: '11111111-1111-4111-8111-111111111111',
+            ledger_id: '22222222-2222-4222-8222-222222222222',
+            account_id: '33333333-3333-4333-8333-333333333333'
+          }, {}),
+          error => error.code === ErrorCodes.BACKEND_ERROR && /statement of account/.test(error.message)
+        );
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.onboarding = previous.onboarding;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Account Statement...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All account statement tests passed!' : `\n❌ ${failures} account statement test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test anomaly detection over ledger transactions
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+import { AnomalyDetector, AnomalyType, describeValues } from '../src/util/anomaly-detection.js';
+import { registerLedgerTools } from '../src/tools/ledger.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const transfer = (id, createdAt, from, to, value) => ({
+  transaction: { id, createdAt, status: { code: 'APPROVED' } },
+  operations: [
+    { type: 'DEBIT', accountAlias: from, assetCode: 'USD', amount: { value, scale: 2 } },
+    { type: 'CREDIT', accountAlias: to, assetCode: 'USD', amount: { value, scale: 2 } }
+  ]
+});
+
+const entries = [
+  // @alice pays @shop 10.00-17.00 daily, then 500.00
+  ...Array.from({ length: 8 }, (_, i) => transfer(`pay-${i}`, `2026-03-0${i + 1}T14:00:00Z`, '@alice', '@shop', 1000 + 100 * i)),
+  transfer('pay-big', '2026-03-09T14:00:00Z', '@alice', '@shop', 50000),
+  // @bob sends @carol eight payments on one day
+  ...Array.from({ length: 8 }, (_, i) => transfer(`burst-${i}`, `2026-03-05T13:0${i}:00Z`, '@bob', '@carol', 100)),
+  // @dave pays @erin, who sends almost all of it back the next day
+  transfer('trip-out', '2026-03-06T10:00:00Z', '@dave', '@erin', 10000),
+  transfer('trip-back', '2026-03-07T10:00:00Z', '@erin', '@dave', 9900),
+  // A transfer in the middle of the night
+  transfer('night', '2026-03-12T03:00:00Z', '@frank', '@gina', 500)
+];
+
+const balances = [{ alias: '@alice', accountId: 'acc-alice', assetCode: 'USD', available: 2000, scale: 2 }];
+
+const cases = [
+  {
+    name: 'Descriptive statistics use interpolated quartiles',
+    run: () => {
+      const stats = describeValues([1, 2, 3, 4, 100]);
+      assert.deepStrictEqual([stats.count, stats.mean, stats.q1, stats.median, stats.q3, stats.iqr], [5, 22, 2, 3, 4, 2]);
+      assert.strictEqual(Math.round(stats.std_dev * 100) / 100, 39.01);
+      assert.strictEqual(describeValues([]).count, 0);
+    }
+  },
+  {
+    name: 'Every check flags its planted anomaly',
+    run: () => {
+      const detector = new AnomalyDetector();
+      const report = detector.detect(entries, { balances });
+      const found = report.anomalies.map(anomaly => [anomaly.type, anomaly.account, anomaly.transaction_ids.length]);
+
+      assert.deepStrictEqual(found.sort(), [
+        [AnomalyType.AMOUNT_OUTLIER, '@alice', 1],
+        [AnomalyType.AMOUNT_OUTLIER, '@shop', 1],
+        [AnomalyType.BALANCE_SWING, '@alice', 1],
+        [AnomalyType.FREQUENCY_OUTLIER, '@bob', 8],
+        [AnomalyType.FREQUENCY_OUTLIER, '@carol', 8],
+        [AnomalyType.ODD_HOUR, '@frank', 1],
+        [AnomalyType.ROUND_TRIP, '@dave', 2]
+      ].sort());
+
+      // Most severe first
+      assert.strictEqual(report.anomalies[0].type, AnomalyType.ROUND_TRIP);
+      assert.deepStrictEqual(report.anomalies[0].transaction_ids, ['trip-out', 'trip-back']);
+      assert.strictEqual(report.anomalies[report.anomalies.length - 1].type, AnomalyType.ODD_HOUR);
+
+      const amount = report.anomalies.find(anomaly => anomaly.type === AnomalyType.AMOUNT_OUTLIER && anomaly.account === '@alice');
+      assert.deepStrictEqual([amount.amount, amount.details.median, amount.details.upper_fence], ['500.00', '14.00', '22.00']);
+      const swing = report.anomalies.find(anomaly => anomaly.type === AnomalyType.BALANCE_SWING);
+      assert.deepStrictEqual([swing.date, swing.details.balance_before, swing.details.balance_after, swing.details.ratio], ['2026-03-09', '520.00', '20.00', 0.96]);
+
+      assert.deepStrictEqual(report.summary.by_severity, { high: 1, medium: 5, low: 1 });
+      assert.strictEqual(detector.getMetrics().total, 7);
+    }
+  },
+  {
+    name: 'Thresholds, checks and the account filter narrow the results',
+    run: () => {
+      const strict = new AnomalyDetector({ method: 'zscore', zScore: 5, roundTripTolerance: 0, utcOffset: 6, balanceSwingRatio: 2 });
+      assert.deepStrictEqual(strict.detect(entries, { balances }).anomalies, []);
+
+      const wrapped = new AnomalyDetector({ oddHourStart: 22, oddHourEnd: 4, utcOffset: -3 });
+      const night = wrapped.detect(entries, { checks: [AnomalyType.ODD_HOUR] });
+      assert.deepStrictEqual(night.anomalies.map(anomaly => [anomaly.transaction_ids[0], anomaly.details.local_hour]), [['night', 0]]);
+
+      const erin = new AnomalyDetector().detect(entries, { account: '@erin' });
+      assert.deepStrictEqual(erin.anomalies.map(anomaly => anomaly.type), [AnomalyType.ROUND_TRIP]);
+
+      const capped = new AnomalyDetector().detect(entries, { maxAnomalies: 2 });
+      assert.deepStrictEqual([capped.anomalies.length, capped.total, capped.truncated], [2, 6, true]);
+    }
+  },
+  {
+    name: 'The tool runs on sample data and reports skipped checks',
+    run: async () => {
+      const tools = {};
+      registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+      const call = async (args) => JSON.parse((await tools['detect-anomalies'](args, {})).content[0].text);
+
+      const result = await call({ organization_id: ORG_ID, ledger_id: LEDGER_ID, utc_offset: -3 });
+      assert.strictEqual(result.source, 'sample');
+      assert.deepStrictEqual(result.anomalies, []);
+      assert.strictEqual(result.thresholds.odd_hours.utc_offset, -3);
+      assert.deepStrictEqual(result.skipped.map(skip => skip.check), [AnomalyType.BALANCE_SWING]);
+      assert.ok(!result.checks.includes(AnomalyType.BALANCE_SWING));
+
+      const past = await call({ organization_id: ORG_ID, ledger_id: LEDGER_ID, end_date: '2020-01-01' });
+      assert.match(past.skipped[0].reason, /in the past/);
+
+      await assert.rejects(call({ organization_id: ORG_ID, ledger_id: LEDGER_ID, round_trip_tolerance: 2 }), error => /round_trip_tolerance|Invalid/i.test(error.message));
+    }
+  },
+  {
+    name: 'The tool fails instead of checking sample data when the backend errors',
+    run: async () => {
+      const backend = http.createServer((req, res) => {
+        res.writeHead(422, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'unprocessable' }));
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      try {
+        const tools = {};
+        registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        await assert.rejects(
+          tools['detect-anomalies']({ organization_id: ORG_ID, ledger_id: LEDGER_ID }, {}),
+          error => error.code === ErrorCodes.BACKEND_ERROR && /Could not fetch transactions/.test(error.message)
+        );
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Anomaly Detection...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All anomaly detection tests passed!' : `\n❌ ${failures} anomaly detection test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
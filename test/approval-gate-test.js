@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test the human approval gate for write operations
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { describeChange, elicitApproval } from '../src/util/approval-gate.js';
+import { registerTransactionTools } from '../src/tools/transaction.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const cases = [
+  {
+    name: 'Diffs list added, changed and removed fields',
+    run: () => {
+      const update = describeChange({
+        operation: 'update',
+        target: 'accounts/acc-1',
+        current: { name: 'Cash', status: { code: 'ACTIVE' } },
+        proposed: { name: 'Savings', status: { code: 'ACTIVE' }, metadata: { tier: 'gold' } }
+      });
+      assert.deepStrictEqual(update.changes.map(change => change.field), ['name', 'metadata.tier']);
+      assert.strictEqual(update.text, 'UPDATE accounts/acc-1\n~ name: "Cash" → "Savings"\n+ metadata.tier: "gold"');
+
+      const removal = describeChange({ operation: 'delete', target: 'accounts/acc-1', current: { name: 'Cash' } });
+      assert.strictEqual(removal.text, 'DELETE accounts/acc-1\n- name: "Cash"');
+
+      const unknown = describeChange({ operation: 'delete', target: 'accounts/acc-1' });
+      assert.match(unknown.text, /current state could not be fetched/);
+    }
+  },
+  {
+    name: 'Elicitation asks the user when the client supports it',
+    run: async () => {
+      const diff = describeChange({ operation: 'create', target: 'accounts/(new)', proposed: { name: 'Cash' } });
+      const server = capabilities => ({ server: { getClientCapabilities: () => capabilities } });
+      const sent = [];
+      const extra = answer => ({ sendRequest: async (req) => { sent.push(req); return answer; } });
+
+      assert.strictEqual(await elicitApproval(server({}), extra({}), 'create-transaction-json', diff, 'alice'), null);
+
+      const approved = await elicitApproval(server({ elicitation: {} }), extra({ action: 'accept', content: { approve: true } }), 'create-transaction-json', diff, 'alice');
+      assert.strictEqual(approved, true);
+      assert.strictEqual(sent[0].method, 'elicitation/create');
+      assert.match(sent[0].params.message, /\+ name: "Cash"/);
+
+      assert.strictEqual(await elicitApproval(server({ elicitation: {} }), extra({ action: 'accept', content: { approve: false } }), 'create-transaction-json', diff, 'alice'), false);
+      assert.strictEqual(await elicitApproval(server({ elicitation: {} }), extra({ action: 'decline' }), 'create-transaction-json', diff, 'alice'), false);
+    }
+  },
+  {
+    name: 'Transaction write tools post only approved changes',
+    run: async () => {
+      const posts = [];
+      const backend = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+          posts.push(req.url);
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ id: 'tx-1', status: { code: 'APPROVED' } }));
+        });
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, allowWrites: config.allowWrites, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.allowWrites = true;
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+
+      const tools = {};
+      let capabilities = { elicitation: {} };
+      registerTransactionTools({
+        server: { getClientCapabilities: () => capabilities },
+        tool: (name, description, schema, handler) => { tools[name] = handler; }
+      });
+      const prompts = [];
+      let answer = null;
+      const extra = { sendRequest: async (req) => { prompts.push(req.params.message); return answer; } };
+      const call = async (args) => JSON.parse((await tools['create-transaction-dsl'](args, extra)).content[0].text);
+      const args = {
+        organization_id: ORG_ID,
+        ledger_id: LEDGER_ID,
+        dsl: '(transaction V1\n  (send USD 100|2\n    (source (from @a :amount USD 100|2)))\n  (distribute (to @b :remaining)))'
+      };
+
+      try {
+        const preview = await call(args);
+        assert.match(preview.change, /^CREATE transactions\/\(new\)/);
+        assert.match(preview.change, /\+ send\.value: 100/);
+
+        // A declined change is not posted and its token is spent
+        answer = { action: 'decline' };
+        await assert.rejects(call({ ...args, dry_run: false, confirm_token: preview.preview_token }), error => /not approved/.test(error.message));
+        await assert.rejects(call({ ...args, dry_run: false, confirm_token: preview.preview_token }), error => /already used/.test(error.message));
+        assert.deepStrictEqual(posts, []);
+        assert.match(prompts[0], /create-transaction-dsl wants to make this change/);
+
+        answer = { action: 'accept', content: { approve: true } };
+        const posted = await call({ ...args, dry_run: false, confirm_token: (await call(args)).preview_token });
+        assert.strictEqual(posted.transaction.id, 'tx-1');
+        assert.deepStrictEqual([posts.length, prompts.length], [1, 2]);
+
+        // A client that cannot ask the user is refused, even with a valid token
+        capabilities = {};
+        await assert.rejects(call({ ...args, dry_run: false, confirm_token: (await call(args)).preview_token }), error => /supports MCP elicitation/.test(error.message));
+        assert.deepStrictEqual([posts.length, prompts.length], [1, 2]);
+      } finally {
+        Object.assign(config, { useStubs: previous.useStubs, allowWrites: previous.allowWrites });
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Approval Gate...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All approval gate tests passed!' : `\n❌ ${failures} approval gate test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test the hash-chained audit log store
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuditStore } from '../src/util/audit-store.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-store-test-'));
+let storeCount = 0;
+
+function createStore(options) {
+  const dir = path.join(tempDir, `store-${++storeCount}`);
+  fs.mkdirSync(dir);
+  return new AuditStore(path.join(dir, 'audit.log'), options);
+}
+
+const cases = [
+  {
+    name: 'Entries are chained and the chain verifies',
+    run: () => {
+      const store = createStore();
+      store.append({ timestamp: '2026-01-01T10:00:00.000Z', type: 'tool_invocation', tool: 'list-accounts', user: 'alice' });
+      store.append({ timestamp: '2026-01-01T10:01:00.000Z', type: 'tool_invocation', tool: 'get-account', user: 'bob' });
+
+      const result = store.verify();
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.entries, 2);
+      assert.strictEqual(result.anchor, 'genesis');
+
+      // A new store instance continues the chain from disk
+      const reopened = new AuditStore(store.filePath);
+      assert.strictEqual(reopened.append({ timestamp: '2026-01-01T10:02:00.000Z', type: 'x' }).seq, 3);
+      assert.strictEqual(reopened.verify().valid, true);
+    }
+  },
+  {
+    name: 'Edited, removed and unhashed entries break the chain',
+    run: () => {
+      const store = createStore();
+      for (let i = 0; i < 3; i++) {
+        store.append({ timestamp: `2026-01-01T10:0${i}:00.000Z`, type: 'tool_invocation', user: 'alice' });
+      }
+      const original = fs.readFileSync(store.filePath, 'utf8');
+
+      fs.writeFileSync(store.filePath, original.replace('"user":"alice"', '"user":"mallory"'));
+      assert.match(store.verify().error.reason, /hash does not match/);
+
+      const lines = original.trim().split('\n');
+      fs.writeFileSync(store.filePath, [lines[0], lines[2]].join('\n') + '\n');
+      const removed = store.verify();
+      assert.strictEqual(removed.valid, false);
+      assert.strictEqual(removed.error.line, 2);
+
+      fs.writeFileSync(store.filePath, original + JSON.stringify({ timestamp: '2026-01-01T11:00:00.000Z', type: 'forged' }) + '\n');
+      assert.match(store.verify().error.reason, /missing its hash/);
+    }
+  },
+  {
+    name: 'Files rotate by size and day and the chain spans them',
+    run: () => {
+      const store = createStore({ maxBytes: 600 });
+      for (let i = 0; i < 6; i++) {
+        store.append({ timestamp: `2026-01-01T10:0${i}:00.000Z`, type: 'tool_invocation', user: 'alice' });
+      }
+      store.append({ timestamp: '2026-01-02T00:00:01.000Z', type: 'tool_invocation', user: 'alice' });
+
+      const segments = store.listSegments();
+      assert.ok(segments.length >= 2, `expected rotated segments, got ${segments.length}`);
+      const active = fs.readFileSync(store.filePath, 'utf8').trim().split('\n');
+      assert.strictEqual(active.length, 1);
+      assert.strictEqual(store.verify().entries, 7);
+      assert.strictEqual(store.verify().valid, true);
+
+      // Retention removes whole segments; the remaining chain still verifies
+      const oldest = segments[0];
+      fs.utimesSync(oldest, new Date('2020-01-01'), new Date('2020-01-01'));
+      assert.deepStrictEqual(store.removeSegmentsOlderThan(30), [oldest]);
+      const pruned = store.verify();
+      assert.strictEqual(pruned.valid, true);
+      assert.match(pruned.anchor, /^seq \d+$/);
+    }
+  },
+  {
+    name: 'Legacy entries before the chain are counted, not rejected',
+    run: () => {
+      const store = createStore();
+      fs.writeFileSync(store.filePath, JSON.stringify({ timestamp: '2025-12-31T23:00:00.000Z', type: 'tool_invocation' }) + '\n');
+      store.append({ timestamp: '2025-12-31T23:30:00.000Z', type: 'tool_invocation' });
+
+      const result = store.verify();
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.unchained, 1);
+      assert.strictEqual(result.entries, 1);
+    }
+  },
+  {
+    name: 'Queries filter by tool, client, outcome and time range',
+    run: () => {
+      const store = createStore();
+      store.append({ timestamp: '2026-01-01T09:00:00.000Z', type: 'tool_invocation', tool: 'list-accounts', user: 'alice' });
+      store.append({ timestamp: '2026-01-01T10:00:00.000Z', type: 'tool_access_denied', tool: 'create-transaction-json', user: 'bob' });
+      store.append({ timestamp: '2026-01-01T11:00:00.000Z', type: 'tool_failed', tool: 'create-transaction-json', user: 'alice' });
+      store.append({ timestamp: '2026-01-01T12:00:00.000Z', type: 'tool_invocation', tool: 'create-transaction-json', user: 'alice' });
+
+      assert.deepStrictEqual(store.query({ tool: 'create-transaction-json', client: 'alice' }).entries.map(entry => entry.seq), [4, 3]);
+      assert.deepStrictEqual(store.query({ outcome: 'denied' }).entries.map(entry => entry.user), ['bob']);
+      assert.deepStrictEqual(store.query({ outcome: 'failure' }).entries.map(entry => entry.seq), [3]);
+      assert.deepStrictEqual(store.query({ from: '2026-01-01T10:00:00Z', to: '2026-01-01T11:00:00Z' }).entries.map(entry => entry.seq), [3, 2]);
+
+      const limited = store.query({ limit: 2 });
+      assert.strictEqual(limited.entries.length, 2);
+      assert.strictEqual(limited.truncated, true);
+    }
+  }
+];
+
+console.log('🧪 Testing Audit Store...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? '\n🎉 All audit store tests passed!' : `\n❌ ${failures} audit store test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test the balance tools, balance aggregation and backend pagination
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { aggregateBalances } from '../src/util/balance-snapshot.js';
+import { fetchAllPages } from '../src/util/pagination.js';
+import { registerBalanceTools } from '../src/tools/balance.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+import { clearResponseCache } from '../src/util/http-client.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const balance = (id, assetCode, available, onHold, scale, accountType) => ({ id, alias: `@${id}`, assetCode, available, onHold, scale, accountType });
+
+const ledgerBalances = [
+  balance('cash', 'USD', 1050, 0, 2, 'deposit'),
+  balance('card', 'USD', 2500, 1000, 3, 'deposit'),
+  balance('world', 'USD', -3000, 0, 2, 'external'),
+  balance('eur', 'EUR', 700, 0, 2, undefined)
+];
+
+const registerTools = () => {
+  const tools = {};
+  registerBalanceTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+  return async (name, args) => JSON.parse((await tools[name]({ organization_id: ORG_ID, ledger_id: LEDGER_ID, ...args }, {})).content[0].text);
+};
+
+/**
+ * Serve balances with cursor pagination, two per page, recording every query
+ */
+const startBackend = async () => {
+  const backend = { queries: [], failing: false };
+  backend.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    backend.queries.push(Object.fromEntries(url.searchParams));
+    if (backend.failing) {
+      res.writeHead(422, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'unprocessable' }));
+      return;
+    }
+
+    const start = Number(url.searchParams.get('cursor') || 0);
+    const next = start + 2 < ledgerBalances.length ? String(start + 2) : undefined;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ items: ledgerBalances.slice(start, start + 2), next_cursor: next }));
+  });
+  await new Promise(resolve => backend.server.listen(0, '127.0.0.1', resolve));
+  return backend;
+};
+
+const withBackend = async (run) => {
+  const backend = await startBackend();
+  const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding };
+  config.useStubs = false;
+  config.backend.onboarding = { baseUrl: `http://127.0.0.1:${backend.server.address().port}` };
+  try {
+    await run(backend);
+  } finally {
+    config.useStubs = previous.useStubs;
+    config.backend.onboarding = previous.onboarding;
+    backend.server.close();
+  }
+};
+
+const cases = [
+  {
+    name: 'Balances are totalled per asset and account type at the largest scale',
+    run: () => {
+      const totals = aggregateBalances(ledgerBalances);
+
+      assert.deepStrictEqual(totals.by_asset, [
+        { asset_code: 'EUR', scale: 2, available: 700, on_hold: 0, total: 700, balance_count: 1 },
+        { asset_code: 'USD', scale: 3, available: -17000, on_hold: 1000, total: -16000, balance_count: 3 }
+      ]);
+      assert.deepStrictEqual(totals.by_account_type.map(group => [group.asset_code, group.account_type, group.total]), [
+        ['EUR', 'unknown', 700],
+        ['USD', 'deposit', 14000],
+        ['USD', 'external', -30000]
+      ]);
+      assert.deepStrictEqual(aggregateBalances([]), { by_asset: [], by_account_type: [] });
+    }
+  },
+  {
+    name: 'Pages are only reported truncated when more items exist',
+    run: async () => {
+      const numbered = (total) => {
+        const requested = [];
+        const fetchPage = async ({ page, limit }) => {
+          requested.push(page);
+          const start = (page - 1) * limit;
+          return { items: Array.from({ length: Math.max(0, Math.min(limit, total - start)) }, (_, i) => start + i) };
+        };
+        return { requested, fetchPage };
+      };
+
+      // The item count lands on maxItems on the last, short page
+      const short = numbered(5);
+      assert.deepStrictEqual(await fetchAllPages(short.fetchPage, { maxItems: 5 }), { items: [0, 1, 2, 3, 4], pages: 1, truncated: false });
+
+      // A full page may be the last one: the next page decides
+      const exact = numbered(100);
+      assert.strictEqual((await fetchAllPages(exact.fetchPage, { maxItems: 100 })).truncated, false);
+      assert.deepStrictEqual(exact.requested, [1, 2]);
+      assert.strictEqual((await fetchAllPages(numbered(101).fetchPage, { maxItems: 100 })).truncated, true);
+      assert.strictEqual((await fetchAllPages(numbered(5).fetchPage, { maxItems: 3 })).truncated, true);
+
+      const cursors = (next) => async () => ({ items: [1, 2], next_cursor: next });
+      assert.strictEqual((await fetchAllPages(cursors(undefined), { maxItems: 2 })).truncated, false);
+      assert.strictEqual((await fetchAllPages(cursors('page-2'), { maxItems: 2 })).truncated, true);
+
+      // Stopping at maxPages asks for the next page the same way
+      const twoPages = numbered(200);
+      assert.deepStrictEqual(await fetchAllPages(twoPages.fetchPage, { maxPages: 2 }).then(result => [result.items.length, result.truncated]), [200, false]);
+      assert.deepStrictEqual(twoPages.requested, [1, 2, 3]);
+      assert.strictEqual((await fetchAllPages(numbered(201).fetchPage, { maxPages: 2 })).truncated, true);
+      assert.strictEqual((await fetchAllPages(cursors('page-2'), { maxPages: 1 })).truncated, true);
+    }
+  },
+  {
+    name: 'list-balances pages sample data and passes filters to the API',
+    run: async () => {
+      const call = registerTools();
+
+      const stub = await call('list-balances', { limit: 2 });
+      assert.deepStrictEqual([stub.items.length, stub.total, Boolean(stub.nextCursor)], [2, 4, true]);
+
+      await withBackend(async (backend) => {
+        const live = await call('list-balances', { limit: 2, sort_order: 'desc', start_date: '2026-01-01' });
+        assert.deepStrictEqual(live.items.map(item => item.id), ['cash', 'card']);
+        assert.deepStrictEqual(backend.queries[0], { limit: '2', sort_order: 'desc', start_date: '2026-01-01' });
+      });
+    }
+  },
+  {
+    name: 'snapshot-ledger-balances totals every page and fails on backend errors',
+    run: async () => {
+      const call = registerTools();
+
+      await withBackend(async (backend) => {
+        const snapshot = await call('snapshot-ledger-balances', { include_balances: true });
+        assert.deepStrictEqual([snapshot.source, snapshot.balance_count, snapshot.pages, snapshot.truncated], ['ledger', 4, 2, false]);
+        assert.deepStrictEqual(snapshot.totals_by_asset.map(total => [total.asset_code, total.total]), [['EUR', 700], ['USD', -16000]]);
+        assert.strictEqual(snapshot.balances.length, 4);
+
+        const euros = await call('snapshot-ledger-balances', { asset_code: 'EUR' });
+        assert.deepStrictEqual([euros.balance_count, euros.totals_by_account_type.length, euros.balances], [1, 1, undefined]);
+
+        backend.failing = true;
+        clearResponseCache();
+        await assert.rejects(
+          call('snapshot-ledger-balances', {}),
+          error => error.code === ErrorCodes.BACKEND_ERROR && /Could not fetch balances/.test(error.message)
+        );
+      });
+    }
+  }
+];
+
+console.log('🧪 Testing Balance Tools...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All balance tool tests passed!' : `\n❌ ${failures} balance tool test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test exporting full list results to CSV and JSONL files
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { flattenRecord, matchesFilters, collectColumns, serializeRows, writeExportFile } from '../src/util/data-export.js';
+import { registerExportTools } from '../src/tools/export.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-export-test-'));
+
+const cases = [
+  {
+    name: 'Records flatten into dotted columns and filter on them',
+    run: () => {
+      const row = flattenRecord({ id: 'a-1', status: { code: 'ACTIVE' }, metadata: { region: 'EU' }, tags: ['x', 'y'] });
+      assert.deepStrictEqual(row, { id: 'a-1', 'status.code': 'ACTIVE', 'metadata.region': 'EU', tags: '["x","y"]' });
+      assert.strictEqual(matchesFilters(row, { 'status.code': 'ACTIVE', 'metadata.region': 'EU' }), true);
+      assert.strictEqual(matchesFilters(row, { 'metadata.region': 'US' }), false);
+    }
+  },
+  {
+    name: 'CSV quotes cells and neutralizes formulas; JSONL rows share columns',
+    run: () => {
+      const rows = [{ name: '=HYPERLINK("x")', amount: -12.5, note: 'a,b' }, { name: '-cmd', extra: true }];
+      const columns = collectColumns(rows);
+      assert.deepStrictEqual(columns, ['name', 'amount', 'note', 'extra']);
+
+      const csv = serializeRows(rows, columns, 'csv').split('\n');
+      assert.strictEqual(csv[1], '"\'=HYPERLINK(""x"")",-12.5,"a,b",');
+      assert.strictEqual(csv[2], "'-cmd,,,true");
+
+      const jsonl = serializeRows(rows, columns, 'jsonl').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(Object.keys(jsonl[1]), columns);
+      assert.strictEqual(jsonl[1].amount, null);
+    }
+  },
+  {
+    name: 'Export files stay in the export directory and are never overwritten',
+    run: () => {
+      const file = writeExportFile(tempDir, '../../etc/accounts.json', [{ id: 1 }], 'csv');
+      assert.strictEqual(path.dirname(file.path), path.resolve(tempDir));
+      assert.strictEqual(path.basename(file.path), '_.._etc_accounts.csv');
+      assert.throws(() => writeExportFile(tempDir, '../../etc/accounts.json', [{ id: 2 }], 'csv'), /EEXIST/);
+    }
+  },
+  {
+    name: 'The export tool walks every page and writes the filtered rows',
+    run: async () => {
+      const requests = [];
+      const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url.pathname + url.search);
+        const page = Number(url.searchParams.get('page'));
+        const count = page === 1 ? 100 : page === 2 ? 30 : 0;
+        const items = Array.from({ length: count }, (_, i) => ({
+          id: `acc-${page}-${i}`,
+          status: { code: i % 2 === 0 ? 'ACTIVE' : 'BLOCKED' }
+        }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const tools = {};
+      registerExportTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+
+      const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, exportDir: config.exportDir };
+      config.useStubs = false;
+      config.backend.onboarding = { baseUrl: `http://127.0.0.1:${server.address().port}` };
+      config.exportDir = tempDir;
+      try {
+        const args = {
+          list: 'list-accounts',
+          organization_id: '00000000-0000-0000-0000-000000000001',
+          ledger_id: '00000000-0000-0000-0000-000000000002',
+          format: 'jsonl',
+          filters: { 'status.code': 'ACTIVE' },
+          file_name: 'active-accounts'
+        };
+        const result = JSON.parse((await tools.export(args, {})).content[0].text);
+
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(result.rows_fetched, 130);
+        assert.strictEqual(result.rows_written, 65);
+        assert.strictEqual(result.path, path.join(path.resolve(tempDir), 'active-accounts.jsonl'));
+        assert.strictEqual(fs.readFileSync(result.path, 'utf8').trim().split('\n').length, 65);
+
+        await assert.rejects(tools.export({ list: 'list-operations', organization_id: args.organization_id, ledger_id: args.ledger_id }, {}), error => /account_id/.test(error.message));
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.onboarding = previous.onboarding;
+        config.exportDir = previous.exportDir;
+        server.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Data Export...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? '\n🎉 All data export tests passed!' : `\n❌ ${failures} data export test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Test environment profiles and per-call environment selection
+ */
+
+import assert from 'assert';
+import {
+  installEnvironmentProfiles,
+  runInEnvironment,
+  getActiveEnvironment,
+  isReadOnlyEnvironment
+} from '../src/util/environments.js';
+import { registerTool } from '../src/util/mcp-helpers.js';
+
+const baseConfig = () => ({
+  backend: {
+    onboarding: { baseUrl: 'http://localhost:3000', apiKey: 'local-key' },
+    transaction: { baseUrl: 'http://localhost:3001', apiKey: 'local-key' },
+    timeout: 10000,
+    retries: 3,
+    auth: {}
+  },
+  useStubs: true,
+  allowWrites: true,
+  environments: {
+    staging: {
+      backend: {
+        onboarding: { baseUrl: 'https://staging.example.com/onboarding', apiKey: 'staging-key' },
+        transaction: { baseUrl: 'https://staging.example.com/transaction' }
+      },
+      useStubs: false
+    },
+    prod: {
+      backend: { onboarding: { baseUrl: 'https://api.example.com/onboarding' } },
+      useStubs: false,
+      allowWrites: true
+    }
+  }
+});
+
+const cases = [
+  {
+    name: 'Config keys resolve against the environment of the current call',
+    run: async () => {
+      const config = baseConfig();
+      installEnvironmentProfiles(config);
+
+      assert.strictEqual(config.useStubs, true);
+      assert.strictEqual(config.backend.onboarding.apiKey, 'local-key');
+
+      await runInEnvironment('staging', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual(getActiveEnvironment().name, 'staging');
+        assert.strictEqual(config.useStubs, false);
+        assert.strictEqual(config.backend.onboarding.baseUrl, 'https://staging.example.com/onboarding');
+        // Credentials are not inherited from the base config
+        assert.strictEqual(config.backend.transaction.apiKey, null);
+        assert.strictEqual(config.backend.timeout, 10000);
+      });
+
+      assert.strictEqual(getActiveEnvironment(), null);
+      assert.throws(() => runInEnvironment('qa', () => {}), /Unknown environment "qa".*staging, prod/);
+    }
+  },
+  {
+    name: 'Prod is read-only by default and overrides allowWrites',
+    run: () => {
+      const config = baseConfig();
+      installEnvironmentProfiles(config);
+
+      runInEnvironment('prod', () => {
+        assert.strictEqual(isReadOnlyEnvironment(), true);
+        assert.strictEqual(config.allowWrites, false);
+        // Unset URLs fall back to the base config
+        assert.strictEqual(config.backend.transaction.baseUrl, 'http://localhost:3001');
+      });
+      runInEnvironment('staging', () => {
+        assert.strictEqual(isReadOnlyEnvironment(), false);
+        assert.strictEqual(config.allowWrites, true);
+      });
+
+      const writable = baseConfig();
+      writable.environments.prod.readOnly = false;
+      installEnvironmentProfiles(writable);
+      runInEnvironment('prod', () => assert.strictEqual(writable.allowWrites, true));
+    }
+  },
+  {
+    name: 'defaultEnvironment applies when a call names no environment',
+    run: () => {
+      const config = { ...baseConfig(), defaultEnvironment: 'staging' };
+      installEnvironmentProfiles(config);
+      assert.strictEqual(config.useStubs, false);
+      assert.strictEqual(getActiveEnvironment().name, 'staging');
+
+      assert.throws(() => installEnvironmentProfiles({ ...baseConfig(), defaultEnvironment: 'qa' }), /"qa" is not defined/);
+    }
+  },
+  {
+    name: 'Every registered tool gets the environment argument',
+    run: async () => {
+      const config = baseConfig();
+      installEnvironmentProfiles(config);
+
+      const registered = {};
+      const server = { tool: (name, ...rest) => { registered[name] = rest; } };
+      registerTool(server, 'with-args', 'Tool with args', { id: {} }, async (args) => ({ id: args.id, stubs: config.useStubs }));
+      registerTool(server, 'no-args', 'Tool without args', async (extra) => ({ extra, stubs: config.useStubs }));
+
+      const [, withShape, withHandler] = registered['with-args'];
+      assert.ok(withShape.id && withShape.environment);
+      assert.deepStrictEqual(await withHandler({ id: 'x', environment: 'staging' }, {}), { id: 'x', stubs: false });
+
+      const [, noArgsShape, noArgsHandler] = registered['no-args'];
+      assert.ok(noArgsShape.environment);
+      assert.deepStrictEqual(await noArgsHandler({}, { requestId: 1 }), { extra: { requestId: 1 }, stubs: true });
+    }
+  }
+];
+
+console.log('🧪 Testing Environment Profiles...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All environment profile tests passed!' : `\n❌ ${failures} environment profile test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test the Streamable HTTP transport: sessions, bearer auth and the localOnly check
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { startHttpTransport } from '../src/util/http-transport.js';
+import { hashApiKey } from '../src/util/config-security.js';
+import { getClientIdentity } from '../src/util/security.js';
+import crypto from 'crypto';
+
+const createServer = async () => {
+  const server = new McpServer({ name: 'http-transport-test', version: '1.0.0' });
+  server.tool('ping', 'Ping', {}, async (args, extra) => ({ content: [{ type: 'text', text: `pong:${getClientIdentity(extra)}` }] }));
+  return server;
+};
+
+const apiKey = 'lmcp_test-key';
+const jwtSecret = 'test-jwt-secret';
+const auth = {
+  enabled: true,
+  apiKeys: [{ id: 'alice', keyHash: hashApiKey(apiKey) }],
+  jwt: { secret: jwtSecret, issuer: 'test-issuer' }
+};
+
+const signJwt = (payload, secret = jwtSecret) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+const transport = await startHttpTransport(createServer, { host: '127.0.0.1', port: 0, path: '/mcp', localOnly: true, auth });
+const port = transport.httpServer.address().port;
+const bearer = { Authorization: `Bearer ${apiKey}` };
+
+// Raw request so the Host header can be overridden
+const request = (method, body, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    path: '/mcp',
+    method,
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers }
+  }, res => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+  });
+  req.on('error', reject);
+  req.end(body ? JSON.stringify(body) : undefined);
+});
+
+const authed = (method, body, headers = {}) => request(method, body, { ...bearer, ...headers });
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+let sessionId;
+
+const cases = [
+  {
+    name: 'Initialize creates a session',
+    run: async () => {
+      const response = await authed('POST', initialize);
+      assert.strictEqual(response.status, 200);
+      sessionId = response.headers['mcp-session-id'];
+      assert.ok(sessionId, 'missing mcp-session-id header');
+      assert.strictEqual(transport.sessions.size, 1);
+    }
+  },
+  {
+    name: 'Session serves tool calls with the client identity',
+    run: async () => {
+      await authed('POST', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId });
+      const response = await authed('POST', { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'ping', arguments: {} } }, { 'mcp-session-id': sessionId });
+      assert.ok(response.text.includes('pong:alice'), response.text);
+    }
+  },
+  {
+    name: 'Requests without a session must be initialize requests',
+    run: async () => {
+      const response = await authed('POST', { jsonrpc: '2.0', id: 3, method: 'tools/list' });
+      assert.strictEqual(response.status, 400);
+    }
+  },
+  {
+    name: 'Non-local Host header is rejected when localOnly is set',
+    run: async () => {
+      const response = await authed('POST', initialize, { Host: 'evil.example.com' });
+      assert.strictEqual(response.status, 403);
+    }
+  },
+  {
+    name: 'Missing or wrong credentials are rejected',
+    run: async () => {
+      assert.strictEqual((await request('POST', initialize)).status, 401);
+      assert.strictEqual((await request('POST', initialize, { Authorization: 'Bearer wrong-key' })).status, 401);
+      assert.strictEqual((await request('POST', initialize, { Authorization: `Bearer ${signJwt({ sub: 'bob', iss: 'test-issuer' }, 'other-secret')}` })).status, 401);
+    }
+  },
+  {
+    name: 'Valid JWT is accepted but cannot use another client session',
+    run: async () => {
+      const token = signJwt({ sub: 'bob', iss: 'test-issuer', exp: Math.floor(Date.now() / 1000) + 60 });
+      const response = await request('POST', initialize, { Authorization: `Bearer ${token}` });
+      assert.strictEqual(response.status, 200);
+      const hijack = await request('POST', { jsonrpc: '2.0', id: 5, method: 'tools/list' }, { Authorization: `Bearer ${token}`, 'mcp-session-id': sessionId });
+      assert.strictEqual(hijack.status, 403);
+      const expired = signJwt({ sub: 'bob', iss: 'test-issuer', exp: Math.floor(Date.now() / 1000) - 600 });
+      assert.strictEqual((await request('POST', initialize, { Authorization: `Bearer ${expired}` })).status, 401);
+    }
+  },
+  {
+    name: 'DELETE ends the session',
+    run: async () => {
+      const response = await authed('DELETE', null, { 'mcp-session-id': sessionId });
+      assert.strictEqual(response.status, 200);
+      assert.ok(!transport.sessions.has(sessionId));
+      const after = await authed('POST', { jsonrpc: '2.0', id: 4, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+      assert.strictEqual(after.status, 404);
+    }
+  }
+];
+
+console.log('🧪 Testing HTTP Transport...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+await transport.close();
+console.log(failures === 0 ? '\n🎉 All HTTP transport tests passed!' : `\n❌ ${failures} HTTP transport test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test idempotency keys and result replay for mutating API calls
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import api from '../src/util/api.js';
+import { withIdempotency, requestFingerprint, clearIdempotencyRecords } from '../src/util/idempotency.js';
+
+const cases = [
+  {
+    name: 'Stored results are replayed for a repeated key',
+    run: async () => {
+      clearIdempotencyRecords();
+      let runs = 0;
+      const fingerprint = requestFingerprint('POST', 'http://ledger/transactions', '{"value":1}');
+      const write = () => withIdempotency('key-1', fingerprint, async () => ({ id: `tx-${++runs}` }));
+
+      assert.deepStrictEqual(await write(), { id: 'tx-1' });
+      assert.deepStrictEqual(await write(), { id: 'tx-1' });
+      assert.strictEqual(runs, 1);
+
+      const other = requestFingerprint('POST', 'http://ledger/transactions', '{"value":2}');
+      await assert.rejects(withIdempotency('key-1', other, async () => ({})), /already used for a different request/);
+    }
+  },
+  {
+    name: 'Concurrent calls share one execution and failures are not recorded',
+    run: async () => {
+      clearIdempotencyRecords();
+      let runs = 0;
+      const slow = () => withIdempotency('key-2', 'fp', async () => {
+        runs++;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { id: 'tx' };
+      });
+      await Promise.all([slow(), slow(), slow()]);
+      assert.strictEqual(runs, 1);
+
+      await assert.rejects(withIdempotency('key-3', 'fp', async () => { throw new Error('boom'); }), /boom/);
+      assert.deepStrictEqual(await withIdempotency('key-3', 'fp', async () => ({ ok: true })), { ok: true });
+
+      const unsuccessful = await withIdempotency('key-4', 'fp', async () => ({ success: false }), { shouldStore: result => result.success });
+      assert.strictEqual(unsuccessful.success, false);
+      assert.deepStrictEqual(await withIdempotency('key-4', 'fp', async () => ({ success: true })), { success: true });
+    }
+  },
+  {
+    name: 'Pending writes survive the record limit',
+    run: async () => {
+      clearIdempotencyRecords();
+      let runs = 0;
+      let finish;
+      const inFlight = () => withIdempotency('slow-key', 'fp', () => {
+        runs++;
+        return new Promise(resolve => { finish = resolve; });
+      });
+
+      const first = inFlight();
+      for (let i = 0; i < 1500; i++) {
+        await withIdempotency(`done-${i}`, 'fp', async () => ({ i }));
+      }
+      const second = inFlight();
+      finish({ id: 'tx' });
+
+      assert.deepStrictEqual(await Promise.all([first, second]), [{ id: 'tx' }, { id: 'tx' }]);
+      assert.strictEqual(runs, 1);
+    }
+  },
+  {
+    name: 'callApi reuses one X-Idempotency key across 5xx retries',
+    run: async () => {
+      clearIdempotencyRecords();
+      const received = [];
+      const server = http.createServer((req, res) => {
+        received.push(req.headers['x-idempotency']);
+        req.resume();
+        req.on('end', () => {
+          res.writeHead(received.length === 1 ? 503 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ id: `tx-${received.length}` }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${server.address().port}` };
+      try {
+        const body = { send: { asset: 'USD', value: 100 } };
+        const first = await api.transactions.create('org', 'ledger', body, { idempotencyKey: 'tool-key' });
+        assert.strictEqual(first.id, 'tx-2');
+        assert.deepStrictEqual(received, ['tool-key', 'tool-key']);
+
+        // Same key again: replayed locally, nothing sent
+        const replay = await api.transactions.create('org', 'ledger', body, { idempotencyKey: 'tool-key' });
+        assert.strictEqual(replay.id, 'tx-2');
+        assert.strictEqual(received.length, 2);
+
+        // No key given: a fresh one is generated per call
+        await api.transactions.create('org', 'ledger', body);
+        await api.transactions.create('org', 'ledger', body);
+        assert.strictEqual(received.length, 4);
+        assert.notStrictEqual(received[2], received[3]);
+        assert.match(received[2], /^[0-9a-f-]{36}$/);
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.transaction = previous.transaction;
+        server.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Idempotency Keys...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All idempotency tests passed!' : `\n❌ ${failures} idempotency test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
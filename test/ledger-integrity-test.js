@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test the ledger double-entry integrity check
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { verifyTransactions } from '../src/util/ledger-integrity.js';
+import { registerLedgerTools } from '../src/tools/ledger.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const operation = (id, type, value, scale = 2, assetCode = 'USD') => ({
+  id,
+  type,
+  assetCode,
+  amount: { value, scale }
+});
+
+const cases = [
+  {
+    name: 'Balanced transactions pass per asset and per transaction',
+    run: () => {
+      const result = verifyTransactions([
+        { transaction: { id: 'tx-1' }, operations: [operation('op-1', 'DEBIT', 500), operation('op-2', 'CREDIT', 500)] },
+        { transaction: { id: 'tx-2' }, operations: [operation('op-3', 'DEBIT', 10, 0, 'BRL'), operation('op-4', 'CREDIT', 10, 0, 'BRL')] }
+      ]);
+      assert.strictEqual(result.balanced, true);
+      assert.strictEqual(result.operations_checked, 4);
+      assert.strictEqual(result.per_asset.length, 2);
+    }
+  },
+  {
+    name: 'Unbalanced transaction is reported with its operations',
+    run: () => {
+      const result = verifyTransactions([
+        { transaction: { id: 'tx-1' }, operations: [operation('op-1', 'DEBIT', 500), operation('op-2', 'CREDIT', 400)] }
+      ]);
+      assert.strictEqual(result.balanced, false);
+      assert.strictEqual(result.unbalanced_transactions[0].transaction_id, 'tx-1');
+      assert.strictEqual(result.unbalanced_transactions[0].assets[0].net, 100);
+      assert.deepStrictEqual(result.unbalanced_transactions[0].operations.map(op => op.id), ['op-1', 'op-2']);
+    }
+  },
+  {
+    name: 'Mixed scales are compared without precision loss and holds are not netted',
+    run: () => {
+      const result = verifyTransactions([
+        {
+          transaction: { id: 'tx-1' },
+          operations: [
+            operation('op-1', 'DEBIT', 150, 2),
+            operation('op-2', 'CREDIT', 1500, 3),
+            operation('op-3', 'ON_HOLD', 150, 2)
+          ]
+        },
+        { transaction: { id: 'tx-2' }, operations: [] }
+      ]);
+      assert.strictEqual(result.balanced, true, JSON.stringify(result.unbalanced_transactions));
+      assert.strictEqual(result.per_asset[0].on_hold, 1500);
+      assert.deepStrictEqual(result.transactions_without_operations, ['tx-2']);
+    }
+  },
+  {
+    name: 'The tool fails instead of auditing sample data when the backend errors',
+    run: async () => {
+      const backend = http.createServer((req, res) => {
+        res.writeHead(422, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'unprocessable' }));
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      try {
+        const tools = {};
+        registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        await assert.rejects(
+          tools['verify-ledger-integrity']({ organization_id: ORG_ID, ledger_id: LEDGER_ID }, {}),
+          error => error.code === ErrorCodes.BACKEND_ERROR && /Could not fetch transactions/.test(error.message)
+        );
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Ledger Integrity Check...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All ledger integrity tests passed!' : `\n❌ ${failures} ledger integrity test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test Midaz entity resources: URI templates, reads and paginated listing
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import config from '../src/config.js';
+import api from '../src/util/api.js';
+import { registerMidazResources, resolveResourceUri } from '../src/resources/midaz-resources.js';
+import { parseToolPolicy, setToolPolicy } from '../src/util/tool-policy.js';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const LEDGER = '22222222-2222-4222-8222-222222222222';
+const ACCOUNT = '33333333-3333-4333-8333-333333333333';
+
+// Backend with one organization, one ledger, 120 accounts and one asset
+const accounts = Array.from({ length: 120 }, (_, i) => ({
+  id: `${String(i).padStart(8, '0')}-0000-4000-8000-000000000000`,
+  alias: `@acc-${i}`
+}));
+const requests = [];
+const backend = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(url.pathname + url.search);
+  const page = Number(url.searchParams.get('page') || 1);
+  const limit = Number(url.searchParams.get('limit') || 10);
+  const paged = items => ({ items: items.slice((page - 1) * limit, page * limit) });
+  const send = (status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+  const ledgerPath = `/v1/organizations/${ORG}/ledgers/${LEDGER}`;
+
+  if (url.pathname === '/v1/organizations') return send(200, paged([{ id: ORG, legalName: 'Acme' }]));
+  if (url.pathname === `/v1/organizations/${ORG}/ledgers`) return send(200, paged([{ id: LEDGER, name: 'Main' }]));
+  if (url.pathname === `${ledgerPath}/accounts`) return send(200, paged(accounts));
+  if (url.pathname === `${ledgerPath}/assets`) return send(200, paged([{ id: ACCOUNT, code: 'USD' }]));
+  if (url.pathname === `${ledgerPath}/accounts/${ACCOUNT}`) return send(200, { id: ACCOUNT, alias: '@treasury', assetCode: 'USD' });
+  if (url.pathname.startsWith(`${ledgerPath}/portfolios`) || url.pathname.startsWith(`${ledgerPath}/segments`)) return send(200, { items: [] });
+  send(404, { message: 'not found' });
+});
+
+const cases = [
+  {
+    name: 'Resource URIs resolve to their entity kind',
+    run: async () => {
+      assert.deepStrictEqual(resolveResourceUri(`midaz://organizations/${ORG}/ledgers/${LEDGER}/accounts/${ACCOUNT}`), {
+        kind: 'account',
+        ids: { org: ORG, ledger: LEDGER, id: ACCOUNT }
+      });
+      assert.strictEqual(resolveResourceUri(`midaz://organizations/${ORG}/ledgers/${LEDGER}`).kind, 'ledger');
+      assert.strictEqual(resolveResourceUri('midaz://unknown/x'), null);
+    }
+  },
+  {
+    name: 'Templates are advertised and entities are readable',
+    run: async (client) => {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      assert.ok(resourceTemplates.some(template => template.uriTemplate === 'midaz://organizations/{org}/ledgers/{ledger}/accounts/{id}'));
+      assert.ok(resourceTemplates.some(template => template.uriTemplate === 'midaz://organizations/{org}/ledgers/{ledger}/transactions/{id}'));
+
+      const uri = `midaz://organizations/${ORG}/ledgers/${LEDGER}/accounts/${ACCOUNT}`;
+      const { contents } = await client.readResource({ uri });
+      assert.strictEqual(contents[0].uri, uri);
+      assert.strictEqual(contents[0].mimeType, 'application/json');
+      assert.strictEqual(JSON.parse(contents[0].text).alias, '@treasury');
+
+      await assert.rejects(client.readResource({ uri: `midaz://organizations/${ORG}/ledgers/${LEDGER}/accounts/not-a-uuid` }), /must be UUIDs/);
+      await assert.rejects(client.readResource({ uri: `midaz://organizations/${ORG}/ledgers/${LEDGER}/transactions/${ACCOUNT}` }), /not found/);
+    }
+  },
+  {
+    name: 'Listing walks the hierarchy page by page',
+    run: async (client) => {
+      const uris = [];
+      let cursor;
+      let pages = 0;
+      const listAccounts = api.accounts.list;
+      const accountPages = [];
+      api.accounts.list = (org, ledger, params) => {
+        accountPages.push(params.page);
+        return listAccounts(org, ledger, params);
+      };
+      try {
+        do {
+          const result = await client.listResources(cursor ? { cursor } : {});
+          assert.ok(result.resources.length <= 50);
+          uris.push(...result.resources.map(resource => resource.uri));
+          cursor = result.nextCursor;
+          pages++;
+        } while (cursor && pages < 10);
+      } finally {
+        api.accounts.list = listAccounts;
+      }
+
+      // Each backend page is fetched once per resources/list call, not once per item
+      assert.deepStrictEqual(accountPages, [1, 1, 1, 2]);
+
+      assert.strictEqual(cursor, undefined);
+      assert.strictEqual(uris.length, 1 + 1 + 120 + 1);
+      assert.strictEqual(uris[0], `midaz://organizations/${ORG}`);
+      assert.strictEqual(uris[1], `midaz://organizations/${ORG}/ledgers/${LEDGER}`);
+      assert.strictEqual(uris[121], `midaz://organizations/${ORG}/ledgers/${LEDGER}/accounts/${accounts[119].id}`);
+      assert.strictEqual(uris[122], `midaz://organizations/${ORG}/ledgers/${LEDGER}/assets/${ACCOUNT}`);
+      assert.strictEqual(new Set(uris).size, uris.length);
+
+      await assert.rejects(client.listResources({ cursor: 'bm9wZQ==' }), /Invalid resources\/list cursor/);
+    }
+  },
+  {
+    name: 'Cursors cannot be forged and every page is checked against the policy',
+    run: async (client) => {
+      const { nextCursor } = await client.listResources({});
+      const [payload, signature] = nextCursor.split('.');
+      const position = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+      assert.strictEqual(position.stack.at(-1).kind, 'account');
+
+      // Another organization's accounts, with and without the original signature
+      const forged = { stack: [{ kind: 'account', ids: { org: ACCOUNT, ledger: LEDGER }, page: 1, index: 0 }] };
+      const forgedPayload = Buffer.from(JSON.stringify(forged)).toString('base64');
+      await assert.rejects(client.listResources({ cursor: forgedPayload }), /Invalid resources\/list cursor/);
+      await assert.rejects(client.listResources({ cursor: `${forgedPayload}.${signature}` }), /Invalid resources\/list cursor/);
+
+      // A cursor issued before the caller lost access to accounts skips them
+      setToolPolicy(parseToolPolicy({
+        defaultRoles: ['viewer'],
+        roles: { viewer: { tools: ['list-*'], deny: ['list-accounts'] } }
+      }));
+      try {
+        const next = await client.listResources({ cursor: nextCursor });
+        assert.deepStrictEqual(next.resources.map(resource => resource.uri), [`midaz://organizations/${ORG}/ledgers/${LEDGER}/assets/${ACCOUNT}`]);
+        assert.strictEqual(next.nextCursor, undefined);
+      } finally {
+        setToolPolicy(null);
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Midaz Resources...\n');
+let failures = 0;
+
+await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+config.useStubs = false;
+config.backend.onboarding = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+
+const server = new McpServer({ name: 'test-server', version: '1.0.0' });
+registerMidazResources(server);
+const client = new Client({ name: 'test-client', version: '1.0.0' });
+const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+try {
+  for (const testCase of cases) {
+    try {
+      await testCase.run(client);
+      console.log(`✅ ${testCase.name} - PASSED`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+    }
+  }
+} finally {
+  await client.close();
+  Object.assign(config, { useStubs: previous.useStubs });
+  config.backend.onboarding = previous.onboarding;
+  config.backend.transaction = previous.transaction;
+  backend.close();
+}
+
+console.log(failures === 0 ? '\n🎉 All Midaz resource tests passed!' : `\n❌ ${failures} Midaz resource test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
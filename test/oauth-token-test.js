@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test the OAuth2 client-credentials token manager
+ */
+
+import assert from 'assert';
+import { OAuthTokenManager } from '../src/util/oauth-token.js';
+
+const options = {
+  tokenUrl: 'https://auth.example.com/oauth/token',
+  clientId: 'client-1',
+  clientSecret: 's3cret'
+};
+
+/**
+ * Fake token endpoint issuing token-1, token-2, ... and recording requests
+ */
+function tokenEndpoint({ expiresIn = 3600, status = 200 } = {}) {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, init, body: new URLSearchParams(init.body) });
+    await new Promise(resolve => setImmediate(resolve));
+    return {
+      ok: status === 200,
+      status,
+      json: async () => ({ access_token: `token-${requests.length}`, token_type: 'Bearer', expires_in: expiresIn })
+    };
+  };
+  return { fetchImpl, requests };
+}
+
+const cases = [
+  {
+    name: 'Token is requested once and served from cache until close to expiry',
+    run: async () => {
+      const { fetchImpl, requests } = tokenEndpoint();
+      const manager = new OAuthTokenManager(options, fetchImpl);
+
+      assert.strictEqual(await manager.getToken(), 'token-1');
+      assert.strictEqual(await manager.getToken(), 'token-1');
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].url, options.tokenUrl);
+      assert.strictEqual(requests[0].body.get('grant_type'), 'client_credentials');
+      assert.strictEqual(requests[0].body.get('client_secret'), 's3cret');
+
+      // Within the refresh margin the next call fetches a new token
+      manager.cached.refreshAt = Date.now() - 1;
+      assert.strictEqual(await manager.getToken(), 'token-2');
+      assert.strictEqual(requests.length, 2);
+    }
+  },
+  {
+    name: 'Concurrent callers share a single token request',
+    run: async () => {
+      const { fetchImpl, requests } = tokenEndpoint();
+      const manager = new OAuthTokenManager(options, fetchImpl);
+
+      const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+      assert.deepStrictEqual(tokens, ['token-1', 'token-1', 'token-1']);
+      assert.strictEqual(requests.length, 1);
+    }
+  },
+  {
+    name: 'Short-lived tokens refresh at half their lifetime; invalidate forces a new token',
+    run: async () => {
+      const { fetchImpl, requests } = tokenEndpoint({ expiresIn: 30 });
+      const manager = new OAuthTokenManager({ ...options, authMethod: 'client_secret_basic' }, fetchImpl);
+
+      await manager.getToken();
+      const { expiresAt, refreshAt } = manager.cached;
+      assert.strictEqual(expiresAt - refreshAt, 15000);
+      assert.ok(requests[0].init.headers.Authorization.startsWith('Basic '));
+      assert.strictEqual(requests[0].body.get('client_secret'), null);
+
+      manager.invalidate();
+      assert.strictEqual(await manager.getToken(), 'token-2');
+    }
+  },
+  {
+    name: 'Token endpoint errors and missing configuration are reported',
+    run: async () => {
+      const { fetchImpl } = tokenEndpoint({ status: 401 });
+      const manager = new OAuthTokenManager(options, fetchImpl);
+      await assert.rejects(manager.getToken(), /token endpoint returned 401/);
+      assert.strictEqual(manager.pending, null);
+
+      const unconfigured = new OAuthTokenManager({ clientId: 'client-1' }, fetchImpl);
+      assert.strictEqual(unconfigured.isConfigured(), false);
+      await assert.rejects(unconfigured.getToken(), /not configured/);
+
+      const fromBaseUrl = new OAuthTokenManager({ ...options, tokenUrl: null, baseUrl: 'https://auth.example.com/' });
+      assert.strictEqual(fromBaseUrl.tokenUrl, 'https://auth.example.com/oauth/token');
+    }
+  }
+];
+
+console.log('🧪 Testing OAuth Token Manager...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All OAuth token tests passed!' : `\n❌ ${failures} OAuth token test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test resource subscriptions driven by backend polling
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import config from '../src/config.js';
+import { registerMidazResources } from '../src/resources/midaz-resources.js';
+import { SubscriptionManager, diffSnapshots, setupSubscriptionHandlers } from '../src/util/resource-subscriptions.js';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const LEDGER = '22222222-2222-4222-8222-222222222222';
+const ACCOUNT = '33333333-3333-4333-8333-333333333333';
+const ACCOUNT_URI = `midaz://organizations/${ORG}/ledgers/${LEDGER}/accounts/${ACCOUNT}`;
+const TRANSACTIONS_URI = `midaz://organizations/${ORG}/ledgers/${LEDGER}/transactions`;
+
+// Backend state the tests change between polls
+const state = { available: 100, transactions: [{ id: 'tx-1', status: { code: 'APPROVED' }, updatedAt: '2026-01-01T00:00:00Z' }], failing: false };
+const backend = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const send = (status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+  if (state.failing) return send(429, { message: 'rate limited' });
+  if (url.pathname.endsWith(`/accounts/${ACCOUNT}/balances`)) {
+    return send(200, { items: [{ id: 'bal-1', assetCode: 'USD', available: state.available, onHold: 0, version: state.available }] });
+  }
+  if (url.pathname.endsWith('/transactions')) return send(200, { items: state.transactions });
+  send(404, { message: 'not found' });
+});
+
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const cases = [
+  {
+    name: 'Snapshots diff by key',
+    run: async () => {
+      assert.deepStrictEqual(diffSnapshots({ a: '1', b: '2' }, { a: '1', b: '3', c: '4' }), ['b', 'c']);
+      assert.deepStrictEqual(diffSnapshots({ a: '1' }, {}), ['a']);
+      assert.deepStrictEqual(diffSnapshots({ a: '1' }, { a: '1' }), []);
+    }
+  },
+  {
+    name: 'Polling notifies on balance changes and backs off on failures',
+    run: async () => {
+      const manager = new SubscriptionManager({ pollInterval: 20, maxBackoff: 80 });
+      const events = [];
+      manager.subscribe(ACCOUNT_URI, 'sub-1', event => events.push(event));
+      try {
+        await waitFor(() => manager.listPollers()[0]?.lastPolledAt);
+        assert.strictEqual(events.length, 0);
+
+        state.available = 250;
+        await waitFor(() => events.length === 1);
+        assert.deepStrictEqual(events[0].changed, ['bal-1']);
+        assert.strictEqual(events[0].uri, ACCOUNT_URI);
+
+        state.failing = true;
+        await waitFor(() => manager.listPollers()[0].failures >= 2);
+        assert.match(manager.listPollers()[0].lastError, /429/);
+        state.failing = false;
+        await waitFor(() => manager.listPollers()[0].failures === 0);
+        assert.strictEqual(events.length, 1);
+
+        assert.throws(() => manager.subscribe(`midaz://organizations/${ORG}`, 'sub-2', () => {}), /not supported/);
+        manager.unsubscribe('sub-1');
+        assert.deepStrictEqual(manager.listPollers(), []);
+      } finally {
+        manager.close();
+        state.failing = false;
+      }
+    }
+  },
+  {
+    name: 'Clients receive resources/updated for a ledger transaction list',
+    run: async () => {
+      const manager = new SubscriptionManager({ pollInterval: 20 });
+      const server = new McpServer({ name: 'test-server', version: '1.0.0' });
+      registerMidazResources(server);
+      setupSubscriptionHandlers(server, manager);
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      const updates = [];
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => { updates.push(notification.params.uri); });
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+      try {
+        await client.subscribeResource({ uri: TRANSACTIONS_URI });
+        await waitFor(() => manager.listPollers()[0]?.lastPolledAt);
+
+        state.transactions = [{ id: 'tx-2', status: { code: 'PENDING' }, updatedAt: '2026-01-02T00:00:00Z' }, ...state.transactions];
+        await waitFor(() => updates.length === 1);
+        assert.deepStrictEqual(updates, [TRANSACTIONS_URI]);
+
+        await assert.rejects(client.subscribeResource({ uri: `midaz://organizations/${ORG}/ledgers/not-a-uuid/transactions` }), /must be UUIDs/);
+        await client.unsubscribeResource({ uri: TRANSACTIONS_URI });
+        assert.deepStrictEqual(manager.listPollers(), []);
+        await assert.rejects(client.unsubscribeResource({ uri: TRANSACTIONS_URI }), /No subscription/);
+
+        // Closing the connection drops the session's subscriptions
+        await client.subscribeResource({ uri: ACCOUNT_URI });
+        assert.strictEqual(manager.listSubscriptions().length, 1);
+        await client.close();
+        assert.strictEqual(manager.listSubscriptions().length, 0);
+      } finally {
+        manager.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Resource Subscriptions...\n');
+let failures = 0;
+
+await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+config.useStubs = false;
+config.backend.onboarding = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+
+try {
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      console.log(`✅ ${testCase.name} - PASSED`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+    }
+  }
+} finally {
+  config.useStubs = previous.useStubs;
+  config.backend.onboarding = previous.onboarding;
+  config.backend.transaction = previous.transaction;
+  backend.close();
+}
+
+console.log(failures === 0 ? '\n🎉 All resource subscription tests passed!' : `\n❌ ${failures} resource subscription test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Test bank statement parsing and reconciliation
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { registerLedgerTools } from '../src/tools/ledger.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+import {
+  parseDecimalAmount,
+  parseStatement,
+  normalizeLedgerTransaction,
+  reconcileStatement
+} from '../src/util/statement-reconciliation.js';
+
+const ofx = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260105120000[-3:BRT]<TRNAMT>1500.00<FITID>F-1<NAME>ACME PAYROLL</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260107<TRNAMT>-45.10<FITID>F-2<MEMO>Card fee</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>bad<TRNAMT>-1.00<FITID>F-3</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+const camt = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt>
+<Ntry><Amt Ccy="EUR">250.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2026-02-01</Dt></BookgDt>
+<NtryDtls><TxDtls><Refs><EndToEndId>INV-77</EndToEndId></Refs><RmtInf><Ustrd>Invoice 77</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+<Ntry><Amt Ccy="EUR">10</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><DtTm>2026-02-02T09:00:00</DtTm></BookgDt>
+<NtryDtls><TxDtls><Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs></TxDtls></NtryDtls></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const cases = [
+  {
+    name: 'Amounts parse into signed minor units',
+    run: () => {
+      assert.deepStrictEqual(parseDecimalAmount('-1,234.56'), { value: -123456, scale: 2 });
+      assert.deepStrictEqual(parseDecimalAmount('(12.00)'), { value: -1200, scale: 2 });
+      assert.deepStrictEqual(parseDecimalAmount('1.234,5', ','), { value: 12345, scale: 1 });
+      assert.deepStrictEqual(parseDecimalAmount('7-'), { value: -7, scale: 0 });
+      assert.strictEqual(parseDecimalAmount('n/a'), null);
+    }
+  },
+  {
+    name: 'CSV statements with quoted cells, credit/debit columns and day-first dates',
+    run: () => {
+      const csv = 'Posting Date;Description;Debit;Credit;Ref\n05/01/2026;"Salary; January";;1.500,00;PAY-1\n06/01/2026;Rent;1.200,00;;\n31/02/2026;Bad date;1,00;;\n';
+      const { format, lines, rejected } = parseStatement(csv, { dateFormat: 'dmy', decimalSeparator: ',', currency: 'BRL' });
+
+      assert.strictEqual(format, 'csv');
+      assert.deepStrictEqual(lines.map(line => [line.line, line.date, line.value, line.description]), [
+        [2, '2026-01-05', 150000, 'Salary; January'],
+        [3, '2026-01-06', -120000, 'Rent']
+      ]);
+      assert.deepStrictEqual(lines[0].references, ['PAY-1']);
+      assert.strictEqual(lines[1].currency, 'BRL');
+      assert.deepStrictEqual(rejected, [{ line: 4, reason: 'Unreadable date "31/02/2026"' }]);
+
+      assert.throws(() => parseStatement('when,how much\n2026-01-01,1', { format: 'csv' }), /needs a date column/);
+      assert.deepStrictEqual(parseStatement('when,how much\n2026-01-01,1', { columns: { date: 'when', amount: 'How Much' } }).lines[0].value, 1);
+    }
+  },
+  {
+    name: 'OFX and CAMT.053 statements are detected and parsed',
+    run: () => {
+      const statement = parseStatement(ofx);
+      assert.strictEqual(statement.format, 'ofx');
+      assert.deepStrictEqual(statement.lines.map(line => [line.date, line.value, line.currency, line.references[0]]), [
+        ['2026-01-05', 150000, 'USD', 'F-1'],
+        ['2026-01-07', -4510, 'USD', 'F-2']
+      ]);
+      assert.strictEqual(statement.lines[1].description, 'Card fee');
+      assert.strictEqual(statement.rejected.length, 1);
+
+      const iso = parseStatement(camt);
+      assert.strictEqual(iso.format, 'camt053');
+      assert.deepStrictEqual(iso.lines.map(line => [line.date, line.value, line.scale, line.currency, line.references]), [
+        ['2026-02-01', -25000, 2, 'EUR', ['INV-77']],
+        ['2026-02-02', 10, 0, 'EUR', []]
+      ]);
+    }
+  },
+  {
+    name: 'Reconciliation reports matches, mismatches and both unmatched sides',
+    run: () => {
+      const { lines } = parseStatement(ofx);
+      lines.push({ line: 9, date: '2026-01-20', value: -999, scale: 2, currency: 'USD', references: [], description: 'Unknown' });
+
+      const transactions = [
+        { id: 'tx-fee', description: 'Bank fee', assetCode: 'USD', amount: 4510, amountScale: 2, createdAt: '2026-01-09T10:00:00Z' },
+        { id: 'tx-pay', description: 'Payroll', assetCode: 'USD', amount: '1499.00', metadata: { bank_ref: 'F-1' }, createdAt: '2026-01-05T08:00:00Z' },
+        { id: 'tx-late', description: 'Refund', assetCode: 'USD', amount: 4510, amountScale: 2, createdAt: '2026-01-20T10:00:00Z' }
+      ].map(transaction => normalizeLedgerTransaction(transaction));
+
+      const result = reconcileStatement(lines, transactions, { dateWindowDays: 3 });
+      assert.deepStrictEqual(result.matched.map(match => [match.statement_line, match.transaction_id, match.method]), [[2, 'tx-fee', 'amount_date']]);
+      assert.deepStrictEqual(result.amount_mismatches.map(item => [item.transaction_id, item.reference, item.difference]), [['tx-pay', 'F-1', '1.00']]);
+      assert.deepStrictEqual(result.unmatched_in_bank.map(line => line.statement_line), [9]);
+      assert.deepStrictEqual(result.unmatched_in_ledger.map(item => item.transaction_id), ['tx-late']);
+      assert.strictEqual(result.summary.reconciled, false);
+
+      // Reference keys narrow which metadata is compared
+      const narrowed = reconcileStatement(lines.slice(0, 1), transactions, { referenceKeys: ['other'] });
+      assert.strictEqual(narrowed.amount_mismatches.length, 0);
+      assert.strictEqual(narrowed.unmatched_in_bank.length, 1);
+    }
+  },
+  {
+    name: 'Account alias signs amounts by the mirrored account legs',
+    run: () => {
+      const ops = (bankType) => [
+        { type: bankType, accountAlias: '@bank', assetCode: 'EUR', amount: { value: 25000, scale: 2 } },
+        { type: bankType === 'DEBIT' ? 'CREDIT' : 'DEBIT', accountAlias: '@supplier', assetCode: 'EUR', amount: { value: 25000, scale: 2 } }
+      ];
+      const transactions = [
+        normalizeLedgerTransaction({ id: 'tx-in', createdAt: '2026-02-01T00:00:00Z' }, ops('CREDIT'), '@bank'),
+        normalizeLedgerTransaction({ id: 'tx-out', createdAt: '2026-02-01T00:00:00Z' }, ops('DEBIT'), '@bank'),
+        normalizeLedgerTransaction({ id: 'tx-other', createdAt: '2026-02-01T00:00:00Z' }, [], '@bank')
+      ];
+      assert.strictEqual(transactions[2], null);
+
+      const { lines } = parseStatement(camt);
+      const result = reconcileStatement(lines.slice(0, 1), transactions.filter(Boolean));
+      assert.deepStrictEqual(result.matched.map(match => match.transaction_id), ['tx-out']);
+      assert.deepStrictEqual(result.unmatched_in_ledger.map(item => [item.transaction_id, item.amount]), [['tx-in', '250.00']]);
+    }
+  },
+  {
+    name: 'The tool fetches operations only for an account alias and fails on backend errors',
+    run: async () => {
+      const requests = [];
+      const backend = http.createServer((req, res) => {
+        requests.push(req.url.split('?')[0]);
+        if (req.url.includes('/operations')) {
+          res.writeHead(422, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ message: 'unprocessable' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items: [{ id: 'tx-1', createdAt: '2026-01-05T12:00:00Z', amount: 150000, amountScale: 2, assetCode: 'USD', status: { code: 'APPROVED' } }] }));
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      try {
+        const tools = {};
+        registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        const call = async (args) => JSON.parse((await tools['reconcile-statement']({ organization_id: ORG_ID, ledger_id: LEDGER_ID, statement_content: ofx, ...args }, {})).content[0].text);
+
+        const result = await call({});
+        assert.strictEqual(result.source, 'ledger');
+        assert.deepStrictEqual(requests.filter(url => url.includes('/operations')), []);
+
+        await assert.rejects(call({ account_alias: '@bank' }), error => error.code === ErrorCodes.BACKEND_ERROR && /Could not fetch transactions/.test(error.message));
+        assert.strictEqual(requests.filter(url => url.includes('/operations')).length, 1);
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Statement Reconciliation...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All statement reconciliation tests passed!' : `\n❌ ${failures} statement reconciliation test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Test the role-based tool authorization policy
+ */
+
+import assert from 'assert';
+import YAML from 'yaml';
+import { parseToolPolicy, checkToolAccess, setToolPolicy } from '../src/util/tool-policy.js';
+import { wrapToolHandler, ErrorCodes } from '../src/util/mcp-helpers.js';
+
+const policy = parseToolPolicy(YAML.parse(`
+defaultRoles: [viewer]
+clients:
+  ci-bot: [operator]
+roles:
+  viewer:
+    tools: ["list-*", "get-*"]
+  operator:
+    tools: ["*"]
+    deny: ["lerian-error-metrics"]
+    operations:
+      create-transaction-json:
+        dry_run: [true]
+      export:
+        format: [csv]
+    resources: ["organizations/org-1"]
+  admin:
+    tools: ["*"]
+`));
+
+// Arguments scoping a call to the operator's organization
+const scope = { organization_id: 'org-1' };
+
+const cases = [
+  {
+    name: 'Default roles, client roles and credential scopes are combined',
+    run: () => {
+      assert.strictEqual(checkToolAccess('list-accounts', {}, { clientId: 'anonymous' }, policy).allowed, true);
+      assert.strictEqual(checkToolAccess('export', scope, { clientId: 'anonymous' }, policy).allowed, false);
+      assert.strictEqual(checkToolAccess('export', scope, { clientId: 'ci-bot' }, policy).allowed, true);
+      assert.strictEqual(checkToolAccess('lerian-error-metrics', {}, { clientId: 'ci-bot' }, policy).allowed, false);
+      assert.strictEqual(checkToolAccess('lerian-error-metrics', {}, { clientId: 'alice', scopes: ['admin', 'unknown'] }, policy).allowed, true);
+    }
+  },
+  {
+    name: 'Operation allowlist blocks executing writes and other export formats',
+    run: () => {
+      const caller = { clientId: 'ci-bot' };
+      assert.strictEqual(checkToolAccess('create-transaction-json', { ...scope, dry_run: true }, caller, policy).allowed, true);
+
+      const denied = checkToolAccess('create-transaction-json', { ...scope, dry_run: false }, caller, policy);
+      assert.strictEqual(denied.allowed, false);
+      assert.match(denied.reason, /operator: dry_run=false is not allowed for create-transaction-json/);
+      assert.strictEqual(checkToolAccess('export', { ...scope, format: 'csv' }, caller, policy).allowed, true);
+      assert.strictEqual(checkToolAccess('export', { ...scope, format: 'jsonl' }, caller, policy).allowed, false);
+    }
+  },
+  {
+    name: 'Resource grants cover everything below them',
+    run: () => {
+      const caller = { clientId: 'ci-bot' };
+      assert.strictEqual(checkToolAccess('create-transaction-json', { organization_id: 'org-1', ledger_id: 'l-1' }, caller, policy).allowed, true);
+      assert.strictEqual(checkToolAccess('create-transaction-json', { organization_id: 'org-2', ledger_id: 'l-1' }, caller, policy).allowed, false);
+      assert.strictEqual(checkToolAccess('create-transaction-json', { organization_id: 'org-10' }, caller, policy).allowed, false);
+    }
+  },
+  {
+    name: 'Resource-scoped roles only allow calls scoped to their resources',
+    run: () => {
+      const tenantPolicy = parseToolPolicy({
+        clients: { 'tenant-bot': ['tenant'] },
+        roles: { tenant: { tools: ['*'], resources: ['organizations/org-1'] } }
+      });
+      const check = (toolName, args) => checkToolAccess(toolName, args, { clientId: 'tenant-bot' }, tenantPolicy);
+
+      // get-organization and get-ledger name their resource with `id`
+      assert.strictEqual(check('get-organization', { id: 'org-1' }).allowed, true);
+      assert.strictEqual(check('get-organization', { id: 'org-2' }).allowed, false);
+      assert.strictEqual(check('get-ledger', { organization_id: 'org-1', id: 'l-1' }).allowed, true);
+      assert.strictEqual(check('get-ledger', { organization_id: 'org-2', id: 'l-1' }).allowed, false);
+
+      for (const toolName of ['list-organizations', 'recent-events', 'audit-log-query']) {
+        const denied = check(toolName, {});
+        assert.strictEqual(denied.allowed, false);
+        assert.match(denied.reason, new RegExp(`tenant: ${toolName} is not scoped to an organization`));
+      }
+    }
+  },
+  {
+    name: 'Invalid policies are rejected',
+    run: () => {
+      assert.throws(() => parseToolPolicy({ clients: { bot: ['missing'] } }), /undefined roles missing/);
+      assert.throws(() => parseToolPolicy({ roles: { viewer: { tools: 'list-*' } } }), /roles\.viewer\.tools/);
+    }
+  },
+  {
+    name: 'wrapToolHandler enforces the active policy',
+    run: async () => {
+      let calls = 0;
+      const handler = wrapToolHandler('create-transaction-json', async () => { calls++; return { ok: true }; });
+      const extra = { authInfo: { clientId: 'ci-bot', scopes: [] } };
+
+      setToolPolicy(policy);
+      try {
+        const result = await handler({ ...scope, dry_run: true }, extra);
+        assert.strictEqual(result.isError, false);
+        await assert.rejects(handler({ ...scope, dry_run: false }, extra), error => error.code === ErrorCodes.RESOURCE_ACCESS_DENIED);
+        await assert.rejects(handler({ ...scope, dry_run: true }, {}), error => error.data.client === 'anonymous');
+        assert.strictEqual(calls, 1);
+      } finally {
+        setToolPolicy(null);
+      }
+
+      await handler({ dry_run: false }, {});
+      assert.strictEqual(calls, 2);
+    }
+  }
+];
+
+console.log('🧪 Testing Tool Authorization Policy...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All tool policy tests passed!' : `\n❌ ${failures} tool policy test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
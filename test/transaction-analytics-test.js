@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Test deterministic transaction analytics
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+import { periodStart, analyzeTransactions } from '../src/util/transaction-analytics.js';
+import { registerLedgerTools } from '../src/tools/ledger.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const operation = (type, alias, value, scale = 2, extra = {}) => ({
+  type,
+  accountAlias: alias,
+  assetCode: 'USD',
+  amount: { value, scale },
+  ...extra
+});
+
+const transfer = (id, createdAt, from, to, value, extra = {}) => ({
+  transaction: { id, createdAt, status: { code: 'APPROVED' }, metadata: {}, ...extra },
+  operations: [operation('DEBIT', from, value), operation('CREDIT', to, value)]
+});
+
+// Two deposits, a purchase, a refund and a canceled transfer over two weeks
+const entries = [
+  transfer('tx-1', '2026-03-02T09:00:00Z', '@external/USD', '@alice', 10000, { metadata: { channel: 'pix' } }),
+  transfer('tx-2', '2026-03-03T10:00:00Z', '@external/USD', '@bob', 5000, { metadata: { channel: 'wire' } }),
+  transfer('tx-3', '2026-03-05T11:00:00Z', '@alice', '@shop', 2550, { metadata: { channel: 'pix' }, route: 'purchase' }),
+  transfer('tx-4', '2026-03-10T12:00:00Z', '@shop', '@alice', 50, { route: 'refund' }),
+  { ...transfer('tx-5', '2026-03-11T12:00:00Z', '@alice', '@bob', 999999), transaction: { id: 'tx-5', createdAt: '2026-03-11T12:00:00Z', status: { code: 'CANCELED' } } }
+];
+
+const accounts = [
+  { id: 'acc-alice', alias: '@alice', portfolioId: 'retail' },
+  { id: 'acc-bob', alias: '@bob', portfolioId: 'retail' },
+  { id: 'acc-shop', alias: '@shop', portfolioId: 'merchants', segmentId: 'food' }
+];
+
+const cases = [
+  {
+    name: 'Periods start on the day or on Monday',
+    run: () => {
+      assert.strictEqual(periodStart('2026-03-05T23:59:59Z', 'day'), '2026-03-05');
+      assert.strictEqual(periodStart('2026-03-05T10:00:00Z', 'week'), '2026-03-02');
+      assert.strictEqual(periodStart('2026-03-08', 'week'), '2026-03-02');
+      assert.strictEqual(periodStart('2026-03-09', 'week'), '2026-03-09');
+      assert.strictEqual(periodStart(null, 'day'), null);
+    }
+  },
+  {
+    name: 'Ledger-wide flows are grouped by every dimension',
+    run: () => {
+      const result = analyzeTransactions(entries, {
+        groupBy: ['asset', 'account', 'portfolio', 'segment', 'route', 'metadata'],
+        metadataKey: 'channel',
+        accounts
+      });
+
+      assert.deepStrictEqual(result.summary.by_status, { APPROVED: 4, CANCELED: 1 });
+      assert.strictEqual(result.summary.analyzed_transactions, 4);
+      assert.deepStrictEqual(result.summary.totals, [{ asset_code: 'USD', inflow: '176.00', outflow: '26.00', net: '150.00', operations: 6, transactions: 4 }]);
+
+      assert.deepStrictEqual(result.groups.account.rows.map(row => [row.account, row.inflow, row.outflow, row.net]), [
+        ['@alice', '100.50', '25.50', '75.00'],
+        ['@bob', '50.00', '0.00', '50.00'],
+        ['@shop', '25.50', '0.50', '25.00']
+      ]);
+      assert.strictEqual(result.groups.account.total_groups, 3);
+      assert.deepStrictEqual(result.groups.portfolio.rows.map(row => [row.portfolio, row.net]), [['retail', '125.00'], ['merchants', '25.00']]);
+      assert.deepStrictEqual(result.groups.segment.rows.map(row => row.segment), ['(none)', 'food']);
+      assert.deepStrictEqual(result.groups.route.rows.map(row => [row.route, row.transactions]), [['(none)', 2], ['purchase', 1], ['refund', 1]]);
+      assert.deepStrictEqual(result.groups.metadata.rows.map(row => [row.channel, row.inflow]), [['pix', '125.50'], ['wire', '50.00'], ['(none)', '0.50']]);
+
+      assert.deepStrictEqual(result.top_counterparties[0], { account: '@external/USD', received: '0.00', sent: '150.00', asset_code: 'USD', net: '-150.00', operations: 2, transactions: 2 });
+    }
+  },
+  {
+    name: 'A focus account gets its own flows, counterparties and a gap-free series',
+    run: () => {
+      const result = analyzeTransactions(entries, { groupBy: ['asset'], account: '@alice', interval: 'week', top: 1 });
+
+      assert.deepStrictEqual(result.groups.asset.rows, [{ asset: 'USD', asset_code: 'USD', inflow: '100.50', outflow: '25.50', net: '75.00', operations: 3, transactions: 3 }]);
+      assert.deepStrictEqual(result.top_counterparties.map(row => row.account), ['@external/USD']);
+      assert.deepStrictEqual(result.series.buckets.map(bucket => [bucket.period, bucket.net, bucket.transactions]), [
+        ['2026-03-02', '74.50', 2],
+        ['2026-03-09', '0.50', 1]
+      ]);
+
+      const daily = analyzeTransactions(entries, { account: 'acc-shop-unknown' });
+      assert.deepStrictEqual([daily.summary.analyzed_transactions, daily.series.buckets], [0, []]);
+
+      const gaps = analyzeTransactions(entries, { account: '@shop' }).series.buckets.map(bucket => bucket.period);
+      assert.strictEqual(gaps.length, 6);
+      assert.deepStrictEqual([gaps[0], gaps[5]], ['2026-03-05', '2026-03-10']);
+    }
+  },
+  {
+    name: 'The tool analyzes sample data in stub mode and checks its arguments',
+    run: async () => {
+      const tools = {};
+      registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+      const call = async (args) => JSON.parse((await tools['analyze-transactions'](args, {})).content[0].text);
+
+      const result = await call({ organization_id: ORG_ID, ledger_id: LEDGER_ID });
+      assert.strictEqual(result.source, 'sample');
+      assert.deepStrictEqual(result.summary.totals.map(total => total.net), ['50.00']);
+      assert.deepStrictEqual(result.groups.account.rows.map(row => row.account), ['@savings', '@landlord']);
+
+      await assert.rejects(call({ organization_id: ORG_ID, ledger_id: LEDGER_ID, group_by: ['metadata'] }), error => /metadata_key/.test(error.message));
+    }
+  },
+  {
+    name: 'The tool keeps the newest transactions, fetches their operations together and reports truncated lists',
+    run: async () => {
+      const ledgerPath = `/v1/organizations/${ORG_ID}/ledgers/${LEDGER_ID}`;
+      const newestFirst = [...entries.slice(0, 4)].reverse().map(entry => ({ ...entry.transaction, operations: undefined }));
+      const requests = [];
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      // Transactions come newest first; accounts never run out
+      const backend = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+        requests.push({ path: url.pathname.slice(ledgerPath.length), query });
+        const send = (data) => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (url.pathname === `${ledgerPath}/transactions`) {
+          return send({ items: query.page === '1' && query.sort_order === 'desc' ? newestFirst : [] });
+        }
+        const operations = url.pathname.match(/\/transactions\/([^/]+)\/operations$/)?.[1];
+        if (operations) {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise(resolve => setTimeout(resolve, 20));
+          inFlight--;
+          return send({ items: entries.find(entry => entry.transaction.id === operations).operations });
+        }
+        if (url.pathname === `${ledgerPath}/accounts`) {
+          return send({ items: Array.from({ length: Number(query.limit) }, (_, i) => ({ id: `acc-${query.page}-${i}` })) });
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'not found' }));
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+      const baseUrl = `http://127.0.0.1:${backend.address().port}`;
+      config.useStubs = false;
+      config.backend.onboarding = { baseUrl };
+      config.backend.transaction = { baseUrl };
+      try {
+        const tools = {};
+        registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        const result = JSON.parse((await tools['analyze-transactions']({
+          organization_id: ORG_ID, ledger_id: LEDGER_ID, group_by: ['portfolio'], max_transactions: 3
+        }, {})).content[0].text);
+
+        // The oldest transaction is the one dropped
+        assert.deepStrictEqual([result.source, result.truncated, result.truncated_accounts], ['ledger', true, true]);
+        assert.deepStrictEqual([result.summary.transactions, result.summary.first_transaction_at], [3, '2026-03-03T10:00:00Z']);
+        assert.deepStrictEqual(
+          requests.filter(request => request.path.endsWith('/operations')).map(request => request.path),
+          ['tx-2', 'tx-3', 'tx-4'].map(id => `/transactions/${id}/operations`)
+        );
+        assert.strictEqual(maxInFlight, 3);
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.onboarding = previous.onboarding;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  },
+  {
+    name: 'The tool fails instead of analyzing sample data when the backend errors',
+    run: async () => {
+      const backend = http.createServer((req, res) => {
+        res.writeHead(422, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'unprocessable' }));
+      });
+      await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+      const previous = { useStubs: config.useStubs, transaction: config.backend.transaction };
+      config.useStubs = false;
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${backend.address().port}` };
+      try {
+        const tools = {};
+        registerLedgerTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        await assert.rejects(
+          tools['analyze-transactions']({ organization_id: ORG_ID, ledger_id: LEDGER_ID }, {}),
+          error => error.code === ErrorCodes.BACKEND_ERROR && /Could not fetch transactions/.test(error.message)
+        );
+      } finally {
+        config.useStubs = previous.useStubs;
+        config.backend.transaction = previous.transaction;
+        backend.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Transaction Analytics...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All transaction analytics tests passed!' : `\n❌ ${failures} transaction analytics test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
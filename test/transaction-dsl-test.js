@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test the local transaction DSL (gold) parser and validator
+ */
+
+import assert from 'assert';
+import { validateTransactionDsl, parseTransactionDsl, DslSyntaxError } from '../src/util/transaction-dsl.js';
+
+const VALID_SCRIPT = `(transaction V1
+  (chart-of-accounts-group-name PAYMENTS)
+  (description "Invoice 42")
+  (code INV_42)
+  (pending false)
+  (metadata
+    (invoice 42)
+    (channel "web checkout"))
+  (send USD 10000|2
+    (source
+      (from @customer_123 :amount USD 10000|2
+        (description "Customer payment"))))
+  (distribute
+    (to @merchant :share 90)
+    (to @fees :remaining
+      (chart-of-accounts FEES))))`;
+
+const cases = [
+  {
+    name: 'Valid script converts to a balanced JSON body',
+    run: () => {
+      const result = validateTransactionDsl(VALID_SCRIPT);
+      assert.strictEqual(result.valid, true, JSON.stringify(result.errors));
+      assert.strictEqual(result.body.send.value, 10000);
+      assert.strictEqual(result.body.send.source.from[0].account, '@customer_123');
+      assert.deepStrictEqual(result.body.send.distribute.to[1], { account: '@fees', remaining: 'remaining', chartOfAccounts: 'FEES' });
+      assert.strictEqual(result.body.metadata.channel, 'web checkout');
+      assert.strictEqual(result.balance.distribute.find(leg => leg.account === '@fees').value, 1000);
+    }
+  },
+  {
+    name: 'Unbalanced legs are reported against the send clause',
+    run: () => {
+      const result = validateTransactionDsl(VALID_SCRIPT.replace(':amount USD 10000|2', ':amount USD 9000|2'));
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.errors[0].type, 'balance');
+      assert.strictEqual(result.errors[0].line, 9);
+    }
+  },
+  {
+    name: 'Syntax errors carry line and column',
+    run: () => {
+      const result = validateTransactionDsl('(transaction V1\n  (send USD 100\n    (source (from @a :amount USD 100|2)))\n  (distribute (to @b :remaining)))');
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.errors[0].type, 'syntax');
+      assert.strictEqual(result.errors[0].line, 3);
+      assert.strictEqual(result.errors[0].column, 5);
+    }
+  },
+  {
+    name: 'Clauses out of grammar order are rejected',
+    run: () => {
+      assert.throws(
+        () => parseTransactionDsl('(transaction V1 (description "x") (code C) (description "y"))'),
+        DslSyntaxError
+      );
+      const result = validateTransactionDsl('(transaction V1 (code C) (description "x") (send USD 1|2 (source (from @a :remaining))) (distribute (to @b :remaining)))');
+      assert.match(result.errors[0].message, /must come before 'code'/);
+    }
+  },
+  {
+    name: 'Variables are substituted and unknown ones reported',
+    run: () => {
+      const script = '(transaction V1 (send USD $amount|2 (source (from $payer :amount USD $amount|2))) (distribute (to @b :remaining)))';
+      const ok = validateTransactionDsl(script, { amount: 500, payer: '@a' });
+      assert.strictEqual(ok.valid, true, JSON.stringify(ok.errors));
+      assert.strictEqual(ok.body.send.source.from[0].account, '@a');
+
+      const missing = validateTransactionDsl(script, { amount: 500 });
+      assert.match(missing.errors[0].message, /Undefined variable '\$payer'/);
+    }
+  },
+  {
+    name: 'Asset mismatch between send and leg is reported',
+    run: () => {
+      const result = validateTransactionDsl('(transaction V1 (send USD 100|2 (source (from @a :amount EUR 100|2))) (distribute (to @b :remaining)))');
+      assert.strictEqual(result.valid, false);
+      assert.match(result.errors[0].message, /uses asset EUR/);
+    }
+  }
+];
+
+console.log('🧪 Testing Transaction DSL Parser...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All DSL tests passed!' : `\n❌ ${failures} DSL test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test importing transactions from CSV and JSONL files
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { parseImportFile, getMappingStyle, buildImportEntries, importIdempotencyKey } from '../src/util/transaction-import.js';
+import { registerTransactionTools } from '../src/tools/transaction.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-import-test-'));
+
+const cases = [
+  {
+    name: 'CSV and JSONL files parse into numbered records',
+    run: () => {
+      const csv = parseImportFile('From,To,Amount\n@cash,@sales,"1,250.50"\n\n@cash,@fees,2\n');
+      assert.strictEqual(csv.format, 'csv');
+      assert.deepStrictEqual(csv.records.map(record => [record.row, record.values.Amount]), [[1, '1,250.50'], [2, '2']]);
+
+      const jsonl = parseImportFile('{"from":"@a","to":"@b","amount":"1","meta":{"ref":"X"}}\nnot json\n');
+      assert.strictEqual(jsonl.format, 'jsonl');
+      assert.strictEqual(jsonl.records[0].values['meta.ref'], 'X');
+      assert.deepStrictEqual(jsonl.errors.map(error => error.row), [2]);
+    }
+  },
+  {
+    name: 'Transfer rows become one balanced transaction each',
+    run: () => {
+      const { records } = parseImportFile('From,To,Amount,Memo,Invoice\n@cash,@sales,"1,250.50",Sale,INV-1\n@cash,,abc,,\n');
+      const entries = buildImportEntries(records, { from: 'From', to: 'To', amount: 'Amount', description: 'Memo', metadata: { invoice: 'Invoice' } }, { assetCode: 'USD', source: 'sales.csv' });
+
+      assert.strictEqual(entries.length, 2);
+      assert.deepStrictEqual(entries[0].errors, []);
+      assert.deepStrictEqual([entries[0].body.send.asset, entries[0].body.send.value, entries[0].body.send.scale], ['USD', 125050, 2]);
+      assert.deepStrictEqual(entries[0].body.send.source.from, [{ account: '@cash', amount: { asset: 'USD', value: 125050, scale: 2 } }]);
+      assert.deepStrictEqual(entries[0].body.send.distribute.to.map(leg => leg.account), ['@sales']);
+      assert.strictEqual(entries[0].body.description, 'Sale');
+      assert.deepStrictEqual(entries[0].body.metadata, { invoice: 'INV-1', import_file: 'sales.csv', import_row: 1 });
+      assert.deepStrictEqual(entries[1].errors, ['row 2: amount "abc" is not a positive number']);
+      assert.strictEqual(entries[1].body, null);
+    }
+  },
+  {
+    name: 'Journal lines are grouped, merged per account and must balance',
+    run: () => {
+      const csv = 'Entry,Account,Debit,Credit,Asset\nJ1,@cash,10.5,,BRL\nJ1,@cash,4.50,,BRL\nJ1,@revenue,,15,BRL\nJ2,@cash,1,,BRL\nJ2,@revenue,,2,BRL\nJ3,@cash,1,,BRL\nJ3,@revenue,,1,EUR\n';
+      const mapping = { group: 'Entry', account: 'Account', debit: 'Debit', credit: 'Credit', asset: 'Asset' };
+      const entries = buildImportEntries(parseImportFile(csv).records, mapping);
+
+      assert.deepStrictEqual(entries.map(entry => [entry.key, entry.rows]), [['J1', [1, 2, 3]], ['J2', [4, 5]], ['J3', [6, 7]]]);
+      assert.deepStrictEqual(entries[0].errors, []);
+      assert.deepStrictEqual(entries[0].body.send.source.from.map(leg => [leg.account, leg.amount.value, leg.amount.scale]), [['@cash', 1500, 2]]);
+      assert.ok(entries[1].errors.some(error => /balance|total|sum/i.test(error)), entries[1].errors.join('; '));
+      assert.deepStrictEqual(entries[2].errors, ['rows mix assets BRL, EUR']);
+
+      assert.throws(() => getMappingStyle({ account: 'Account', debit: 'Debit' }), /group column/);
+      assert.throws(() => getMappingStyle({ from: 'From' }), /Mapping needs/);
+    }
+  },
+  {
+    name: 'Idempotency keys are stable per file, ledger and rows',
+    run: () => {
+      const scope = { organization_id: ORG_ID, ledger_id: LEDGER_ID, file_hash: 'abc' };
+      const entry = { key: 'J1', rows: [1, 2, 3] };
+      assert.strictEqual(importIdempotencyKey(scope, entry), importIdempotencyKey({ ...scope }, { ...entry }));
+      assert.match(importIdempotencyKey(scope, entry), /^import-[0-9a-f]{48}$/);
+      assert.notStrictEqual(importIdempotencyKey(scope, entry), importIdempotencyKey({ ...scope, file_hash: 'def' }, entry));
+      assert.notStrictEqual(importIdempotencyKey(scope, entry), importIdempotencyKey(scope, { ...entry, rows: [1, 2] }));
+    }
+  },
+  {
+    name: 'The import tool validates references, posts in batches and resumes',
+    run: async () => {
+      const posts = [];
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const url = new URL(req.url, 'http://localhost');
+          const send = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+          };
+          if (url.pathname.endsWith('/assets')) {
+            return send(200, { items: [{ code: 'USD' }] });
+          }
+          const alias = url.pathname.match(/\/accounts\/alias\/(.+)$/);
+          if (alias) {
+            const name = decodeURIComponent(alias[1]);
+            return name === '@ghost' ? send(404, { message: 'not found' }) : send(200, { alias: name, assetCode: 'USD' });
+          }
+          if (req.method === 'POST' && url.pathname.endsWith('/transactions/json')) {
+            const transaction = JSON.parse(body);
+            posts.push({ key: req.headers['x-idempotency'], row: transaction.metadata.import_row });
+            return transaction.metadata.import_row === 3
+              ? send(422, { message: 'insufficient funds' })
+              : send(201, { id: `tx-${transaction.metadata.import_row}` });
+          }
+          send(404, { message: 'unexpected request' });
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const tools = {};
+      registerTransactionTools({
+        server: { getClientCapabilities: () => ({ elicitation: {} }) },
+        tool: (name, description, schema, handler) => { tools[name] = handler; }
+      });
+      const approve = { sendRequest: async () => ({ action: 'accept', content: { approve: true } }) };
+      const call = async (args) => JSON.parse((await tools['import-transactions'](args, approve)).content[0].text);
+
+      fs.writeFileSync(path.join(tempDir, 'payouts.csv'), 'From,To,Amount\n@cash,@alice,10\n@cash,@ghost,5\n@cash,@bob,7\n@cash,@carol,1\n');
+
+      const previous = {
+        useStubs: config.useStubs,
+        allowWrites: config.allowWrites,
+        onboarding: config.backend.onboarding,
+        transaction: config.backend.transaction,
+        importDir: config.importDir
+      };
+      config.useStubs = false;
+      config.allowWrites = true;
+      config.backend.onboarding = { baseUrl: `http://127.0.0.1:${server.address().port}` };
+      config.backend.transaction = { baseUrl: `http://127.0.0.1:${server.address().port}` };
+      config.importDir = tempDir;
+      try {
+        const args = {
+          organization_id: ORG_ID,
+          ledger_id: LEDGER_ID,
+          file_name: 'payouts.csv',
+          mapping: { from: 'From', to: 'To', amount: 'Amount' },
+          asset_code: 'USD',
+          batch_size: 1
+        };
+
+        const blocked = await call(args);
+        assert.deepStrictEqual([blocked.valid, blocked.invalid, blocked.preview_token], [3, 1, null]);
+        assert.deepStrictEqual(blocked.invalid_samples[0].errors, ['account @ghost not found in the ledger']);
+        const results = fs.readFileSync(blocked.result_file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(results.map(row => [row.row, row.status]), [[1, 'valid'], [2, 'invalid'], [3, 'valid'], [4, 'valid']]);
+
+        const preview = await call({ ...args, skip_invalid: true });
+        assert.ok(preview.preview_token);
+        await assert.rejects(call({ ...args, dry_run: false, confirm_token: preview.preview_token }), error => /does not match/.test(error.message));
+
+        const run = await call({ ...args, skip_invalid: true, dry_run: false, confirm_token: preview.preview_token });
+        assert.deepStrictEqual([run.created, run.failed, run.skipped, run.not_attempted, run.next_start_row], [1, 1, 1, 1, 3]);
+        assert.deepStrictEqual(run.failures[0].rows, '3');
+
+        // Resuming from the failed row posts only what is left
+        const resumeArgs = { ...args, skip_invalid: true, start_row: run.next_start_row, stop_on_error: false };
+        const resume = await call({ ...resumeArgs, dry_run: false, confirm_token: (await call(resumeArgs)).preview_token });
+        assert.deepStrictEqual([resume.transactions, resume.created, resume.failed], [2, 1, 1]);
+        assert.deepStrictEqual(posts.map(post => post.row), [1, 3, 3, 4]);
+        assert.strictEqual(posts[1].key, posts[2].key);
+        assert.strictEqual(new Set(posts.map(post => post.key)).size, 3);
+
+        await assert.rejects(call({ ...args, file_name: '../payouts.csv' }), error => /import directory/.test(error.message));
+      } finally {
+        Object.assign(config, { useStubs: previous.useStubs, allowWrites: previous.allowWrites, importDir: previous.importDir });
+        config.backend.onboarding = previous.onboarding;
+        config.backend.transaction = previous.transaction;
+        server.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Transaction Import...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log(failures === 0 ? '\n🎉 All transaction import tests passed!' : `\n❌ ${failures} transaction import test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
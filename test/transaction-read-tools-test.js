@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Test reading transactions: get-transaction's expand option, the operations
+ * of a transaction and the transaction- and account-scoped operation endpoints
+ */
+
+import assert from 'assert';
+import http from 'http';
+import config from '../src/config.js';
+import api from '../src/util/api.js';
+import { registerTransactionTools } from '../src/tools/transaction.js';
+import { clearResponseCache } from '../src/util/http-client.js';
+import { ErrorCodes } from '../src/util/mcp-helpers.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+const TRANSACTION_ID = '33333333-3333-4333-8333-333333333333';
+const ledgerPath = `/v1/organizations/${ORG_ID}/ledgers/${LEDGER_ID}`;
+
+const operation = (id, type, account) => ({ id, type, ...account, assetCode: 'USD', amount: { value: 2500, scale: 2 } });
+const transactionOperations = [
+  operation('op-1', 'DEBIT', { accountId: 'acc-alice', accountAlias: '@alice' }),
+  operation('op-2', 'CREDIT', { accountAlias: '@shop' })
+];
+
+const backendError = error => error.code === ErrorCodes.BACKEND_ERROR && /422/.test(error.data.originalError);
+
+const registerTools = () => {
+  const tools = {};
+  registerTransactionTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+  return async (name, args) => JSON.parse((await tools[name]({ organization_id: ORG_ID, ledger_id: LEDGER_ID, ...args }, {})).content[0].text);
+};
+
+/**
+ * Serve one transaction without embedded operations, its operations, two
+ * accounts and the ledger's assets, recording every request
+ */
+const withBackend = async (run) => {
+  const backend = { requests: [], failing: [] };
+  backend.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = decodeURIComponent(url.pathname);
+    backend.requests.push({ path, query: Object.fromEntries(url.searchParams) });
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (backend.failing.some(prefix => path.startsWith(prefix))) return send(422, { message: 'unprocessable' });
+    if (path === `${ledgerPath}/transactions/${TRANSACTION_ID}`) return send(200, { id: TRANSACTION_ID, assetCode: 'USD', status: { code: 'APPROVED' } });
+    if (path === `${ledgerPath}/transactions/${TRANSACTION_ID}/operations`) return send(200, { items: transactionOperations });
+    if (path === `${ledgerPath}/transactions/${TRANSACTION_ID}/operations/op-1`) return send(200, transactionOperations[0]);
+    if (path === `${ledgerPath}/accounts/acc-alice`) return send(200, { id: 'acc-alice', alias: '@alice', name: 'Alice' });
+    if (path === `${ledgerPath}/accounts/alias/@shop`) return send(200, { id: 'acc-shop', alias: '@shop', name: 'Shop' });
+    if (path === `${ledgerPath}/accounts/acc-alice/operations`) return send(200, { items: [transactionOperations[0]] });
+    if (path === `${ledgerPath}/accounts/acc-alice/operations/op-1`) return send(200, transactionOperations[0]);
+    if (path === `${ledgerPath}/assets`) return send(200, { items: [{ id: 'asset-eur', code: 'EUR' }, { id: 'asset-usd', code: 'USD', name: 'US Dollar' }] });
+    send(404, { message: 'not found' });
+  });
+  await new Promise(resolve => backend.server.listen(0, '127.0.0.1', resolve));
+
+  const previous = { useStubs: config.useStubs, onboarding: config.backend.onboarding, transaction: config.backend.transaction };
+  const baseUrl = `http://127.0.0.1:${backend.server.address().port}`;
+  config.useStubs = false;
+  config.backend.onboarding = { baseUrl };
+  config.backend.transaction = { baseUrl };
+  clearResponseCache();
+  try {
+    await run(backend);
+  } finally {
+    config.useStubs = previous.useStubs;
+    config.backend.onboarding = previous.onboarding;
+    config.backend.transaction = previous.transaction;
+    backend.server.close();
+  }
+};
+
+const cases = [
+  {
+    name: 'Operation endpoints are scoped to a transaction or an account',
+    run: async () => {
+      await withBackend(async (backend) => {
+        assert.deepStrictEqual((await api.operations.list(ORG_ID, LEDGER_ID, TRANSACTION_ID, { limit: 5 })).items.map(op => op.id), ['op-1', 'op-2']);
+        assert.strictEqual((await api.operations.get(ORG_ID, LEDGER_ID, TRANSACTION_ID, 'op-1')).id, 'op-1');
+        assert.strictEqual((await api.operations.listByAccount(ORG_ID, LEDGER_ID, 'acc-alice')).items.length, 1);
+        assert.strictEqual((await api.operations.getByAccount(ORG_ID, LEDGER_ID, 'acc-alice', 'op-1')).id, 'op-1');
+
+        assert.deepStrictEqual(backend.requests.map(request => request.path.slice(ledgerPath.length)), [
+          `/transactions/${TRANSACTION_ID}/operations`,
+          `/transactions/${TRANSACTION_ID}/operations/op-1`,
+          '/accounts/acc-alice/operations',
+          '/accounts/acc-alice/operations/op-1'
+        ]);
+        assert.strictEqual(backend.requests[0].query.limit, '5');
+      });
+    }
+  },
+  {
+    name: 'list-transaction-operations pages the operations of one transaction',
+    run: async () => {
+      const call = registerTools();
+
+      const stub = await call('list-transaction-operations', { transaction_id: TRANSACTION_ID });
+      assert.strictEqual(stub.total, 1);
+      assert.strictEqual(stub.items[0].transactionId, TRANSACTION_ID);
+
+      await withBackend(async (backend) => {
+        const live = await call('list-transaction-operations', { transaction_id: TRANSACTION_ID, limit: 1 });
+        assert.deepStrictEqual([live.items.map(op => op.id), live.total, Boolean(live.nextCursor)], [['op-1'], 2, true]);
+        assert.deepStrictEqual(backend.requests[0], { path: `${ledgerPath}/transactions/${TRANSACTION_ID}/operations`, query: { limit: '1' } });
+
+        const next = await call('list-transaction-operations', { transaction_id: TRANSACTION_ID, limit: 1, cursor: live.nextCursor });
+        assert.deepStrictEqual(next.items.map(op => op.id), ['op-2']);
+
+        // Backend errors are returned, not replaced by sample operations
+        backend.failing = [`${ledgerPath}/transactions/${TRANSACTION_ID}/operations`];
+        clearResponseCache();
+        await assert.rejects(call('list-transaction-operations', { transaction_id: TRANSACTION_ID }), backendError);
+      });
+    }
+  },
+  {
+    name: 'get-transaction embeds operations, accounts and the asset on request',
+    run: async () => {
+      const call = registerTools();
+
+      await withBackend(async (backend) => {
+        const plain = await call('get-transaction', { id: TRANSACTION_ID });
+        assert.deepStrictEqual([plain.id, plain.operations, plain.accounts, plain.asset], [TRANSACTION_ID, undefined, undefined, undefined]);
+        assert.strictEqual(backend.requests.length, 1);
+
+        const expanded = await call('get-transaction', { id: TRANSACTION_ID, expand: ['operations', 'accounts', 'asset'] });
+        assert.deepStrictEqual(expanded.operations.map(op => op.id), ['op-1', 'op-2']);
+        assert.deepStrictEqual(expanded.accounts.map(account => [account.id, account.name]), [['acc-alice', 'Alice'], ['acc-shop', 'Shop']]);
+        assert.deepStrictEqual(expanded.asset, { id: 'asset-usd', code: 'USD', name: 'US Dollar' });
+        assert.strictEqual(expanded.expand_errors, undefined);
+
+        // Accounts alone still need the operations, but do not embed them
+        const accountsOnly = await call('get-transaction', { id: TRANSACTION_ID, expand: ['accounts'] });
+        assert.deepStrictEqual([accountsOnly.operations, accountsOnly.accounts.length], [undefined, 2]);
+      });
+    }
+  },
+  {
+    name: 'get-transaction reports failed account and asset lookups and fails without operations',
+    run: async () => {
+      const call = registerTools();
+
+      await withBackend(async (backend) => {
+        backend.failing = [`${ledgerPath}/accounts/alias/`, `${ledgerPath}/assets`];
+        const expanded = await call('get-transaction', { id: TRANSACTION_ID, expand: ['accounts', 'asset'] });
+        assert.deepStrictEqual(expanded.accounts.map(account => account.id), ['acc-alice', null]);
+        assert.deepStrictEqual(expanded.asset, { code: 'USD' });
+        assert.deepStrictEqual(expanded.expand_errors.accounts.map(failure => failure.alias), ['@shop']);
+        assert.match(expanded.expand_errors.asset, /422/);
+
+        backend.failing = [`${ledgerPath}/transactions/${TRANSACTION_ID}/operations`];
+        clearResponseCache();
+        await assert.rejects(call('get-transaction', { id: TRANSACTION_ID, expand: ['operations'] }), backendError);
+
+        backend.failing = [`${ledgerPath}/transactions/${TRANSACTION_ID}`];
+        clearResponseCache();
+        await assert.rejects(call('get-transaction', { id: TRANSACTION_ID, expand: ['operations'] }), backendError);
+      });
+
+      const stub = await call('get-transaction', { id: TRANSACTION_ID, expand: ['operations', 'accounts', 'asset'] });
+      assert.strictEqual(stub.operations.length, 1);
+      assert.deepStrictEqual(stub.accounts, [{ id: '22222222-2222-2222-2222-222222222222', alias: '@savings' }]);
+      assert.deepStrictEqual(stub.asset, { code: 'USD' });
+    }
+  }
+];
+
+console.log('🧪 Testing Transaction Read Tools...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All transaction read tool tests passed!' : `\n❌ ${failures} transaction read tool test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test the offline double-entry transaction simulator
+ */
+
+import assert from 'assert';
+import { simulateTransaction } from '../src/util/transaction-simulator.js';
+
+const transfer = (value, options = {}) => ({
+  pending: options.pending,
+  send: {
+    asset: 'USD',
+    value,
+    scale: 2,
+    source: { from: [{ account: '@alice', amount: { asset: 'USD', value, scale: 2 } }] },
+    distribute: { to: [{ account: '@bob', remaining: 'remaining' }] }
+  }
+});
+
+const balances = [
+  { account: '@alice', asset_code: 'USD', available: 5000, on_hold: 0, scale: 2 },
+  { account: '@bob', asset_code: 'USD', available: 100, on_hold: 0, scale: 2 }
+];
+
+const cases = [
+  {
+    name: 'Settled transfer projects debit and credit',
+    run: () => {
+      const result = simulateTransaction(transfer(1500), balances);
+      const alice = result.accounts.find(account => account.account === '@alice');
+      const bob = result.accounts.find(account => account.account === '@bob');
+      assert.strictEqual(result.valid, true, JSON.stringify(result.issues));
+      assert.strictEqual(alice.after.available, 3500);
+      assert.strictEqual(bob.after.available, 1600);
+    }
+  },
+  {
+    name: 'Pending transfer moves funds on hold and leaves destination untouched',
+    run: () => {
+      const result = simulateTransaction(transfer(1500, { pending: true }), balances);
+      const alice = result.accounts.find(account => account.account === '@alice');
+      const bob = result.accounts.find(account => account.account === '@bob');
+      assert.deepStrictEqual(alice.after, { available: 3500, on_hold: 1500 });
+      assert.strictEqual(bob.delta.available, 0);
+    }
+  },
+  {
+    name: 'Overdraft is flagged but external accounts may go negative',
+    run: () => {
+      const overdraft = simulateTransaction(transfer(6000), balances);
+      assert.strictEqual(overdraft.valid, false);
+      assert.ok(overdraft.issues.some(issue => issue.type === 'overdraft' && issue.account === '@alice'));
+
+      const body = transfer(6000);
+      body.send.source.from[0].account = '@external/USD';
+      const external = simulateTransaction(body, balances);
+      assert.strictEqual(external.valid, true, JSON.stringify(external.issues));
+    }
+  },
+  {
+    name: 'Asset mismatch is flagged',
+    run: () => {
+      const result = simulateTransaction(transfer(100), [
+        { account: '@alice', asset_code: 'EUR', available: 5000, on_hold: 0, scale: 2 },
+        balances[1]
+      ]);
+      assert.ok(result.issues.some(issue => issue.type === 'asset_mismatch' && issue.account === '@alice'));
+    }
+  },
+  {
+    name: 'Unbalanced legs are flagged',
+    run: () => {
+      const body = transfer(1000);
+      body.send.distribute.to = [{ account: '@bob', amount: { asset: 'USD', value: 900, scale: 2 } }];
+      const result = simulateTransaction(body, balances);
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.issues.some(issue => issue.type === 'unbalanced'));
+    }
+  },
+  {
+    name: 'Balances with a finer scale are projected without precision loss',
+    run: () => {
+      const result = simulateTransaction(transfer(150), [
+        { account: '@alice', asset_code: 'USD', available: 50000, on_hold: 0, scale: 3 },
+        balances[1]
+      ]);
+      const alice = result.accounts.find(account => account.account === '@alice');
+      assert.strictEqual(alice.scale, 3);
+      assert.strictEqual(alice.after.available, 48500);
+    }
+  }
+];
+
+console.log('🧪 Testing Transaction Simulator...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All simulator tests passed!' : `\n❌ ${failures} simulator test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
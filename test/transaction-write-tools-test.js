@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test the write-path transaction tools (dry-run previews, lifecycle and write guard)
+ */
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTransactionTools } from '../src/tools/transaction.js';
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const LEDGER_ID = '22222222-2222-4222-8222-222222222222';
+
+const parseResult = (result) => JSON.parse(result.content[0].text);
+
+const testWriteTools = async () => {
+  console.log('🧪 Testing Write-Path Transaction Tools...\n');
+
+  const server = new McpServer({
+    name: 'test-server',
+    version: '1.0.0'
+  });
+
+  registerTransactionTools(server);
+  const tools = server._registeredTools;
+  let failures = 0;
+
+  // Test 1: Balanced JSON transaction preview
+  console.log('📝 Test 1: create-transaction-json dry run (balanced)');
+  try {
+    const preview = parseResult(await tools['create-transaction-json'].callback({
+      organization_id: ORG_ID,
+      ledger_id: LEDGER_ID,
+      description: 'Split payment',
+      send: {
+        asset: 'USD',
+        value: 10000,
+        scale: 2,
+        from: [{ account: '@external/USD', amount: { value: 10000 } }]
+      },
+      distribute: {
+        to: [
+          { account: '@merchant', share: { percentage: 90 } },
+          { account: '@fees', remaining: true }
+        ]
+      }
+    }, {}));
+
+    const fees = preview.validation.distribute.find(leg => leg.account === '@fees');
+    if (preview.mode !== 'dry_run' || !preview.validation.valid || !preview.preview_token || fees.value !== 1000) {
+      throw new Error(`Unexpected preview: ${JSON.stringify(preview.validation)}`);
+    }
+    console.log('✅ Balanced preview - PASSED');
+    console.log(`   Preview token: ${preview.preview_token.slice(0, 16)}...\n`);
+  } catch (error) {
+    failures++;
+    console.log('❌ Balanced preview - FAILED:', error.message);
+  }
+
+  // Test 2: Unbalanced JSON transaction preview
+  console.log('⚖️ Test 2: create-transaction-json dry run (unbalanced)');
+  try {
+    const preview = parseResult(await tools['create-transaction-json'].callback({
+      organization_id: ORG_ID,
+      ledger_id: LEDGER_ID,
+      send: {
+        asset: 'USD',
+        value: 10000,
+        scale: 2,
+        from: [{ account: '@external/USD', amount: { value: 9000 } }]
+      },
+      distribute: {
+        to: [{ account: '@merchant', amount: { value: 10000 } }]
+      }
+    }, {}));
+
+    if (preview.validation.valid || preview.preview_token !== null) {
+      throw new Error('Unbalanced transaction was accepted');
+    }
+    console.log('✅ Unbalanced preview rejected - PASSED');
+    console.log(`   Errors: ${preview.validation.errors.join('; ')}\n`);
+  } catch (error) {
+    failures++;
+    console.log('❌ Unbalanced preview - FAILED:', error.message);
+  }
+
+  // Test 3: Execution is refused while writes are disabled
+  console.log('🔒 Test 3: create-transaction-dsl execute without write access');
+  try {
+    await tools['create-transaction-dsl'].callback({
+      organization_id: ORG_ID,
+      ledger_id: LEDGER_ID,
+      dsl: '(transaction V1)',
+      dry_run: false,
+      confirm_token: 'not-a-token'
+    }, {});
+    failures++;
+    console.log('❌ Write guard - FAILED: execution was not refused');
+  } catch (error) {
+    console.log('✅ Write guard - PASSED');
+    console.log(`   Refused with: ${error.message}\n`);
+  }
+
+  // Test 4: Commit preview lists affected accounts
+  console.log('🔁 Test 4: commit-transaction dry run');
+  try {
+    const preview = parseResult(await tools['commit-transaction'].callback({
+      organization_id: ORG_ID,
+      ledger_id: LEDGER_ID,
+      id: '33333333-3333-4333-8333-333333333333'
+    }, {}));
+
+    if (preview.mode !== 'dry_run' || preview.action !== 'commit' || preview.affected_accounts.length === 0) {
+      throw new Error(`Unexpected preview: ${JSON.stringify(preview)}`);
+    }
+    console.log('✅ Commit preview - PASSED');
+    console.log(`   Affected accounts: ${preview.affected_accounts.map(account => account.alias).join(', ')}\n`);
+  } catch (error) {
+    failures++;
+    console.log('❌ Commit preview - FAILED:', error.message);
+  }
+
+  console.log(failures === 0 ? '🎉 All write tool tests passed!' : `❌ ${failures} write tool test(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+testWriteTools().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
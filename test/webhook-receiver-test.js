@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Test the webhook receiver: signatures, event normalization, the event log and fan-out
+ */
+
+import assert from 'assert';
+import { SubscriptionManager } from '../src/util/resource-subscriptions.js';
+import {
+  signWebhookBody,
+  verifyWebhookSignature,
+  normalizeWebhookEvent,
+  eventResourceUris,
+  EventLog,
+  webhookEventLog,
+  startWebhookReceiver
+} from '../src/util/webhook-receiver.js';
+import { registerMonitoringTools } from '../src/tools/monitoring.js';
+
+const SECRET = 'test-webhook-secret';
+const ORG = '11111111-1111-4111-8111-111111111111';
+const LEDGER = '22222222-2222-4222-8222-222222222222';
+const ACCOUNT = '33333333-3333-4333-8333-333333333333';
+const TRANSACTION = '44444444-4444-4444-8444-444444444444';
+const LEDGER_URI = `midaz://organizations/${ORG}/ledgers/${LEDGER}`;
+
+const transactionEvent = (id, extra = {}) => ({
+  id,
+  type: 'transaction.created',
+  organizationId: ORG,
+  ledgerId: LEDGER,
+  data: {
+    transaction: {
+      id: TRANSACTION,
+      status: { code: 'APPROVED' },
+      operations: [{ accountId: ACCOUNT }, { accountId: '@external/USD' }]
+    }
+  },
+  ...extra
+});
+
+const cases = [
+  {
+    name: 'Signatures cover the timestamp and body',
+    run: async () => {
+      const body = JSON.stringify(transactionEvent('evt-1'));
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = signWebhookBody(body, timestamp, SECRET);
+
+      assert.deepStrictEqual(verifyWebhookSignature(body, { signature, timestamp: String(timestamp) }, SECRET), { valid: true, reason: null });
+      assert.strictEqual(verifyWebhookSignature(body, { signature: signature.slice(7), timestamp: String(timestamp) }, SECRET).valid, true);
+      assert.match(verifyWebhookSignature(`${body} `, { signature, timestamp: String(timestamp) }, SECRET).reason, /mismatch/);
+      assert.match(verifyWebhookSignature(body, { signature, timestamp: String(timestamp) }, 'other').reason, /mismatch/);
+      assert.match(verifyWebhookSignature(body, { signature, timestamp: String(timestamp) }, SECRET, (timestamp + 301) * 1000).reason, /window/);
+      assert.match(verifyWebhookSignature(body, { timestamp: String(timestamp) }, SECRET).reason, /Missing/);
+    }
+  },
+  {
+    name: 'Events normalize to IDs and affected resource URIs',
+    run: async () => {
+      const event = normalizeWebhookEvent(transactionEvent('evt-1'), new Date('2026-03-01T10:00:00Z'));
+      assert.deepStrictEqual(
+        [event.id, event.type, event.organization_id, event.ledger_id, event.transaction_id, event.status, event.received_at],
+        ['evt-1', 'transaction.created', ORG, LEDGER, TRANSACTION, 'APPROVED', '2026-03-01T10:00:00.000Z']
+      );
+      assert.deepStrictEqual(event.account_ids, [ACCOUNT, '@external/USD']);
+      assert.deepStrictEqual(eventResourceUris(event), [
+        `${LEDGER_URI}/transactions`,
+        `${LEDGER_URI}/transactions/${TRANSACTION}`,
+        `${LEDGER_URI}/accounts/${ACCOUNT}`,
+        `${LEDGER_URI}/accounts/${ACCOUNT}/balances`
+      ]);
+
+      // snake_case fields and events without an ID
+      const snake = normalizeWebhookEvent({ event_type: 'x', eventType: 'balance.updated', organization_id: ORG, ledger_id: LEDGER, account_ids: [ACCOUNT] });
+      assert.strictEqual(snake.type, 'balance.updated');
+      assert.strictEqual(snake.transaction_id, null);
+      assert.match(snake.id, /^[0-9a-f]{32}$/);
+      assert.deepStrictEqual(eventResourceUris(snake).length, 3);
+      assert.deepStrictEqual(eventResourceUris(normalizeWebhookEvent({ organizationId: 'nope', ledgerId: LEDGER })), []);
+    }
+  },
+  {
+    name: 'The event log is bounded, deduplicated and filterable',
+    run: async () => {
+      const log = new EventLog(3);
+      for (let i = 1; i <= 4; i++) {
+        assert.strictEqual(log.add(normalizeWebhookEvent(transactionEvent(`evt-${i}`, i === 4 ? { type: 'transaction.failed' } : {}), new Date(Date.UTC(2026, 2, i)))), true);
+      }
+      assert.strictEqual(log.add(normalizeWebhookEvent(transactionEvent('evt-4'))), false);
+      assert.deepStrictEqual([log.events.length, log.dropped], [3, 1]);
+
+      assert.deepStrictEqual(log.query().events.map(event => event.id), ['evt-4', 'evt-3', 'evt-2']);
+      assert.deepStrictEqual(log.query({ type: 'transaction.created' }).events.map(event => event.id), ['evt-3', 'evt-2']);
+      assert.deepStrictEqual(log.query({ since: '2026-03-03T00:00:00Z', account_id: ACCOUNT }).events.map(event => event.id), ['evt-4', 'evt-3']);
+      assert.deepStrictEqual(log.query({ ledger_id: 'other' }), { events: [], total: 0 });
+      assert.deepStrictEqual(log.query({ limit: 1 }).total, 3);
+
+      // A dropped ID can be logged again
+      assert.strictEqual(log.add(normalizeWebhookEvent(transactionEvent('evt-1'))), true);
+    }
+  },
+  {
+    name: 'Signed posts fan out to subscribers and show in recent-events',
+    run: async () => {
+      const manager = new SubscriptionManager({ pollInterval: 60000 });
+      const notified = [];
+      manager.subscribe(`${LEDGER_URI}/accounts/${ACCOUNT}/balances`, 'sub-1', event => notified.push(event));
+      manager.pollers.get(`${LEDGER_URI}/accounts/${ACCOUNT}/balances`).snapshot = { 'bal-1': '100|0|1' };
+
+      const receiver = await startWebhookReceiver({ host: '127.0.0.1', port: 0, path: '/webhooks/midaz', secret: SECRET, manager });
+      const url = `http://127.0.0.1:${receiver.httpServer.address().port}/webhooks/midaz`;
+      const post = async (payload, { secret = SECRET, target = url } = {}) => {
+        const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const response = await fetch(target, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Midaz-Timestamp': timestamp, 'X-Midaz-Signature': signWebhookBody(body, timestamp, secret) },
+          body
+        });
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        assert.deepStrictEqual(await post([transactionEvent('evt-a'), transactionEvent('evt-b')]), { status: 202, body: { accepted: 2, duplicates: 0 } });
+        assert.deepStrictEqual(await post(transactionEvent('evt-a')), { status: 202, body: { accepted: 0, duplicates: 1 } });
+        assert.strictEqual((await post(transactionEvent('evt-c'), { secret: 'wrong' })).status, 401);
+        assert.strictEqual((await post('{not json')).status, 400);
+        assert.strictEqual((await post(transactionEvent('evt-d'), { target: url.replace('/midaz', '/other') })).status, 404);
+        assert.strictEqual((await fetch(url)).status, 405);
+
+        // One notification per accepted event, and the poller takes a fresh baseline
+        assert.deepStrictEqual(notified.map(event => [event.source, event.event_id]), [['webhook', 'evt-a'], ['webhook', 'evt-b']]);
+        assert.strictEqual(manager.pollers.get(`${LEDGER_URI}/accounts/${ACCOUNT}/balances`).snapshot, null);
+
+        const tools = {};
+        registerMonitoringTools({ tool: (name, description, schema, handler) => { tools[name] = handler; } });
+        const result = JSON.parse((await tools['recent-events']({ account_id: ACCOUNT, limit: 1 }, {})).content[0].text);
+        assert.deepStrictEqual([result.count, result.total_matching, result.events[0].id], [1, 2, 'evt-b']);
+        assert.strictEqual(result.receiver.capacity, webhookEventLog.maxEvents);
+
+        await assert.rejects(startWebhookReceiver({ host: '127.0.0.1', port: 0, path: '/webhooks/midaz' }), /MIDAZ_WEBHOOK_SECRET/);
+      } finally {
+        await receiver.close();
+        manager.close();
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Webhook Receiver...\n');
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+console.log(failures === 0 ? '\n🎉 All webhook receiver tests passed!' : `\n❌ ${failures} webhook receiver test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
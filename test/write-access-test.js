@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test preview tokens guarding write tools
+ */
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { createPreviewToken, assertWriteAccess } from '../src/util/write-access.js';
+import { installEnvironmentProfiles, runInEnvironment } from '../src/util/environments.js';
+
+const request = { organization_id: 'org-1', ledger_id: 'ledger-1', body: { send: { asset: 'USD', value: 100, scale: 2 } } };
+const rejects = (fn, pattern) => assert.throws(fn, error => pattern.test(error.message));
+
+const cases = [
+  {
+    name: 'Preview tokens are random and run one write',
+    run: () => {
+      const token = createPreviewToken('create-transaction-json', request, 'alice');
+      assert.notStrictEqual(token, createPreviewToken('create-transaction-json', request, 'alice'));
+
+      assertWriteAccess('create-transaction-json', request, token, 'alice');
+      rejects(() => assertWriteAccess('create-transaction-json', request, token, 'alice'), /already used/);
+      rejects(() => assertWriteAccess('create-transaction-json', request, 'made-up', 'alice'), /unknown/);
+      rejects(() => assertWriteAccess('create-transaction-json', request, undefined, 'alice'), /previewed first/);
+    }
+  },
+  {
+    name: 'Preview tokens are bound to the client and the exact request',
+    run: () => {
+      const token = createPreviewToken('create-transaction-json', request, 'alice');
+
+      rejects(() => assertWriteAccess('create-transaction-json', request, token, 'mallory'), /another client/);
+      rejects(() => assertWriteAccess('create-transaction-dsl', request, token, 'alice'), /does not match/);
+      rejects(() => assertWriteAccess('create-transaction-json', { ...request, ledger_id: 'ledger-2' }, token, 'alice'), /does not match/);
+
+      // Rejected attempts do not consume the token
+      assertWriteAccess('create-transaction-json', request, token, 'alice');
+    }
+  },
+  {
+    name: 'Preview tokens expire',
+    run: () => {
+      const token = createPreviewToken('create-transaction-json', request, 'alice');
+      const now = Date.now;
+      Date.now = () => now() + 11 * 60 * 1000;
+      try {
+        rejects(() => assertWriteAccess('create-transaction-json', request, token, 'alice'), /expired/);
+      } finally {
+        Date.now = now;
+      }
+      rejects(() => assertWriteAccess('create-transaction-json', request, token, 'alice'), /already used/);
+    }
+  },
+  {
+    name: 'Preview tokens are bound to the environment',
+    run: async () => {
+      config.environments = { staging: { useStubs: false, allowWrites: true }, sandbox: { useStubs: false, allowWrites: true } };
+      installEnvironmentProfiles(config);
+      try {
+        const token = await runInEnvironment('staging', async () => createPreviewToken('create-transaction-json', request, 'alice'));
+
+        await runInEnvironment('sandbox', async () => {
+          rejects(() => assertWriteAccess('create-transaction-json', request, token, 'alice'), /issued in the staging environment/);
+        });
+        await runInEnvironment('staging', async () => assertWriteAccess('create-transaction-json', request, token, 'alice'));
+      } finally {
+        config.environments = {};
+        installEnvironmentProfiles(config);
+      }
+    }
+  }
+];
+
+console.log('🧪 Testing Write Access...\n');
+const previous = { useStubs: config.useStubs, allowWrites: config.allowWrites };
+config.useStubs = false;
+config.allowWrites = true;
+let failures = 0;
+
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(`✅ ${testCase.name} - PASSED`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name} - FAILED: ${error.message}`);
+  }
+}
+
+Object.assign(config, previous);
+console.log(failures === 0 ? '\n🎉 All write access tests passed!' : `\n❌ ${failures} write access test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);